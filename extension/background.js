@@ -1,21 +1,104 @@
 /**
  * CS Case Profit Extension - Background Service Worker
- * Handles cross-origin requests and extension lifecycle events
+ * Handles cross-origin requests, owns the price database and exchange rates and extension lifecycle events
  */
 
+// Firefox loads shared scripts through background.scripts, the Chrome service worker imports them
+if (typeof importScripts === 'function') {
+    importScripts(
+        'src/shared/services/http.js',
+        'src/shared/services/cache.js',
+        'src/shared/services/settings.js',
+        'src/shared/services/providers.js',
+        'src/shared/services/itemtypes.js',
+        'src/shared/services/markethashname.js',
+        'src/background/matcher.js',
+        'src/background/pricedb.js',
+        'src/background/pricestore.js',
+        'src/background/ratestore.js'
+    );
+}
+
+const proxyClient = new HttpClient({ name: 'CSP Background' });
+
+/**
+ * Message handlers by message type, each resolves the response
+ */
+const messageHandlers = {
+    /**
+     * Proxy fetch requests that might need cross-origin handling
+     * @param {{url: string, options: Object}} message
+     */
+    async FETCH_URL({ url, options }) {
+        return { success: true, data: await proxyClient.json(url, options || {}) };
+    },
+
+    /**
+     * Look up prices of the given items
+     * @param {{providers: Array<string>, names: Array<string>}} message
+     */
+    async GET_PRICES({ providers, names }) {
+        return { success: true, ...(await PriceStore.lookup(providers || [], names || [])) };
+    },
+
+    /**
+     * When a provider's prices were downloaded
+     * @param {{provider: string}} message
+     */
+    async GET_PRICES_STATUS({ provider }) {
+        const meta = await PriceDB.getMeta(provider);
+        return { success: true, updatedAt: meta?.updatedAt || null, count: meta?.count || 0 };
+    },
+
+    /**
+     * Download prices again, even if they are fresh
+     * @param {{providers: Array<string>}} message
+     */
+    async REFRESH_PRICES({ providers }) {
+        await Promise.all((providers || []).map(providerId => PriceStore.refresh(providerId, true)));
+        return { success: true };
+    },
+
+    /**
+     * Get exchange rates from USD (stored rates and the download error if the download failed)
+     * @param {{force: boolean}} message
+     */
+    async GET_EXCHANGE_RATES({ force }) {
+        return { success: true, ...(await RateStore.get(!!force)) };
+    }
+};
+
 // Extension installed/updated
-chrome.runtime.onInstalled.addListener((details) => {
-    // Extension lifecycle event
+chrome.runtime.onInstalled.addListener(() => {
+    // Price feeds were kept in chrome.storage.local before PriceDB
+    chrome.storage.local.remove(PriceProviders.getAll().flatMap(provider => [
+        `csp_${provider.id}_prices`,
+        `csp_${provider.id}_prices_time`
+    ]));
+    PriceStore.schedule();
 });
 
-// Handle messages from content scripts (for future cross-origin requests if needed)
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'FETCH_URL') {
-        // Proxy fetch requests that might need cross-origin handling
-        fetch(message.url, message.options || {})
-            .then(response => response.json())
-            .then(data => sendResponse({ success: true, data }))
-            .catch(error => sendResponse({ success: false, error: error.message }));
-        return true; // Keep channel open for async response
+chrome.runtime.onStartup.addListener(() => {
+    PriceStore.schedule();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === PriceStore.ALARM_NAME) {
+        PriceStore.refreshSelected();
     }
 });
+
+// Handle messages from content scripts and extension pages
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const handler = messageHandlers[message?.type];
+    if (!handler) return false;
+
+    handler(message)
+        .then(sendResponse)
+        .catch(error => sendResponse({
+            success: false,
+            error: error.message,
+            httpError: error instanceof HttpError ? error.toJSON() : null
+        }));
+    return true; // Keep channel open for async response
+});
@@ -0,0 +1,253 @@
+/**
+ * CS Case Profit Extension - Options Page
+ * Builds the settings form from SettingsService.SCHEMA and saves on change
+ */
+
+(function() {
+    'use strict';
+
+    // Form layout: section title and the setting keys it contains
+    const SECTIONS = [
+        { title: 'General', keys: ['showBox', 'trackOpenings'] },
+        { title: 'Profitability Colors', keys: ['profitabilityRed', 'profitabilityGreen'] },
+        { title: 'Prices', keys: ['priceProvider', 'comparePriceProvider', 'priceCacheHours'] },
+        { title: 'Currency', keys: ['displayCurrency', 'showSiteCoins', 'exchangeRateSource', 'exchangeRateOverrides'] },
+        { title: 'Liquidation', keys: ['liquidationProfile', 'marketFeePercent', 'sellbackPercent'] },
+        { title: 'Risk of Ruin', keys: ['riskBankrollCases', 'riskOpenings'] },
+        { title: 'Promo Banner', keys: ['promoDismissDays'] }
+    ];
+
+    // Maximum number of report lines listed after an import
+    const MAX_REPORT_LINES = 50;
+
+    let statusTimeout = null;
+
+    /**
+     * Create an element with text content
+     * @param {string} tag - Tag name
+     * @param {string} className - Class name
+     * @param {string} text - Text content
+     * @returns {Element}
+     */
+    function el(tag, className, text = '') {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Build the input row for one setting
+     * @param {string} key - Setting key
+     * @returns {Element}
+     */
+    function createField(key) {
+        const definition = SettingsService.SCHEMA[key];
+        const field = el('label', 'field');
+
+        const text = el('span', 'field-text');
+        text.appendChild(el('span', 'field-label', definition.label));
+        text.appendChild(el('span', 'field-description', definition.description));
+        const error = el('span', 'field-error');
+        error.id = `error-${key}`;
+        error.hidden = true;
+        text.appendChild(error);
+        field.appendChild(text);
+
+        let input;
+        if (definition.options) {
+            input = document.createElement('select');
+            for (const option of definition.options) {
+                const optionEl = el('option', '', option.label);
+                optionEl.value = option.value;
+                input.appendChild(optionEl);
+            }
+        } else {
+            input = document.createElement('input');
+        }
+        input.name = key;
+        if (definition.type === 'boolean') {
+            input.type = 'checkbox';
+        } else if (definition.type === 'string' && !definition.options) {
+            input.type = 'text';
+            input.spellcheck = false;
+        } else if (definition.type === 'number') {
+            input.type = 'number';
+            input.step = definition.integer ? '1' : 'any';
+            if (definition.min !== undefined) input.min = String(definition.min);
+            if (definition.max !== undefined) input.max = String(definition.max);
+        }
+        input.addEventListener('change', () => saveField(input));
+        field.appendChild(input);
+
+        return field;
+    }
+
+    /**
+     * Build the settings form
+     */
+    function renderForm() {
+        const form = document.getElementById('settingsForm');
+        form.replaceChildren(...SECTIONS.map(({ title, keys }) => {
+            const section = el('div', 'section');
+            section.appendChild(el('div', 'section-title', title));
+            for (const key of keys) {
+                section.appendChild(createField(key));
+            }
+            return section;
+        }));
+    }
+
+    /**
+     * Fill inputs with the current setting values
+     */
+    function fillForm() {
+        const values = SettingsService.getAll();
+        for (const input of document.querySelectorAll('#settingsForm input, #settingsForm select')) {
+            if (input.type === 'checkbox') {
+                input.checked = !!values[input.name];
+            } else {
+                input.value = String(values[input.name]);
+            }
+        }
+        showErrors({});
+    }
+
+    /**
+     * Show validation errors next to their fields
+     * @param {Object<string, string>} errors - Errors per setting key
+     */
+    function showErrors(errors) {
+        for (const key of Object.keys(SettingsService.SCHEMA)) {
+            const error = document.getElementById(`error-${key}`);
+            const input = document.querySelector(`#settingsForm [name="${key}"]`);
+            error.textContent = errors[key] || '';
+            error.hidden = !errors[key];
+            input.classList.toggle('invalid', !!errors[key]);
+        }
+    }
+
+    /**
+     * Show a short-lived status message
+     * @param {string} message - Message text
+     */
+    function showStatus(message) {
+        const status = document.getElementById('saveStatus');
+        status.textContent = message;
+        clearTimeout(statusTimeout);
+        statusTimeout = setTimeout(() => { status.textContent = ''; }, 2000);
+    }
+
+    /**
+     * Validate and save a changed input
+     * @param {HTMLInputElement|HTMLSelectElement} input - Changed input
+     */
+    async function saveField(input) {
+        const value = input.type === 'checkbox' ? input.checked : input.value;
+        const result = await SettingsService.update({ [input.name]: value });
+
+        showErrors(result.errors);
+        if (result.success) {
+            showStatus('Saved');
+        }
+    }
+
+    /**
+     * Show the imported price sheet state
+     */
+    function renderSheetStatus() {
+        const sheet = PriceSheetService.sheet;
+        const status = document.getElementById('sheetStatus');
+
+        document.getElementById('removeSheet').hidden = !sheet;
+        if (!sheet) {
+            status.textContent = 'No price sheet imported';
+            return;
+        }
+
+        const count = Object.keys(sheet.prices || {}).length;
+        const date = new Date(sheet.importedAt).toLocaleString();
+        status.textContent = `${count} items from ${sheet.fileName} (imported ${date})`;
+    }
+
+    /**
+     * List skipped rows and name format warnings of an import
+     * @param {{count: number, errors: Array, warnings: Array}} result - Parse result
+     */
+    function renderSheetReport(result) {
+        const lines = [
+            ...result.errors.map(e => ({ className: 'error', text: `Row ${e.row} skipped: ${e.message}` })),
+            ...result.warnings.map(w => ({ className: 'warning', text: `Row ${w.row}: ${w.message}` }))
+        ];
+
+        const items = lines.slice(0, MAX_REPORT_LINES).map(line => el('li', line.className, line.text));
+        if (lines.length > MAX_REPORT_LINES) {
+            items.push(el('li', '', `...and ${lines.length - MAX_REPORT_LINES} more`));
+        }
+        document.getElementById('sheetReport').replaceChildren(...items);
+    }
+
+    /**
+     * Parse, validate and store a selected price sheet file
+     * @param {File} file - Selected file
+     */
+    async function importSheet(file) {
+        const result = PriceSheetService.parse(await file.text(), file.name);
+        renderSheetReport(result);
+
+        if (result.count === 0) {
+            showStatus('Nothing imported');
+            return;
+        }
+
+        if (await PriceSheetService.save(result.prices, file.name)) {
+            renderSheetStatus();
+            showStatus(`Imported ${result.count} prices`);
+        }
+    }
+
+    /**
+     * Initialize the price sheet section
+     */
+    async function initSheet() {
+        await PriceSheetService.load();
+        renderSheetStatus();
+
+        const fileInput = document.getElementById('sheetFile');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) importSheet(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        document.getElementById('removeSheet').addEventListener('click', async () => {
+            await PriceSheetService.clear();
+            document.getElementById('sheetReport').replaceChildren();
+            renderSheetStatus();
+            showStatus('Price sheet removed');
+        });
+    }
+
+    /**
+     * Initialize the options page
+     */
+    async function init() {
+        await SettingsService.load();
+
+        renderForm();
+        fillForm();
+
+        // Keep the form in sync when settings change elsewhere (e.g. the popup)
+        SettingsService.onChange(() => fillForm());
+
+        document.getElementById('resetSettings').addEventListener('click', async () => {
+            if (await SettingsService.reset()) {
+                fillForm();
+                showStatus('Defaults restored');
+            }
+        });
+
+        initSheet();
+    }
+
+    init();
+})();
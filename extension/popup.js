@@ -0,0 +1,196 @@
+/**
+ * CS Case Profit Extension - Popup Dashboard
+ * Shows recent cases, price cache state, settings and per-site status
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Format a timestamp as a relative age
+     * @param {number} timestamp - Time in ms
+     * @returns {string} - e.g. "just now", "5m ago", "3h ago", "2d ago"
+     */
+    function formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+
+        return `${Math.floor(hours / 24)}d ago`;
+    }
+
+    /**
+     * Get color class for a profitability value (same thresholds as the probability box)
+     * @param {number} profitability - Profitability in percent
+     * @returns {string}
+     */
+    function getProfitabilityClass(profitability) {
+        if (profitability < SettingsService.get('profitabilityRed')) return 'negative';
+        if (profitability <= SettingsService.get('profitabilityGreen')) return 'neutral';
+        return 'positive';
+    }
+
+    /**
+     * Create an element with text content
+     * @param {string} tag - Tag name
+     * @param {string} className - Class name
+     * @param {string} text - Text content
+     * @returns {Element}
+     */
+    function el(tag, className, text = '') {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Render recently viewed cases
+     */
+    async function renderRecentCases() {
+        const list = document.getElementById('recentCases');
+        const recent = await RecentCasesService.getAll();
+
+        document.getElementById('recentEmpty').hidden = recent.length > 0;
+        list.replaceChildren(...recent.map(entry => {
+            const li = el('li');
+
+            const info = el('div', 'recent-case');
+            const link = el('a', '', entry.caseName);
+            link.href = entry.url;
+            link.target = '_blank';
+            link.title = entry.caseName;
+            info.appendChild(link);
+            info.appendChild(el('span', 'recent-site', `${SiteRegistry.getSiteName(entry.siteId)} · ${formatAge(entry.timestamp)}`));
+            li.appendChild(info);
+
+            const value = entry.profitability;
+            const profitability = el('div', 'recent-profitability');
+            if (value === null || value === undefined) {
+                profitability.textContent = 'N/A';
+            } else {
+                profitability.classList.add(getProfitabilityClass(value));
+                profitability.textContent = `${value.toFixed(1)}%`;
+                if (entry.realProfitability !== null && entry.realProfitability !== undefined) {
+                    profitability.appendChild(el('span', 'real', `Real ${entry.realProfitability.toFixed(1)}%`));
+                }
+            }
+            li.appendChild(profitability);
+
+            return li;
+        }));
+    }
+
+    /**
+     * Render age of the cached prices of the active price provider
+     */
+    async function renderPricesAge() {
+        const provider = PricingService.getActiveProvider();
+        const timestamp = await PricingService.getCacheTimestamp(provider);
+        const ageEl = document.getElementById('pricesAge');
+
+        if (!timestamp) {
+            ageEl.textContent = `${provider.name} prices not loaded yet`;
+            return;
+        }
+
+        const expired = Date.now() - timestamp > PricingService.getCacheDuration(provider);
+        ageEl.textContent = `${provider.name} prices updated ${formatAge(timestamp)}${expired ? ' (expired)' : ''}`;
+    }
+
+    /**
+     * Download fresh prices
+     * @param {HTMLButtonElement} button - Refresh button
+     */
+    async function refreshPrices(button) {
+        button.disabled = true;
+        button.textContent = 'Refreshing...';
+
+        const refreshed = await PricingService.refreshPrices();
+
+        button.disabled = false;
+        button.textContent = 'Refresh prices';
+
+        if (!refreshed) {
+            document.getElementById('pricesAge').textContent = `Failed to download ${PricingService.getActiveProvider().name} prices`;
+            return;
+        }
+        await renderPricesAge();
+    }
+
+    /**
+     * Bind settings checkboxes to stored settings
+     */
+    function initSettings() {
+        for (const input of document.querySelectorAll('[data-setting]')) {
+            const key = input.dataset.setting;
+            input.checked = !!SettingsService.get(key);
+            input.addEventListener('change', () => SettingsService.update({ [key]: input.checked }));
+        }
+
+        document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
+
+    /**
+     * Describe a site's last known status
+     * @param {Object|undefined} status - Stored site status
+     * @returns {{className: string, text: string, title: string}}
+     */
+    function describeStatus(status) {
+        if (!status?.adapterLoaded) {
+            return { className: '', text: 'Not visited', title: '' };
+        }
+        if (status.lastFetchOk === true) {
+            return { className: 'ok', text: `OK · ${formatAge(status.lastFetchAt)}`, title: 'Last case fetch succeeded' };
+        }
+        if (status.lastFetchOk === false) {
+            return { className: 'error', text: `Failed · ${formatAge(status.lastFetchAt)}`, title: status.lastError || 'Last case fetch failed' };
+        }
+        return { className: 'loaded', text: 'Loaded', title: `Adapter loaded ${formatAge(status.adapterLoadedAt)}, no case fetched yet` };
+    }
+
+    /**
+     * Render supported sites from the registry with their status
+     */
+    async function renderSites() {
+        const statuses = await SiteStatusService.getAll();
+
+        document.getElementById('sitesList').replaceChildren(...SiteRegistry.SITES.map(site => {
+            const li = el('li');
+
+            const link = el('a', '', site.name);
+            link.href = site.url;
+            link.target = '_blank';
+            li.appendChild(link);
+
+            const { className, text, title } = describeStatus(statuses[site.id]);
+            const status = el('span', 'site-status');
+            status.title = title;
+            status.appendChild(el('span', `status-dot ${className}`.trim()));
+            status.appendChild(document.createTextNode(text));
+            li.appendChild(status);
+
+            return li;
+        }));
+    }
+
+    /**
+     * Initialize the popup
+     */
+    async function init() {
+        await SettingsService.load();
+
+        const refreshButton = document.getElementById('refreshPrices');
+        refreshButton.addEventListener('click', () => refreshPrices(refreshButton));
+
+        renderRecentCases();
+        renderPricesAge();
+        renderSites();
+        initSettings();
+    }
+
+    init();
+})();
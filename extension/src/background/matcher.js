@@ -0,0 +1,158 @@
+/**
+ * Price Matcher - Normalizes market hash names and scores close matches (background worker only)
+ * Sites spell names differently from the price feeds: star characters, StatTrak™ with or
+ * without the trademark sign or in the wrong order, wear abbreviations (see MarketHashName.WEARS),
+ * letter case, spacing.
+ * Names are reduced to a normalized key for exact lookups and to a base name (without the
+ * StatTrak/Souvenir flags) that is compared with a bigram similarity for fuzzy matches.
+ * Bigrams barely notice a different year, capsule number or wear, so candidates whose
+ * exact tokens (numbers, exterior, StatTrak/Souvenir) differ are only reported, never priced
+ */
+
+const PriceMatcher = {
+    // Fuzzy matches at or above this confidence are used for prices, lower ones are only reported
+    MIN_CONFIDENCE: 0.9,
+    // Confidence of a match that only differs in spelling (same normalized key)
+    NORMALIZED_CONFIDENCE: 0.99,
+    // Score multipliers when the flags or exterior of a candidate differ (a different item with a different price)
+    FLAG_PENALTY: 0.8,
+    WEAR_PENALTY: 0.7,
+    // Highest confidence of a candidate whose exact tokens differ (below MIN_CONFIDENCE)
+    MAX_MISMATCH_CONFIDENCE: 0.85,
+    MAX_CANDIDATES: 3,
+
+    /**
+     * Split a name into its normalized parts
+     * @param {string} name - Market hash name as built by a parser or stored in a feed
+     * @returns {{key: string, base: string, group: string, wear: string|null, numbers: string,
+     *          stattrak: boolean, souvenir: boolean}} - key: full normalized name, base: without flags,
+     *          group: weapon part of base (used to find candidates), numbers: digit runs of base ("47 2014")
+     */
+    parse(name) {
+        let text = String(name || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[‘’‛`´]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/[‐-―]/g, '-');
+
+        // Star characters (★ ☆ ⋆ ✪ *) only mark knives and gloves, which are already unique by name
+        text = text.replace(/[★☆⋆✪*]/g, ' ');
+
+        // NFKC turns ™ into "tm"
+        const stattrak = /\bstattrak(?:tm)?\b/.test(text);
+        const souvenir = /\bsouvenir\b/.test(text);
+        text = text.replace(/\bstattrak(?:tm)?\b/g, ' ').replace(/\bsouvenir\b/g, ' ');
+
+        text = text.replace(/\s*\|\s*/g, ' | ').replace(/\s+/g, ' ').trim();
+
+        let wear = null;
+        text = text.replace(/\(([^)]+)\)$/, (match, exterior) => {
+            const normalized = exterior.trim();
+            wear = MarketHashName.getWearFull(normalized).toLowerCase() || normalized;
+            return `(${wear})`;
+        });
+
+        const base = text;
+        const flags = [stattrak ? 'stattrak' : '', souvenir ? 'souvenir' : ''].filter(Boolean);
+        const key = [...flags, base].join(' ');
+        const pipe = base.indexOf(' | ');
+        const group = pipe > 0 ? base.slice(0, pipe + 3) : base.split(' ')[0];
+        const numbers = (base.match(/\d+/g) || []).join(' ');
+
+        return { key, base, group, wear, numbers, stattrak, souvenir };
+    },
+
+    /**
+     * Base name prefixes to collect fuzzy candidates with: the weapon with the start of the skin,
+     * the weapon alone (large groups like stickers are cut off by the query limit), and the first
+     * letters for names with a misspelled weapon
+     * @param {Object} parsed - parse() result
+     * @returns {Array<string>}
+     */
+    getCandidatePrefixes(parsed) {
+        const rest = parsed.base.slice(parsed.group.length);
+        return [...new Set([parsed.group + rest.slice(0, 2), parsed.group, parsed.base.slice(0, 3)])]
+            .filter(prefix => prefix.length >= 2);
+    },
+
+    /**
+     * Similarity of two strings (Dice coefficient of character bigrams)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - 0 (nothing in common) to 1 (equal)
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.slice(i, i + 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+
+        let shared = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.slice(i, i + 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                shared++;
+            }
+        }
+        return (2 * shared) / (a.length + b.length - 2);
+    },
+
+    /**
+     * Check if the tokens that must match exactly are the same: years, capsule numbers and
+     * tiers ("Katowice 2014" vs "2015", "M4A1-S" vs "M4A4"), exterior and StatTrak/Souvenir
+     * @param {Object} wanted - parse() result of the looked-up name
+     * @param {Object} candidate - parse() result of a feed name
+     * @returns {boolean}
+     */
+    hasSameExactTokens(wanted, candidate) {
+        return wanted.numbers === candidate.numbers
+            && wanted.wear === candidate.wear
+            && wanted.stattrak === candidate.stattrak
+            && wanted.souvenir === candidate.souvenir;
+    },
+
+    /**
+     * Score how likely a candidate is the item a name refers to
+     * Candidates with different exact tokens score at most MAX_MISMATCH_CONFIDENCE
+     * @param {Object} wanted - parse() result of the looked-up name
+     * @param {Object} candidate - parse() result of a feed name
+     * @returns {number} - Confidence from 0 to 1
+     */
+    score(wanted, candidate) {
+        if (wanted.key === candidate.key) return this.NORMALIZED_CONFIDENCE;
+
+        let score = this.similarity(wanted.base, candidate.base);
+        if (wanted.stattrak !== candidate.stattrak) score *= this.FLAG_PENALTY;
+        if (wanted.souvenir !== candidate.souvenir) score *= this.FLAG_PENALTY;
+        if (wanted.wear !== candidate.wear) score *= this.WEAR_PENALTY;
+        if (!this.hasSameExactTokens(wanted, candidate)) {
+            return Math.min(score, this.MAX_MISMATCH_CONFIDENCE);
+        }
+        return Math.min(score, this.NORMALIZED_CONFIDENCE);
+    },
+
+    /**
+     * Rank feed names by confidence
+     * @param {string} name - Looked-up name
+     * @param {Array<string>} candidates - Feed names
+     * @returns {Array<{name: string, confidence: number}>} - Best first, at most MAX_CANDIDATES
+     */
+    rank(name, candidates) {
+        const wanted = this.parse(name);
+        return candidates
+            .map(candidate => ({ name: candidate, confidence: this.score(wanted, this.parse(candidate)) }))
+            .filter(candidate => candidate.confidence > 0)
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, this.MAX_CANDIDATES);
+    }
+};
+
+// Make available globally for the background worker
+globalThis.PriceMatcher = PriceMatcher;
@@ -0,0 +1,181 @@
+/**
+ * Price Database - IndexedDB storage for downloaded price feeds (background worker only)
+ * Feeds hold tens of thousands of items, so they are stored as one record per item
+ * and read by market hash name instead of loading a whole feed into memory
+ *
+ * Stores:
+ * - prices: { provider, name, key, base, price, phases? }, key [provider, name]
+ *   indexes: key [provider, key] (normalized name), base [provider, base] (normalized name
+ *   without flags, searched by prefix for fuzzy candidates), see PriceMatcher.parse()
+ * - meta: { provider, updatedAt, count }, key provider
+ */
+
+const PriceDB = {
+    DB_NAME: 'csp_prices',
+    DB_VERSION: 3,
+
+    dbPromise: null,
+
+    /**
+     * Open the database (created on first use)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // Stored feeds lack the fields of newer versions, drop them and download again
+                    for (const storeName of Array.from(db.objectStoreNames)) {
+                        db.deleteObjectStore(storeName);
+                    }
+
+                    const prices = db.createObjectStore('prices', { keyPath: ['provider', 'name'] });
+                    prices.createIndex('key', ['provider', 'key']);
+                    prices.createIndex('base', ['provider', 'base']);
+                    db.createObjectStore('meta', { keyPath: 'provider' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Try again on the next call instead of keeping a failed open
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a transaction and resolve once it completes
+     * @param {Array<string>} storeNames - Object stores used
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Called with the transaction, its return value is resolved
+     *                              (objects filled by request callbacks are complete by then)
+     * @returns {Promise<*>}
+     */
+    async run(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+            result = callback(transaction);
+        });
+    },
+
+    /**
+     * Replace all prices of a provider
+     * @param {string} providerId - Provider id
+     * @param {Object} prices - Normalized prices { [marketHashName]: { price, phases? } }
+     * @returns {Promise<Object>} - Stored meta record
+     */
+    async replace(providerId, prices) {
+        const meta = { provider: providerId, updatedAt: Date.now(), count: 0 };
+
+        return this.run(['prices', 'meta'], 'readwrite', (transaction) => {
+            const store = transaction.objectStore('prices');
+            store.delete(this.getProviderRange(providerId));
+
+            for (const [name, entry] of Object.entries(prices)) {
+                const { key, base } = PriceMatcher.parse(name);
+                const record = { provider: providerId, name, key, base, price: entry.price };
+                if (entry.phases) record.phases = entry.phases;
+                store.put(record);
+                meta.count++;
+            }
+
+            transaction.objectStore('meta').put(meta);
+            return meta;
+        });
+    },
+
+    /**
+     * Look up prices of a provider by market hash name
+     * @param {string} providerId - Provider id
+     * @param {Array<string>} names - Market hash names
+     * @returns {Promise<Object>} - { [marketHashName]: { price, phases? } | null }
+     */
+    async get(providerId, names) {
+        const found = {};
+
+        return this.run(['prices'], 'readonly', (transaction) => {
+            const store = transaction.objectStore('prices');
+            for (const name of names) {
+                const request = store.get([providerId, name]);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    found[name] = record ? { price: record.price, phases: record.phases } : null;
+                };
+            }
+            return found;
+        });
+    },
+
+    /**
+     * Look up prices of a provider by normalized name (PriceMatcher.parse() key)
+     * @param {string} providerId - Provider id
+     * @param {Array<string>} keys - Normalized names
+     * @returns {Promise<Object>} - { [key]: record | null }
+     */
+    async getByKey(providerId, keys) {
+        const found = {};
+
+        return this.run(['prices'], 'readonly', (transaction) => {
+            const index = transaction.objectStore('prices').index('key');
+            for (const key of keys) {
+                const request = index.get([providerId, key]);
+                request.onsuccess = () => { found[key] = request.result || null; };
+            }
+            return found;
+        });
+    },
+
+    /**
+     * Get feed names whose base name starts with a prefix (fuzzy match candidates)
+     * @param {string} providerId - Provider id
+     * @param {string} prefix - Start of the normalized base name
+     * @param {number} [limit=500] - Maximum number of names
+     * @returns {Promise<Array<string>>}
+     */
+    async findNamesByPrefix(providerId, prefix, limit = 500) {
+        const found = {};
+
+        await this.run(['prices'], 'readonly', (transaction) => {
+            const range = IDBKeyRange.bound([providerId, prefix], [providerId, prefix + '\uffff']);
+            const request = transaction.objectStore('prices').index('base').getAll(range, limit);
+            request.onsuccess = () => { found.names = request.result.map(record => record.name); };
+        });
+        return found.names || [];
+    },
+
+    /**
+     * Get when a provider's prices were stored
+     * @param {string} providerId - Provider id
+     * @returns {Promise<Object|null>} - Meta record or null if nothing is stored
+     */
+    async getMeta(providerId) {
+        const found = {};
+
+        await this.run(['meta'], 'readonly', (transaction) => {
+            const request = transaction.objectStore('meta').get(providerId);
+            request.onsuccess = () => { found.meta = request.result || null; };
+        });
+        return found.meta || null;
+    },
+
+    /**
+     * Key range covering all prices of a provider
+     * @param {string} providerId - Provider id
+     * @returns {IDBKeyRange}
+     */
+    getProviderRange(providerId) {
+        // Arrays sort after strings, so [id, []] is above every [id, name]
+        return IDBKeyRange.bound([providerId, ''], [providerId, []]);
+    }
+};
+
+// Make available globally for the background worker
+globalThis.PriceDB = PriceDB;
@@ -0,0 +1,188 @@
+/**
+ * Price Store - Keeps price feeds fresh in PriceDB and answers lookups (background worker only)
+ * Feeds of the selected providers are downloaded on a chrome.alarms schedule and
+ * on demand when a lookup finds them missing or older than their cache duration
+ */
+
+const PriceStore = {
+    ALARM_NAME: 'csp-refresh-prices',
+    ALARM_PERIOD_MINUTES: 30,
+
+    // Price feeds are large, give them more time than site APIs
+    client: new HttpClient({ name: 'CSP Prices', timeout: 60000 }),
+
+    // Running downloads by provider id, so concurrent lookups share one
+    downloads: {},
+
+    /**
+     * Get the provider definition for an id
+     * @param {string} providerId - Provider id
+     * @returns {Object}
+     * @throws {Error} - Unknown provider
+     */
+    getProvider(providerId) {
+        const provider = PriceProviders.get(providerId);
+        if (!provider) throw new Error(`Unknown price provider: ${providerId}`);
+        return provider;
+    },
+
+    /**
+     * Get the providers selected in the settings (active first, then compare)
+     * @returns {Promise<Array<string>>} - Provider ids
+     */
+    async getSelectedProviderIds() {
+        await SettingsService.load();
+        const ids = [SettingsService.get('priceProvider'), SettingsService.get('comparePriceProvider')];
+        return [...new Set(ids.filter(id => PriceProviders.get(id)))];
+    },
+
+    /**
+     * Check if stored prices are still within the provider's cache duration
+     * @param {Object} provider - Provider definition
+     * @param {Object|null} meta - PriceDB meta record
+     * @returns {boolean}
+     */
+    isFresh(provider, meta) {
+        return !!meta && Date.now() - meta.updatedAt <= PriceProviders.getCacheDuration(provider);
+    },
+
+    /**
+     * Download a provider's feed unless the stored prices are fresh
+     * @param {string} providerId - Provider id
+     * @param {boolean} [force=false] - Download even if the stored prices are fresh
+     * @returns {Promise<Object>} - PriceDB meta record
+     * @throws {HttpError}
+     */
+    async refresh(providerId, force = false) {
+        const provider = this.getProvider(providerId);
+        await SettingsService.load();
+
+        if (!force) {
+            const meta = await PriceDB.getMeta(providerId);
+            if (this.isFresh(provider, meta)) return meta;
+        }
+
+        if (!this.downloads[providerId]) {
+            this.downloads[providerId] = this.download(provider).finally(() => {
+                delete this.downloads[providerId];
+            });
+        }
+        return this.downloads[providerId];
+    },
+
+    /**
+     * Download, normalize and store a provider's feed
+     * @param {Object} provider - Provider definition
+     * @returns {Promise<Object>} - PriceDB meta record
+     * @throws {HttpError}
+     */
+    async download(provider) {
+        const raw = await this.client.json(provider.url);
+        const meta = await PriceDB.replace(provider.id, provider.parse(raw));
+        return meta;
+    },
+
+    /**
+     * Look up prices by market hash name, downloading feeds that are missing or expired
+     * A provider whose download fails answers from the stored (expired) prices, if any.
+     * Names not in the feed are matched by normalized name, then fuzzily (see matchNames())
+     * @param {Array<string>} providerIds - Provider ids
+     * @param {Array<string>} names - Market hash names
+     * @returns {Promise<{prices: Object, matches: Object, updatedAt: Object, errors: Object}>} - Keyed by provider id:
+     *          prices { [name]: { price, phases? } | null }, matches of names not found as they are,
+     *          updatedAt timestamp or null, errors (HttpError JSON)
+     */
+    async lookup(providerIds, names) {
+        const uniqueNames = [...new Set(names)];
+        const result = { prices: {}, matches: {}, updatedAt: {}, errors: {} };
+
+        await Promise.all(providerIds.map(async (providerId) => {
+            try {
+                await this.refresh(providerId);
+            } catch (error) {
+                console.error(`[CSP Prices] Error downloading ${providerId} prices:`, error);
+                result.errors[providerId] = error instanceof HttpError
+                    ? error.toJSON()
+                    : { kind: 'response', message: error.message };
+            }
+
+            const meta = await PriceDB.getMeta(providerId);
+            result.updatedAt[providerId] = meta?.updatedAt || null;
+            result.prices[providerId] = {};
+            result.matches[providerId] = {};
+            if (!meta) return;
+
+            const prices = await PriceDB.get(providerId, uniqueNames);
+            const missing = uniqueNames.filter(name => !prices[name]);
+            if (missing.length > 0) {
+                result.matches[providerId] = await this.matchNames(providerId, missing, prices);
+            }
+            result.prices[providerId] = prices;
+        }));
+
+        return result;
+    },
+
+    /**
+     * Find feed entries for names the feed does not contain as they are
+     * A confident match (PriceMatcher.MIN_CONFIDENCE) adds its price to prices
+     * @param {string} providerId - Provider id
+     * @param {Array<string>} names - Names without an exact entry
+     * @param {Object} prices - Lookup result, completed in place
+     * @returns {Promise<Object>} - { [name]: { matchedName: string|null, confidence: number,
+     *          candidates: Array<{name: string, confidence: number}> } }
+     */
+    async matchNames(providerId, names, prices) {
+        const matches = {};
+        const parsed = Object.fromEntries(names.map(name => [name, PriceMatcher.parse(name)]));
+        const byKey = await PriceDB.getByKey(providerId, names.map(name => parsed[name].key));
+
+        for (const name of names) {
+            let candidates;
+            const record = byKey[parsed[name].key];
+            if (record) {
+                candidates = [{ name: record.name, confidence: PriceMatcher.NORMALIZED_CONFIDENCE }];
+            } else {
+                const feedNames = new Set();
+                for (const prefix of PriceMatcher.getCandidatePrefixes(parsed[name])) {
+                    (await PriceDB.findNamesByPrefix(providerId, prefix)).forEach(feedName => feedNames.add(feedName));
+                }
+                candidates = PriceMatcher.rank(name, [...feedNames]);
+            }
+
+            const best = candidates[0];
+            const matchedName = best && best.confidence >= PriceMatcher.MIN_CONFIDENCE ? best.name : null;
+            if (matchedName) {
+                prices[name] = record
+                    ? { price: record.price, phases: record.phases }
+                    : (await PriceDB.get(providerId, [matchedName]))[matchedName];
+            }
+            matches[name] = { matchedName, confidence: matchedName ? best.confidence : 0, candidates };
+        }
+        return matches;
+    },
+
+    /**
+     * Refresh the selected providers (alarm handler)
+     */
+    async refreshSelected() {
+        for (const providerId of await this.getSelectedProviderIds()) {
+            await this.refresh(providerId).catch((error) => {
+                console.error(`[CSP Prices] Scheduled refresh of ${providerId} failed:`, error);
+            });
+        }
+    },
+
+    /**
+     * Create the refresh alarm if it does not exist yet
+     */
+    async schedule() {
+        const alarm = await chrome.alarms.get(this.ALARM_NAME);
+        if (!alarm) {
+            await chrome.alarms.create(this.ALARM_NAME, { delayInMinutes: 1, periodInMinutes: this.ALARM_PERIOD_MINUTES });
+        }
+    }
+};
+
+// Make available globally for the background worker
+globalThis.PriceStore = PriceStore;
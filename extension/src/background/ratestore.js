@@ -0,0 +1,121 @@
+/**
+ * Rate Store - Downloads exchange rates from USD and keeps them in chrome.storage.local (background worker only)
+ * Rates of the source selected in the settings (exchangeRateSource) are reused for CACHE_HOURS,
+ * content scripts request them through CurrencyService.loadExchangeRates()
+ */
+
+const RateStore = {
+    STORAGE_KEY: 'csp_exchange_rates',
+    // Both sources publish once a day
+    CACHE_HOURS: 12,
+
+    // Rate sources by id, parse() returns units of each currency per 1 USD
+    SOURCES: {
+        frankfurter: {
+            id: 'frankfurter',
+            name: 'Frankfurter (ECB)',
+            url: 'https://api.frankfurter.app/latest?from=USD',
+            parse: raw => raw?.rates
+        },
+        erapi: {
+            id: 'erapi',
+            name: 'ExchangeRate-API',
+            url: 'https://open.er-api.com/v6/latest/USD',
+            parse: raw => (raw?.result === 'success' ? raw.rates : null)
+        }
+    },
+
+    client: new HttpClient({ name: 'CSP Rates' }),
+
+    // Running downloads by source id, so concurrent requests share one
+    downloads: {},
+
+    /**
+     * Get the source selected in the settings
+     * @returns {Object} - Source definition
+     */
+    getSource() {
+        return this.SOURCES[SettingsService.get('exchangeRateSource')] || this.SOURCES.frankfurter;
+    },
+
+    /**
+     * Check if stored rates are from the source and within CACHE_HOURS
+     * @param {Object|null} stored - Stored rates
+     * @param {Object} source - Source definition
+     * @returns {boolean}
+     */
+    isFresh(stored, source) {
+        return !!stored && stored.source === source.id && Date.now() - stored.updatedAt <= this.CACHE_HOURS * 60 * 60 * 1000;
+    },
+
+    /**
+     * Keep valid rates of a source response, with currency codes in upper case
+     * @param {Object} source - Source definition
+     * @param {*} raw - Response body
+     * @returns {Object<string, number>} - Units per 1 USD, USD included
+     * @throws {Error} - Response has no rates
+     */
+    parseRates(source, raw) {
+        const rates = { USD: 1 };
+        for (const [code, rate] of Object.entries(source.parse(raw) || {})) {
+            if (typeof rate === 'number' && Number.isFinite(rate) && rate > 0) {
+                rates[code.toUpperCase()] = rate;
+            }
+        }
+        if (Object.keys(rates).length === 1) {
+            throw new Error(`${source.name} returned no exchange rates`);
+        }
+        return rates;
+    },
+
+    /**
+     * Get the rates of the selected source, downloading them if missing or expired
+     * If the download fails, stored rates are returned (even if expired or from another source) with the error
+     * @param {boolean} [force=false] - Download even if the stored rates are fresh
+     * @returns {Promise<{source: string, sourceName: string, rates: Object<string, number>|null,
+     *          updatedAt: number|null, error: Object|null}>} - error is HttpError JSON
+     */
+    async get(force = false) {
+        await SettingsService.load();
+        const source = this.getSource();
+        const stored = await CacheService.get(this.STORAGE_KEY);
+
+        if (!force && this.isFresh(stored, source)) {
+            return { ...stored, sourceName: source.name, error: null };
+        }
+
+        try {
+            if (!this.downloads[source.id]) {
+                this.downloads[source.id] = this.download(source).finally(() => {
+                    delete this.downloads[source.id];
+                });
+            }
+            return { ...(await this.downloads[source.id]), sourceName: source.name, error: null };
+        } catch (error) {
+            console.error(`[CSP Rates] Error downloading ${source.name} rates:`, error);
+            return {
+                source: stored?.source || source.id,
+                sourceName: this.SOURCES[stored?.source]?.name || source.name,
+                rates: stored?.rates || null,
+                updatedAt: stored?.updatedAt || null,
+                error: error instanceof HttpError ? error.toJSON() : { kind: 'response', message: error.message }
+            };
+        }
+    },
+
+    /**
+     * Download and store the rates of a source
+     * @param {Object} source - Source definition
+     * @returns {Promise<{source: string, rates: Object<string, number>, updatedAt: number}>}
+     * @throws {HttpError}
+     */
+    async download(source) {
+        const rates = this.parseRates(source, await this.client.json(source.url));
+        const stored = { source: source.id, rates, updatedAt: Date.now() };
+        await CacheService.set(this.STORAGE_KEY, stored);
+        return stored;
+    }
+};
+
+// Make available globally for the background worker
+globalThis.RateStore = RateStore;
@@ -7,18 +7,7 @@
     'use strict';
 
     // Registry of all site adapters
-    const siteAdapters = [
-        window.HellcaseAdapter,
-        window.SkinClubAdapter,
-        window.DatDropAdapter,
-        window.KeyDropAdapter,
-        window.CSGOEmpireAdapter,
-        window.CSGO500Adapter,
-        window.ClashGGAdapter,
-        window.CSGOSkinsAdapter,
-        window.DaddySkinsAdapter,
-        window.CSGOCasesAdapter
-    ].filter(Boolean);
+    const siteAdapters = SiteRegistry.getAdapters();
 
     /**
      * Find the appropriate adapter for the current site
@@ -37,12 +26,23 @@
     /**
      * Initialize the extension
      */
-    function init() {
+    async function init() {
         const AdapterClass = findAdapter();
         if (!AdapterClass) {
             return;
         }
 
+        // Refuse adapters that break the contract instead of failing later on the page
+        const conformance = BaseSiteAdapter.validate(AdapterClass);
+        if (!conformance.valid) {
+            console.error(`[CSP] ${AdapterClass.name} does not meet the site adapter contract:`, conformance.errors.join('; '));
+            return;
+        }
+
+        SiteStatusService.reportAdapterLoaded(AdapterClass.getSiteId());
+
+        await SettingsService.load();
+
         // Create adapter instance and probability box
         const adapter = new AdapterClass();
         const box = new ProbabilityBox(adapter);
@@ -50,6 +50,14 @@
         // Initialize probability box
         box.init();
 
+        // Rank all cases listed on catalog pages
+        new CaseRanking(adapter, box).init();
+
+        // Record real openings on sites that support it
+        if (window.OpeningTracker) {
+            window.OpeningTracker.init(adapter, box);
+        }
+
         // Initialize promo banner if available
         if (window.PromoBanner) {
             window.PromoBanner.init();
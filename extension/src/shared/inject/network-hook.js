@@ -0,0 +1,106 @@
+/**
+ * CS Case Profit Extension - Page Network Hook
+ * Runs in the page context (injected by OpeningTracker) and forwards
+ * responses of matching site API calls to the content script
+ *
+ * Patterns are passed as JSON in the script's data-patterns attribute:
+ * [{ method: 'POST', url: '<regex source>' }]
+ * data-nonce is sent back with every message, OpeningTracker ignores messages without it
+ */
+
+(function() {
+    'use strict';
+
+    if (window.__cspNetworkHook) return;
+    window.__cspNetworkHook = true;
+
+    const MESSAGE_SOURCE = 'csp-network-hook';
+
+    const nonce = document.currentScript?.dataset.nonce;
+    if (!nonce) return;
+
+    let patterns = [];
+    try {
+        patterns = JSON.parse(document.currentScript?.dataset.patterns || '[]').map(p => ({
+            method: (p.method || '').toUpperCase(),
+            regex: new RegExp(p.url)
+        }));
+    } catch (e) {
+        return;
+    }
+    if (patterns.length === 0) return;
+
+    /**
+     * Check if a request should be forwarded
+     * @param {string} method - HTTP method
+     * @param {string} url - Absolute request URL
+     * @returns {boolean}
+     */
+    function matches(method, url) {
+        return patterns.some(p => (!p.method || p.method === method) && p.regex.test(url));
+    }
+
+    /**
+     * Forward response data to the content script
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @param {*} data - Parsed JSON response
+     */
+    function emit(method, url, data) {
+        window.postMessage({ source: MESSAGE_SOURCE, nonce, method, url, data }, window.location.origin);
+    }
+
+    /**
+     * Resolve a possibly relative URL against the current page
+     * @param {string} url - URL
+     * @returns {string}
+     */
+    function toAbsolute(url) {
+        try {
+            return new URL(url, window.location.href).href;
+        } catch (e) {
+            return String(url);
+        }
+    }
+
+    // Wrap fetch
+    const originalFetch = window.fetch;
+    window.fetch = async function(input, init) {
+        const response = await originalFetch.apply(this, arguments);
+        try {
+            const url = toAbsolute(typeof input === 'string' ? input : input?.url);
+            const method = (init?.method || input?.method || 'GET').toUpperCase();
+            if (response.ok && matches(method, url)) {
+                response.clone().json().then(data => emit(method, url, data)).catch(() => {});
+            }
+        } catch (e) {
+            // Never break the page's own requests
+        }
+        return response;
+    };
+
+    // Wrap XMLHttpRequest
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+
+    XMLHttpRequest.prototype.open = function(method, url) {
+        this.__cspRequest = { method: String(method).toUpperCase(), url: toAbsolute(url) };
+        return originalOpen.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.send = function() {
+        const request = this.__cspRequest;
+        if (request && matches(request.method, request.url)) {
+            this.addEventListener('load', () => {
+                if (this.status < 200 || this.status >= 300) return;
+                try {
+                    const data = this.responseType === 'json' ? this.response : JSON.parse(this.responseText);
+                    emit(request.method, request.url, data);
+                } catch (e) {
+                    // Not JSON
+                }
+            });
+        }
+        return originalSend.apply(this, arguments);
+    };
+})();
@@ -95,5 +95,5 @@ const CacheService = {
     }
 };
 
-// Make available globally for content scripts
-window.CacheService = CacheService;
+// Make available globally for content scripts, extension pages and the background worker
+globalThis.CacheService = CacheService;
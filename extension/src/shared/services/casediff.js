@@ -0,0 +1,180 @@
+/**
+ * Case Diff Service - Detects changes to a case between visits
+ * Keeps the last seen items, odds and prices of every case and compares
+ * them with the freshly parsed CaseData on the next visit
+ *
+ * Stored format:
+ * { [siteId:caseId]: { version, timestamp, siteRate, casePrice, items: { [key]: { name, odds, price } }, lastChange } }
+ * lastChange: { detectedAt, previousVisit, diff } (kept until dismissed)
+ * Prices are stored in the site's currency (USD × CaseData.siteRate, site units per USD, 1 if the site
+ * prices in USD), so exchange rate moves between visits are not reported as price changes
+ *
+ * Diff format:
+ * { casePrice: { before, after } | null, added: [item], removed: [item],
+ *   oddsChanged: [{ name, before, after, favorable }], priceChanged: [{ name, before, after }] }
+ * (prices in USD at the current visit's rate, odds in percent,
+ *  favorable = more odds on items worth more than the case or less on the others)
+ */
+
+const CaseDiffService = {
+    STATES_KEY: 'csp_case_states',
+    MAX_CASES: 300,
+    STATE_VERSION: 2, // States of older versions are keyed differently and replaced without a diff
+    ODDS_TOLERANCE: 0.0005, // Percentage points
+    PRICE_TOLERANCE: 0.01, // Relative, ignores rounding of prices sites convert from USD
+
+    /**
+     * Get the state key of a case
+     * @param {string} siteId - Site identifier
+     * @param {string} caseId - Case identifier
+     * @returns {string}
+     */
+    getKey(siteId, caseId) {
+        return `${siteId}:${caseId}`;
+    },
+
+    /**
+     * Build the stored state of a case, keyed by item identity
+     * Identical items are told apart by price so duplicates keep stable keys
+     * @param {Object} caseData - Unified CaseData
+     * @returns {Object} - State without timestamp
+     */
+    createState(caseData) {
+        const siteRate = caseData.siteRate || 1;
+        const toSite = value => Math.round(value * siteRate * 100) / 100;
+
+        const groups = {};
+        for (const item of caseData.items) {
+            const flags = `${item.isStattrak ? 'ST' : ''}${item.isSouvenir ? 'SV' : ''}`;
+            const key = [item.type, flags, item.weaponName, item.skinName, item.wearFull, item.phase]
+                .map(part => part || '')
+                .join('|');
+            (groups[key] = groups[key] || []).push(item);
+        }
+
+        const items = {};
+        for (const [key, group] of Object.entries(groups)) {
+            group.sort((a, b) => a.price - b.price).forEach((item, index) => {
+                items[index === 0 ? key : `${key}#${index}`] = {
+                    name: this.getItemName(item),
+                    odds: item.odds,
+                    price: toSite(item.price)
+                };
+            });
+        }
+
+        return { version: this.STATE_VERSION, siteRate, casePrice: toSite(caseData.casePrice || 0), items };
+    },
+
+    /**
+     * Build a display name for an item
+     * @param {Object} item - Item data
+     * @returns {string}
+     */
+    getItemName(item) {
+        const name = item.skinName ? `${item.weaponName} | ${item.skinName}` : item.weaponName;
+        const flag = item.isStattrak ? 'StatTrak™ ' : item.isSouvenir ? 'Souvenir ' : '';
+        return `${flag}${name}${item.wearFull ? ` (${item.wearFull})` : ''}${item.phase ? ` ${item.phase}` : ''}`;
+    },
+
+    /**
+     * Compare two case states
+     * Prices are compared in the site's currency and converted back to USD at the current rate
+     * @param {Object} before - Previous state
+     * @param {Object} after - Current state
+     * @returns {Object|null} - Diff or null if nothing changed
+     */
+    compare(before, after) {
+        const priceMoved = (a, b) => Math.abs(a - b) > Math.max(Math.abs(a), Math.abs(b)) * this.PRICE_TOLERANCE;
+        const toUsd = value => value / (after.siteRate || 1);
+        const withUsdPrice = item => ({ ...item, price: toUsd(item.price) });
+
+        const diff = {
+            casePrice: priceMoved(before.casePrice, after.casePrice)
+                ? { before: toUsd(before.casePrice), after: toUsd(after.casePrice) }
+                : null,
+            added: [],
+            removed: [],
+            oddsChanged: [],
+            priceChanged: []
+        };
+
+        for (const [key, item] of Object.entries(after.items)) {
+            const previous = before.items[key];
+            if (!previous) {
+                diff.added.push(withUsdPrice(item));
+                continue;
+            }
+            if (Math.abs(previous.odds - item.odds) > this.ODDS_TOLERANCE) {
+                diff.oddsChanged.push({
+                    name: item.name,
+                    before: previous.odds,
+                    after: item.odds,
+                    favorable: (item.odds > previous.odds) === (item.price > after.casePrice)
+                });
+            }
+            if (priceMoved(previous.price, item.price)) {
+                diff.priceChanged.push({ name: item.name, before: toUsd(previous.price), after: toUsd(item.price) });
+            }
+        }
+        for (const [key, item] of Object.entries(before.items)) {
+            if (!after.items[key]) diff.removed.push(withUsdPrice(item));
+        }
+
+        const changed = diff.casePrice || diff.added.length || diff.removed.length
+            || diff.oddsChanged.length || diff.priceChanged.length;
+        return changed ? diff : null;
+    },
+
+    /**
+     * Compare a visited case with its last visit and store it
+     * @param {string} siteId - Site identifier
+     * @param {Object} caseData - Unified CaseData
+     * @returns {Promise<Object|null>} - Last undismissed change { detectedAt, previousVisit, diff } or null
+     */
+    async check(siteId, caseData) {
+        const states = await CacheService.get(this.STATES_KEY, {});
+        const key = this.getKey(siteId, caseData.caseId);
+        const previous = states[key];
+        const current = { ...this.createState(caseData), timestamp: Date.now(), lastChange: previous?.lastChange || null };
+
+        if (previous?.version === this.STATE_VERSION) {
+            const diff = this.compare(previous, current);
+            if (diff) {
+                current.lastChange = { detectedAt: current.timestamp, previousVisit: previous.timestamp, diff };
+            }
+        }
+
+        states[key] = current;
+        await CacheService.set(this.STATES_KEY, this.prune(states));
+        return current.lastChange;
+    },
+
+    /**
+     * Keep the states of the most recently visited cases
+     * @param {Object} states - All states
+     * @returns {Object}
+     */
+    prune(states) {
+        const entries = Object.entries(states).sort((a, b) => b[1].timestamp - a[1].timestamp);
+        return Object.fromEntries(entries.slice(0, this.MAX_CASES));
+    },
+
+    /**
+     * Hide the last change of a case
+     * @param {string} siteId - Site identifier
+     * @param {string} caseId - Case identifier
+     * @returns {Promise<boolean>}
+     */
+    async dismiss(siteId, caseId) {
+        const states = await CacheService.get(this.STATES_KEY, {});
+        const state = states[this.getKey(siteId, caseId)];
+        if (!state) return true;
+
+        state.lastChange = null;
+        return await CacheService.set(this.STATES_KEY, states);
+    }
+};
+
+// Make available globally for content scripts
+window.CaseDiffService = CaseDiffService;
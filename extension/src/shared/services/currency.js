@@ -1,28 +1,109 @@
 /**
- * Currency Service - Currency formatting and symbol utilities
+ * Currency Service - Currency formatting, symbol utilities and exchange rates
+ * Amounts are formatted with Intl.NumberFormat in the browser locale. The box shows them in the
+ * site's currency, the displayCurrency setting or the site's coins, see getDisplayCurrency().
+ * Exchange rates from USD are downloaded by the background worker (RateStore). Rates set in the
+ * exchangeRateOverrides setting win over downloaded ones, FALLBACK_RATES are used only when
+ * neither has the currency and the box notes it, as it notes currencies without any rate
+ * (amounts are never converted 1:1). Site coins (VIRTUAL_CURRENCIES) are converted
+ * through the currency they are pegged to
  */
 
 const CurrencyService = {
-    // Currency symbol map
-    symbols: {
-        'USD': '$', 'EUR': '€', 'GBP': '£', 'PLN': 'zł', 'BRL': 'R$',
-        'RUB': '₽', 'CNY': '¥', 'JPY': '¥', 'KRW': '₩', 'TRY': '₺',
-        'INR': '₹', 'RON': 'lei', 'CZK': 'Kč', 'SEK': 'kr', 'NOK': 'kr',
-        'DKK': 'kr', 'CHF': 'Fr', 'AUD': 'A$', 'CAD': 'C$', 'MXN': '$',
-        'HUF': 'Ft', 'PHP': '₱', 'THB': '฿', 'IDR': 'Rp', 'MYR': 'RM',
-        'ARS': 'ARS', 'CLP': 'CLP', 'COP': 'COP', 'PEN': 'S/', 'UAH': '₴'
-    },
+    // Locale of formatted amounts (undefined = browser locale)
+    locale: undefined,
+    // Intl.NumberFormat instances by locale and currency code
+    formatters: {},
 
     // Default currency
     defaultCurrency: { name: 'USD', rate: 1, symbol: '$' },
 
+    // Coins sites price in, by code. One unit is worth peg.value of peg.currency, which may be
+    // another virtual currency (coin -> EUR -> USD). Site APIs send amounts in hundredths of a unit
+    VIRTUAL_CURRENCIES: {
+        EMPIRE_COIN: {
+            siteId: 'csgoempire',
+            label: 'Empire coins',
+            symbol: '\u{1FA99}',
+            peg: { currency: 'EUR', value: 0.52 }
+        },
+        // Valued at 1 USD, as the site's parser has always priced them
+        CSGO500_COIN: {
+            siteId: 'csgo500',
+            label: 'CSGO500 coins',
+            symbol: '\u{1FA99}',
+            peg: { currency: 'USD', value: 1 }
+        },
+        // Valued at 1 USD, as the site's parser has always priced them
+        CLASHGG_GEM: {
+            siteId: 'clashgg',
+            label: 'Clash.gg gems',
+            symbol: '\u{1F48E}',
+            peg: { currency: 'USD', value: 1 }
+        }
+    },
+
+    // Hard-coded units per 1 USD for when no rates could be downloaded
+    FALLBACK_RATES: {
+        EUR: 1 / 1.04,
+        GBP: 1 / 1.27
+    },
+
+    // Rates from the background worker ({ source, sourceName, rates, updatedAt, error }, null until loaded)
+    exchangeRates: null,
+    ratesPromise: null,
+    // Currencies converted with a FALLBACK_RATES rate on this page, by code
+    fallbacksUsed: {},
+    // Currencies asked for on this page without any known rate, by code
+    missingRates: {},
+
+    /**
+     * Get the number formatter of a currency
+     * Codes Intl does not know (site coins) are formatted as numbers with 2 decimals
+     * @param {string} currencyName - Currency code (e.g., 'USD', 'EUR')
+     * @returns {Intl.NumberFormat}
+     */
+    getFormatter(currencyName) {
+        const key = `${this.locale || ''}|${currencyName}`;
+        if (!this.formatters[key]) {
+            try {
+                this.formatters[key] = new Intl.NumberFormat(this.locale, { style: 'currency', currency: currencyName });
+            } catch (error) {
+                this.formatters[key] = new Intl.NumberFormat(this.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            }
+        }
+        return this.formatters[key];
+    },
+
     /**
      * Get currency symbol for a currency code
      * @param {string} currencyName - Currency code (e.g., 'USD', 'EUR')
-     * @returns {string} - Currency symbol
+     * @returns {string} - Currency symbol in the current locale, or the code if it has none
      */
     getSymbol(currencyName) {
-        return this.symbols[currencyName] || currencyName;
+        const virtual = this.VIRTUAL_CURRENCIES[currencyName];
+        if (virtual) return virtual.symbol;
+
+        const part = this.getFormatter(currencyName).formatToParts(0).find(p => p.type === 'currency');
+        return part ? part.value : currencyName;
+    },
+
+    /**
+     * Get the virtual currency of a site
+     * @param {string} siteId - Site id
+     * @returns {string|null} - Code in VIRTUAL_CURRENCIES or null if the site prices in fiat
+     */
+    getSiteCoin(siteId) {
+        return Object.keys(this.VIRTUAL_CURRENCIES).find(code => this.VIRTUAL_CURRENCIES[code].siteId === siteId) || null;
+    },
+
+    /**
+     * Check if a currency is a site's coin
+     * @param {string} currencyName - Currency code
+     * @returns {boolean}
+     */
+    isVirtual(currencyName) {
+        return !!this.VIRTUAL_CURRENCIES[currencyName];
     },
 
     /**
@@ -39,6 +120,171 @@ const CurrencyService = {
         };
     },
 
+    /**
+     * Load exchange rates from the background worker (once per page unless forced)
+     * Rates stored before a failed download are used, the error is logged
+     * @param {boolean} [force=false] - Ask the worker to download the rates again
+     * @returns {Promise<Object|null>} - Loaded rates or null if none are available
+     */
+    loadExchangeRates(force = false) {
+        if (!this.ratesPromise || force) {
+            this.ratesPromise = this.requestExchangeRates(force);
+        }
+        return this.ratesPromise;
+    },
+
+    /**
+     * Request exchange rates from the background worker
+     * @param {boolean} force - Download even if the stored rates are fresh
+     * @returns {Promise<Object|null>}
+     */
+    async requestExchangeRates(force) {
+        try {
+            const result = await chrome.runtime.sendMessage({ type: 'GET_EXCHANGE_RATES', force });
+            if (!result?.success) {
+                throw new Error(result?.error || 'Unknown error');
+            }
+            if (result.error) {
+                console.error(`[CSP Currency] Error downloading ${result.sourceName} rates:`, HttpError.fromJSON(result.error));
+            }
+
+            const { success, ...rates } = result;
+            this.exchangeRates = rates.rates ? rates : null;
+        } catch (error) {
+            console.error('[CSP Currency] Error loading exchange rates:', error);
+            this.exchangeRates = null;
+        }
+        return this.exchangeRates;
+    },
+
+    /**
+     * Forget loaded rates and fallback notes, e.g. after the rate settings changed
+     */
+    resetExchangeRates() {
+        this.exchangeRates = null;
+        this.ratesPromise = null;
+        this.fallbacksUsed = {};
+        this.missingRates = {};
+    },
+
+    /**
+     * Read the exchangeRateOverrides setting
+     * @param {string} [text] - Setting value ("EUR=0.92, GBP=0.79")
+     * @returns {Object<string, number>} - Units per 1 USD by currency code
+     */
+    parseOverrides(text = SettingsService.get('exchangeRateOverrides')) {
+        const overrides = {};
+        for (const pair of String(text || '').split(',')) {
+            const [code, value] = pair.split('=').map(part => part.trim());
+            const rate = Number(value);
+            if (/^[A-Za-z]{3}$/.test(code || '') && Number.isFinite(rate) && rate > 0) {
+                overrides[code.toUpperCase()] = rate;
+            }
+        }
+        return overrides;
+    },
+
+    /**
+     * Get the exchange rate of a currency from the loaded rates
+     * Using a FALLBACK_RATES rate is recorded in fallbacksUsed, a currency without any rate in missingRates,
+     * also when a virtual currency is pegged to it
+     * @param {string} code - Currency code or VIRTUAL_CURRENCIES code
+     * @returns {{rate: number, kind: string}|null} - Units per 1 USD and where the rate comes from
+     *          ('usd', 'virtual', 'override', 'downloaded' or 'fallback'), null if no rate is known
+     */
+    getRateInfo(code) {
+        const currency = String(code || '').toUpperCase();
+        if (currency === 'USD') return { rate: 1, kind: 'usd' };
+
+        const virtual = this.VIRTUAL_CURRENCIES[currency];
+        if (virtual) {
+            const peg = this.getRateInfo(virtual.peg.currency);
+            return peg ? { rate: peg.rate / virtual.peg.value, kind: 'virtual' } : null;
+        }
+
+        const override = this.parseOverrides()[currency];
+        if (override) return { rate: override, kind: 'override' };
+
+        const downloaded = this.exchangeRates?.rates?.[currency];
+        if (downloaded) return { rate: downloaded, kind: 'downloaded' };
+
+        const fallback = this.FALLBACK_RATES[currency];
+        if (fallback) {
+            this.fallbacksUsed[currency] = fallback;
+            return { rate: fallback, kind: 'fallback' };
+        }
+
+        this.missingRates[currency] = true;
+        return null;
+    },
+
+    /**
+     * Get the exchange rate of a currency, loading rates first
+     * @param {string} code - Currency code
+     * @returns {Promise<number|null>} - Units per 1 USD or null if no rate is known
+     */
+    async getExchangeRate(code) {
+        await this.loadExchangeRates();
+        return this.getRateInfo(code)?.rate || null;
+    },
+
+    /**
+     * Get the currencies converted with a hard-coded fallback rate on this page
+     * @returns {Array<{code: string, rate: number}>}
+     */
+    getFallbacksUsed() {
+        return Object.entries(this.fallbacksUsed).map(([code, rate]) => ({ code, rate }));
+    },
+
+    /**
+     * Get the currencies asked for on this page without any known rate
+     * @returns {Array<string>} - Currency codes
+     */
+    getMissingRates() {
+        return Object.keys(this.missingRates);
+    },
+
+    /**
+     * Get the currency the box shows amounts in
+     * The site's coins if it has some and the showSiteCoins setting is on, else the displayCurrency
+     * setting, else the site's currency (USD instead of coins the site shows but the setting hides)
+     * @param {{name: string, rate: number, symbol: string}} siteCurrency - Currency of the site
+     * @param {string} [siteId] - Site id, to find the site's coins
+     * @returns {Promise<Object>} - Currency object, with siteCurrency set if it differs from the site's.
+     *          The site currency is kept if no exchange rate is known
+     */
+    async getDisplayCurrency(siteCurrency, siteId = null) {
+        const coin = SettingsService.get('showSiteCoins') ? this.getSiteCoin(siteId) : null;
+        const code = coin || SettingsService.get('displayCurrency') || (this.isVirtual(siteCurrency.name) ? 'USD' : '');
+        if (!code || code === siteCurrency.name) return siteCurrency;
+
+        // Without a rate prices stay in the site currency (the box notes the missing rate)
+        const rate = await this.getExchangeRate(code);
+        if (!rate) return siteCurrency;
+        return { ...this.create(code, rate), siteCurrency };
+    },
+
+    /**
+     * Format an amount that is already in the given currency
+     * @param {number} value - Amount in the currency
+     * @param {{name: string, rate: number, symbol: string}} currency - Currency object
+     * @param {boolean} showSymbol - Whether to show currency symbol
+     * @returns {string} - Formatted amount
+     */
+    formatValue(value, currency, showSymbol = true) {
+        const formatter = this.getFormatter(currency?.name || 'USD');
+        if (formatter.resolvedOptions().style !== 'currency') {
+            const formatted = formatter.format(value);
+            return showSymbol ? `${currency?.symbol || ''}${formatted}` : formatted;
+        }
+        if (showSymbol) return formatter.format(value);
+
+        return formatter.formatToParts(value)
+            .filter(part => part.type !== 'currency' && part.type !== 'literal')
+            .map(part => part.value)
+            .join('');
+    },
+
     /**
      * Format a USD price in the given currency
      * @param {number} usdPrice - Price in USD
@@ -47,11 +293,7 @@ const CurrencyService = {
      * @returns {string} - Formatted price
      */
     formatPrice(usdPrice, currency, showSymbol = true) {
-        const converted = usdPrice * (currency?.rate || 1);
-        if (showSymbol) {
-            return `${currency?.symbol || '$'}${converted.toFixed(2)}`;
-        }
-        return converted.toFixed(2);
+        return this.formatValue(usdPrice * (currency?.rate || 1), currency, showSymbol);
     },
 
     /**
@@ -64,11 +306,22 @@ const CurrencyService = {
     formatProfit(usdProfit, currency, showSymbol = true) {
         const converted = usdProfit * (currency?.rate || 1);
         const prefix = converted >= 0 ? '+' : '-';
-        const absValue = Math.abs(converted).toFixed(2);
-        if (showSymbol) {
-            return `${prefix}${currency?.symbol || '$'}${absValue}`;
-        }
-        return `${prefix}${absValue}`;
+        return `${prefix}${this.formatValue(Math.abs(converted), currency, showSymbol)}`;
+    },
+
+    /**
+     * Describe an amount in the site's currency, for hover text of amounts shown in the display currency
+     * @param {number} usdValue - Amount in USD
+     * @param {Object} currency - Currency object from getDisplayCurrency()
+     * @param {boolean} [isProfit=false] - Format as profit/loss
+     * @returns {string} - e.g. "On the site: PLN 42.00", empty if shown in the site's currency
+     */
+    describeSiteValue(usdValue, currency, isProfit = false) {
+        if (!currency?.siteCurrency || usdValue === null || usdValue === undefined) return '';
+        const formatted = isProfit
+            ? this.formatProfit(usdValue, currency.siteCurrency)
+            : this.formatPrice(usdValue, currency.siteCurrency);
+        return `On the site: ${formatted}`;
     }
 };
 
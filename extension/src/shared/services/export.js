@@ -0,0 +1,169 @@
+/**
+ * Export Service - Serializes a case analysis as CSV, JSON or Markdown
+ * All amounts in a report are in USD, the user currency is included for conversion
+ *
+ * Report format:
+ * { meta: { siteId, siteName, caseId, caseName, url, exportedAt, currency, priceSource, compareSource, liquidation },
+ *   caseData: unified CaseData without items, items: processed items, stats: calculateStats() output }
+ */
+
+const ExportService = {
+    // CSV columns: header and value getter (one row per item)
+    CSV_COLUMNS: [
+        ['name', item => item.name],
+        ['type', item => item.type],
+        ['weapon', item => item.weaponName],
+        ['skin', item => item.skinName],
+        ['wear', item => item.wearFull],
+        ['stattrak', item => item.isStattrak],
+        ['phase', item => item.phase],
+        ['odds_percent', item => item.odds],
+        ['price_usd', item => item.price],
+        ['real_price_usd', item => item.realPrice],
+        ['real_price_is_base', item => !!item.realPriceIsBase],
+        ['compare_price_usd', item => item.comparePrice],
+        ['net_value_usd', item => item.netValue],
+        ['is_boost', item => !!item.isBoost]
+    ],
+
+    /**
+     * Build an export report
+     * @param {Object} options - Report parts
+     * @param {Object} options.meta - Metadata (see module comment)
+     * @param {Object} options.caseData - Unified CaseData
+     * @param {Array} options.items - Processed items with a display name
+     * @param {Object} options.stats - calculateStats() output
+     * @returns {Object}
+     */
+    buildReport({ meta, caseData, items, stats }) {
+        const caseInfo = { ...caseData };
+        delete caseInfo.items;
+
+        return {
+            meta: { ...meta, exportedAt: new Date().toISOString(), amountsIn: 'USD' },
+            caseData: caseInfo,
+            items,
+            stats
+        };
+    },
+
+    /**
+     * Serialize a report as JSON
+     * @param {Object} report - Export report
+     * @returns {string}
+     */
+    toJson(report) {
+        return JSON.stringify(report, null, 2);
+    },
+
+    /**
+     * Serialize report items as CSV (one row per item)
+     * @param {Object} report - Export report
+     * @returns {string}
+     */
+    toCsv(report) {
+        const lines = [this.CSV_COLUMNS.map(([header]) => header).join(',')];
+        for (const item of report.items) {
+            lines.push(this.CSV_COLUMNS.map(([, getValue]) => this.escapeCsv(getValue(item))).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Escape a CSV cell value
+     * Text starting like a formula (=, +, -, @) is prefixed with ' so spreadsheets show it as text
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Serialize a report as a Markdown summary and items table (amounts in the user currency)
+     * @param {Object} report - Export report
+     * @returns {string}
+     */
+    toMarkdown(report) {
+        const { meta, caseData, items, stats } = report;
+        const currency = meta.currency;
+        const price = (value) => CurrencyService.formatPrice(value, currency);
+        const cell = (value) => String(value).replace(/\|/g, '\\|');
+        const hasOdds = caseData.hasValidOdds !== false;
+        const casePrice = caseData.casePrice || 0;
+        const realSuffix = (value) => stats.hasRealPrices ? ` (real: ${value})` : '';
+
+        const lines = [
+            `### ${cell(caseData.caseName)} (${cell(meta.siteName)})`,
+            '',
+            `- Case price: ${price(casePrice)}`
+        ];
+        if (hasOdds) {
+            lines.push(`- Expected value: ${price(stats.expectedValue)}${realSuffix(price(stats.real.expectedValue))}`);
+            if (casePrice > 0) {
+                lines.push(`- Profitability: ${stats.profitability.toFixed(1)}%${realSuffix(`${stats.real.profitability?.toFixed(1)}%`)}`);
+                const liquidation = meta.liquidation.charAt(0).toLowerCase() + meta.liquidation.slice(1);
+                lines.push(`- Net profitability: ${stats.net.profitability.toFixed(1)}%, ${liquidation}`);
+            }
+            lines.push(`- Profit chance: ${stats.profitChance.toFixed(2)}%`);
+        } else {
+            lines.push('- Odds not available for this case');
+        }
+        lines.push(`- Real prices: ${meta.priceSource.name}${meta.priceSource.updatedAt ? `, updated ${meta.priceSource.updatedAt}` : ''}`);
+        lines.push('');
+
+        lines.push('| # | Item | Price | Real Price | Profit | Chance |');
+        lines.push('|---:|---|---:|---:|---:|---:|');
+        [...items].sort((a, b) => b.price - a.price).forEach((item, idx) => {
+            lines.push([
+                '',
+                idx + 1,
+                cell(item.name),
+                price(item.price),
+                item.realPrice !== null ? price(item.realPrice) : '-',
+                casePrice > 0 ? CurrencyService.formatProfit(item.price - casePrice, currency) : '-',
+                hasOdds ? `${item.odds.toFixed(3)}%` : '?',
+                ''
+            ].join(' | ').trim());
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Build a file name for a report
+     * @param {Object} report - Export report
+     * @param {string} extension - File extension
+     * @returns {string}
+     */
+    getFileName(report, extension) {
+        const slug = `${report.meta.siteId}-${report.meta.caseId}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+        const date = report.meta.exportedAt.slice(0, 10);
+        return `${slug}-${date}.${extension}`;
+    },
+
+    /**
+     * Save text as a file through a temporary download link
+     * @param {string} content - File contents
+     * @param {string} fileName - File name
+     * @param {string} mimeType - MIME type
+     */
+    download(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
+
+// Make available globally for content scripts
+window.ExportService = ExportService;
@@ -0,0 +1,104 @@
+/**
+ * Opening History Service - Persistent record of real case openings
+ * Stores openings through CacheService and summarizes profit/loss
+ *
+ * Record format:
+ * { siteId, caseId, caseName, pricePaid, itemName, siteValue, realValue,
+ *   expectedValue, realExpectedValue, timestamp } (all prices in USD)
+ */
+
+const OpeningHistoryService = {
+    HISTORY_KEY: 'csp_opening_history',
+    MAX_RECORDS: 5000,
+
+    /**
+     * Get all recorded openings
+     * @returns {Promise<Array>} - Records, oldest first
+     */
+    async getAll() {
+        return await CacheService.get(this.HISTORY_KEY, []);
+    },
+
+    /**
+     * Add openings to the history
+     * @param {Array<Object>} records - Opening records
+     * @returns {Promise<boolean>} - Success status
+     */
+    async add(records) {
+        if (!records || records.length === 0) return true;
+
+        const history = await this.getAll();
+        history.push(...records);
+
+        // Drop the oldest records once the limit is reached
+        const trimmed = history.length > this.MAX_RECORDS
+            ? history.slice(history.length - this.MAX_RECORDS)
+            : history;
+
+        return await CacheService.set(this.HISTORY_KEY, trimmed);
+    },
+
+    /**
+     * Remove all recorded openings
+     * @returns {Promise<boolean>}
+     */
+    async clear() {
+        return await CacheService.remove(this.HISTORY_KEY);
+    },
+
+    /**
+     * Summarize a set of records
+     * Real values fall back to site values for items without a real price
+     * @param {Array<Object>} records - Opening records
+     * @returns {Object} - { count, spent, siteValue, realValue, profit, realProfit, expectedProfit, realExpectedProfit }
+     */
+    summarize(records) {
+        const summary = {
+            count: records.length,
+            spent: 0,
+            siteValue: 0,
+            realValue: 0,
+            profit: 0,
+            realProfit: 0,
+            expectedProfit: 0,
+            realExpectedProfit: 0
+        };
+
+        for (const record of records) {
+            const realValue = record.realValue !== null ? record.realValue : record.siteValue;
+            const realExpected = record.realExpectedValue !== null ? record.realExpectedValue : record.expectedValue;
+
+            summary.spent += record.pricePaid;
+            summary.siteValue += record.siteValue;
+            summary.realValue += realValue;
+            summary.expectedProfit += record.expectedValue - record.pricePaid;
+            summary.realExpectedProfit += realExpected - record.pricePaid;
+        }
+
+        summary.profit = summary.siteValue - summary.spent;
+        summary.realProfit = summary.realValue - summary.spent;
+
+        return summary;
+    },
+
+    /**
+     * Summarize records grouped by site
+     * @param {Array<Object>} records - Opening records
+     * @returns {Object<string, Object>} - Summary per site id
+     */
+    summarizeBySite(records) {
+        const bySite = {};
+        for (const record of records) {
+            (bySite[record.siteId] = bySite[record.siteId] || []).push(record);
+        }
+
+        const summaries = {};
+        for (const [siteId, siteRecords] of Object.entries(bySite)) {
+            summaries[siteId] = this.summarize(siteRecords);
+        }
+        return summaries;
+    }
+};
+
+// Make available globally for content scripts
+window.OpeningHistoryService = OpeningHistoryService;
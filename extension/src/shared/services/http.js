@@ -0,0 +1,315 @@
+/**
+ * HTTP Client - Shared fetch wrapper for site APIs and the background FETCH_URL proxy
+ * Adds timeouts (AbortController), retries with exponential backoff on 429/5xx and
+ * network errors, a minimum interval between requests per client (one client per site),
+ * and typed errors that tell the UI why a request failed
+ *
+ * Loaded as a content script and by the background worker, so it only uses
+ * globals available in both (no window, no document)
+ */
+
+/**
+ * Base class of all request errors
+ * kind: 'timeout' | 'network' | 'status' | 'response'
+ */
+class HttpError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {string} details.url - Requested URL
+     * @param {number} [details.status] - HTTP status code
+     */
+    constructor(message, { url = '', status = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.kind = 'network';
+        this.url = url;
+        this.status = status;
+    }
+
+    /**
+     * Serialize for chrome.runtime messages (Error objects don't survive them)
+     * @returns {{kind: string, message: string, url: string, status: number|null}}
+     */
+    toJSON() {
+        return { kind: this.kind, message: this.message, url: this.url, status: this.status };
+    }
+
+    /**
+     * Rebuild an error serialized with toJSON()
+     * @param {Object} data - Serialized error
+     * @returns {HttpError}
+     */
+    static fromJSON(data) {
+        const ErrorClass = {
+            timeout: HttpTimeoutError,
+            status: HttpStatusError,
+            response: HttpResponseError
+        }[data?.kind] || HttpNetworkError;
+        return new ErrorClass(data?.message || 'Request failed', { url: data?.url, status: data?.status });
+    }
+}
+
+/**
+ * The request did not complete within the timeout
+ */
+class HttpTimeoutError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.kind = 'timeout';
+    }
+}
+
+/**
+ * The request could not be sent or the connection failed (offline, DNS, CORS)
+ */
+class HttpNetworkError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.kind = 'network';
+    }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+class HttpStatusError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.kind = 'status';
+    }
+}
+
+/**
+ * The server answered, but the body is not what the API returns for a case
+ * (invalid JSON, missing fields)
+ */
+class HttpResponseError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.kind = 'response';
+    }
+}
+
+class HttpClient {
+    static RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+    /**
+     * Create a client (one per site API, requests of a client share its rate limit)
+     * @param {Object} options - Client options
+     * @param {string} options.name - Name used in log messages (e.g. "Hellcase API")
+     * @param {number} [options.minInterval=0] - Minimum time between two requests (ms)
+     * @param {number} [options.timeout=15000] - Request timeout (ms)
+     * @param {number} [options.retries=2] - Retries of GET requests on 429/5xx, timeouts and network errors
+     * @param {number} [options.backoff=1000] - Delay before the first retry, doubled on each retry (ms)
+     * @param {number} [options.maxBackoff=15000] - Maximum delay between retries (ms)
+     */
+    constructor({ name, minInterval = 0, timeout = 15000, retries = 2, backoff = 1000, maxBackoff = 15000 } = {}) {
+        this.name = name || 'HTTP';
+        this.minInterval = minInterval;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.backoff = backoff;
+        this.maxBackoff = maxBackoff;
+
+        this.queue = Promise.resolve();
+        this.nextRequestAt = 0;
+    }
+
+    /**
+     * Send a request and return the response
+     * Accepts all fetch options plus timeout and retries overrides. Non-GET requests
+     * are not retried unless retries is given
+     * @param {string} url - Request URL
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Response>} - Successful (2xx) response
+     * @throws {HttpError}
+     */
+    async request(url, options = {}) {
+        const { timeout = this.timeout, retries, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = retries ?? (method === 'GET' ? this.retries : 0);
+
+        for (let attempt = 0; ; attempt++) {
+            let delay;
+            try {
+                const response = await this.schedule(() => this.fetchWithTimeout(url, fetchOptions, timeout));
+                if (response.ok) return response;
+
+                const error = new HttpStatusError(`HTTP ${response.status}`, { url, status: response.status });
+                if (attempt >= maxRetries || !HttpClient.RETRY_STATUSES.includes(response.status)) throw error;
+
+                delay = this.getRetryDelay(attempt, response);
+                if (response.status === 429) {
+                    // Hold back every request of this client, not only the retry
+                    this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + delay);
+                }
+            } catch (error) {
+                const retryable = error instanceof HttpTimeoutError || error instanceof HttpNetworkError;
+                if (attempt >= maxRetries || !retryable) {
+                    // Retries are not logged, the final error tells how many attempts failed
+                    if (attempt > 0 && error instanceof HttpError) {
+                        error.message += ` (after ${attempt + 1} attempts)`;
+                    }
+                    throw error;
+                }
+                delay = this.getRetryDelay(attempt);
+            }
+
+            await HttpClient.sleep(delay);
+        }
+    }
+
+    /**
+     * Send a request and parse the JSON body
+     * @param {string} url - Request URL
+     * @param {Object} [options] - fetch options (see request())
+     * @returns {Promise<*>}
+     * @throws {HttpError}
+     */
+    async json(url, options = {}) {
+        const response = await this.request(url, options);
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new HttpResponseError('Response is not valid JSON', { url, status: response.status });
+        }
+    }
+
+    /**
+     * Send a request and read the body as text
+     * @param {string} url - Request URL
+     * @param {Object} [options] - fetch options (see request())
+     * @returns {Promise<string>}
+     * @throws {HttpError}
+     */
+    async text(url, options = {}) {
+        const response = await this.request(url, options);
+        return response.text();
+    }
+
+    /**
+     * Run fetch, aborting it after the timeout
+     * A signal passed by the caller still aborts the request
+     * @param {string} url - Request URL
+     * @param {Object} fetchOptions - fetch options
+     * @param {number} timeout - Timeout (ms)
+     * @returns {Promise<Response>}
+     * @throws {HttpTimeoutError|HttpNetworkError}
+     */
+    async fetchWithTimeout(url, fetchOptions, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const callerSignal = fetchOptions.signal;
+        const onCallerAbort = () => controller.abort();
+        callerSignal?.addEventListener('abort', onCallerAbort);
+
+        try {
+            return await fetch(url, { ...fetchOptions, signal: controller.signal });
+        } catch (error) {
+            // Aborted by the caller: not a failure worth retrying or explaining
+            if (callerSignal?.aborted) throw error;
+            if (controller.signal.aborted) {
+                throw new HttpTimeoutError(`No response within ${Math.round(timeout / 1000)}s`, { url });
+            }
+            throw new HttpNetworkError(error.message || 'Network error', { url });
+        } finally {
+            clearTimeout(timer);
+            callerSignal?.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    /**
+     * Run a request once the previous ones started and the minimum interval passed
+     * @param {Function} request - Async function performing the request
+     * @returns {Promise<*>} - Request result
+     */
+    schedule(request) {
+        const run = this.queue.then(async () => {
+            const wait = this.nextRequestAt - Date.now();
+            if (wait > 0) {
+                await HttpClient.sleep(wait);
+            }
+            this.nextRequestAt = Date.now() + this.minInterval;
+        });
+
+        // Keep the queue going when a request fails
+        this.queue = run.catch(() => {});
+        return run.then(request);
+    }
+
+    /**
+     * Delay before a retry: Retry-After when the server sends one,
+     * otherwise exponential backoff with a little jitter
+     * @param {number} attempt - Failed attempt (0 = first request)
+     * @param {Response} [response] - Failed response
+     * @returns {number} - Delay (ms)
+     */
+    getRetryDelay(attempt, response = null) {
+        const retryAfter = HttpClient.parseRetryAfter(response?.headers?.get('Retry-After'));
+        if (retryAfter !== null) return Math.min(retryAfter, this.maxBackoff);
+
+        const delay = this.backoff * 2 ** attempt;
+        return Math.min(delay + Math.round(Math.random() * this.backoff / 4), this.maxBackoff);
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} - Delay (ms) or null if missing/invalid
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait for the given time
+     * @param {number} ms - Delay (ms)
+     * @returns {Promise<void>}
+     */
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Explain a failed request to the user
+     * @param {Error} error - Error thrown while loading
+     * @param {string} siteName - Site display name
+     * @returns {string}
+     */
+    static describeError(error, siteName = 'The site') {
+        if (!(error instanceof HttpError)) {
+            return 'Error loading data. Try refreshing.';
+        }
+
+        switch (error.kind) {
+            case 'timeout':
+                return `${siteName} did not respond in time. Try refreshing.`;
+            case 'network':
+                return `Could not reach ${siteName}. Check your connection and try refreshing.`;
+            case 'response':
+                return `${siteName} returned data the extension does not understand (${error.message}).`;
+        }
+
+        if (error.status === 401 || error.status === 403) {
+            return `${siteName} refused the request (HTTP ${error.status}). Log in or complete the site's captcha, then refresh.`;
+        }
+        if (error.status === 404) {
+            return `${siteName} does not know this case (HTTP 404).`;
+        }
+        if (error.status === 429) {
+            return `${siteName} is limiting requests (HTTP 429). Wait a minute and refresh.`;
+        }
+        if (error.status >= 500) {
+            return `${siteName} is having server problems (HTTP ${error.status}). Try again later.`;
+        }
+        return `${siteName} rejected the request (HTTP ${error.status}).`;
+    }
+}
+
+// Content scripts and the background worker (which has no window)
+Object.assign(globalThis, { HttpClient, HttpError, HttpTimeoutError, HttpNetworkError, HttpStatusError, HttpResponseError });
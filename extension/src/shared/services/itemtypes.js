@@ -0,0 +1,149 @@
+/**
+ * Item Types - Kinds of items found in cases and the market hash name format of each
+ * Parsers set the type field of every item with detect(), buildMarketHashName() builds
+ * the name price feeds use from the item parts
+ *
+ * Formats (weaponName | skinName in the unified item model):
+ * - weapon:    [StatTrak™ |Souvenir ]Weapon | Skin (Wear)
+ * - knife:     ★ [StatTrak™ ]Knife | Skin (Wear), vanilla: ★ [StatTrak™ ]Knife
+ * - gloves:    ★ Gloves | Skin (Wear)
+ * - sticker:   Sticker | Name[ (Holo|Foil|Gold|...)][ | Tournament]
+ * - patch:     Patch | Name
+ * - graffiti:  Sealed Graffiti | Name (Color)
+ * - music_kit: [StatTrak™ ]Music Kit | Artist, Title
+ * - charm:     Charm | Name
+ * - agent:     Agent | Faction
+ * - container: Name (weapon cases, capsules, souvenir packages)
+ * - other:     Name as sent by the site (keys, passes, site boosts)
+ */
+
+const ItemTypes = {
+    WEAPON: 'weapon',
+    KNIFE: 'knife',
+    GLOVES: 'gloves',
+    STICKER: 'sticker',
+    PATCH: 'patch',
+    GRAFFITI: 'graffiti',
+    MUSIC_KIT: 'music_kit',
+    CHARM: 'charm',
+    AGENT: 'agent',
+    CONTAINER: 'container',
+    OTHER: 'other',
+
+    // Name prefixes of "Prefix | Name" items, as sites write them
+    PREFIXES: {
+        'Sticker': 'sticker',
+        'Patch': 'patch',
+        'Sealed Graffiti': 'graffiti',
+        'Graffiti': 'graffiti',
+        'Music Kit': 'music_kit',
+        'Charm': 'charm'
+    },
+
+    // Prefix of each type in market hash names (graffiti drops sealed)
+    MARKET_PREFIXES: {
+        sticker: 'Sticker',
+        patch: 'Patch',
+        graffiti: 'Sealed Graffiti',
+        music_kit: 'Music Kit',
+        charm: 'Charm'
+    },
+
+    // Second part of agent names ("Sir Bloody Miami Darryl | The Professionals")
+    AGENT_FACTIONS: [
+        'The Professionals', 'Sabre', 'Sabre Footsoldier', 'Elite Crew', 'Phoenix', 'Guerrilla Warfare',
+        'FBI', 'FBI SWAT', 'FBI HRT', 'FBI Sniper', 'SWAT', 'SEAL Frogman', 'NSWC SEAL', 'KSK', 'SAS',
+        'NZSAS', 'USAF TACP', 'TACP Cavalry', 'Gendarmerie Nationale', 'Brazilian 1st Battalion'
+    ],
+
+    KNIFE_PATTERN: /(Knife|Bayonet|Karambit|Daggers)$/i,
+    GLOVES_PATTERN: /(Gloves|Hand Wraps)$/i,
+    CONTAINER_PATTERN: /(Case|Capsule|Package|Pack|Music Kit Box)$/i,
+    STAR_PATTERN: /^[★☆⋆✪*]\s*/,
+
+    /**
+     * Get all type ids
+     * @returns {Array<string>}
+     */
+    getAll() {
+        return [
+            this.WEAPON, this.KNIFE, this.GLOVES, this.STICKER, this.PATCH, this.GRAFFITI,
+            this.MUSIC_KIT, this.CHARM, this.AGENT, this.CONTAINER, this.OTHER
+        ];
+    },
+
+    /**
+     * Check if items of a type come in exteriors (Factory New ... Battle-Scarred)
+     * @param {string} type - Item type
+     * @returns {boolean}
+     */
+    hasWear(type) {
+        return type === this.WEAPON || type === this.KNIFE || type === this.GLOVES;
+    },
+
+    /**
+     * Detect the type of an item from its name
+     * @param {string} name - Market hash name or "Weapon | Skin" (wear and phase are ignored)
+     * @returns {string} - Item type
+     */
+    detect(name) {
+        const text = String(name || '').trim();
+        const starred = this.STAR_PATTERN.test(text);
+        const clean = text
+            .replace(this.STAR_PATTERN, '')
+            .replace(/^(StatTrak(™)?|Souvenir)\s+/i, '');
+
+        const separator = clean.indexOf(' | ');
+        const head = separator === -1 ? clean : clean.slice(0, separator);
+
+        if (this.PREFIXES[head]) return this.PREFIXES[head];
+        if (this.GLOVES_PATTERN.test(head)) return this.GLOVES;
+        if (starred || this.KNIFE_PATTERN.test(head)) return this.KNIFE;
+        if (separator === -1) {
+            return this.CONTAINER_PATTERN.test(clean) ? this.CONTAINER : this.OTHER;
+        }
+        if (this.AGENT_FACTIONS.includes(clean.slice(separator + 3).trim())) return this.AGENT;
+        return this.WEAPON;
+    },
+
+    /**
+     * Build the market hash name of an item (without Doppler phase)
+     * @param {Object} parts - Item parts
+     * @param {string} [parts.type] - Item type (detected from the name if missing)
+     * @param {string} parts.weaponName - Weapon, knife, agent or item name, or the type prefix ("Sticker")
+     * @param {string} [parts.skinName] - Skin, faction or the name after the type prefix
+     * @param {string} [parts.wearFull] - Exterior (e.g., "Field-Tested"), ignored for types without wear
+     * @param {boolean} [parts.isStattrak] - StatTrak™ weapon, knife or music kit
+     * @param {boolean} [parts.isSouvenir] - Souvenir weapon
+     * @returns {string}
+     */
+    buildMarketHashName({ type, weaponName = '', skinName = '', wearFull = '', isStattrak = false, isSouvenir = false }) {
+        const weapon = String(weaponName || '').replace(this.STAR_PATTERN, '').trim();
+        const skin = String(skinName || '').trim();
+        const itemType = type || this.detect(skin ? `${weaponName} | ${skin}` : weaponName);
+
+        const stattrak = isStattrak ? 'StatTrak™ ' : '';
+        const wear = wearFull && this.hasWear(itemType) ? ` (${wearFull})` : '';
+
+        switch (itemType) {
+            case this.KNIFE:
+            case this.GLOVES:
+                // ★ always comes before StatTrak™
+                return skin ? `★ ${stattrak}${weapon} | ${skin}${wear}` : `★ ${stattrak}${weapon}`;
+            case this.WEAPON:
+                return `${isSouvenir ? 'Souvenir ' : stattrak}${weapon} | ${skin}${wear}`;
+        }
+
+        const prefix = this.MARKET_PREFIXES[itemType];
+        if (prefix) {
+            // Sites send either "Sticker" + "Name" or the whole name without the prefix
+            const name = this.PREFIXES[weapon] ? skin : [weapon, skin].filter(Boolean).join(' | ');
+            return `${itemType === this.MUSIC_KIT ? stattrak : ''}${prefix} | ${name}`;
+        }
+
+        return skin ? `${weapon} | ${skin}` : weapon;
+    }
+};
+
+// Make available globally for content scripts, extension pages and the background worker
+globalThis.ItemTypes = ItemTypes;
@@ -0,0 +1,64 @@
+/**
+ * Liquidation Service - Cash value of a dropped item after selling costs
+ * The profile is chosen in the settings (liquidationProfile):
+ * - steam: sold on the Steam market, seller receives price / 1.15
+ * - market: sold on a third-party market with a fee of marketFeePercent
+ * - sellback: sold back to the site instantly for sellbackPercent of the site price
+ */
+
+const LiquidationService = {
+    // Steam adds its 5% fee and the 10% CS2 game fee on top of what the seller receives
+    STEAM_FEE_DIVISOR: 1.15,
+
+    PROFILES: {
+        steam: { name: 'Steam Market' },
+        market: { name: 'Third-party market' },
+        sellback: { name: 'Site sell-back' }
+    },
+
+    /**
+     * Get the selected profile id
+     * @returns {string}
+     */
+    getProfileId() {
+        const id = SettingsService.get('liquidationProfile');
+        return this.PROFILES[id] ? id : 'steam';
+    },
+
+    /**
+     * Describe the selected profile (used in tooltips)
+     * @returns {string}
+     */
+    describe() {
+        switch (this.getProfileId()) {
+            case 'market':
+                return `Sold on a third-party market with a ${SettingsService.get('marketFeePercent')}% fee`;
+            case 'sellback':
+                return `Sold back to the site for ${SettingsService.get('sellbackPercent')}% of its price`;
+            default:
+                return 'Sold on the Steam market (price / 1.15 after fees)';
+        }
+    },
+
+    /**
+     * Get the cash value of an item after selling it with the selected profile
+     * Market profiles use the real price and fall back to the site price
+     * @param {{price: number, realPrice: number|null}} item - Processed item
+     * @returns {number} - Net value in USD
+     */
+    getNetValue(item) {
+        const marketPrice = item.realPrice !== null && item.realPrice !== undefined ? item.realPrice : item.price;
+
+        switch (this.getProfileId()) {
+            case 'market':
+                return marketPrice * (1 - SettingsService.get('marketFeePercent') / 100);
+            case 'sellback':
+                return item.price * SettingsService.get('sellbackPercent') / 100;
+            default:
+                return marketPrice / this.STEAM_FEE_DIVISOR;
+        }
+    }
+};
+
+// Make available globally for content scripts
+window.LiquidationService = LiquidationService;
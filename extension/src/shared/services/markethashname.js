@@ -0,0 +1,255 @@
+/**
+ * Market Hash Name - Reads and builds item names for every site parser
+ * Sites send names in many shapes ("StatTrak ★ Karambit | Doppler - Ruby (FN)",
+ * separate weapon/skin/wear fields, phases in the skin name), parsers turn them
+ * into the unified item fields with parse() or fromParts()
+ *
+ * Grammar (in the order read by parse()):
+ *   [★] [StatTrak™|Souvenir] Weapon[ | Skin][ (Wear)][ Phase]
+ * - ★, StatTrak™ and Souvenir may come in any order and spelling (☆, *, "StatTrak", "Stattrak")
+ * - Wear: full name or abbreviation, see WEARS
+ * - Phase: Doppler phase or pattern tier, only on the finishes listed in PHASES, written "Phase 2",
+ *   "- Phase 2", "(Phase 2)" before or after the wear. Built names put it after the wear,
+ *   PricingService strips it for lookups and prices it from the feed's phase prices
+ * - Weapon | Skin formats of stickers, agents, etc. are defined by ItemTypes
+ */
+
+const MarketHashName = {
+    WEARS: {
+        FN: 'Factory New',
+        MW: 'Minimal Wear',
+        FT: 'Field-Tested',
+        WW: 'Well-Worn',
+        BS: 'Battle-Scarred'
+    },
+
+    // Phases of Doppler finishes and pattern tiers of finishes priced by pattern
+    PHASES: {
+        'Gamma Doppler': ['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Emerald'],
+        'Doppler': ['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Ruby', 'Sapphire', 'Black Pearl'],
+        'Marble Fade': ['Fire & Ice', 'Fake Fire & Ice', 'Tricolor', 'Blue Tip', 'Red Tip', 'Yellow Tip'],
+        'Case Hardened': ['Blue Gem', 'Tier 1', 'Tier 2', 'Tier 3'],
+        'Fade': ['100%', '99%', '98%', '97%', '96%', '95%', '94%', '93%', '92%', '91%', '90%']
+    },
+
+    FLAG_PATTERN: /^(?:([★☆⋆✪*])|(StatTrak(?:™|\(TM\))?)|(Souvenir))\s*/i,
+
+    /**
+     * Get the short code of a wear
+     * @param {string} wear - Wear in any spelling ("FN", "factory new", "Field Tested", "Battle-Scarred")
+     * @returns {string} - FN, MW, FT, WW, BS or '' if not a wear
+     */
+    normalizeWear(wear) {
+        const key = String(wear || '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+        if (!key) return '';
+
+        const upper = key.toUpperCase();
+        if (this.WEARS[upper]) return upper;
+
+        const short = Object.keys(this.WEARS).find(code => this.WEARS[code].toLowerCase().replace('-', ' ') === key);
+        return short || '';
+    },
+
+    /**
+     * Get the full name of a wear
+     * @param {string} wear - Wear in any spelling
+     * @returns {string} - Market hash name spelling ("Field-Tested") or '' if not a wear
+     */
+    getWearFull(wear) {
+        return this.WEARS[this.normalizeWear(wear)] || '';
+    },
+
+    /**
+     * Get the phased finish of a skin or item name
+     * The finish must start the skin, so "Fade" is not found in "Marble Fade" or "Amber Fade"
+     * @param {string} text - Skin or item name
+     * @returns {string|null} - Key of PHASES or null
+     */
+    getPhasedFinish(text) {
+        const value = String(text || '');
+        return Object.keys(this.PHASES).find(finish =>
+            new RegExp(`(?:^|\\|\\s*)${this.escape(finish)}(?![\\w-])`, 'i').test(value)
+        ) || null;
+    },
+
+    /**
+     * Get the pattern matching a phase of a finish, with its separator ("- Ruby", "(Ruby)")
+     * @param {string} finish - Key of PHASES
+     * @returns {RegExp} - Group 1 is the phase as written
+     */
+    getPhasePattern(finish) {
+        // Longest first, "Fake Fire & Ice" contains "Fire & Ice"
+        const phases = [...this.PHASES[finish]]
+            .sort((a, b) => b.length - a.length)
+            .map(phase => this.escape(phase).replace(/ /g, '\\s*'));
+        return new RegExp(`\\s*(?:-\\s*|\\(\\s*)?(?<![\\w&])(${phases.join('|')})(?![\\w%])\\s*\\)?`, 'i');
+    },
+
+    /**
+     * Escape a string for use in a regular expression
+     * @param {string} text - Literal text
+     * @returns {string}
+     */
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    /**
+     * Spell a phase like the price feeds do
+     * @param {string} phase - Phase or pattern tier in any spelling ("phase2", "black pearl", "fire&ice")
+     * @returns {string|null}
+     */
+    normalizePhase(phase) {
+        const compact = value => String(value || '').toLowerCase().replace(/\s+/g, '');
+        const wanted = compact(phase);
+        if (!wanted) return null;
+
+        const all = [...new Set(Object.values(this.PHASES).flat())];
+        return all.find(name => compact(name) === wanted) || null;
+    },
+
+    /**
+     * Extract the phase of a Doppler or the pattern tier of a finish priced by pattern
+     * Phases the finish doesn't have (e.g., a "Doppler Emerald") are ignored
+     * @param {string} text - Skin or item name
+     * @returns {string|null} - Phase or null
+     */
+    extractPhase(text) {
+        const finish = this.getPhasedFinish(text);
+        if (!finish) return null;
+
+        const match = String(text).replace(new RegExp(this.escape(finish), 'i'), '').match(this.getPhasePattern(finish));
+        return match ? this.normalizePhase(match[1]) : null;
+    },
+
+    /**
+     * Remove the phase from a Doppler or pattern-tier name
+     * @param {string} text - Skin or item name
+     * @returns {string}
+     */
+    stripPhase(text) {
+        const value = String(text || '');
+        const finish = this.getPhasedFinish(value);
+        if (!finish || !this.extractPhase(value)) return value.trim();
+
+        // Skip the finish itself, "Fade" is no tier of "Fade 100%" but the finish
+        const index = value.search(new RegExp(this.escape(finish), 'i')) + finish.length;
+        const rest = value.slice(index).replace(this.getPhasePattern(finish), ' ');
+        return `${value.slice(0, index)}${rest}`.replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Read a full item name
+     * @param {string} name - Item name as sent by the site
+     * @param {Object} [extra] - Fields the site sends next to the name, used when the name lacks them
+     * @param {string} [extra.wearFull] - Wear in any spelling
+     * @param {boolean} [extra.isStattrak] - StatTrak flag
+     * @param {boolean} [extra.isSouvenir] - Souvenir flag
+     * @param {string} [extra.phase] - Doppler phase or pattern tier
+     * @returns {Object} - Item fields (see fromParts())
+     */
+    parse(name, extra = {}) {
+        let text = String(name || '').replace(/\s+/g, ' ').trim();
+        let isStar = false;
+        let isStattrak = false;
+        let isSouvenir = false;
+
+        let flag;
+        while ((flag = text.match(this.FLAG_PATTERN))) {
+            if (flag[1]) isStar = true;
+            if (flag[2]) isStattrak = true;
+            if (flag[3]) isSouvenir = true;
+            text = text.slice(flag[0].length);
+        }
+
+        const phase = this.extractPhase(text);
+        text = this.stripPhase(text);
+
+        let wearFull = '';
+        const wearMatch = text.match(/\s*\(([^()]+)\)$/);
+        if (wearMatch && this.normalizeWear(wearMatch[1])) {
+            wearFull = this.getWearFull(wearMatch[1]);
+            text = text.slice(0, wearMatch.index);
+        }
+
+        const separator = text.indexOf(' | ');
+        return this.fromParts({
+            weaponName: `${isStar ? '★ ' : ''}${separator === -1 ? text : text.slice(0, separator)}`,
+            skinName: separator === -1 ? '' : text.slice(separator + 3),
+            wearFull: wearFull || extra.wearFull,
+            isStattrak: isStattrak || !!extra.isStattrak,
+            isSouvenir: isSouvenir || !!extra.isSouvenir,
+            phase: phase || extra.phase
+        });
+    },
+
+    /**
+     * Build the unified item fields from the parts a site sends separately
+     * Flags in the weapon name and phases in the skin name are moved to their own fields
+     * @param {Object} parts - Item parts
+     * @param {string} parts.weaponName - Weapon, knife, agent or item name (may start with ★/StatTrak™)
+     * @param {string} [parts.skinName] - Skin name (may contain the phase)
+     * @param {string} [parts.wearFull] - Wear in any spelling
+     * @param {boolean} [parts.isStattrak] - StatTrak flag
+     * @param {boolean} [parts.isSouvenir] - Souvenir flag
+     * @param {string} [parts.phase] - Doppler phase or pattern tier, if the site sends it on its own
+     * @returns {{type: string, weaponName: string, skinName: string, wear: string, wearFull: string,
+     *          isStattrak: boolean, isSouvenir: boolean, phase: string|null, marketHashName: string}}
+     *          weaponName starts with ★ for knives and gloves, marketHashName ends with the phase
+     */
+    fromParts({ weaponName = '', skinName = '', wearFull = '', isStattrak = false, isSouvenir = false, phase = null }) {
+        let weapon = String(weaponName || '').replace(/\s+/g, ' ').trim();
+        let isStar = false;
+        let flag;
+        while ((flag = weapon.match(this.FLAG_PATTERN))) {
+            if (flag[1]) isStar = true;
+            if (flag[2]) isStattrak = true;
+            if (flag[3]) isSouvenir = true;
+            weapon = weapon.slice(flag[0].length);
+        }
+
+        const rawSkin = String(skinName || '').replace(/\s+/g, ' ').trim();
+        const finish = this.getPhasedFinish(rawSkin);
+        const givenPhase = this.normalizePhase(phase);
+        const itemPhase = finish && this.PHASES[finish].includes(givenPhase) ? givenPhase : this.extractPhase(rawSkin);
+        const skin = this.stripPhase(rawSkin);
+
+        const type = ItemTypes.detect(`${isStar ? '★ ' : ''}${skin ? `${weapon} | ${skin}` : weapon}`);
+        // Vanilla knives are not painted and have no exterior
+        const wear = ItemTypes.hasWear(type) && skin ? this.normalizeWear(wearFull) : '';
+        const starred = type === ItemTypes.KNIFE || type === ItemTypes.GLOVES;
+
+        const fields = {
+            type,
+            weaponName: starred ? `★ ${weapon}` : weapon,
+            skinName: skin,
+            wear,
+            wearFull: this.WEARS[wear] || '',
+            isStattrak: !!isStattrak,
+            isSouvenir: !!isSouvenir,
+            phase: itemPhase
+        };
+        fields.marketHashName = this.build(fields);
+        return fields;
+    },
+
+    /**
+     * Build a market hash name, with the phase after the wear
+     * @param {Object} fields - Unified item fields (type, weaponName, skinName, wearFull, isStattrak, isSouvenir, phase)
+     * @returns {string}
+     */
+    build({ type, weaponName, skinName, wearFull, isStattrak, isSouvenir, phase }) {
+        const hashName = ItemTypes.buildMarketHashName({
+            type,
+            weaponName,
+            skinName,
+            wearFull: this.getWearFull(wearFull),
+            isStattrak,
+            isSouvenir
+        });
+        return phase ? `${hashName} ${phase}` : hashName;
+    }
+};
+
+// Make available globally for content scripts, extension pages and the background worker
+globalThis.MarketHashName = MarketHashName;
@@ -0,0 +1,300 @@
+/**
+ * Price Sheet Service - User-imported real prices (CSV or JSON)
+ * Prices from the sheet take precedence over the active price provider
+ *
+ * Stored format:
+ * { fileName, importedAt, prices: { [marketHashName]: { price, phases?: { [phase]: price } } } }
+ *
+ * Accepted files:
+ * - CSV with a header row: name (or market_hash_name), price and an optional phase column
+ *   (Doppler phase or pattern tier, see MarketHashName.PHASES)
+ * - JSON object: { "<name>": 1.23 } or { "<name>": { price, phases } } ({ price, doppler } in CSGOTrader files)
+ * - JSON array: [{ name, price, phase }]
+ */
+
+const PriceSheetService = {
+    SHEET_KEY: 'csp_custom_prices',
+
+    // Loaded sheet (null = not loaded or no sheet imported)
+    sheet: null,
+    loadPromise: null,
+    listeners: [],
+
+    /**
+     * Load the stored sheet and start listening for imports from the options page
+     * @returns {Promise<Object|null>} - Stored sheet
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = CacheService.get(this.SHEET_KEY).then((sheet) => {
+                this.sheet = sheet;
+                return sheet;
+            });
+
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes[this.SHEET_KEY]) {
+                    this.sheet = changes[this.SHEET_KEY].newValue || null;
+                    this.listeners.forEach(listener => listener(this.sheet));
+                }
+            });
+        }
+        return this.loadPromise;
+    },
+
+    /**
+     * Subscribe to sheet imports and removals
+     * @param {Function} listener - Called with the new sheet (or null)
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * Get a price from the loaded sheet
+     * @param {string} hashName - Market hash name without phase
+     * @param {string|null} phase - Doppler phase or pattern tier (null for the base price)
+     * @returns {number|null} - Price in USD or null if not in the sheet
+     */
+    getPrice(hashName, phase) {
+        const entry = this.sheet?.prices?.[hashName];
+        if (!entry) return null;
+
+        if (phase) {
+            // Sheets imported by older versions keep phase prices under doppler
+            return PricingService.getPhasePrice(entry.phases || entry.doppler, phase);
+        }
+        return typeof entry.price === 'number' ? entry.price : null;
+    },
+
+    /**
+     * Parse and validate a sheet file
+     * @param {string} text - File contents
+     * @param {string} fileName - File name (used to detect the format)
+     * @returns {{prices: Object, count: number, errors: Array, warnings: Array}}
+     *          errors are skipped rows, warnings are imported rows with suspicious names
+     */
+    parse(text, fileName = '') {
+        const trimmed = text.trim();
+        const isJson = fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[');
+
+        let rows;
+        try {
+            rows = isJson ? this.parseJsonRows(trimmed) : this.parseCsvRows(trimmed);
+        } catch (error) {
+            return { prices: {}, count: 0, errors: [{ row: 0, message: error.message }], warnings: [] };
+        }
+
+        const prices = {};
+        const errors = [];
+        const warnings = [];
+        let count = 0;
+
+        for (const { row, name, price, phase } of rows) {
+            let hashName = String(name || '').trim();
+            let rowPhase = phase ? String(phase).trim() : null;
+            const value = this.parsePrice(price);
+
+            if (!hashName) {
+                errors.push({ row, message: 'Missing item name' });
+                continue;
+            }
+            if (!Number.isFinite(value) || value < 0) {
+                errors.push({ row, message: `Invalid price "${price}" for ${hashName}` });
+                continue;
+            }
+
+            // Phase written into the name is moved to the phase column, like PricingService lookups do
+            const namePhase = MarketHashName.extractPhase(hashName);
+            if (namePhase) {
+                rowPhase = rowPhase || namePhase;
+                hashName = MarketHashName.stripPhase(hashName);
+            }
+            if (rowPhase) {
+                rowPhase = MarketHashName.normalizePhase(rowPhase) || rowPhase;
+            }
+
+            const expected = this.getExpectedHashName(hashName);
+            if (expected !== hashName) {
+                warnings.push({
+                    row,
+                    message: expected
+                        ? `"${hashName}" does not match the market hash name format, expected "${expected}"`
+                        : `"${hashName}" is not in "Weapon | Skin (Wear)" format`
+                });
+            }
+
+            const entry = prices[hashName] || (prices[hashName] = { price: null });
+            if (rowPhase) {
+                entry.phases = { ...entry.phases, [rowPhase]: value };
+            } else {
+                entry.price = value;
+            }
+            count++;
+        }
+
+        return { prices, count, errors, warnings };
+    },
+
+    /**
+     * Read a price cell written with a decimal point or comma, with or without grouping separators
+     * ("1,234.50", "1.234,50" and "1 234,50" are 1234.5). A single separator is the decimal separator
+     * ("1,234" is 1.234), grouping separators must split the digits in groups of three
+     * @param {number|string|null} price - Price cell
+     * @returns {number} - Price or NaN if the cell is not a number
+     */
+    parsePrice(price) {
+        if (typeof price === 'number') return price;
+
+        const text = String(price ?? '').replace(/\s/g, '');
+        if (/^\d+([.,]\d+)?$/.test(text)) return Number(text.replace(',', '.'));
+        if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) return Number(text.replaceAll(',', ''));
+        if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) return Number(text.replaceAll('.', '').replace(',', '.'));
+        return NaN;
+    },
+
+    /**
+     * Read rows from a CSV file with a header row (comma or semicolon separated)
+     * @param {string} text - CSV contents
+     * @returns {Array<{row: number, name: string, price: string, phase: string}>}
+     */
+    parseCsvRows(text) {
+        const lines = text.split(/\r?\n/);
+        const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+        const header = this.splitCsvLine(lines[0], delimiter).map(h => h.trim().toLowerCase());
+
+        const nameIndex = header.findIndex(h => h === 'name' || h === 'market_hash_name' || h === 'market hash name');
+        const priceIndex = header.indexOf('price');
+        const phaseIndex = header.indexOf('phase');
+
+        if (nameIndex === -1 || priceIndex === -1) {
+            throw new Error('CSV header must contain "name" (or "market_hash_name") and "price" columns');
+        }
+
+        const rows = [];
+        for (let i = 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            const cells = this.splitCsvLine(lines[i], delimiter);
+            rows.push({
+                row: i + 1,
+                name: cells[nameIndex],
+                price: cells[priceIndex],
+                phase: phaseIndex !== -1 ? cells[phaseIndex] : null
+            });
+        }
+        return rows;
+    },
+
+    /**
+     * Split a CSV line, honoring double-quoted cells
+     * @param {string} line - CSV line
+     * @param {string} delimiter - Cell delimiter
+     * @returns {Array<string>}
+     */
+    splitCsvLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell);
+        return cells;
+    },
+
+    /**
+     * Read rows from a JSON file
+     * @param {string} text - JSON contents
+     * @returns {Array<{row: number, name: string, price: *, phase: string|null}>}
+     */
+    parseJsonRows(text) {
+        const data = JSON.parse(text);
+        const rows = [];
+
+        if (Array.isArray(data)) {
+            data.forEach((entry, index) => {
+                rows.push({
+                    row: index + 1,
+                    name: entry?.name ?? entry?.market_hash_name,
+                    price: entry?.price,
+                    phase: entry?.phase || null
+                });
+            });
+            return rows;
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('JSON must be an object or an array');
+        }
+
+        let index = 0;
+        for (const [name, value] of Object.entries(data)) {
+            index++;
+            if (value && typeof value === 'object') {
+                if (value.price !== undefined && value.price !== null) {
+                    rows.push({ row: index, name, price: value.price, phase: null });
+                }
+                for (const [phase, phasePrice] of Object.entries(value.phases || value.doppler || {})) {
+                    rows.push({ row: index, name, price: phasePrice, phase });
+                }
+            } else {
+                rows.push({ row: index, name, price: value, phase: null });
+            }
+        }
+        return rows;
+    },
+
+    /**
+     * Rebuild a name with MarketHashName.parse() to check its format
+     * @param {string} hashName - Name from the sheet (without phase)
+     * @returns {string|null} - Expected name, or null if the name has no "Weapon | Skin" part
+     */
+    getExpectedHashName(hashName) {
+        const parsed = MarketHashName.parse(hashName);
+        // Vanilla knives ("★ Karambit") and containers are valid keys without a skin
+        if (!parsed.skinName && parsed.type !== ItemTypes.KNIFE && parsed.type !== ItemTypes.CONTAINER) {
+            return null;
+        }
+        return parsed.marketHashName;
+    },
+
+    /**
+     * Store an imported sheet
+     * @param {Object} prices - Parsed prices
+     * @param {string} fileName - Source file name
+     * @returns {Promise<boolean>}
+     */
+    async save(prices, fileName) {
+        this.sheet = { fileName, importedAt: Date.now(), prices };
+        return await CacheService.set(this.SHEET_KEY, this.sheet);
+    },
+
+    /**
+     * Remove the imported sheet
+     * @returns {Promise<boolean>}
+     */
+    async clear() {
+        this.sheet = null;
+        return await CacheService.remove(this.SHEET_KEY);
+    }
+};
+
+// Make available globally for content scripts and extension pages
+window.PriceSheetService = PriceSheetService;
@@ -1,156 +1,252 @@
 /**
- * Pricing Service - Fetches and caches real prices from CSGOTrader
+ * Pricing Service - Looks up real prices of the selected price provider
+ * Price feeds live in the background worker (PriceStore/PriceDB), content scripts
+ * only request the items of the cases they show. See PriceProviders for the sources
  */
 
 const PricingService = {
-    CACHE_KEY: 'csp_csgotrader_prices',
-    CACHE_DURATION: 6 * 60 * 60 * 1000, // 6 hours
-    CSGOTRADER_URL: 'https://prices.csgotrader.app/latest/csgotrader.json',
+    // Looked-up prices in memory, by provider id and market hash name (null = not in the feed)
+    prices: {},
+    // How names missing from a feed were matched, by provider id and market hash name (see PriceStore.matchNames())
+    matches: {},
 
-    // Cached prices in memory
-    prices: null,
+    /**
+     * Get the provider used for the "Real Price" column (priceProvider setting)
+     * @returns {Object} - Provider definition
+     */
+    getActiveProvider() {
+        return PriceProviders.get(SettingsService.get('priceProvider')) || PriceProviders.get('csgotrader');
+    },
 
     /**
-     * Fetch real prices from CSGOTrader (with caching)
-     * @returns {Promise<Object|null>} - Price data or null on error
+     * Get the provider shown side by side with the active one (comparePriceProvider setting)
+     * @returns {Object|null} - Provider definition or null if comparison is off
+     */
+    getCompareProvider() {
+        const provider = PriceProviders.get(SettingsService.get('comparePriceProvider'));
+        if (!provider || provider.id === this.getActiveProvider().id) return null;
+        return provider;
+    },
+
+    /**
+     * Get ids of the active provider and the compare provider if one is selected
+     * @returns {Array<string>}
+     */
+    getProviderIds() {
+        const compareProvider = this.getCompareProvider();
+        return compareProvider ? [this.getActiveProvider().id, compareProvider.id] : [this.getActiveProvider().id];
+    },
+
+    /**
+     * Get how long cached prices stay valid
+     * @param {Object} [provider] - Provider definition (defaults to the active provider)
+     * @returns {number} - Duration in milliseconds
+     */
+    getCacheDuration(provider = this.getActiveProvider()) {
+        return PriceProviders.getCacheDuration(provider);
+    },
+
+    /**
+     * Make sure prices of the active (and compare) provider are downloaded, and load the price sheet
+     * Runs next to the case request so the feed download does not wait for it
+     * @returns {Promise<boolean>} - False if the active provider's prices are not available
      */
     async fetchPrices() {
-        // Return cached prices if already loaded
-        if (this.prices) {
-            return this.prices;
-        }
+        const [available] = await Promise.all([
+            this.loadPrices([]),
+            PriceSheetService.load()
+        ]);
+        return available;
+    },
 
-        // Check storage cache
-        const cached = await CacheService.getWithExpiry(this.CACHE_KEY, this.CACHE_DURATION);
-        if (!cached.expired && cached.data) {
-            this.prices = cached.data;
-            return this.prices;
-        }
+    /**
+     * Load prices of case items from the background worker
+     * @param {Array<Object>} items - Parsed case items
+     * @returns {Promise<boolean>} - False if the active provider's prices are not available
+     */
+    async loadItemPrices(items) {
+        const names = items.filter(item => !item.isBoost).map(item => this.getItemLookupName(item));
+        return this.loadPrices(names);
+    },
 
-        // Fetch fresh data via background script (avoids CORS issues)
-        try {
-            const result = await chrome.runtime.sendMessage({
-                type: 'FETCH_URL',
-                url: this.CSGOTRADER_URL
-            });
+    /**
+     * Request prices by market hash name (the background worker downloads missing or expired feeds first)
+     * @param {Array<string>} names - Market hash names
+     * @returns {Promise<boolean>} - False if the active provider's prices are not available
+     */
+    async loadPrices(names) {
+        const providerIds = this.getProviderIds();
 
-            if (!result.success) {
-                throw new Error(result.error || 'Unknown error');
+        try {
+            const result = await chrome.runtime.sendMessage({ type: 'GET_PRICES', providers: providerIds, names });
+            if (!result?.success) {
+                throw new Error(result?.error || 'Unknown error');
             }
 
-            this.prices = result.data;
-
-            // Cache the data
-            await CacheService.setWithExpiry(this.CACHE_KEY, this.prices);
+            for (const providerId of providerIds) {
+                if (result.errors[providerId]) {
+                    console.error(`[CSP Pricing] Error fetching ${PriceProviders.get(providerId).name} prices:`, HttpError.fromJSON(result.errors[providerId]));
+                }
+                this.prices[providerId] = { ...this.prices[providerId], ...result.prices[providerId] };
+                this.matches[providerId] = { ...this.matches[providerId], ...result.matches[providerId] };
+            }
 
-            return this.prices;
+            return result.updatedAt[providerIds[0]] !== null;
         } catch (error) {
-            console.error('[CSP Pricing] Error fetching prices:', error);
-            return null;
+            console.error('[CSP Pricing] Error loading prices:', error);
+            return false;
         }
     },
 
     /**
      * Build market hash name for a CS item
-     * @param {string} weaponName - Weapon name (e.g., "AK-47" or "★ Karambit")
+     * @param {string} weaponName - Weapon name (e.g., "AK-47", "★ Karambit" or "Sticker")
      * @param {string} skinName - Skin name (e.g., "Bloodsport")
      * @param {string} exterior - Exterior/wear (e.g., "Factory New")
      * @param {boolean} isStattrak - Whether item is StatTrak
+     * @param {string} [type] - Item type (see ItemTypes, detected from the name if missing)
+     * @param {boolean} [isSouvenir=false] - Whether item is Souvenir
      * @returns {string} - Market hash name
      */
-    getMarketHashName(weaponName, skinName, exterior, isStattrak) {
-        // Handle ★ prefix for knives/gloves - must come before StatTrak™
-        // Correct format: "★ StatTrak™ Weapon | Skin (Wear)"
-        let starPrefix = '';
-        let cleanWeaponName = weaponName || '';
-
-        // Check for various star characters (U+2605 ★, U+2606 ☆, etc.)
-        const starMatch = cleanWeaponName.match(/^(\u2605|\u2606|\u22C6|\*)\s*/);
-        if (starMatch) {
-            starPrefix = '★ ';
-            cleanWeaponName = cleanWeaponName.substring(starMatch[0].length);
-        }
-
-        const stattrakPrefix = isStattrak ? 'StatTrak™ ' : '';
-
-        // Don't include wear for items without it (stickers, etc.)
-        if (!exterior || exterior === '') {
-            return `${starPrefix}${stattrakPrefix}${cleanWeaponName} | ${skinName}`;
-        }
-        return `${starPrefix}${stattrakPrefix}${cleanWeaponName} | ${skinName} (${exterior})`;
+    getMarketHashName(weaponName, skinName, exterior, isStattrak, type = null, isSouvenir = false) {
+        return ItemTypes.buildMarketHashName({ type, weaponName, skinName, wearFull: exterior, isStattrak, isSouvenir });
     },
 
     /**
      * Get real price for an item
-     * @param {string} weaponName - Weapon name
-     * @param {string} skinName - Skin name
-     * @param {string} exterior - Exterior/wear
-     * @param {boolean} isStattrak - Whether item is StatTrak
-     * @param {string} [marketHashName] - Optional direct market hash name (used for stickers, etc.)
-     * @param {string} [phase] - Doppler phase (e.g., "Phase 1", "Ruby", "Sapphire", "Emerald", "Black Pearl")
+     * For the active provider, prices from an imported price sheet are checked first
+     * @param {Object} item - Parsed case item (a Doppler phase or pattern tier is priced from the phase prices)
+     * @param {string} [providerId] - Price provider (defaults to the active provider)
      * @returns {number|null} - Price in USD or null if not found
      */
-    getRealPrice(weaponName, skinName, exterior, isStattrak, marketHashName, phase) {
-        if (!this.prices) return null;
-
-        // Use provided market hash name directly, or build from parts
-        let hashName = marketHashName || this.getMarketHashName(weaponName, skinName, exterior, isStattrak);
+    getRealPrice(item, providerId = this.getActiveProvider().id) {
+        return this.getRealPriceInfo(item, providerId).price;
+    },
 
-        // If phase is provided, strip it from the hash name for lookup
-        // Market hash names from sites may include phase like "★ Gut Knife | Doppler (Factory New) Phase 2"
-        // But csgotrader uses "★ Gut Knife | Doppler (Factory New)" with a nested doppler object
-        if (phase) {
-            hashName = this.stripPhaseFromHashName(hashName);
+    /**
+     * Get real price for an item and whether it is the price of its phase
+     * Items with a phase use the phase price of the sheet, then of the feed. If neither
+     * has one, the base price of the skin is used and isBasePrice is set
+     * @param {Object} item - Parsed case item
+     * @param {string} [providerId] - Price provider (defaults to the active provider)
+     * @returns {{price: number|null, isBasePrice: boolean}} - Price in USD or null if not found,
+     *          isBasePrice: the item has a phase but was priced without it
+     */
+    getRealPriceInfo(item, providerId = this.getActiveProvider().id) {
+        const hashName = this.getItemLookupName(item);
+        const phase = item.phase;
+        const useSheet = providerId === this.getActiveProvider().id;
+        const entry = this.prices[providerId]?.[hashName] || null;
+        const basePrice = () => {
+            const sheetPrice = useSheet ? PriceSheetService.getPrice(hashName, null) : null;
+            if (sheetPrice !== null) return sheetPrice;
+            return typeof entry?.price === 'number' ? entry.price : null;
+        };
+
+        if (!phase) {
+            return { price: basePrice(), isBasePrice: false };
         }
 
-        const item = this.prices[hashName];
-        if (!item) return null;
+        const sheetPhasePrice = useSheet ? PriceSheetService.getPrice(hashName, phase) : null;
+        if (sheetPhasePrice !== null) return { price: sheetPhasePrice, isBasePrice: false };
 
-        // Check if this is a Doppler with phase pricing
-        if (item.doppler && phase) {
-            const dopplerPrice = item.doppler[phase];
-            if (dopplerPrice !== null && dopplerPrice !== undefined) {
-                return dopplerPrice;
-            }
-            return null;
-        }
+        const phasePrice = this.getPhasePrice(entry?.phases, phase);
+        if (phasePrice !== null) return { price: phasePrice, isBasePrice: false };
+
+        const price = basePrice();
+        return { price, isBasePrice: price !== null };
+    },
+
+    /**
+     * Get the price of a phase from a phase price map
+     * Feeds spell phases their own way ("Phase2", "black pearl"), keys are compared with MarketHashName.normalizePhase()
+     * @param {Object|undefined} phases - { [phase]: price }
+     * @param {string} phase - Doppler phase or pattern tier
+     * @returns {number|null}
+     */
+    getPhasePrice(phases, phase) {
+        if (!phases || !phase) return null;
+
+        const key = phase in phases
+            ? phase
+            : Object.keys(phases).find(name => MarketHashName.normalizePhase(name) === phase);
+        const price = key !== undefined ? phases[key] : null;
+        return typeof price === 'number' ? price : null;
+    },
+
+    /**
+     * Get the name a parsed case item is looked up by in price feeds
+     * Market hash names of parsed items end with the phase like "★ Gut Knife | Doppler (Factory New) Phase 2",
+     * but providers use "★ Gut Knife | Doppler (Factory New)" with nested phase prices.
+     * Items without a market hash name get one built from their parts and type
+     * @param {Object} item - Parsed case item
+     * @returns {string}
+     */
+    getItemLookupName(item) {
+        const hashName = item.marketHashName || this.getMarketHashName(
+            item.weaponName,
+            item.skinName,
+            item.wearFull,
+            item.isStattrak,
+            item.type,
+            item.isSouvenir
+        );
+        return item.phase ? this.stripPhaseFromHashName(hashName) : hashName;
+    },
 
-        // Regular price lookup
-        if (item.price === null || item.price === undefined) return null;
-        return item.price;
+    /**
+     * Get how an item missing from a price feed was matched
+     * @param {Object} item - Parsed case item
+     * @param {string} [providerId] - Price provider (defaults to the active provider)
+     * @returns {{matchedName: string|null, confidence: number, candidates: Array<{name: string, confidence: number}>}|null}
+     *          - null if the feed has the item under its own name (or prices are not loaded)
+     */
+    getPriceMatch(item, providerId = this.getActiveProvider().id) {
+        return this.matches[providerId]?.[this.getItemLookupName(item)] || null;
     },
 
     /**
-     * Strip phase suffix from market hash name
+     * Strip the Doppler phase or pattern tier from a market hash name
      * @param {string} hashName - Market hash name possibly containing phase
      * @returns {string} - Market hash name without phase suffix
      */
     stripPhaseFromHashName(hashName) {
-        // Remove phase suffixes like " Phase 1", " Phase 2", " Ruby", " Sapphire", " Emerald", " Black Pearl"
-        const phasePatterns = [
-            / Phase \d$/,
-            / Ruby$/,
-            / Sapphire$/,
-            / Emerald$/,
-            / Black Pearl$/
-        ];
-
-        for (const pattern of phasePatterns) {
-            if (pattern.test(hashName)) {
-                return hashName.replace(pattern, '');
-            }
-        }
+        return MarketHashName.stripPhase(hashName);
+    },
 
-        return hashName;
+    /**
+     * Get when a provider's prices were downloaded
+     * @param {Object} [provider] - Provider definition (defaults to the active provider)
+     * @returns {Promise<number|null>} - Timestamp in ms or null if nothing is downloaded
+     */
+    async getCacheTimestamp(provider = this.getActiveProvider()) {
+        try {
+            const result = await chrome.runtime.sendMessage({ type: 'GET_PRICES_STATUS', provider: provider.id });
+            return result?.updatedAt || null;
+        } catch (error) {
+            console.error('[CSP Pricing] Error reading price status:', error);
+            return null;
+        }
     },
 
     /**
-     * Clear cached prices
+     * Download prices of the active (and compare) provider again
+     * Stored prices are kept if the download fails
+     * @returns {Promise<boolean>} - Success status
      */
-    async clearCache() {
-        this.prices = null;
-        await CacheService.remove(this.CACHE_KEY);
-        await CacheService.remove(`${this.CACHE_KEY}_time`);
+    async refreshPrices() {
+        this.prices = {};
+        this.matches = {};
+        try {
+            const result = await chrome.runtime.sendMessage({ type: 'REFRESH_PRICES', providers: this.getProviderIds() });
+            if (!result?.success) {
+                throw result?.httpError ? HttpError.fromJSON(result.httpError) : new Error(result?.error || 'Unknown error');
+            }
+            return true;
+        } catch (error) {
+            console.error('[CSP Pricing] Error refreshing prices:', error);
+            return false;
+        }
     }
 };
 
@@ -0,0 +1,126 @@
+/**
+ * Price Providers - Sources for the "Real Price" column
+ * Every provider downloads one price feed (in the background worker, see PriceStore)
+ * and normalizes it to the CSGOTrader shape stored in PriceDB:
+ * { [marketHashName]: { price: number|null, phases?: { [phase]: number } } }
+ * phases holds Doppler phase and pattern tier prices of feeds that have them (CSGOTrader's doppler object)
+ *
+ * Provider format:
+ * - id, name: identifier and display name
+ * - url: feed URL (fetched by the background worker)
+ * - cacheHours: how long the feed stays fresh (null = priceCacheHours setting)
+ * - parse(raw): normalize the raw feed
+ */
+
+const PriceProviders = {
+    providers: {},
+
+    /**
+     * Register a price provider
+     * @param {Object} provider - Provider definition
+     */
+    register(provider) {
+        this.providers[provider.id] = provider;
+    },
+
+    /**
+     * Get a provider by id
+     * @param {string} id - Provider id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.providers[id] || null;
+    },
+
+    /**
+     * Get all registered providers
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return Object.values(this.providers);
+    },
+
+    /**
+     * Get how long a provider's prices stay valid
+     * @param {Object} provider - Provider definition
+     * @returns {number} - Duration in milliseconds
+     */
+    getCacheDuration(provider) {
+        const hours = provider.cacheHours ?? SettingsService.get('priceCacheHours');
+        return hours * 60 * 60 * 1000;
+    },
+
+    /**
+     * Normalize a feed where each entry holds a price in one of the given fields
+     * @param {Object} raw - Raw feed keyed by market hash name
+     * @param {Function} pick - Returns { price, phases } for a raw entry
+     * @returns {Object} - Normalized prices
+     */
+    normalize(raw, pick) {
+        const prices = {};
+        if (!raw || typeof raw !== 'object') return prices;
+
+        for (const [hashName, entry] of Object.entries(raw)) {
+            if (!entry || typeof entry !== 'object') continue;
+
+            const { price, phases } = pick(entry);
+            const normalized = { price: typeof price === 'number' ? price : null };
+            if (phases && typeof phases === 'object') {
+                normalized.phases = phases;
+            }
+            prices[hashName] = normalized;
+        }
+        return prices;
+    }
+};
+
+PriceProviders.register({
+    id: 'csgotrader',
+    name: 'CSGOTrader',
+    url: 'https://prices.csgotrader.app/latest/csgotrader.json',
+    cacheHours: null,
+    parse(raw) {
+        return PriceProviders.normalize(raw, entry => ({ price: entry.price, phases: entry.doppler }));
+    }
+});
+
+PriceProviders.register({
+    id: 'steam',
+    name: 'Steam Market',
+    url: 'https://prices.csgotrader.app/latest/steam.json',
+    cacheHours: 24, // Feed holds daily medians
+    parse(raw) {
+        // Prefer the most recent median that has sales
+        return PriceProviders.normalize(raw, entry => ({
+            price: entry.last_24h ?? entry.last_7d ?? entry.last_30d ?? entry.last_90d
+        }));
+    }
+});
+
+PriceProviders.register({
+    id: 'buff163',
+    name: 'Buff163',
+    url: 'https://prices.csgotrader.app/latest/buff163.json',
+    cacheHours: null,
+    parse(raw) {
+        return PriceProviders.normalize(raw, entry => ({
+            price: entry.starting_at?.price,
+            phases: entry.starting_at?.doppler
+        }));
+    }
+});
+
+PriceProviders.register({
+    id: 'skinport',
+    name: 'Skinport',
+    url: 'https://prices.csgotrader.app/latest/skinport.json',
+    cacheHours: null,
+    parse(raw) {
+        return PriceProviders.normalize(raw, entry => ({
+            price: entry.starting_at ?? entry.suggested_price
+        }));
+    }
+});
+
+// Make available globally for content scripts, extension pages and the background worker
+globalThis.PriceProviders = PriceProviders;
@@ -0,0 +1,102 @@
+/**
+ * Case Ranking Service - Fetches every case of a site catalog for the ranking view
+ * Requests go through a queue that keeps a minimum interval between them,
+ * parsed case data is cached per site so reopening the ranking is instant
+ *
+ * Stored format (per site):
+ * { [caseId]: { timestamp, caseData } }
+ */
+
+const CaseRankingService = {
+    CACHE_PREFIX: 'csp_ranking_',
+    CACHE_DURATION: 30 * 60 * 1000, // 30 minutes
+    REQUEST_INTERVAL: 1500, // Minimum time between two case requests (ms)
+    MAX_CASES: 100,
+
+    queue: Promise.resolve(),
+    lastRequestAt: 0,
+
+    /**
+     * Run a request once the previous ones finished and the interval passed
+     * @param {Function} request - Async function performing the request
+     * @returns {Promise<*>} - Request result
+     */
+    schedule(request) {
+        const run = this.queue.then(async () => {
+            const wait = this.lastRequestAt + this.REQUEST_INTERVAL - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            this.lastRequestAt = Date.now();
+            return request();
+        });
+
+        // Keep the queue going when a request fails
+        this.queue = run.catch(() => {});
+        return run;
+    },
+
+    /**
+     * Get cached cases of a site, without expired entries
+     * @param {string} siteId - Site identifier
+     * @returns {Promise<Object>}
+     */
+    async getCache(siteId) {
+        const cache = await CacheService.get(this.CACHE_PREFIX + siteId, {});
+        const now = Date.now();
+
+        const fresh = {};
+        for (const [caseId, entry] of Object.entries(cache || {})) {
+            if (entry && now - entry.timestamp <= this.CACHE_DURATION) {
+                fresh[caseId] = entry;
+            }
+        }
+        return fresh;
+    },
+
+    /**
+     * Fetch catalog cases one by one (cached cases are returned without a request)
+     * @param {Object} adapter - Site adapter with fetchCaseDataById()
+     * @param {string} siteId - Site identifier
+     * @param {Array<{id: string, url: string}>} cases - Catalog cases
+     * @param {Function} onResult - Called with { id, url, caseData } for every case (caseData is null on error),
+     *                            awaited before the next case
+     * @param {Function} isCancelled - Returns true to stop before the next request
+     */
+    async fetchAll(adapter, siteId, cases, onResult, isCancelled = () => false) {
+        const key = this.CACHE_PREFIX + siteId;
+        const cache = await this.getCache(siteId);
+
+        for (const entry of cases.slice(0, this.MAX_CASES)) {
+            if (isCancelled()) return;
+
+            let caseData = cache[entry.id]?.caseData || null;
+            if (!caseData) {
+                caseData = await this.schedule(() => adapter.fetchCaseDataById(entry.id)).catch((error) => {
+                    console.error('[CSP Ranking] Error fetching case:', entry.id, error);
+                    return null;
+                });
+
+                if (caseData) {
+                    cache[entry.id] = { timestamp: Date.now(), caseData };
+                    await CacheService.set(key, cache);
+                }
+            }
+
+            if (isCancelled()) return;
+            await onResult({ ...entry, caseData });
+        }
+    },
+
+    /**
+     * Remove cached cases of a site
+     * @param {string} siteId - Site identifier
+     * @returns {Promise<boolean>}
+     */
+    async clearCache(siteId) {
+        return await CacheService.remove(this.CACHE_PREFIX + siteId);
+    }
+};
+
+// Make available globally for content scripts
+window.CaseRankingService = CaseRankingService;
@@ -0,0 +1,44 @@
+/**
+ * Recent Cases Service - Recently viewed cases shown in the popup
+ *
+ * Entry format:
+ * { siteId, caseId, caseName, url, casePrice, profitability, realProfitability, timestamp }
+ * (casePrice in USD, profitability values in percent or null)
+ */
+
+const RecentCasesService = {
+    RECENT_KEY: 'csp_recent_cases',
+    MAX_CASES: 20,
+
+    /**
+     * Get recently viewed cases
+     * @returns {Promise<Array>} - Entries, newest first
+     */
+    async getAll() {
+        return await CacheService.get(this.RECENT_KEY, []);
+    },
+
+    /**
+     * Record a viewed case, replacing an older entry for the same case
+     * @param {Object} entry - Case entry (without timestamp)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async add(entry) {
+        const recent = await this.getAll();
+        const others = recent.filter(r => !(r.siteId === entry.siteId && r.caseId === entry.caseId));
+
+        const updated = [{ ...entry, timestamp: Date.now() }, ...others].slice(0, this.MAX_CASES);
+        return await CacheService.set(this.RECENT_KEY, updated);
+    },
+
+    /**
+     * Remove all recent cases
+     * @returns {Promise<boolean>}
+     */
+    async clear() {
+        return await CacheService.remove(this.RECENT_KEY);
+    }
+};
+
+// Make available globally for content scripts and the popup
+window.RecentCasesService = RecentCasesService;
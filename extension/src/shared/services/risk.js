@@ -0,0 +1,126 @@
+/**
+ * Risk Service - Closed-form risk metrics for a case
+ * Distribution moments, weighted percentiles and risk of ruin
+ */
+
+const RiskService = {
+    /**
+     * Describe the outcome distribution of a single opening
+     * @param {Array<{value: number, odds: number}>} outcomes - Item values with odds (percent)
+     * @param {number} casePrice - Case price
+     * @returns {Object} - { mean, variance, stdDev, median, p10, p50, p90 } (mean is profit per opening)
+     */
+    describe(outcomes, casePrice) {
+        const totalOdds = outcomes.reduce((sum, o) => sum + o.odds, 0);
+        if (totalOdds <= 0) {
+            return { mean: 0, variance: 0, stdDev: 0, median: 0, p10: 0, p50: 0, p90: 0 };
+        }
+
+        // Normalize odds so the metrics stay correct when they don't sum to exactly 100%
+        const expectedValue = outcomes.reduce((sum, o) => sum + o.value * o.odds, 0) / totalOdds;
+        const variance = outcomes.reduce((sum, o) => sum + Math.pow(o.value - expectedValue, 2) * o.odds, 0) / totalOdds;
+
+        const p10 = this.percentile(outcomes, 0.1, totalOdds);
+        const p50 = this.percentile(outcomes, 0.5, totalOdds);
+        const p90 = this.percentile(outcomes, 0.9, totalOdds);
+
+        return {
+            mean: expectedValue - casePrice,
+            variance,
+            stdDev: Math.sqrt(variance),
+            median: p50,
+            p10,
+            p50,
+            p90
+        };
+    },
+
+    /**
+     * Weighted percentile of item values
+     * @param {Array<{value: number, odds: number}>} outcomes - Item values with odds
+     * @param {number} p - Percentile in range 0-1
+     * @param {number} totalOdds - Sum of all odds
+     * @returns {number} - Item value at the percentile
+     */
+    percentile(outcomes, p, totalOdds) {
+        const sorted = [...outcomes].sort((a, b) => a.value - b.value);
+        let cumulative = 0;
+
+        for (const outcome of sorted) {
+            cumulative += outcome.odds / totalOdds;
+            if (cumulative >= p) {
+                return outcome.value;
+            }
+        }
+        return sorted[sorted.length - 1].value;
+    },
+
+    /**
+     * Probability of losing the whole bankroll within a number of openings
+     * Uses the first-passage probability of a Brownian motion with drift,
+     * which is a good approximation once a few dozen openings are involved
+     * @param {number} mean - Expected profit per opening (usually negative)
+     * @param {number} stdDev - Standard deviation of profit per opening
+     * @param {number} bankroll - Starting bankroll
+     * @param {number} openings - Number of openings
+     * @returns {number} - Probability in range 0-1
+     */
+    riskOfRuin(mean, stdDev, bankroll, openings) {
+        if (bankroll <= 0) return 1;
+        if (openings <= 0) return 0;
+
+        // No variance: the balance moves deterministically
+        if (stdDev <= 0) {
+            return mean * openings <= -bankroll ? 1 : 0;
+        }
+
+        const spread = stdDev * Math.sqrt(openings);
+        const z1 = (-bankroll - mean * openings) / spread;
+        const z2 = (-bankroll + mean * openings) / spread;
+
+        // Second term is exp(-2 * mean * bankroll / variance) * Phi(z2), computed in log space to avoid overflow
+        const exponent = -2 * mean * bankroll / (stdDev * stdDev);
+        const secondTerm = Math.exp(exponent + this.logNormalCdf(z2));
+
+        const probability = this.normalCdf(z1) + secondTerm;
+        return Math.min(Math.max(probability, 0), 1);
+    },
+
+    /**
+     * Standard normal cumulative distribution function
+     * @param {number} z - Z-score
+     * @returns {number}
+     */
+    normalCdf(z) {
+        return 0.5 * (1 + this.erf(z / Math.SQRT2));
+    },
+
+    /**
+     * Natural log of the standard normal CDF (stable for very negative z)
+     * @param {number} z - Z-score
+     * @returns {number}
+     */
+    logNormalCdf(z) {
+        if (z > -5) {
+            return Math.log(this.normalCdf(z));
+        }
+        // Asymptotic expansion of the lower tail
+        return -z * z / 2 - Math.log(-z) - 0.5 * Math.log(2 * Math.PI) + Math.log(1 - 1 / (z * z));
+    },
+
+    /**
+     * Error function (Abramowitz and Stegun 7.1.26, max error 1.5e-7)
+     * @param {number} x - Input value
+     * @returns {number}
+     */
+    erf(x) {
+        const sign = x < 0 ? -1 : 1;
+        const ax = Math.abs(x);
+        const t = 1 / (1 + 0.3275911 * ax);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        return sign * (1 - poly * Math.exp(-ax * ax));
+    }
+};
+
+// Make available globally for content scripts
+window.RiskService = RiskService;
@@ -0,0 +1,408 @@
+/**
+ * Settings Service - User configuration stored in chrome.storage.sync
+ * Holds the schema with defaults and validation, caches values in memory
+ * and notifies listeners when settings change (in any tab or the options page)
+ */
+
+const SettingsService = {
+    STORAGE_KEY: 'csp_settings',
+
+    /**
+     * Setting definitions
+     * type: 'number' | 'boolean' | 'string', optional min/max/integer for numbers,
+     * options ([{ value, label }]) for strings picked from a list, or pattern/patternError for free text
+     */
+    SCHEMA: {
+        showBox: {
+            type: 'boolean',
+            default: true,
+            label: 'Show probability box',
+            description: 'Show the probability box on case pages'
+        },
+        trackOpenings: {
+            type: 'boolean',
+            default: true,
+            label: 'Record openings',
+            description: 'Record real case openings on supported sites'
+        },
+        profitabilityRed: {
+            type: 'number',
+            default: 86,
+            min: 0,
+            max: 1000,
+            label: 'Red below (%)',
+            description: 'Profitability is shown in red below this value'
+        },
+        profitabilityGreen: {
+            type: 'number',
+            default: 90,
+            min: 0,
+            max: 1000,
+            label: 'Green above (%)',
+            description: 'Profitability is shown in green above this value, white in between'
+        },
+        priceProvider: {
+            type: 'string',
+            default: 'csgotrader',
+            // Registered PriceProviders, read on use because providers.js loads after this file
+            get options() {
+                return PriceProviders.getAll().map(provider => ({ value: provider.id, label: provider.name }));
+            },
+            label: 'Real price source',
+            description: 'Price feed used for the Real Price column and real stats'
+        },
+        comparePriceProvider: {
+            type: 'string',
+            default: '',
+            get options() {
+                return [{ value: '', label: 'None' }, ...SettingsService.SCHEMA.priceProvider.options];
+            },
+            label: 'Compare with',
+            description: 'Second price feed shown next to the real price in the items table'
+        },
+        priceCacheHours: {
+            type: 'number',
+            default: 6,
+            min: 0.25,
+            max: 168,
+            label: 'Price cache (hours)',
+            description: 'How long downloaded real prices are reused before refreshing (Steam medians refresh daily)'
+        },
+        displayCurrency: {
+            type: 'string',
+            default: '',
+            options: [
+                { value: '', label: 'Site currency' },
+                { value: 'USD', label: 'USD' },
+                { value: 'EUR', label: 'EUR' },
+                { value: 'GBP', label: 'GBP' },
+                { value: 'PLN', label: 'PLN' },
+                { value: 'BRL', label: 'BRL' },
+                { value: 'CZK', label: 'CZK' },
+                { value: 'SEK', label: 'SEK' },
+                { value: 'NOK', label: 'NOK' },
+                { value: 'DKK', label: 'DKK' },
+                { value: 'CHF', label: 'CHF' },
+                { value: 'TRY', label: 'TRY' },
+                { value: 'UAH', label: 'UAH' },
+                { value: 'RUB', label: 'RUB' },
+                { value: 'CNY', label: 'CNY' },
+                { value: 'JPY', label: 'JPY' },
+                { value: 'INR', label: 'INR' },
+                { value: 'CAD', label: 'CAD' },
+                { value: 'AUD', label: 'AUD' }
+            ],
+            label: 'Display currency',
+            description: 'Show all amounts in this currency on every site (hover an amount to see it in the site currency)'
+        },
+        showSiteCoins: {
+            type: 'boolean',
+            default: false,
+            label: 'Show site coins',
+            description: 'On sites that price in their own coins (CSGOEmpire), show amounts in coins instead of fiat'
+        },
+        exchangeRateSource: {
+            type: 'string',
+            default: 'frankfurter',
+            // Values are RateStore.SOURCES ids
+            options: [
+                { value: 'frankfurter', label: 'Frankfurter (ECB)' },
+                { value: 'erapi', label: 'ExchangeRate-API' }
+            ],
+            label: 'Exchange rate source',
+            description: 'Where exchange rates from USD are downloaded (refreshed twice a day)'
+        },
+        exchangeRateOverrides: {
+            type: 'string',
+            default: '',
+            pattern: /^\s*(?:[A-Za-z]{3}\s*=\s*\d*\.?\d+\s*(?:,\s*[A-Za-z]{3}\s*=\s*\d*\.?\d+\s*)*)?$/,
+            patternError: 'Use CODE=rate pairs separated by commas, e.g. EUR=0.92, GBP=0.79',
+            label: 'Rate overrides',
+            description: 'Units per 1 USD used instead of downloaded rates, e.g. EUR=0.92, GBP=0.79'
+        },
+        liquidationProfile: {
+            type: 'string',
+            default: 'steam',
+            // Values are LiquidationService.PROFILES ids
+            options: [
+                { value: 'steam', label: 'Steam Market' },
+                { value: 'market', label: 'Third-party market' },
+                { value: 'sellback', label: 'Site sell-back' }
+            ],
+            label: 'Selling method',
+            description: 'How dropped items are turned into cash for net EV and net profit'
+        },
+        marketFeePercent: {
+            type: 'number',
+            default: 5,
+            min: 0,
+            max: 100,
+            label: 'Market fee (%)',
+            description: 'Seller fee of the third-party market, applied to the real price'
+        },
+        sellbackPercent: {
+            type: 'number',
+            default: 90,
+            min: 0,
+            max: 100,
+            label: 'Sell-back rate (%)',
+            description: 'Share of the site price paid when selling items back to the site'
+        },
+        promoDismissDays: {
+            type: 'number',
+            default: 14,
+            min: 0,
+            max: 365,
+            label: 'Hide promo banner (days)',
+            description: 'How long the affiliate banner stays hidden after closing it'
+        },
+        riskBankrollCases: {
+            type: 'number',
+            default: 10,
+            min: 1,
+            max: 100000,
+            label: 'Default bankroll (cases)',
+            description: 'Risk of ruin bankroll as a multiple of the case price'
+        },
+        riskOpenings: {
+            type: 'number',
+            default: 100,
+            min: 1,
+            max: 100000,
+            integer: true,
+            label: 'Default openings',
+            description: 'Number of openings used for risk of ruin'
+        }
+    },
+
+    // Current values (null until load() resolves)
+    values: null,
+    listeners: [],
+    loadPromise: null,
+
+    /**
+     * Get default values for all settings
+     * @returns {Object}
+     */
+    getDefaults() {
+        const defaults = {};
+        for (const [key, definition] of Object.entries(this.SCHEMA)) {
+            defaults[key] = definition.default;
+        }
+        return defaults;
+    },
+
+    /**
+     * Load settings from storage and start listening for changes
+     * @returns {Promise<Object>} - Current values
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = new Promise((resolve) => {
+                chrome.storage.sync.get([this.STORAGE_KEY], (result) => {
+                    if (chrome.runtime.lastError) {
+                        console.error('[CSP Settings] Error loading:', chrome.runtime.lastError);
+                    }
+                    this.values = this.sanitize(result?.[this.STORAGE_KEY]);
+                    resolve(this.values);
+                });
+            });
+
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'sync' && changes[this.STORAGE_KEY]) {
+                    this.applyStoredValues(changes[this.STORAGE_KEY].newValue);
+                }
+            });
+        }
+        return this.loadPromise;
+    },
+
+    /**
+     * Get a setting value (defaults are used until settings are loaded)
+     * @param {string} key - Setting key
+     * @returns {*}
+     */
+    get(key) {
+        if (this.values && key in this.values) return this.values[key];
+        return this.SCHEMA[key]?.default;
+    },
+
+    /**
+     * Get all setting values
+     * @returns {Object}
+     */
+    getAll() {
+        return { ...this.getDefaults(), ...this.values };
+    },
+
+    /**
+     * Validate and save settings
+     * @param {Object} changes - Setting values to update
+     * @returns {Promise<{success: boolean, errors: Object<string, string>}>}
+     */
+    async update(changes) {
+        const merged = { ...this.getAll() };
+        const errors = {};
+
+        for (const [key, value] of Object.entries(changes)) {
+            const result = this.validate(key, value);
+            if (result.error) {
+                errors[key] = result.error;
+            } else {
+                merged[key] = result.value;
+            }
+        }
+
+        Object.assign(errors, this.validateRelations(merged));
+        if (Object.keys(errors).length > 0) {
+            return { success: false, errors };
+        }
+
+        const success = await this.save(merged);
+        return { success, errors: success ? {} : { _storage: 'Could not save settings' } };
+    },
+
+    /**
+     * Restore all settings to their defaults
+     * @returns {Promise<boolean>}
+     */
+    async reset() {
+        return await this.save(this.getDefaults());
+    },
+
+    /**
+     * Write settings to storage and apply them locally
+     * @param {Object} values - Complete, validated values
+     * @returns {Promise<boolean>} - Success status
+     */
+    async save(values) {
+        return new Promise((resolve) => {
+            chrome.storage.sync.set({ [this.STORAGE_KEY]: values }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error('[CSP Settings] Error saving:', chrome.runtime.lastError);
+                    resolve(false);
+                    return;
+                }
+                // onChanged also fires here, applyStoredValues() ignores unchanged values
+                this.applyStoredValues(values);
+                resolve(true);
+            });
+        });
+    },
+
+    /**
+     * Validate a single setting value
+     * @param {string} key - Setting key
+     * @param {*} value - Raw value (numbers may be strings from inputs)
+     * @returns {{value: *, error: string|null}}
+     */
+    validate(key, value) {
+        const definition = this.SCHEMA[key];
+        if (!definition) {
+            return { value, error: 'Unknown setting' };
+        }
+
+        if (definition.type === 'boolean') {
+            return typeof value === 'boolean'
+                ? { value, error: null }
+                : { value, error: 'Must be true or false' };
+        }
+
+        if (definition.type === 'string' && definition.options) {
+            return definition.options.some(option => option.value === value)
+                ? { value, error: null }
+                : { value, error: 'Unknown option' };
+        }
+
+        if (definition.type === 'string') {
+            if (typeof value !== 'string') {
+                return { value, error: 'Must be text' };
+            }
+            return definition.pattern.test(value)
+                ? { value: value.trim(), error: null }
+                : { value, error: definition.patternError };
+        }
+
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return { value, error: 'Must be a number' };
+        }
+        if (definition.integer && !Number.isInteger(number)) {
+            return { value, error: 'Must be a whole number' };
+        }
+        if (definition.min !== undefined && number < definition.min) {
+            return { value, error: `Must be at least ${definition.min}` };
+        }
+        if (definition.max !== undefined && number > definition.max) {
+            return { value, error: `Must be at most ${definition.max}` };
+        }
+
+        return { value: number, error: null };
+    },
+
+    /**
+     * Validate rules between settings
+     * @param {Object} values - Complete values
+     * @returns {Object<string, string>} - Errors per setting key
+     */
+    validateRelations(values) {
+        const errors = {};
+        if (values.profitabilityGreen < values.profitabilityRed) {
+            errors.profitabilityGreen = 'Must not be lower than the red threshold';
+        }
+        return errors;
+    },
+
+    /**
+     * Replace invalid or missing stored values with defaults
+     * @param {Object|undefined} stored - Values read from storage
+     * @returns {Object} - Complete, valid values
+     */
+    sanitize(stored) {
+        const values = this.getDefaults();
+        if (!stored || typeof stored !== 'object') return values;
+
+        for (const key of Object.keys(this.SCHEMA)) {
+            if (!(key in stored)) continue;
+            const result = this.validate(key, stored[key]);
+            if (!result.error) values[key] = result.value;
+        }
+
+        if (Object.keys(this.validateRelations(values)).length > 0) {
+            values.profitabilityRed = this.SCHEMA.profitabilityRed.default;
+            values.profitabilityGreen = this.SCHEMA.profitabilityGreen.default;
+        }
+        return values;
+    },
+
+    /**
+     * Apply values from storage and notify listeners about changed keys
+     * @param {Object|undefined} stored - New stored values
+     */
+    applyStoredValues(stored) {
+        const previous = this.getAll();
+        this.values = this.sanitize(stored);
+
+        const changedKeys = Object.keys(this.values).filter(key => this.values[key] !== previous[key]);
+        if (changedKeys.length === 0) return;
+
+        for (const listener of this.listeners) {
+            try {
+                listener(changedKeys, this.values);
+            } catch (error) {
+                console.error('[CSP Settings] Listener error:', error);
+            }
+        }
+    },
+
+    /**
+     * Subscribe to setting changes
+     * @param {Function} listener - Called with (changedKeys, values)
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+};
+
+// Make available globally for content scripts, extension pages and the background worker
+globalThis.SettingsService = SettingsService;
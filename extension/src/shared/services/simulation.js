@@ -0,0 +1,85 @@
+/**
+ * Simulation Service - Monte Carlo bulk case opening
+ * Runs many weighted draws to show the variance behind the expected value
+ */
+
+const SimulationService = {
+    // Hard cap for custom simulation sizes (keeps the page responsive)
+    MAX_OPENINGS: 100000,
+
+    // Histogram buckets by return multiplier (item value / case price)
+    HISTOGRAM_BUCKETS: [
+        { max: 0.25, label: '<0.25x' },
+        { max: 0.5, label: '0.25-0.5x' },
+        { max: 0.75, label: '0.5-0.75x' },
+        { max: 1, label: '0.75-1x' },
+        { max: 1.5, label: '1-1.5x' },
+        { max: 2, label: '1.5-2x' },
+        { max: 5, label: '2-5x' },
+        { max: 10, label: '5-10x' },
+        { max: Infinity, label: '10x+' }
+    ],
+
+    /**
+     * Simulate a number of case openings
+     * @param {Array<{price: number, odds: number}>} items - Case items with odds
+     * @param {number} casePrice - Case price in USD
+     * @param {number} count - Number of openings to simulate
+     * @returns {Object|null} - Simulation result or null if no items
+     */
+    run(items, casePrice, count) {
+        if (!items || items.length === 0 || !count) return null;
+
+        const openings = Math.min(Math.max(Math.floor(count), 1), this.MAX_OPENINGS);
+        const histogram = this.HISTOGRAM_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+
+        let balance = 0;
+        let peak = 0;
+        let worstDrawdown = 0;
+        let totalValue = 0;
+        let bestHit = null;
+
+        for (let i = 0; i < openings; i++) {
+            const item = Helpers.weightedRandom(items);
+            if (!item) continue;
+
+            totalValue += item.price;
+            balance += item.price - casePrice;
+
+            // Drawdown is measured from the highest balance reached so far
+            peak = Math.max(peak, balance);
+            worstDrawdown = Math.max(worstDrawdown, peak - balance);
+
+            if (!bestHit || item.price > bestHit.price) {
+                bestHit = item;
+            }
+
+            histogram[this.getBucketIndex(item.price, casePrice)].count++;
+        }
+
+        return {
+            openings,
+            totalSpent: openings * casePrice,
+            totalValue,
+            finalBalance: balance,
+            worstDrawdown,
+            bestHit,
+            histogram
+        };
+    },
+
+    /**
+     * Find the histogram bucket for an outcome
+     * @param {number} itemPrice - Item value
+     * @param {number} casePrice - Case price
+     * @returns {number} - Bucket index
+     */
+    getBucketIndex(itemPrice, casePrice) {
+        const multiplier = casePrice > 0 ? itemPrice / casePrice : 0;
+        const index = this.HISTOGRAM_BUCKETS.findIndex(bucket => multiplier < bucket.max);
+        return index === -1 ? this.HISTOGRAM_BUCKETS.length - 1 : index;
+    }
+};
+
+// Make available globally for content scripts
+window.SimulationService = SimulationService;
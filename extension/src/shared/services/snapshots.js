@@ -0,0 +1,157 @@
+/**
+ * Snapshot Service - Profitability time series per case
+ * Every case visit stores a snapshot of its stats so changes to odds,
+ * item prices or the case price show up in the trend chart
+ *
+ * Stored format:
+ * { [siteId:caseId]: [snapshot, ...] } oldest first
+ *
+ * Snapshot format:
+ * { timestamp, casePrice, expectedValue, profitability, realExpectedValue,
+ *   realProfitability, profitChance, itemCount, signature }
+ * (prices in USD, profitability in percent, real values null without real prices,
+ *  signature is a hash of the site's items, odds and prices in the site's currency)
+ */
+
+const SnapshotService = {
+    SNAPSHOTS_KEY: 'csp_snapshots',
+    MAX_PER_CASE: 200,
+    MAX_CASES: 300,
+    MAX_AGE: 180 * 24 * 60 * 60 * 1000, // 180 days
+    MIN_INTERVAL: 60 * 60 * 1000, // Unchanged snapshots are stored at most once per hour
+
+    /**
+     * Get the series key of a case
+     * @param {string} siteId - Site identifier
+     * @param {string} caseId - Case identifier
+     * @returns {string}
+     */
+    getKey(siteId, caseId) {
+        return `${siteId}:${caseId}`;
+    },
+
+    /**
+     * Get the snapshots of a case
+     * @param {string} siteId - Site identifier
+     * @param {string} caseId - Case identifier
+     * @returns {Promise<Array>} - Snapshots, oldest first
+     */
+    async get(siteId, caseId) {
+        const all = await CacheService.get(this.SNAPSHOTS_KEY, {});
+        return all[this.getKey(siteId, caseId)] || [];
+    },
+
+    /**
+     * Build a snapshot from a case and its calculated stats
+     * @param {Object} caseData - Unified CaseData
+     * @param {Object} stats - ProbabilityBox.calculateStats() output
+     * @returns {Object} - Snapshot
+     */
+    create(caseData, stats) {
+        return {
+            timestamp: Date.now(),
+            casePrice: caseData.casePrice || 0,
+            expectedValue: stats.expectedValue,
+            profitability: caseData.casePrice > 0 ? stats.profitability : null,
+            realExpectedValue: stats.hasRealPrices ? stats.real.expectedValue : null,
+            realProfitability: stats.hasRealPrices && caseData.casePrice > 0 ? stats.real.profitability : null,
+            profitChance: stats.profitChance,
+            itemCount: caseData.items.length,
+            signature: this.getSignature(caseData)
+        };
+    },
+
+    /**
+     * Hash the site's items, odds and prices (changes when the site edits the case)
+     * Prices are hashed as the site shows them (USD × siteRate), so exchange rate moves don't change it
+     * @param {Object} caseData - Unified CaseData
+     * @returns {string}
+     */
+    getSignature(caseData) {
+        const siteRate = caseData.siteRate || 1;
+        const toSite = value => Math.round(value * siteRate * 100) / 100;
+        const text = caseData.items
+            .map(item => `${item.marketHashName || `${item.weaponName}|${item.skinName}|${item.wearFull}|${item.isStattrak}|${item.phase}`}:${item.odds}:${toSite(item.price)}`)
+            .sort()
+            .join(';') + `#${toSite(caseData.casePrice || 0)}`;
+
+        // djb2
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    },
+
+    /**
+     * Store a snapshot and apply the retention limits
+     * @param {string} siteId - Site identifier
+     * @param {string} caseId - Case identifier
+     * @param {Object} snapshot - Snapshot from create()
+     * @returns {Promise<Array>} - Updated snapshots of the case
+     */
+    async add(siteId, caseId, snapshot) {
+        const all = await CacheService.get(this.SNAPSHOTS_KEY, {});
+        const key = this.getKey(siteId, caseId);
+        const series = all[key] || [];
+
+        const last = series[series.length - 1];
+        if (last && snapshot.timestamp - last.timestamp < this.MIN_INTERVAL && this.isSame(last, snapshot)) {
+            return series;
+        }
+
+        series.push(snapshot);
+        all[key] = series;
+
+        const pruned = this.prune(all, snapshot.timestamp);
+        await CacheService.set(this.SNAPSHOTS_KEY, pruned);
+        return pruned[key] || [];
+    },
+
+    /**
+     * Check if two snapshots hold the same values
+     * @param {Object} a - Snapshot
+     * @param {Object} b - Snapshot
+     * @returns {boolean}
+     */
+    isSame(a, b) {
+        return a.signature === b.signature
+            && a.expectedValue === b.expectedValue
+            && a.realExpectedValue === b.realExpectedValue;
+    },
+
+    /**
+     * Apply retention limits: max age, snapshots per case and number of cases
+     * @param {Object} all - All series
+     * @param {number} now - Current time in ms
+     * @returns {Object} - Pruned series
+     */
+    prune(all, now = Date.now()) {
+        const entries = [];
+        for (const [key, series] of Object.entries(all)) {
+            const kept = series
+                .filter(snapshot => now - snapshot.timestamp <= this.MAX_AGE)
+                .slice(-this.MAX_PER_CASE);
+            if (kept.length > 0) entries.push([key, kept]);
+        }
+
+        // Keep the most recently visited cases
+        entries.sort((a, b) => b[1][b[1].length - 1].timestamp - a[1][a[1].length - 1].timestamp);
+        return Object.fromEntries(entries.slice(0, this.MAX_CASES));
+    },
+
+    /**
+     * Remove the snapshots of a case
+     * @param {string} siteId - Site identifier
+     * @param {string} caseId - Case identifier
+     * @returns {Promise<boolean>}
+     */
+    async clear(siteId, caseId) {
+        const all = await CacheService.get(this.SNAPSHOTS_KEY, {});
+        delete all[this.getKey(siteId, caseId)];
+        return await CacheService.set(this.SNAPSHOTS_KEY, all);
+    }
+};
+
+// Make available globally for content scripts
+window.SnapshotService = SnapshotService;
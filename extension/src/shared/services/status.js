@@ -0,0 +1,62 @@
+/**
+ * Site Status Service - Last known state of each site for the popup
+ *
+ * Status format (per site id):
+ * { adapterLoaded, adapterLoadedAt, lastFetchOk, lastFetchAt, lastError }
+ */
+
+const SiteStatusService = {
+    STATUS_KEY: 'csp_site_status',
+
+    queue: Promise.resolve(),
+
+    /**
+     * Get status of all sites
+     * @returns {Promise<Object<string, Object>>} - Status per site id
+     */
+    async getAll() {
+        return await CacheService.get(this.STATUS_KEY, {});
+    },
+
+    /**
+     * Merge new fields into a site's status
+     * Updates run one after another so concurrent reports don't overwrite each other
+     * @param {string} siteId - Site identifier
+     * @param {Object} fields - Status fields to update
+     * @returns {Promise<boolean>} - Success status
+     */
+    update(siteId, fields) {
+        const run = this.queue.then(async () => {
+            const statuses = await this.getAll();
+            statuses[siteId] = { ...statuses[siteId], ...fields };
+            return await CacheService.set(this.STATUS_KEY, statuses);
+        });
+
+        // Keep the queue going when an update fails
+        this.queue = run.catch(() => {});
+        return run;
+    },
+
+    /**
+     * Record that the site adapter was loaded on a page
+     * @param {string} siteId - Site identifier
+     * @returns {Promise<boolean>}
+     */
+    async reportAdapterLoaded(siteId) {
+        return await this.update(siteId, { adapterLoaded: true, adapterLoadedAt: Date.now() });
+    },
+
+    /**
+     * Record the outcome of a case data fetch
+     * @param {string} siteId - Site identifier
+     * @param {boolean} ok - Whether the fetch succeeded
+     * @param {string|null} error - Error message on failure
+     * @returns {Promise<boolean>}
+     */
+    async reportFetch(siteId, ok, error = null) {
+        return await this.update(siteId, { lastFetchOk: ok, lastFetchAt: Date.now(), lastError: ok ? null : error });
+    }
+};
+
+// Make available globally for content scripts and the popup
+window.SiteStatusService = SiteStatusService;
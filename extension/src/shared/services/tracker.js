@@ -0,0 +1,144 @@
+/**
+ * Opening Tracker - Records real case openings made on the site
+ * Injects a page-context network hook and matches open-case responses
+ * against the items of the case currently shown in the ProbabilityBox
+ * The hook runs in the page's world, so its messages carry a nonce only the
+ * content script and the injected script know, other page scripts can't fake openings
+ *
+ * Adapters opt in by implementing the "openings" capability (see BaseSiteAdapter):
+ * - getOpeningUrlPatterns() -> [{ method, url }] (url is a regex source)
+ * - parseOpeningResponse(data, url) -> [{ id, marketHashName }] won items
+ */
+
+const OpeningTracker = {
+    MESSAGE_SOURCE: 'csp-network-hook',
+    HOOK_SCRIPT: 'src/shared/inject/network-hook.js',
+
+    adapter: null,
+    box: null,
+    nonce: null,
+
+    /**
+     * Start tracking openings for the given adapter
+     * @param {Object} adapter - Site adapter instance
+     * @param {ProbabilityBox} box - Probability box holding the current case
+     */
+    init(adapter, box) {
+        if (!BaseSiteAdapter.supports(adapter, 'openings')) {
+            return;
+        }
+
+        const patterns = adapter.getOpeningUrlPatterns();
+        if (!patterns || patterns.length === 0) return;
+
+        this.adapter = adapter;
+        this.box = box;
+
+        window.addEventListener('message', (event) => this.handleMessage(event));
+        this.injectHook(patterns);
+    },
+
+    /**
+     * Inject the network hook into the page context
+     * @param {Array<{method: string, url: string}>} patterns - Requests to forward
+     */
+    injectHook(patterns) {
+        this.nonce = crypto.randomUUID();
+
+        const script = document.createElement('script');
+        script.src = chrome.runtime.getURL(this.HOOK_SCRIPT);
+        script.dataset.patterns = JSON.stringify(patterns);
+        script.dataset.nonce = this.nonce;
+        script.onload = () => script.remove();
+        (document.head || document.documentElement).appendChild(script);
+    },
+
+    /**
+     * Handle a forwarded open-case response
+     * @param {MessageEvent} event - Message from the page hook
+     */
+    async handleMessage(event) {
+        if (event.source !== window || event.data?.source !== this.MESSAGE_SOURCE) return;
+        if (!this.nonce || event.data.nonce !== this.nonce) return;
+        if (!SettingsService.get('trackOpenings')) return;
+
+        const box = this.box;
+        if (!box.caseData || !box.items.length) return;
+
+        let wonItems;
+        try {
+            wonItems = this.adapter.parseOpeningResponse(event.data.data, event.data.url) || [];
+        } catch (error) {
+            console.error('[CSP Tracker] Error parsing opening response:', error);
+            return;
+        }
+        if (wonItems.length === 0) return;
+
+        const casePrice = box.caseData.casePrice || 0;
+        const stats = box.calculateStats(casePrice);
+
+        const records = wonItems
+            .map(won => this.createRecord(won, casePrice, stats))
+            .filter(Boolean);
+
+        if (records.length === 0) return;
+
+        await OpeningHistoryService.add(records);
+        box.renderHistory();
+    },
+
+    /**
+     * Find the case item matching a won item
+     * @param {{id: *, marketHashName: string}} won - Won item from the site response
+     * @returns {Object|null} - Processed case item
+     */
+    findItem(won) {
+        const items = this.box.items;
+
+        if (won.id !== undefined && won.id !== null) {
+            const byId = items.find(item => String(item.id) === String(won.id));
+            if (byId) return byId;
+        }
+
+        if (won.marketHashName) {
+            // Responses spell names like the site, case items use the normalized name
+            const wanted = MarketHashName.parse(won.marketHashName);
+            return items.find(item => item.marketHashName === wanted.marketHashName)
+                || (wanted.phase ? null : items.find(item => MarketHashName.stripPhase(item.marketHashName) === wanted.marketHashName))
+                || null;
+        }
+
+        return null;
+    },
+
+    /**
+     * Build a history record for a won item
+     * @param {Object} won - Won item from the site response
+     * @param {number} casePrice - Case price (USD)
+     * @param {Object} stats - Current calculateStats() output
+     * @returns {Object|null} - History record or null if the item is not in the case
+     */
+    createRecord(won, casePrice, stats) {
+        const item = this.findItem(won);
+        if (!item) {
+            console.debug('[CSP Tracker] Opened item not found in case:', won);
+            return null;
+        }
+
+        return {
+            siteId: this.adapter.constructor.getSiteId(),
+            caseId: this.box.caseData.caseId,
+            caseName: this.box.caseData.caseName,
+            pricePaid: casePrice,
+            itemName: this.box.getItemDisplayName(item),
+            siteValue: item.price,
+            realValue: item.realPrice,
+            expectedValue: stats.expectedValue,
+            realExpectedValue: stats.hasRealPrices ? stats.real.expectedValue : null,
+            timestamp: Date.now()
+        };
+    }
+};
+
+// Make available globally for content scripts
+window.OpeningTracker = OpeningTracker;
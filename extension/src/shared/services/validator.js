@@ -0,0 +1,107 @@
+/**
+ * Case Validator - Sanity checks for parsed CaseData
+ * Parsers convert odds and prices from many site formats, this catches
+ * output that would produce misleading stats (odds not summing to 100%,
+ * zero or negative prices, duplicate ids, NaN values)
+ *
+ * Issue format:
+ * { level: 'error' | 'warning', message }
+ * Errors make the stats unreliable, warnings are worth a look
+ */
+
+const CaseValidator = {
+    ODDS_SUM_TOLERANCE: 1, // Percentage points around 100%
+    MAX_LISTED_ITEMS: 3, // Item names listed per issue
+
+    /**
+     * Validate parsed case data
+     * @param {Object} caseData - Unified CaseData
+     * @returns {{valid: boolean, issues: Array<{level: string, message: string}>}}
+     *          valid is false when at least one error was found
+     */
+    validate(caseData) {
+        const issues = [];
+        const error = (message) => issues.push({ level: 'error', message });
+        const warning = (message) => issues.push({ level: 'warning', message });
+
+        const items = Array.isArray(caseData?.items) ? caseData.items : [];
+        if (items.length === 0) {
+            error('Case has no items');
+            return { valid: false, issues };
+        }
+
+        if (!Number.isFinite(caseData.casePrice)) {
+            error(`Case price is not a number (${caseData.casePrice})`);
+        } else if (caseData.casePrice <= 0) {
+            warning('Case price is zero or negative, profitability cannot be calculated');
+        }
+
+        const badPrice = items.filter(item => !Number.isFinite(item.price));
+        if (badPrice.length) {
+            error(`${this.countItems(badPrice)} without a numeric price: ${this.listItems(badPrice)}`);
+        }
+
+        const negativePrice = items.filter(item => item.price < 0);
+        if (negativePrice.length) {
+            error(`${this.countItems(negativePrice)} with a negative price: ${this.listItems(negativePrice)}`);
+        }
+
+        const zeroPrice = items.filter(item => item.price === 0 && !item.isBoost);
+        if (zeroPrice.length) {
+            warning(`${this.countItems(zeroPrice)} with a zero price: ${this.listItems(zeroPrice)}`);
+        }
+
+        if (caseData.hasValidOdds !== false) {
+            const badOdds = items.filter(item => !Number.isFinite(item.odds));
+            if (badOdds.length) {
+                error(`${this.countItems(badOdds)} without numeric odds: ${this.listItems(badOdds)}`);
+            }
+
+            const negativeOdds = items.filter(item => item.odds < 0);
+            if (negativeOdds.length) {
+                error(`${this.countItems(negativeOdds)} with negative odds: ${this.listItems(negativeOdds)}`);
+            }
+
+            const oddsSum = items.reduce((sum, item) => sum + (Number.isFinite(item.odds) ? item.odds : 0), 0);
+            if (Math.abs(oddsSum - 100) > this.ODDS_SUM_TOLERANCE) {
+                error(`Odds add up to ${oddsSum.toFixed(3)}% instead of 100%`);
+            }
+        }
+
+        const seen = new Set();
+        const duplicates = new Set();
+        for (const item of items) {
+            if (item.id === undefined || item.id === null) continue;
+            if (seen.has(item.id)) duplicates.add(item.id);
+            seen.add(item.id);
+        }
+        if (duplicates.size) {
+            warning(`Duplicate item ids: ${[...duplicates].slice(0, this.MAX_LISTED_ITEMS).join(', ')}${duplicates.size > this.MAX_LISTED_ITEMS ? ', ...' : ''}`);
+        }
+
+        return { valid: !issues.some(issue => issue.level === 'error'), issues };
+    },
+
+    /**
+     * Format an item count
+     * @param {Array} items - Items
+     * @returns {string} - e.g. "1 item", "3 items"
+     */
+    countItems(items) {
+        return `${items.length} item${items.length === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * List the first item names of an issue
+     * @param {Array} items - Items
+     * @returns {string}
+     */
+    listItems(items) {
+        const names = items.slice(0, this.MAX_LISTED_ITEMS)
+            .map(item => item.skinName ? `${item.weaponName} | ${item.skinName}` : (item.weaponName || String(item.id)));
+        return names.join(', ') + (items.length > this.MAX_LISTED_ITEMS ? ', ...' : '');
+    }
+};
+
+// Make available globally for content scripts
+window.CaseValidator = CaseValidator;
@@ -0,0 +1,215 @@
+/**
+ * CaseRanking - Ranks all cases listed on the current page
+ * Shows a "Rank cases" button when the page links to several cases, fetches
+ * them through the site adapter and ranks them with ProbabilityBox statistics
+ */
+
+class CaseRanking {
+    /**
+     * Create a new CaseRanking
+     * @param {Object} adapter - Site adapter instance
+     * @param {ProbabilityBox} box - Probability box used to price items and calculate stats
+     */
+    constructor(adapter, box) {
+        this.adapter = adapter;
+        this.box = box;
+        this.button = null;
+        this.overlay = null;
+        this.rows = [];
+        this.sort = { key: 'profitability', desc: true };
+        this.userCurrency = CurrencyService.defaultCurrency;
+        this.runId = 0; // Incremented to stop a running fetch
+    }
+
+    /**
+     * Initialize the ranking button if the adapter can fetch cases by id
+     */
+    init() {
+        if (!BaseSiteAdapter.supports(this.adapter, 'catalog')) {
+            return;
+        }
+
+        // Catalogs are rendered late and change on SPA navigation
+        const update = Helpers.debounce(() => this.updateButton(), 1000);
+        const observer = new MutationObserver(update);
+        observer.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+        this.updateButton();
+    }
+
+    /**
+     * Show the button when the page links to at least two cases
+     */
+    updateButton() {
+        const count = this.adapter.getCatalogCases().length;
+
+        if (count < 2) {
+            if (this.button) this.button.remove();
+            this.button = null;
+            return;
+        }
+
+        if (!this.button) {
+            this.button = Templates.createElement('button', {
+                id: 'csp-rank-button',
+                type: 'button',
+                onClick: () => this.open()
+            });
+            document.body.appendChild(this.button);
+        }
+        this.button.textContent = `Rank cases (${Math.min(count, CaseRankingService.MAX_CASES)})`;
+    }
+
+    /**
+     * Open the ranking panel and start fetching cases
+     */
+    open() {
+        this.close();
+
+        this.overlay = Templates.createElement('div', { id: 'csp-ranking' },
+            Templates.rankingPanel(() => this.refresh(), () => this.close()));
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        document.body.appendChild(this.overlay);
+
+        this.load();
+    }
+
+    /**
+     * Close the panel and stop fetching
+     */
+    close() {
+        this.runId++;
+        if (this.overlay) this.overlay.remove();
+        this.overlay = null;
+    }
+
+    /**
+     * Drop cached cases and fetch them again
+     */
+    async refresh() {
+        this.runId++;
+        await CaseRankingService.clearCache(this.box.getSiteId());
+        this.load();
+    }
+
+    /**
+     * Fetch all catalog cases and render rows as they arrive
+     */
+    async load() {
+        const runId = ++this.runId;
+        const isCancelled = () => runId !== this.runId;
+        const cases = this.adapter.getCatalogCases();
+        const total = Math.min(cases.length, CaseRankingService.MAX_CASES);
+
+        this.rows = [];
+        this.renderTable();
+        this.setStatus('Loading prices...');
+
+        const [currency] = await Promise.all([
+            this.adapter.fetchUserCurrency().catch(() => null),
+            PricingService.fetchPrices()
+        ]);
+        const displayCurrency = await CurrencyService.getDisplayCurrency(currency || CurrencyService.defaultCurrency, this.box.getSiteId());
+        if (isCancelled()) return;
+        this.userCurrency = displayCurrency;
+
+        await CaseRankingService.fetchAll(this.adapter, this.box.getSiteId(), cases, async (result) => {
+            if (result.caseData?.items) {
+                await PricingService.loadItemPrices(result.caseData.items);
+            }
+            this.rows.push(this.buildRow(result));
+            this.renderTable();
+            this.setStatus(`Loaded ${this.rows.length} of ${total} cases...`);
+        }, isCancelled);
+        if (isCancelled()) return;
+
+        const failed = this.rows.filter(row => row.failed).length;
+        this.setStatus(`Ranked ${this.rows.length - failed} cases` + (failed ? ` (${failed} failed to load)` : ''));
+    }
+
+    /**
+     * Calculate ranking values for one case
+     * @param {{id: string, url: string, caseData: Object|null}} result - Fetched case
+     * @returns {Object} - Ranking row (stats are null when not available)
+     */
+    buildRow({ id, url, caseData }) {
+        if (!caseData || !caseData.items?.length) {
+            return { id, url, name: caseData?.caseName || id, failed: true };
+        }
+
+        const casePrice = caseData.casePrice || 0;
+        const validation = CaseValidator.validate(caseData);
+        const stats = this.box.calculateStats(casePrice, this.box.getProcessedItems(caseData.items));
+        const ranked = caseData.hasValidOdds !== false && casePrice > 0;
+
+        return {
+            id,
+            url,
+            name: caseData.caseName,
+            failed: false,
+            issues: validation.valid ? [] : validation.issues.filter(issue => issue.level === 'error').map(issue => issue.message),
+            casePrice,
+            expectedValue: caseData.hasValidOdds !== false ? stats.expectedValue : null,
+            profitability: ranked ? stats.profitability : null,
+            realProfitability: ranked && stats.hasRealPrices ? stats.real.profitability : null,
+            profitChance: caseData.hasValidOdds !== false ? stats.profitChance : null
+        };
+    }
+
+    /**
+     * Sort by a column, or flip the direction if it is already sorted by it
+     * @param {string} key - Row key
+     */
+    sortBy(key) {
+        this.sort = this.sort.key === key
+            ? { key, desc: !this.sort.desc }
+            : { key, desc: key !== 'name' };
+        this.renderTable();
+    }
+
+    /**
+     * Get rows in the current sort order (missing values always last)
+     * @returns {Array<Object>}
+     */
+    getSortedRows() {
+        const { key, desc } = this.sort;
+        const direction = desc ? -1 : 1;
+
+        return [...this.rows].sort((a, b) => {
+            const aValue = a.failed ? null : a[key];
+            const bValue = b.failed ? null : b[key];
+            if (aValue === null || aValue === undefined) return (bValue === null || bValue === undefined) ? 0 : 1;
+            if (bValue === null || bValue === undefined) return -1;
+            if (typeof aValue === 'string') return aValue.localeCompare(bValue) * direction;
+            return (aValue - bValue) * direction;
+        });
+    }
+
+    /**
+     * Render the ranking table
+     */
+    renderTable() {
+        const container = document.getElementById('csp-ranking-table');
+        if (!container) return;
+
+        container.replaceChildren(
+            Templates.rankingTable(this.getSortedRows(), this.sort, this.userCurrency, (key) => this.sortBy(key))
+        );
+    }
+
+    /**
+     * Update the status line
+     * @param {string} message - Status text
+     */
+    setStatus(message) {
+        const status = document.getElementById('csp-ranking-status');
+        if (status) status.textContent = message;
+    }
+}
+
+// Make available globally for content scripts
+window.CaseRanking = CaseRanking;
@@ -15,16 +15,51 @@ class ProbabilityBox {
         this.userCurrency = CurrencyService.defaultCurrency;
         this.isExpanded = false;
         this.items = []; // Processed items with real prices
+        this.validation = { valid: true, issues: [] }; // CaseValidator result of the loaded case
+        this.riskBankroll = null; // Bankroll in USD (null = derived from case price)
+        this.riskOpenings = null; // Number of openings (null = riskOpenings setting)
     }
 
     /**
      * Initialize the probability box
      */
     async init() {
+        SettingsService.onChange((changedKeys) => this.handleSettingsChange(changedKeys));
+        PriceSheetService.onChange(() => this.refreshRealPrices());
         this.observePageChanges();
         await this.tryInsertBox();
     }
 
+    /**
+     * React to settings changed in the options page or popup
+     * @param {Array<string>} changedKeys - Changed setting keys
+     */
+    handleSettingsChange(changedKeys) {
+        if (changedKeys.includes('showBox')) {
+            this.removeBox();
+            this.tryInsertBox();
+            return;
+        }
+
+        if (changedKeys.includes('priceProvider') || changedKeys.includes('comparePriceProvider')) {
+            this.refreshRealPrices();
+            return;
+        }
+
+        // Site prices and the display currency are converted with the rates when the case is loaded
+        if (['exchangeRateSource', 'exchangeRateOverrides', 'displayCurrency', 'showSiteCoins'].some(key => changedKeys.includes(key))) {
+            CurrencyService.resetExchangeRates();
+            if (this.box) this.loadData();
+            return;
+        }
+
+        if (this.box && this.caseData && this.items.length) {
+            // Net values depend on the liquidation settings
+            this.processItems();
+            this.render();
+        }
+    }
+
     /**
      * Observe page changes for SPA navigation
      */
@@ -57,7 +92,7 @@ class ProbabilityBox {
      * Try to insert the box on the page
      */
     async tryInsertBox() {
-        if (!this.adapter.isCasePage()) return;
+        if (!SettingsService.get('showBox') || !this.adapter.isCasePage()) return;
 
         const checkInterval = setInterval(async () => {
             const insertionPoint = await this.adapter.getInsertionPoint();
@@ -89,6 +124,28 @@ class ProbabilityBox {
         document.getElementById('csp-toggle').addEventListener('click', () => this.toggleItems());
         document.getElementById('csp-test-btn').addEventListener('click', () => this.simulateOpening());
         document.getElementById('csp-test-result-close').addEventListener('click', () => this.hideTestResult());
+        document.getElementById('csp-sim-result-close').addEventListener('click', () => this.hideSimulation());
+        document.getElementById('csp-sim-run-custom').addEventListener('click', () => {
+            const count = parseInt(document.getElementById('csp-sim-custom').value, 10);
+            if (count > 0) this.simulateBulk(count);
+        });
+        for (const btn of document.querySelectorAll('#csp-sim-controls [data-count]')) {
+            btn.addEventListener('click', () => this.simulateBulk(parseInt(btn.dataset.count, 10)));
+        }
+        document.getElementById('csp-risk-bankroll').addEventListener('change', (e) => this.updateRiskInputs(e.target));
+        document.getElementById('csp-risk-openings').addEventListener('change', (e) => this.updateRiskInputs(e.target));
+        document.getElementById('csp-validation-badge').addEventListener('click', () => {
+            document.getElementById('csp-validation').classList.toggle('visible');
+        });
+        document.getElementById('csp-match-badge').addEventListener('click', () => {
+            document.getElementById('csp-match').classList.toggle('visible');
+        });
+        document.getElementById('csp-rate-badge').addEventListener('click', () => {
+            document.getElementById('csp-rates').classList.toggle('visible');
+        });
+        for (const btn of this.box.querySelectorAll('[data-export]')) {
+            btn.addEventListener('click', () => this.exportCase(btn.dataset.export, btn));
+        }
     }
 
     /**
@@ -121,49 +178,196 @@ class ProbabilityBox {
 
         try {
             // Fetch all data in parallel
-            const [caseData, prices, currency] = await Promise.all([
+            const [caseData, , currency] = await Promise.all([
                 this.adapter.fetchCaseData(),
                 PricingService.fetchPrices(),
                 this.adapter.fetchUserCurrency()
             ]);
 
             if (!caseData) {
-                container.replaceChildren(Templates.error('Error loading case data'));
+                // Adapters return no data when the site's prices can't be converted to USD
+                const missingRates = CurrencyService.getMissingRates();
+                const message = missingRates.length
+                    ? `No exchange rate for ${missingRates.join(', ')} is available, so the site's prices can't be converted. Set an override in the settings.`
+                    : `${SiteRegistry.getSiteName(this.getSiteId())} returned no data for this case. Try refreshing.`;
+                SiteStatusService.reportFetch(this.getSiteId(), false, missingRates.length ? 'Exchange rate unavailable' : 'No case data returned');
+                container.replaceChildren(Templates.error(message));
                 return;
             }
 
             this.caseData = caseData;
-            this.userCurrency = currency || CurrencyService.defaultCurrency;
+            this.validation = CaseValidator.validate(caseData);
+            this.userCurrency = await CurrencyService.getDisplayCurrency(currency || CurrencyService.defaultCurrency, this.getSiteId());
 
             // Process items with real prices
+            await PricingService.loadItemPrices(caseData.items);
             this.processItems();
 
             // Render the data
             this.render();
+
+            SiteStatusService.reportFetch(this.getSiteId(), true);
+            this.recordRecentCase();
+            this.recordSnapshot();
+            this.detectChanges();
         } catch (error) {
             console.error('[CSP] Error loading data:', error);
-            container.replaceChildren(Templates.error('Error loading data. Try refreshing.'));
+            SiteStatusService.reportFetch(this.getSiteId(), false, error.message);
+            container.replaceChildren(Templates.error(HttpClient.describeError(error, SiteRegistry.getSiteName(this.getSiteId()))));
+        }
+    }
+
+    /**
+     * Get the current site's identifier
+     * @returns {string}
+     */
+    getSiteId() {
+        return this.adapter.constructor.getSiteId();
+    }
+
+    /**
+     * Save the loaded case to the popup's recent cases list
+     */
+    recordRecentCase() {
+        if (!this.caseData || !this.items.length) return;
+
+        const casePrice = this.caseData.casePrice || 0;
+        const hasProfitability = this.caseData.hasValidOdds !== false && casePrice > 0;
+        const stats = this.calculateStats(casePrice);
+
+        RecentCasesService.add({
+            siteId: this.getSiteId(),
+            caseId: this.caseData.caseId,
+            caseName: this.caseData.caseName,
+            url: window.location.href,
+            casePrice,
+            profitability: hasProfitability ? stats.profitability : null,
+            realProfitability: hasProfitability && stats.hasRealPrices ? stats.real.profitability : null
+        });
+    }
+
+    /**
+     * Store the loaded case's stats as a snapshot and render the trend chart
+     */
+    async recordSnapshot() {
+        if (!this.caseData || !this.items.length || this.caseData.hasValidOdds === false) return;
+        // Broken data would show up as a fake change in the trend
+        if (!this.validation.valid) return;
+
+        const stats = this.calculateStats(this.caseData.casePrice || 0);
+        const snapshot = SnapshotService.create(this.caseData, stats);
+        const snapshots = await SnapshotService.add(this.getSiteId(), this.caseData.caseId, snapshot);
+        this.renderTrend(snapshots);
+    }
+
+    /**
+     * Render the trend chart of the case's snapshots (needs at least two)
+     * @param {Array<Object>} snapshots - Snapshots, oldest first
+     */
+    renderTrend(snapshots) {
+        const container = document.getElementById('csp-trend');
+        if (!container) return;
+
+        if (snapshots.length < 2) {
+            container.replaceChildren();
+            container.classList.remove('visible');
+            return;
+        }
+
+        container.replaceChildren(Templates.trendChart(snapshots, this.userCurrency, () => this.clearSnapshots()));
+        container.classList.add('visible');
+    }
+
+    /**
+     * Clear the case's snapshots after confirmation
+     */
+    async clearSnapshots() {
+        if (!window.confirm('Clear the trend history of this case?')) return;
+        await SnapshotService.clear(this.getSiteId(), this.caseData.caseId);
+        this.renderTrend([]);
+    }
+
+    /**
+     * Compare the loaded case with the previous visit and show what changed
+     */
+    async detectChanges() {
+        if (!this.caseData || !this.items.length) return;
+        // Broken data would be stored as the baseline and show up as fake changes on the next visit
+        if (!this.validation.valid) return;
+
+        const change = await CaseDiffService.check(this.getSiteId(), this.caseData);
+        this.renderDiff(change);
+    }
+
+    /**
+     * Render the changes panel
+     * @param {Object|null} change - CaseDiffService change or null to hide the panel
+     */
+    renderDiff(change) {
+        const container = document.getElementById('csp-diff');
+        if (!container) return;
+
+        if (!change) {
+            container.replaceChildren();
+            container.classList.remove('visible');
+            return;
         }
+
+        container.replaceChildren(Templates.diffPanel(change, this.userCurrency, async () => {
+            await CaseDiffService.dismiss(this.getSiteId(), this.caseData.caseId);
+            this.renderDiff(null);
+        }));
+        container.classList.add('visible');
+    }
+
+    /**
+     * Reload prices after the price provider changed and re-render
+     */
+    async refreshRealPrices() {
+        await PricingService.fetchPrices();
+        if (!this.box || !this.caseData) return;
+
+        await PricingService.loadItemPrices(this.caseData.items);
+        this.processItems();
+        this.render();
     }
 
     /**
-     * Process items and add real prices
+     * Process items of the loaded case
      */
     processItems() {
-        this.items = this.caseData.items.map(item => {
+        this.items = this.getProcessedItems(this.caseData.items);
+    }
+
+    /**
+     * Add real prices (and compare prices if a compare provider is selected) and net values to items
+     * realPriceIsBase/comparePriceIsBase mark items with a phase that were priced without it
+     * @param {Array} items - Items from the parser
+     * @returns {Array} - Processed items
+     */
+    getProcessedItems(items) {
+        const compareProvider = PricingService.getCompareProvider();
+
+        return items.map(item => {
             // Skip real price lookup for boost items (like "Free $")
             if (item.isBoost) {
-                return { ...item, realPrice: null };
+                return { ...item, realPrice: null, comparePrice: null, netValue: item.price };
             }
-            const realPrice = PricingService.getRealPrice(
-                item.weaponName,
-                item.skinName,
-                item.wearFull,
-                item.isStattrak,
-                item.marketHashName,
-                item.phase
-            );
-            return { ...item, realPrice };
+            const real = PricingService.getRealPriceInfo(item);
+            const compare = compareProvider
+                ? PricingService.getRealPriceInfo(item, compareProvider.id)
+                : { price: null, isBasePrice: false };
+            const netValue = LiquidationService.getNetValue({ price: item.price, realPrice: real.price });
+            const priceMatch = PricingService.getPriceMatch(item);
+            return {
+                ...item,
+                realPrice: real.price,
+                realPriceIsBase: real.isBasePrice,
+                comparePrice: compare.price,
+                comparePriceIsBase: compare.isBasePrice,
+                netValue,
+                priceMatch
+            };
         });
     }
 
@@ -184,27 +388,92 @@ class ProbabilityBox {
 
         // Update stat cards
         this.renderStats(stats, casePrice, hasValidOdds);
+        this.renderValidation();
+        this.renderPriceMatches();
+        this.renderRateNotices();
 
         // Render items table
         this.renderTable(casePrice, hasValidOdds);
 
-        // Disable test button if no valid odds
-        const testBtn = document.getElementById('csp-test-btn');
-        if (testBtn && !hasValidOdds) {
-            testBtn.disabled = true;
-            testBtn.style.opacity = '0.5';
-            testBtn.style.cursor = 'not-allowed';
-            testBtn.title = 'Odds not available for this case';
+        // Render opening history
+        this.renderHistory();
+
+        // Disable test and simulation buttons if no valid odds
+        if (!hasValidOdds) {
+            const buttons = document.querySelectorAll('#csp-test-btn, #csp-sim-controls button');
+            for (const btn of buttons) {
+                btn.disabled = true;
+                btn.style.opacity = '0.5';
+                btn.style.cursor = 'not-allowed';
+                btn.title = 'Odds not available for this case';
+            }
         }
     }
 
+    /**
+     * Show the data check badge and issues, and mark stats as unreliable on errors
+     */
+    renderValidation() {
+        const { valid, issues } = this.validation;
+        const badge = document.getElementById('csp-validation-badge');
+        const list = document.getElementById('csp-validation');
+
+        badge.hidden = issues.length === 0;
+        badge.className = `csp-validation-badge ${valid ? 'warning' : 'error'}`;
+        badge.textContent = valid ? '\u26A0 Check data' : '\u26A0 Data looks wrong';
+        badge.title = issues.map(issue => issue.message).join('\n');
+        list.replaceChildren(Templates.validationIssues(issues));
+        if (issues.length === 0) list.classList.remove('visible');
+
+        document.getElementById('csp-stats').classList.toggle('csp-stats-suspect', !valid);
+    }
+
+    /**
+     * Show the badge and report of items without an exact real price match
+     * The report lists unmatched names with their closest feed names to find parser bugs
+     */
+    renderPriceMatches() {
+        const entry = item => ({ name: PricingService.getItemLookupName(item), match: item.priceMatch });
+        const unmatched = this.items.filter(item => !item.isBoost && item.realPrice === null).map(entry);
+        const fuzzy = this.items.filter(item => item.realPrice !== null && item.priceMatch?.matchedName).map(entry);
+
+        const badge = document.getElementById('csp-match-badge');
+        const list = document.getElementById('csp-match');
+
+        badge.hidden = unmatched.length === 0 && fuzzy.length === 0;
+        badge.textContent = unmatched.length > 0
+            ? `\u26A0 ${unmatched.length} without real price`
+            : `\u2248 ${fuzzy.length} matched by similar name`;
+        list.replaceChildren(Templates.priceMatchReport(unmatched, fuzzy));
+        if (badge.hidden) list.classList.remove('visible');
+    }
+
+    /**
+     * Show the badge and list of currencies converted with a hard-coded fallback rate or left unconverted
+     */
+    renderRateNotices() {
+        const fallbacks = CurrencyService.getFallbacksUsed();
+        const missing = CurrencyService.getMissingRates();
+        const badge = document.getElementById('csp-rate-badge');
+        const list = document.getElementById('csp-rates');
+
+        badge.hidden = fallbacks.length === 0 && missing.length === 0;
+        badge.textContent = missing.length > 0 ? '\u26A0 Exchange rate unavailable' : '\u26A0 Fallback exchange rate';
+        badge.title = [
+            ...fallbacks.map(({ code, rate }) => `${code}: ${rate.toFixed(4)} per USD`),
+            ...missing.map(code => `${code}: no rate`)
+        ].join('\n');
+        list.replaceChildren(Templates.rateNotices(fallbacks, missing));
+        if (badge.hidden) list.classList.remove('visible');
+    }
+
     /**
      * Calculate statistics from items
      * @param {number} casePrice - Case price
+     * @param {Array} items - Processed items (defaults to the loaded case)
      * @returns {Object} - Statistics object
      */
-    calculateStats(casePrice) {
-        const items = this.items;
+    calculateStats(casePrice, items = this.items) {
 
         // Site prices
         const expectedValue = items.reduce((sum, v) => sum + (v.price * v.odds / 100), 0);
@@ -215,6 +484,16 @@ class ProbabilityBox {
         const maxProfit = casePrice > 0 ? maxPrice - casePrice : maxPrice;
         const maxLoss = casePrice > 0 ? casePrice - minPrice : minPrice;
 
+        const risk = this.calculateRisk(items.map(v => ({ value: v.price, odds: v.odds })), casePrice);
+
+        // Net values after selling costs (liquidation profile)
+        const netExpectedValue = items.reduce((sum, v) => sum + (v.netValue * v.odds / 100), 0);
+        const net = {
+            expectedValue: netExpectedValue,
+            profitability: casePrice > 0 ? (netExpectedValue / casePrice * 100) : 0,
+            profitChance: items.filter(v => v.netValue > casePrice).reduce((sum, v) => sum + v.odds, 0)
+        };
+
         // Real prices
         const hasRealPrices = items.some(v => v.realPrice !== null);
         let realStats = {};
@@ -237,7 +516,8 @@ class ProbabilityBox {
                 profitability: realProfitability,
                 profitChance: realProfitChance,
                 maxProfit: casePrice > 0 ? realMaxPrice - casePrice : realMaxPrice,
-                maxLoss: casePrice > 0 ? casePrice - realMinPrice : realMinPrice
+                maxLoss: casePrice > 0 ? casePrice - realMinPrice : realMinPrice,
+                risk: this.calculateRisk(items.map((v, i) => ({ value: realPrices[i], odds: v.odds })), casePrice)
             };
         }
 
@@ -247,11 +527,69 @@ class ProbabilityBox {
             profitChance,
             maxProfit,
             maxLoss,
+            risk,
+            net,
             hasRealPrices,
             real: realStats
         };
     }
 
+    /**
+     * Calculate risk metrics for one price source
+     * @param {Array<{value: number, odds: number}>} outcomes - Item values with odds
+     * @param {number} casePrice - Case price
+     * @returns {Object} - Distribution metrics plus riskOfRuin (0-1)
+     */
+    calculateRisk(outcomes, casePrice) {
+        const distribution = RiskService.describe(outcomes, casePrice);
+        const riskOfRuin = RiskService.riskOfRuin(
+            distribution.mean,
+            distribution.stdDev,
+            this.getRiskBankroll(casePrice),
+            this.getRiskOpenings()
+        );
+        return { ...distribution, riskOfRuin };
+    }
+
+    /**
+     * Get bankroll used for risk of ruin (USD)
+     * @param {number} casePrice - Case price
+     * @returns {number}
+     */
+    getRiskBankroll(casePrice) {
+        if (this.riskBankroll !== null) return this.riskBankroll;
+        return casePrice * SettingsService.get('riskBankrollCases');
+    }
+
+    /**
+     * Get number of openings used for risk of ruin
+     * @returns {number}
+     */
+    getRiskOpenings() {
+        if (this.riskOpenings !== null) return this.riskOpenings;
+        return SettingsService.get('riskOpenings');
+    }
+
+    /**
+     * Handle changes to the risk of ruin inputs
+     * @param {HTMLInputElement} input - Changed input
+     */
+    updateRiskInputs(input) {
+        const value = parseFloat(input.value);
+        if (!(value > 0)) return;
+
+        if (input.id === 'csp-risk-bankroll') {
+            // Input is in the user's currency, stats are in USD
+            this.riskBankroll = value / (this.userCurrency?.rate || 1);
+        } else {
+            this.riskOpenings = Math.floor(value);
+        }
+
+        if (this.caseData && this.items.length) {
+            this.render();
+        }
+    }
+
     /**
      * Render stat cards
      * @param {Object} stats - Statistics object
@@ -264,8 +602,8 @@ class ProbabilityBox {
         // Profitability
         const profitEl = document.getElementById('csp-profitability');
         let profitColorClass = '';
-        if (hasValidOdds && profitability < 86) profitColorClass = 'negative';
-        else if (hasValidOdds && profitability <= 90) profitColorClass = 'white';
+        if (hasValidOdds && profitability < SettingsService.get('profitabilityRed')) profitColorClass = 'negative';
+        else if (hasValidOdds && profitability <= SettingsService.get('profitabilityGreen')) profitColorClass = 'white';
         profitEl.className = 'csp-stat-value ' + profitColorClass;
         if (!hasValidOdds) {
             profitEl.textContent = 'N/A';
@@ -279,10 +617,12 @@ class ProbabilityBox {
         if (!hasValidOdds) {
             evEl.textContent = 'N/A';
         } else {
-            evEl.textContent = CurrencyService.formatPrice(expectedValue, this.userCurrency);
+            this.setAmount(evEl, expectedValue);
             this.addRealSub(evEl, hasRealPrices, CurrencyService.formatPrice(real.expectedValue, this.userCurrency));
         }
 
+        this.renderNetStats(stats, casePrice, hasValidOdds);
+
         // Profit Chance
         const pcEl = document.getElementById('csp-profit-chance');
         if (!hasValidOdds) {
@@ -294,13 +634,111 @@ class ProbabilityBox {
 
         // Max Profit
         const mpEl = document.getElementById('csp-max-profit');
-        mpEl.textContent = CurrencyService.formatProfit(maxProfit, this.userCurrency);
+        this.setAmount(mpEl, maxProfit, true);
         this.addRealSub(mpEl, hasRealPrices && casePrice > 0, CurrencyService.formatProfit(real.maxProfit, this.userCurrency));
 
         // Max Loss
         const mlEl = document.getElementById('csp-max-loss');
-        mlEl.textContent = CurrencyService.formatProfit(-maxLoss, this.userCurrency);
+        this.setAmount(mlEl, -maxLoss, true);
         this.addRealSub(mlEl, hasRealPrices && casePrice > 0, CurrencyService.formatProfit(-real.maxLoss, this.userCurrency));
+
+        this.renderRiskStats(stats, casePrice, hasValidOdds);
+    }
+
+    /**
+     * Render net stat cards (values after selling costs)
+     * @param {Object} stats - Statistics object
+     * @param {number} casePrice - Case price
+     * @param {boolean} hasValidOdds - Whether case has valid odds
+     */
+    renderNetStats(stats, casePrice, hasValidOdds = true) {
+        const { net } = stats;
+        const netProfitEl = document.getElementById('csp-net-profitability');
+        const netEvEl = document.getElementById('csp-net-expected-value');
+        const description = LiquidationService.describe();
+
+        for (const el of [netProfitEl, netEvEl]) {
+            el.parentElement.title = description;
+        }
+
+        if (!hasValidOdds) {
+            netProfitEl.textContent = 'N/A';
+            netEvEl.textContent = 'N/A';
+            return;
+        }
+
+        netProfitEl.textContent = casePrice > 0 ? `${net.profitability.toFixed(1)}%` : 'N/A';
+        netProfitEl.className = 'csp-stat-value ' + (casePrice > 0 && net.profitability < 100 ? 'negative' : '');
+        this.setAmount(netEvEl, net.expectedValue);
+    }
+
+    /**
+     * Render risk stat cards (standard deviation, percentiles, risk of ruin)
+     * @param {Object} stats - Statistics object
+     * @param {number} casePrice - Case price
+     * @param {boolean} hasValidOdds - Whether case has valid odds
+     */
+    renderRiskStats(stats, casePrice, hasValidOdds = true) {
+        const { risk, hasRealPrices, real } = stats;
+        const showReal = hasRealPrices && hasValidOdds;
+        const rate = this.userCurrency?.rate || 1;
+        const format = (value) => CurrencyService.formatPrice(value, this.userCurrency);
+        const formatRange = (r) => `${format(r.p10)} / ${format(r.p90)}`;
+
+        const sdEl = document.getElementById('csp-std-dev');
+        const medianEl = document.getElementById('csp-median');
+        const rangeEl = document.getElementById('csp-percentiles');
+        const ruinEl = document.getElementById('csp-risk-of-ruin');
+
+        if (!hasValidOdds) {
+            for (const el of [sdEl, medianEl, rangeEl, ruinEl]) {
+                el.textContent = 'N/A';
+                this.addRealSub(el, false);
+            }
+            return;
+        }
+
+        // Standard deviation (variance shown on hover, in squared currency units)
+        sdEl.textContent = `\u00B1${format(risk.stdDev)}`;
+        sdEl.title = `Variance: ${(risk.variance * rate * rate).toFixed(2)}`;
+        this.addRealSub(sdEl, showReal, `\u00B1${format(real.risk?.stdDev)}`);
+
+        this.setAmount(medianEl, risk.median);
+        this.addRealSub(medianEl, showReal, format(real.risk?.median));
+
+        rangeEl.textContent = formatRange(risk);
+        this.addRealSub(rangeEl, showReal, real.risk ? formatRange(real.risk) : '');
+
+        // Risk of ruin
+        if (casePrice <= 0) {
+            ruinEl.textContent = 'N/A';
+            this.addRealSub(ruinEl, false);
+        } else {
+            ruinEl.textContent = `${(risk.riskOfRuin * 100).toFixed(1)}%`;
+            ruinEl.className = 'csp-stat-value ' + this.getRiskColorClass(risk.riskOfRuin);
+            this.addRealSub(ruinEl, showReal, `${((real.risk?.riskOfRuin || 0) * 100).toFixed(1)}%`);
+        }
+
+        // Keep risk inputs in sync with the values used
+        const bankrollInput = document.getElementById('csp-risk-bankroll');
+        const openingsInput = document.getElementById('csp-risk-openings');
+        if (document.activeElement !== bankrollInput) {
+            bankrollInput.value = (this.getRiskBankroll(casePrice) * rate).toFixed(2);
+        }
+        if (document.activeElement !== openingsInput) {
+            openingsInput.value = String(this.getRiskOpenings());
+        }
+    }
+
+    /**
+     * Get color class for a risk of ruin probability
+     * @param {number} probability - Probability in range 0-1
+     * @returns {string}
+     */
+    getRiskColorClass(probability) {
+        if (probability >= 0.5) return 'negative';
+        if (probability >= 0.1) return 'white';
+        return '';
     }
 
     /**
@@ -314,10 +752,23 @@ class ProbabilityBox {
         const existing = card.querySelector('.csp-real-price-sub');
         if (existing) existing.remove();
         if (show && value) {
-            el.after(Templates.tooltipSub(value));
+            el.after(Templates.tooltipSub(value, `Real price calculation based on ${PricingService.getActiveProvider().name} data`));
         }
     }
 
+    /**
+     * Show a USD amount in the user currency, with the site currency amount on hover
+     * @param {Element} el - Stat value element
+     * @param {number} value - Amount in USD
+     * @param {boolean} [isProfit=false] - Format as profit/loss
+     */
+    setAmount(el, value, isProfit = false) {
+        el.textContent = isProfit
+            ? CurrencyService.formatProfit(value, this.userCurrency)
+            : CurrencyService.formatPrice(value, this.userCurrency);
+        el.title = CurrencyService.describeSiteValue(value, this.userCurrency, isProfit);
+    }
+
     /**
      * Render items table
      * @param {number} casePrice - Case price
@@ -327,10 +778,130 @@ class ProbabilityBox {
         // Sort by price descending
         const sortedItems = [...this.items].sort((a, b) => b.price - a.price);
 
-        const table = Templates.itemsTable(sortedItems, casePrice, hasValidOdds, this.userCurrency);
+        const priceSources = {
+            realName: PricingService.getActiveProvider().name,
+            compareName: PricingService.getCompareProvider()?.name || null
+        };
+        const table = Templates.itemsTable(sortedItems, casePrice, hasValidOdds, this.userCurrency, priceSources, LiquidationService.describe());
         document.getElementById('csp-items-container').replaceChildren(table);
     }
 
+    /**
+     * Build an export report of the loaded case
+     * @returns {Promise<Object>} - ExportService report
+     */
+    async buildExportReport() {
+        const provider = PricingService.getActiveProvider();
+        const compareProvider = PricingService.getCompareProvider();
+        const updatedAt = await PricingService.getCacheTimestamp(provider);
+        const casePrice = this.caseData.casePrice || 0;
+
+        return ExportService.buildReport({
+            meta: {
+                siteId: this.getSiteId(),
+                siteName: SiteRegistry.getSiteName(this.getSiteId()),
+                caseId: this.caseData.caseId,
+                caseName: this.caseData.caseName,
+                url: window.location.href,
+                currency: this.userCurrency,
+                priceSource: {
+                    provider: provider.id,
+                    name: provider.name,
+                    updatedAt: updatedAt ? new Date(updatedAt).toISOString() : null,
+                    ageMinutes: updatedAt ? Math.round((Date.now() - updatedAt) / 60000) : null,
+                    customSheet: PriceSheetService.sheet?.fileName || null
+                },
+                compareSource: compareProvider ? { provider: compareProvider.id, name: compareProvider.name } : null,
+                liquidation: LiquidationService.describe()
+            },
+            caseData: this.caseData,
+            items: this.items.map(item => ({ name: this.getItemDisplayName(item), ...item })),
+            stats: this.calculateStats(casePrice)
+        });
+    }
+
+    /**
+     * Export the loaded case (CSV and JSON are downloaded, Markdown is copied to the clipboard)
+     * @param {string} format - 'csv', 'json' or 'markdown'
+     * @param {HTMLButtonElement} button - Clicked button (shows the copy result)
+     */
+    async exportCase(format, button) {
+        if (!this.caseData || !this.items.length) return;
+
+        const report = await this.buildExportReport();
+
+        if (format === 'csv') {
+            ExportService.download(ExportService.toCsv(report), ExportService.getFileName(report, 'csv'), 'text/csv');
+        } else if (format === 'json') {
+            ExportService.download(ExportService.toJson(report), ExportService.getFileName(report, 'json'), 'application/json');
+        } else if (format === 'markdown') {
+            const markdown = ExportService.toMarkdown(report);
+            try {
+                await navigator.clipboard.writeText(markdown);
+                this.flashButton(button, 'Copied!');
+            } catch (error) {
+                // Clipboard may be blocked by the page, fall back to a file
+                ExportService.download(markdown, ExportService.getFileName(report, 'md'), 'text/markdown');
+            }
+        }
+    }
+
+    /**
+     * Show a short confirmation on a button
+     * @param {HTMLButtonElement} button - Button
+     * @param {string} text - Temporary text
+     */
+    flashButton(button, text) {
+        const original = button.dataset.label || button.textContent;
+        button.dataset.label = original;
+        button.textContent = text;
+        setTimeout(() => { button.textContent = original; }, 1500);
+    }
+
+    /**
+     * Render recorded openings for this case, per site and lifetime
+     */
+    async renderHistory() {
+        const container = document.getElementById('csp-history');
+        if (!container) return;
+
+        const records = await OpeningHistoryService.getAll();
+        if (records.length === 0) {
+            container.replaceChildren();
+            container.classList.remove('visible');
+            return;
+        }
+
+        const siteId = this.getSiteId();
+        const rows = [];
+
+        const caseRecords = records.filter(r => r.siteId === siteId && r.caseId === this.caseData?.caseId);
+        if (caseRecords.length > 0) {
+            rows.push({ label: 'This case', summary: OpeningHistoryService.summarize(caseRecords) });
+        }
+
+        // Current site first, then the others
+        const bySite = OpeningHistoryService.summarizeBySite(records);
+        const siteIds = Object.keys(bySite).sort((a, b) => (b === siteId) - (a === siteId));
+        for (const id of siteIds) {
+            rows.push({ label: SiteRegistry.getSiteName(id), summary: bySite[id] });
+        }
+
+        rows.push({ label: 'Lifetime', summary: OpeningHistoryService.summarize(records), isTotal: true });
+
+        container.replaceChildren(Templates.historyTable(rows, this.userCurrency, () => this.clearHistory()));
+        container.classList.add('visible');
+    }
+
+    /**
+     * Clear recorded openings after confirmation
+     */
+    async clearHistory() {
+        if (!window.confirm('Clear all recorded case openings?')) return;
+        await OpeningHistoryService.clear();
+        this.renderHistory();
+    }
+
     /**
      * Simulate case opening with weighted random
      */
@@ -343,15 +914,7 @@ class ProbabilityBox {
         const casePrice = this.caseData.casePrice || 0;
         const profit = selectedItem.price - casePrice;
         const multiplier = casePrice > 0 ? selectedItem.price / casePrice : 0;
-
-        // Build item name (handle vanilla items with no skin name)
-        const stPrefix = selectedItem.isStattrak ? 'StatTrak™ ' : '';
-        const wearPart = selectedItem.wearFull ? ` (${selectedItem.wearFull})` : '';
-        const phasePart = selectedItem.phase ? ` ${selectedItem.phase}` : '';
-        const namePart = selectedItem.skinName
-            ? `${selectedItem.weaponName} | ${selectedItem.skinName}`
-            : selectedItem.weaponName;
-        const itemName = `${stPrefix}${namePart}${wearPart}${phasePart}`;
+        const itemName = this.getItemDisplayName(selectedItem);
 
         // Update UI
         const resultContainer = document.getElementById('csp-test-result');
@@ -374,16 +937,32 @@ class ProbabilityBox {
         statsEl.classList.add('csp-animate');
         imageEl.src = selectedItem.image;
         nameEl.textContent = itemName;
-        priceEl.textContent = CurrencyService.formatPrice(selectedItem.price, this.userCurrency);
+        this.setAmount(priceEl, selectedItem.price);
         priceEl.className = 'csp-test-result-stat-value';
 
-        profitEl.textContent = CurrencyService.formatProfit(profit, this.userCurrency);
+        this.setAmount(profitEl, profit, true);
         profitEl.className = `csp-test-result-stat-value ${profit >= 0 ? 'csp-profit' : 'csp-loss'}`;
 
         multiplierEl.textContent = `x${multiplier.toFixed(2)}`;
         multiplierEl.className = `csp-test-result-multiplier ${profit >= 0 ? 'csp-profit' : 'csp-loss'}`;
     }
 
+    /**
+     * Build display name for an item
+     * @param {Object} item - Item data
+     * @returns {string} - Item name with StatTrak, wear and phase
+     */
+    getItemDisplayName(item) {
+        // Handle vanilla items with no skin name
+        const stPrefix = item.isStattrak ? 'StatTrak™ ' : '';
+        const wearPart = item.wearFull ? ` (${item.wearFull})` : '';
+        const phasePart = item.phase ? ` ${item.phase}` : '';
+        const namePart = item.skinName
+            ? `${item.weaponName} | ${item.skinName}`
+            : item.weaponName;
+        return `${stPrefix}${namePart}${wearPart}${phasePart}`;
+    }
+
     /**
      * Hide test result
      */
@@ -391,6 +970,49 @@ class ProbabilityBox {
         const resultContainer = document.getElementById('csp-test-result');
         resultContainer.classList.remove('visible');
     }
+
+    /**
+     * Simulate many case openings and show the outcome distribution
+     * @param {number} count - Number of openings
+     */
+    simulateBulk(count) {
+        if (!this.items || this.items.length === 0) return;
+
+        const casePrice = this.caseData.casePrice || 0;
+        const result = SimulationService.run(this.items, casePrice, count);
+        if (!result) return;
+
+        const { openings, totalSpent, finalBalance, worstDrawdown, bestHit, histogram } = result;
+
+        document.getElementById('csp-sim-title').textContent =
+            `${openings.toLocaleString('en-US')} openings \u2022 spent ${CurrencyService.formatPrice(totalSpent, this.userCurrency)}`;
+
+        const balanceEl = document.getElementById('csp-sim-balance');
+        this.setAmount(balanceEl, finalBalance, true);
+        balanceEl.className = `csp-test-result-stat-value ${finalBalance >= 0 ? 'csp-profit' : 'csp-loss'}`;
+
+        const drawdownEl = document.getElementById('csp-sim-drawdown');
+        this.setAmount(drawdownEl, -worstDrawdown, true);
+        drawdownEl.className = 'csp-test-result-stat-value csp-loss';
+
+        const bestEl = document.getElementById('csp-sim-best');
+        this.setAmount(bestEl, bestHit.price);
+        bestEl.className = `csp-test-result-stat-value ${bestHit.price >= casePrice ? 'csp-profit' : 'csp-loss'}`;
+        document.getElementById('csp-sim-best-name').textContent = this.getItemDisplayName(bestHit);
+
+        document.getElementById('csp-sim-histogram').replaceChildren(
+            Templates.simulationHistogram(histogram, openings)
+        );
+
+        document.getElementById('csp-sim-result').classList.add('visible');
+    }
+
+    /**
+     * Hide simulation result
+     */
+    hideSimulation() {
+        document.getElementById('csp-sim-result').classList.remove('visible');
+    }
 }
 
 // Make available globally for content scripts
@@ -247,7 +247,7 @@ const PromoBanner = {
     },
 
     /**
-     * Check if banner is dismissed and still within the 14-day hide period
+     * Check if banner is dismissed and still within the hide period (promoDismissDays setting)
      * @returns {boolean}
      */
     isBannerDismissed() {
@@ -256,10 +256,10 @@ const PromoBanner = {
 
         const dismissedTime = parseInt(dismissedAt, 10);
         const now = Date.now();
-        const fourteenDays = 14 * 24 * 60 * 60 * 1000; // 14 days in milliseconds
+        const hidePeriod = SettingsService.get('promoDismissDays') * 24 * 60 * 60 * 1000;
 
-        // If 14 days have passed, clear the dismissal and show banner again
-        if (now - dismissedTime > fourteenDays) {
+        // If the hide period has passed, clear the dismissal and show banner again
+        if (now - dismissedTime > hidePeriod) {
             localStorage.removeItem('cscaseprofit-banner-dismissed');
             return false;
         }
@@ -276,7 +276,7 @@ const PromoBanner = {
             return;
         }
 
-        // Check if user dismissed the banner within the last 14 days
+        // Check if user dismissed the banner within the hide period
         if (this.isBannerDismissed()) {
             return;
         }
@@ -318,7 +318,7 @@ const PromoBanner = {
         const banner = document.getElementById(this.BANNER_ID);
         if (banner) {
             banner.remove();
-            // Remember dismissal for 14 days
+            // Remember dismissal for the hide period
             localStorage.setItem('cscaseprofit-banner-dismissed', Date.now().toString());
         }
     },
@@ -337,6 +337,13 @@ const PromoBanner = {
             this.showBanner();
         }
 
+        // A shorter hide period may make a dismissed banner visible again
+        SettingsService.onChange((changedKeys) => {
+            if (changedKeys.includes('promoDismissDays') && this.isDepositPage()) {
+                this.showBanner();
+            }
+        });
+
         // Set up observer for SPA navigation and modal changes
         const observer = new MutationObserver(() => {
             if (this.isDepositPage()) {
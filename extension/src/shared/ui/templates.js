@@ -43,6 +43,22 @@ const Templates = {
         return el;
     },
 
+    /**
+     * Build a table cell with a USD amount in the user currency, and the site currency amount on hover
+     * @param {number} value - Amount in USD
+     * @param {Object} userCurrency - User currency (CurrencyService.getDisplayCurrency())
+     * @param {boolean} [isProfit=false] - Format as profit/loss
+     * @param {string} [className] - Cell class
+     * @returns {HTMLElement}
+     */
+    amountCell(value, userCurrency, isProfit = false, className = '') {
+        const text = isProfit ? CurrencyService.formatProfit(value, userCurrency) : CurrencyService.formatPrice(value, userCurrency);
+        const attrs = className ? { className } : {};
+        const siteValue = CurrencyService.describeSiteValue(value, userCurrency, isProfit);
+        if (siteValue) attrs.title = siteValue;
+        return this.createElement('td', attrs, text);
+    },
+
     /**
      * Main probability box DOM element
      * @returns {DocumentFragment}
@@ -54,18 +70,47 @@ const Templates = {
         // Header
         fragment.appendChild(
             c('div', { className: 'csp-header' }, [
-                c('div', { className: 'csp-title' }, 'CS Case Profit Extension')
+                c('div', { className: 'csp-title' }, [
+                    'CS Case Profit Extension',
+                    c('button', { className: 'csp-validation-badge', id: 'csp-validation-badge', type: 'button', hidden: '' }),
+                    c('button', { className: 'csp-validation-badge warning', id: 'csp-match-badge', type: 'button', hidden: '' }),
+                    c('button', { className: 'csp-validation-badge warning', id: 'csp-rate-badge', type: 'button', hidden: '' })
+                ]),
+                c('div', { className: 'csp-export' }, [
+                    c('span', { className: 'csp-export-label' }, 'Export:'),
+                    c('button', { className: 'csp-export-btn', type: 'button', dataset: { export: 'csv' } }, 'CSV'),
+                    c('button', { className: 'csp-export-btn', type: 'button', dataset: { export: 'json' } }, 'JSON'),
+                    c('button', { className: 'csp-export-btn csp-tooltip', type: 'button', dataset: { export: 'markdown', tooltip: 'Copy as Markdown table' } }, 'Markdown')
+                ])
             ])
         );
 
+        // Data check issues (shown from the badge)
+        fragment.appendChild(c('ul', { className: 'csp-validation', id: 'csp-validation' }));
+
+        // Items without an exact real price match (shown from the badge)
+        fragment.appendChild(c('ul', { className: 'csp-validation', id: 'csp-match' }));
+
+        // Currencies converted with hard-coded fallback rates or without a rate (shown from the badge)
+        fragment.appendChild(c('ul', { className: 'csp-validation', id: 'csp-rates' }));
+
+        // Changes since the last visit (filled when the site changed the case)
+        fragment.appendChild(c('div', { className: 'csp-diff', id: 'csp-diff' }));
+
         // Stats
         const stats = c('div', { className: 'csp-stats', id: 'csp-stats' });
         const statConfigs = [
             { label: 'Profitability', id: 'csp-profitability', className: 'csp-stat-value' },
             { label: 'Expected Value', id: 'csp-expected-value', className: 'csp-stat-value white' },
+            { label: 'Net Profitability', id: 'csp-net-profitability', className: 'csp-stat-value' },
+            { label: 'Net EV', id: 'csp-net-expected-value', className: 'csp-stat-value white' },
             { label: 'Profit Chance', id: 'csp-profit-chance', className: 'csp-stat-value white' },
             { label: 'Max Profit', id: 'csp-max-profit', className: 'csp-stat-value' },
-            { label: 'Max Loss', id: 'csp-max-loss', className: 'csp-stat-value negative' }
+            { label: 'Max Loss', id: 'csp-max-loss', className: 'csp-stat-value negative' },
+            { label: 'Std. Deviation', id: 'csp-std-dev', className: 'csp-stat-value white' },
+            { label: 'Median Outcome', id: 'csp-median', className: 'csp-stat-value white' },
+            { label: 'P10 / P90', id: 'csp-percentiles', className: 'csp-stat-value white compact' },
+            { label: 'Risk of Ruin', id: 'csp-risk-of-ruin', className: 'csp-stat-value' }
         ];
 
         for (const stat of statConfigs) {
@@ -78,6 +123,21 @@ const Templates = {
         }
         fragment.appendChild(stats);
 
+        // Risk of ruin inputs
+        fragment.appendChild(
+            c('div', { className: 'csp-risk-controls' }, [
+                c('span', { className: 'csp-tooltip', dataset: { tooltip: 'Chance of losing the whole bankroll' } }, 'Risk of ruin'),
+                ' for bankroll ',
+                c('input', { className: 'csp-risk-input', id: 'csp-risk-bankroll', type: 'number', min: '0', step: 'any' }),
+                ' over ',
+                c('input', { className: 'csp-risk-input', id: 'csp-risk-openings', type: 'number', min: '1', step: '1' }),
+                ' openings'
+            ])
+        );
+
+        // Profitability trend (filled once the case has been visited at least twice)
+        fragment.appendChild(c('div', { className: 'csp-trend', id: 'csp-trend' }));
+
         // Toggle button
         fragment.appendChild(
             c('button', { className: 'csp-toggle-btn', id: 'csp-toggle' }, [
@@ -119,8 +179,363 @@ const Templates = {
         }
         testResult.appendChild(testStats);
         testSection.appendChild(testResult);
+
+        // Bulk simulation controls
+        const simControls = c('div', { className: 'csp-sim-controls', id: 'csp-sim-controls' }, [
+            c('span', { className: 'csp-sim-label' }, 'Simulate openings:')
+        ]);
+        for (const count of [10, 100, 1000]) {
+            simControls.appendChild(
+                c('button', { className: 'csp-sim-btn', dataset: { count: String(count) } }, count.toLocaleString('en-US'))
+            );
+        }
+        simControls.appendChild(c('input', {
+            className: 'csp-sim-input',
+            id: 'csp-sim-custom',
+            type: 'number',
+            min: '1',
+            max: String(SimulationService.MAX_OPENINGS),
+            placeholder: 'Custom'
+        }));
+        simControls.appendChild(c('button', { className: 'csp-sim-btn', id: 'csp-sim-run-custom' }, 'Run'));
+        testSection.appendChild(simControls);
+
+        const simResult = c('div', { className: 'csp-sim-result', id: 'csp-sim-result' });
+        simResult.appendChild(c('button', { className: 'csp-test-result-close', id: 'csp-sim-result-close' }, '\u2715'));
+        simResult.appendChild(c('div', { className: 'csp-sim-title', id: 'csp-sim-title' }));
+
+        const simStats = c('div', { className: 'csp-test-result-stats' });
+        const simStatConfigs = [
+            { valueId: 'csp-sim-balance', label: 'Final Balance' },
+            { valueId: 'csp-sim-drawdown', label: 'Worst Drawdown' },
+            { valueId: 'csp-sim-best', label: 'Best Hit' }
+        ];
+
+        for (const stat of simStatConfigs) {
+            simStats.appendChild(
+                c('div', { className: 'csp-test-result-stat' }, [
+                    c('div', { className: 'csp-test-result-stat-value', id: stat.valueId }),
+                    c('div', { className: 'csp-test-result-stat-label' }, stat.label)
+                ])
+            );
+        }
+        simResult.appendChild(simStats);
+        simResult.appendChild(c('div', { className: 'csp-sim-best-name', id: 'csp-sim-best-name' }));
+        simResult.appendChild(c('div', { className: 'csp-sim-histogram', id: 'csp-sim-histogram' }));
+        testSection.appendChild(simResult);
+
         fragment.appendChild(testSection);
 
+        // Opening history (filled once the user has opened cases)
+        fragment.appendChild(c('div', { className: 'csp-history', id: 'csp-history' }));
+
+        return fragment;
+    },
+
+    /**
+     * Build opening history summary
+     * @param {Array<{label: string, summary: Object, isTotal: boolean}>} rows - Summary rows
+     * @param {Object} userCurrency - User currency
+     * @param {Function} onClear - Clear history callback
+     * @returns {DocumentFragment}
+     */
+    historyTable(rows, userCurrency, onClear) {
+        const fragment = document.createDocumentFragment();
+        const c = this.createElement.bind(this);
+        const profitCell = (value, className = '') =>
+            this.amountCell(value, userCurrency, true, `${value >= 0 ? 'csp-profit' : 'csp-loss'} ${className}`.trim());
+
+        fragment.appendChild(
+            c('div', { className: 'csp-history-header' }, [
+                c('div', { className: 'csp-history-title' }, 'Your Openings'),
+                c('button', { className: 'csp-history-clear', type: 'button', onClick: onClear }, 'Clear')
+            ])
+        );
+
+        const table = c('table', { className: 'csp-items-table csp-history-table' });
+        const headerRow = c('tr');
+        const headers = ['', 'Openings', 'Spent', 'Profit',
+            { text: 'Expected', tooltip: 'Profit predicted by the EV at opening time' },
+            { text: 'Real Profit', tooltip: 'Based on real prices at opening time' },
+            { text: 'Real Expected', tooltip: 'Predicted by the real-price EV' }
+        ];
+        for (const header of headers) {
+            if (typeof header === 'string') {
+                headerRow.appendChild(c('th', {}, header));
+            } else {
+                headerRow.appendChild(c('th', { className: 'csp-tooltip', dataset: { tooltip: header.tooltip } }, header.text));
+            }
+        }
+        table.appendChild(c('thead', {}, headerRow));
+
+        const tbody = c('tbody');
+        for (const { label, summary, isTotal } of rows) {
+            const row = c('tr', { className: isTotal ? 'csp-history-total' : '' });
+            row.appendChild(c('td', { className: 'csp-item-name' }, label));
+            row.appendChild(c('td', {}, String(summary.count)));
+            row.appendChild(this.amountCell(summary.spent, userCurrency));
+            row.appendChild(profitCell(summary.profit));
+            row.appendChild(profitCell(summary.expectedProfit, 'csp-history-expected'));
+            row.appendChild(profitCell(summary.realProfit));
+            row.appendChild(profitCell(summary.realExpectedProfit, 'csp-history-expected'));
+            tbody.appendChild(row);
+        }
+        table.appendChild(tbody);
+        fragment.appendChild(table);
+
+        return fragment;
+    },
+
+    /**
+     * Build the list of data check issues
+     * @param {Array<{level: string, message: string}>} issues - CaseValidator issues
+     * @returns {DocumentFragment}
+     */
+    validationIssues(issues) {
+        const fragment = document.createDocumentFragment();
+        for (const issue of issues) {
+            fragment.appendChild(this.createElement('li', { className: `csp-validation-${issue.level}` }, issue.message));
+        }
+        return fragment;
+    },
+
+    /**
+     * Build the list of currencies converted with a hard-coded fallback rate or left without a rate
+     * @param {Array<{code: string, rate: number}>} fallbacks - CurrencyService.getFallbacksUsed()
+     * @param {Array<string>} [missing] - CurrencyService.getMissingRates()
+     * @returns {DocumentFragment}
+     */
+    rateNotices(fallbacks, missing = []) {
+        const fragment = document.createDocumentFragment();
+        for (const { code, rate } of fallbacks) {
+            fragment.appendChild(this.createElement('li', { className: 'csp-validation-warning' },
+                `${code} converted with the hard-coded rate ${rate.toFixed(4)} per USD, exchange rates could not be downloaded. Set an override in the settings if it is outdated`));
+        }
+        for (const code of missing) {
+            fragment.appendChild(this.createElement('li', { className: 'csp-validation-error' },
+                `No exchange rate for ${code}, amounts are not shown in ${code}. Set an override in the settings`));
+        }
+        return fragment;
+    },
+
+    /**
+     * Build the list of items the real price feed does not have under the looked-up name
+     * @param {Array<{name: string, match: Object|null}>} unmatched - Items without a real price
+     * @param {Array<{name: string, match: Object}>} fuzzy - Items priced through a similar feed name
+     * @returns {DocumentFragment}
+     */
+    priceMatchReport(unmatched, fuzzy) {
+        const fragment = document.createDocumentFragment();
+        const percent = confidence => `${Math.round(confidence * 100)}%`;
+
+        for (const { name, match } of unmatched) {
+            const candidates = match?.candidates || [];
+            const closest = candidates.length
+                ? `closest: ${candidates.map(candidate => `"${candidate.name}" (${percent(candidate.confidence)})`).join(', ')}`
+                : 'no similar names in the price feed';
+            fragment.appendChild(this.createElement('li', { className: 'csp-validation-warning' }, `No price for "${name}", ${closest}`));
+        }
+        for (const { name, match } of fuzzy) {
+            fragment.appendChild(this.createElement('li', {}, `"${name}" priced as "${match.matchedName}" (${percent(match.confidence)})`));
+        }
+        return fragment;
+    },
+
+    /**
+     * Build the panel listing what changed in a case since the previous visit
+     * @param {{detectedAt: number, previousVisit: number, diff: Object}} change - CaseDiffService change
+     * @param {Object} userCurrency - User currency
+     * @param {Function} onDismiss - Dismiss callback
+     * @returns {DocumentFragment}
+     */
+    diffPanel(change, userCurrency, onDismiss) {
+        const fragment = document.createDocumentFragment();
+        const c = this.createElement.bind(this);
+        const { diff } = change;
+        const price = (value) => CurrencyService.formatPrice(value, userCurrency);
+        const odds = (value) => `${value.toFixed(3)}%`;
+
+        // better = the change favors the player
+        const changeRow = (label, before, after, better) =>
+            c('li', { className: better ? 'csp-profit' : 'csp-loss' }, [
+                c('span', { className: 'csp-diff-name' }, label),
+                ` ${before} \u2192 ${after}`
+            ]);
+
+        fragment.appendChild(
+            c('div', { className: 'csp-history-header' }, [
+                c('div', { className: 'csp-diff-title' },
+                    `Case changed since your visit on ${new Date(change.previousVisit).toLocaleString()}`),
+                c('button', { className: 'csp-history-clear', type: 'button', onClick: onDismiss }, 'Dismiss')
+            ])
+        );
+
+        const list = c('ul', { className: 'csp-diff-list' });
+        if (diff.casePrice) {
+            list.appendChild(changeRow('Case price', price(diff.casePrice.before), price(diff.casePrice.after),
+                diff.casePrice.after < diff.casePrice.before));
+        }
+        for (const item of diff.added) {
+            list.appendChild(c('li', {}, [c('span', { className: 'csp-diff-name' }, `+ ${item.name}`), ` ${price(item.price)}, ${odds(item.odds)}`]));
+        }
+        for (const item of diff.removed) {
+            list.appendChild(c('li', {}, [c('span', { className: 'csp-diff-name' }, `\u2212 ${item.name}`), ` ${price(item.price)}, ${odds(item.odds)}`]));
+        }
+        for (const entry of diff.oddsChanged) {
+            list.appendChild(changeRow(`${entry.name} odds`, odds(entry.before), odds(entry.after), entry.favorable));
+        }
+        for (const entry of diff.priceChanged) {
+            list.appendChild(changeRow(`${entry.name} price`, price(entry.before), price(entry.after), entry.after > entry.before));
+        }
+        fragment.appendChild(list);
+
+        return fragment;
+    },
+
+    /**
+     * Build profitability, EV and case price trend chart
+     * Profitability uses the left axis, EV and case price the right axis (user currency)
+     * @param {Array<Object>} snapshots - SnapshotService snapshots, oldest first (at least two)
+     * @param {Object} userCurrency - User currency
+     * @param {Function} onClear - Clear snapshots callback
+     * @returns {DocumentFragment}
+     */
+    trendChart(snapshots, userCurrency, onClear) {
+        const fragment = document.createDocumentFragment();
+        const c = this.createElement.bind(this);
+        const svg = (tag, attrs = {}, children = []) => {
+            const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+            for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+            for (const child of children) el.appendChild(child);
+            return el;
+        };
+        const title = (text) => svg('title', {}, [document.createTextNode(text)]);
+
+        const width = 600;
+        const height = 140;
+        const pad = { top: 10, right: 56, bottom: 20, left: 44 };
+        const rate = userCurrency?.rate || 1;
+        const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+        const series = [
+            { label: 'Profitability', color: '#ffd700', axis: 'left', value: s => s.profitability },
+            { label: 'EV', color: '#4ade80', axis: 'right', value: s => s.expectedValue * rate },
+            { label: 'Case price', color: '#9ca3af', axis: 'right', value: s => s.casePrice * rate }
+        ];
+
+        // Axis ranges with some headroom
+        const range = (values) => {
+            const valid = values.filter(v => v !== null && Number.isFinite(v));
+            if (!valid.length) return { min: 0, max: 1 };
+            let min = Math.min(...valid);
+            let max = Math.max(...valid);
+            if (min === max) {
+                min -= Math.abs(min) * 0.1 || 1;
+                max += Math.abs(max) * 0.1 || 1;
+            }
+            const margin = (max - min) * 0.1;
+            return { min: min - margin, max: max + margin };
+        };
+        const ranges = {
+            left: range(snapshots.map(series[0].value)),
+            right: range([...snapshots.map(series[1].value), ...snapshots.map(series[2].value)])
+        };
+
+        const firstTime = snapshots[0].timestamp;
+        const timeSpan = (snapshots[snapshots.length - 1].timestamp - firstTime) || 1;
+        const x = (timestamp) => pad.left + (timestamp - firstTime) / timeSpan * (width - pad.left - pad.right);
+        const y = (value, axis) => {
+            const { min, max } = ranges[axis];
+            return pad.top + (1 - (value - min) / (max - min)) * (height - pad.top - pad.bottom);
+        };
+
+        const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'csp-trend-chart', preserveAspectRatio: 'none' });
+
+        // Axis labels
+        const label = (text, attrs) => svg('text', { class: 'csp-trend-axis', ...attrs }, [document.createTextNode(text)]);
+        chart.appendChild(label(`${ranges.left.max.toFixed(0)}%`, { x: pad.left - 4, y: pad.top + 8, 'text-anchor': 'end' }));
+        chart.appendChild(label(`${ranges.left.min.toFixed(0)}%`, { x: pad.left - 4, y: height - pad.bottom, 'text-anchor': 'end' }));
+        chart.appendChild(label(CurrencyService.formatValue(ranges.right.max, userCurrency), { x: width - pad.right + 4, y: pad.top + 8 }));
+        chart.appendChild(label(CurrencyService.formatValue(ranges.right.min, userCurrency), { x: width - pad.right + 4, y: height - pad.bottom }));
+        chart.appendChild(label(formatDate(firstTime), { x: pad.left, y: height - 4 }));
+        chart.appendChild(label(formatDate(snapshots[snapshots.length - 1].timestamp), { x: width - pad.right, y: height - 4, 'text-anchor': 'end' }));
+
+        // Marks where the site changed items, odds or prices
+        for (let i = 1; i < snapshots.length; i++) {
+            if (snapshots[i].signature === snapshots[i - 1].signature) continue;
+            const markX = x(snapshots[i].timestamp);
+            chart.appendChild(svg('line', {
+                class: 'csp-trend-change',
+                x1: markX, x2: markX, y1: pad.top, y2: height - pad.bottom
+            }, [title(`${formatDate(snapshots[i].timestamp)}: case items, odds or prices changed`)]));
+        }
+
+        for (const line of series) {
+            const points = snapshots
+                .filter(s => line.value(s) !== null && Number.isFinite(line.value(s)))
+                .map(s => ({ x: x(s.timestamp), y: y(line.value(s), line.axis), snapshot: s }));
+            if (!points.length) continue;
+
+            chart.appendChild(svg('polyline', {
+                points: points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' '),
+                fill: 'none',
+                stroke: line.color,
+                'stroke-width': 1.5
+            }));
+            for (const point of points) {
+                const value = line.axis === 'left'
+                    ? `${point.snapshot.profitability.toFixed(1)}%`
+                    : CurrencyService.formatValue(line.value(point.snapshot), userCurrency);
+                chart.appendChild(svg('circle', { cx: point.x.toFixed(1), cy: point.y.toFixed(1), r: 2.5, fill: line.color },
+                    [title(`${new Date(point.snapshot.timestamp).toLocaleString()} \u2022 ${line.label}: ${value}`)]));
+            }
+        }
+
+        fragment.appendChild(
+            c('div', { className: 'csp-history-header' }, [
+                c('div', { className: 'csp-history-title' }, `Trend (${snapshots.length} visits)`),
+                c('button', { className: 'csp-history-clear', type: 'button', onClick: onClear }, 'Clear')
+            ])
+        );
+        fragment.appendChild(chart);
+        fragment.appendChild(
+            c('div', { className: 'csp-trend-legend' }, [
+                ...series.map(line => {
+                    const swatch = c('span', { className: 'csp-trend-swatch' });
+                    swatch.style.background = line.color;
+                    return c('span', {}, [swatch, line.label]);
+                }),
+                c('span', {}, [c('span', { className: 'csp-trend-swatch csp-trend-swatch-change' }), 'Case changed'])
+            ])
+        );
+
+        return fragment;
+    },
+
+    /**
+     * Build simulation outcome histogram
+     * @param {Array<{label: string, count: number}>} histogram - Bucket counts
+     * @param {number} total - Total number of openings
+     * @returns {DocumentFragment}
+     */
+    simulationHistogram(histogram, total) {
+        const fragment = document.createDocumentFragment();
+        const c = this.createElement.bind(this);
+        const maxCount = Math.max(...histogram.map(bucket => bucket.count), 1);
+
+        for (const bucket of histogram) {
+            const share = total > 0 ? bucket.count / total * 100 : 0;
+            const bar = c('div', { className: 'csp-sim-bar-fill' });
+            bar.style.height = `${bucket.count / maxCount * 100}%`;
+
+            fragment.appendChild(
+                c('div', { className: 'csp-sim-bar csp-tooltip', dataset: { tooltip: `${bucket.count.toLocaleString('en-US')} openings (${share.toFixed(1)}%)` } }, [
+                    c('div', { className: 'csp-sim-bar-track' }, bar),
+                    c('div', { className: 'csp-sim-bar-label' }, bucket.label)
+                ])
+            );
+        }
+
         return fragment;
     },
 
@@ -130,10 +545,13 @@ const Templates = {
      * @param {number} casePrice - Case price
      * @param {boolean} hasValidOdds - Whether case has valid odds
      * @param {string} userCurrency - User currency
+     * @param {{realName: string, compareName: string|null}} priceSources - Price provider names
+     * @param {string} liquidation - Description of the selling method used for net profit
      * @returns {HTMLElement}
      */
-    itemsTable(items, casePrice, hasValidOdds, userCurrency) {
+    itemsTable(items, casePrice, hasValidOdds, userCurrency, priceSources = { realName: 'CSGOTrader', compareName: null }, liquidation = '') {
         const c = this.createElement.bind(this);
+        const showCompare = !!priceSources.compareName;
 
         const table = c('table', { className: 'csp-items-table' });
 
@@ -141,9 +559,11 @@ const Templates = {
         const thead = c('thead');
         const headerRow = c('tr');
         const headers = ['#', 'Item', 'Price',
-            { text: 'Real Price', tooltip: 'CSGOTrader pricing' },
+            { text: 'Real Price', tooltip: `${priceSources.realName} pricing` },
+            ...(showCompare ? [{ text: priceSources.compareName, tooltip: `${priceSources.compareName} pricing` }] : []),
             'Profit',
-            { text: 'Real Profit', tooltip: 'Based on CSGOTrader prices' },
+            { text: 'Real Profit', tooltip: `Based on ${priceSources.realName} prices` },
+            { text: 'Net Profit', tooltip: liquidation },
             'Chance'
         ];
 
@@ -164,27 +584,29 @@ const Templates = {
             const profitClass = profit >= 0 ? 'csp-profit' : 'csp-loss';
             const rowClass = profit >= 0 ? 'csp-profit-row' : 'csp-loss-row';
 
-            const realPriceDisplay = item.realPrice !== null
-                ? CurrencyService.formatPrice(item.realPrice, userCurrency)
-                : '-';
-
-            let realProfitDisplay = '-';
-            let realProfitClass = '';
-            if (item.realPrice !== null && casePrice > 0) {
-                const realProfit = item.realPrice - casePrice;
-                realProfitClass = realProfit >= 0 ? 'csp-profit' : 'csp-loss';
-                realProfitDisplay = CurrencyService.formatProfit(realProfit, userCurrency);
-            }
-
             const oddsDisplay = hasValidOdds ? `${item.odds.toFixed(3)}%` : '?';
 
             const row = c('tr', { className: rowClass });
             row.appendChild(c('td', {}, String(idx + 1)));
             row.appendChild(this.itemNameCell(item));
-            row.appendChild(c('td', {}, CurrencyService.formatPrice(item.price, userCurrency)));
-            row.appendChild(c('td', {}, realPriceDisplay));
-            row.appendChild(c('td', { className: profitClass }, casePrice > 0 ? CurrencyService.formatProfit(profit, userCurrency) : '-'));
-            row.appendChild(c('td', { className: realProfitClass }, realProfitDisplay));
+            row.appendChild(this.amountCell(item.price, userCurrency));
+            row.appendChild(this.realPriceCell(item, item.realPrice, item.realPriceIsBase, item.priceMatch, userCurrency));
+            if (showCompare) {
+                row.appendChild(this.realPriceCell(item, item.comparePrice, item.comparePriceIsBase, null, userCurrency));
+            }
+            row.appendChild(casePrice > 0 ? this.amountCell(profit, userCurrency, true, profitClass) : c('td', { className: profitClass }, '-'));
+            if (item.realPrice !== null && casePrice > 0) {
+                const realProfit = item.realPrice - casePrice;
+                row.appendChild(this.amountCell(realProfit, userCurrency, true, realProfit >= 0 ? 'csp-profit' : 'csp-loss'));
+            } else {
+                row.appendChild(c('td', {}, '-'));
+            }
+            if (casePrice > 0) {
+                const netProfit = item.netValue - casePrice;
+                row.appendChild(this.amountCell(netProfit, userCurrency, true, netProfit >= 0 ? 'csp-profit' : 'csp-loss'));
+            } else {
+                row.appendChild(c('td', {}, '-'));
+            }
             row.appendChild(c('td', {}, oddsDisplay));
             tbody.appendChild(row);
         });
@@ -193,6 +615,123 @@ const Templates = {
         return table;
     },
 
+    /**
+     * Build a real price cell, marking prices of a similar feed name (\u2248) and
+     * base prices used for items whose phase has no price
+     * @param {Object} item - Processed item
+     * @param {number|null} price - Real price
+     * @param {boolean} isBasePrice - Priced without the item's phase
+     * @param {Object|null} match - Price match of a name missing from the feed (PricingService.getPriceMatch())
+     * @param {string} userCurrency - User currency
+     * @returns {HTMLElement}
+     */
+    realPriceCell(item, price, isBasePrice, match, userCurrency) {
+        const c = this.createElement.bind(this);
+        if (price === null) return c('td', {}, '-');
+
+        let text = CurrencyService.formatPrice(price, userCurrency);
+        const siteValue = CurrencyService.describeSiteValue(price, userCurrency);
+        const notes = [];
+        if (match?.matchedName) {
+            text = `\u2248 ${text}`;
+            notes.push(`Priced as "${match.matchedName}" (${Math.round(match.confidence * 100)}% match)`);
+        }
+        if (isBasePrice) {
+            notes.push(`${item.phase} price unavailable, using base`);
+        }
+        if (notes.length === 0) return c('td', siteValue ? { title: siteValue } : {}, text);
+        if (siteValue) notes.push(siteValue);
+
+        return c('td', { className: 'csp-tooltip', dataset: { tooltip: notes.join('. ') } }, [
+            text,
+            ...(isBasePrice ? [' ', c('span', { className: 'csp-base-price' }, 'base')] : [])
+        ]);
+    },
+
+    /**
+     * Case ranking panel with status line and table container
+     * @param {Function} onRefresh - Refetch all cases callback
+     * @param {Function} onClose - Close panel callback
+     * @returns {HTMLElement}
+     */
+    rankingPanel(onRefresh, onClose) {
+        const c = this.createElement.bind(this);
+
+        return c('div', { className: 'csp-ranking-panel' }, [
+            c('div', { className: 'csp-header' }, [
+                c('div', { className: 'csp-title' }, 'Case Ranking'),
+                c('div', { className: 'csp-ranking-actions' }, [
+                    c('button', { className: 'csp-ranking-action', type: 'button', onClick: onRefresh }, 'Refresh'),
+                    c('button', { className: 'csp-ranking-action', type: 'button', onClick: onClose }, '\u00D7')
+                ])
+            ]),
+            c('div', { className: 'csp-ranking-status', id: 'csp-ranking-status' }),
+            c('div', { className: 'csp-ranking-table', id: 'csp-ranking-table' })
+        ]);
+    },
+
+    /**
+     * Build sortable case ranking table
+     * @param {Array<Object>} rows - Sorted ranking rows (null stats = not available)
+     * @param {{key: string, desc: boolean}} sort - Current sort
+     * @param {Object} userCurrency - User currency
+     * @param {Function} onSort - Called with the column key when a header is clicked
+     * @returns {HTMLElement}
+     */
+    rankingTable(rows, sort, userCurrency, onSort) {
+        const c = this.createElement.bind(this);
+        const columns = [
+            { key: 'name', text: 'Case' },
+            { key: 'casePrice', text: 'Price' },
+            { key: 'expectedValue', text: 'EV' },
+            { key: 'profitability', text: 'Profitability' },
+            { key: 'realProfitability', text: 'Real Profitability', tooltip: `Based on ${PricingService.getActiveProvider().name} prices` },
+            { key: 'profitChance', text: 'Profit Chance' }
+        ];
+        const profitabilityClass = (value) => {
+            if (value < SettingsService.get('profitabilityRed')) return 'csp-loss';
+            if (value <= SettingsService.get('profitabilityGreen')) return '';
+            return 'csp-profit';
+        };
+        const percentCell = (value, digits, className = '') =>
+            c('td', { className }, value !== null ? `${value.toFixed(digits)}%` : 'N/A');
+
+        const table = c('table');
+        const headerRow = c('tr', {}, c('th', {}, '#'));
+        for (const column of columns) {
+            const arrow = sort.key === column.key ? (sort.desc ? ' \u25BC' : ' \u25B2') : '';
+            const attrs = { className: 'csp-ranking-sortable', onClick: () => onSort(column.key) };
+            if (column.tooltip) attrs.title = column.tooltip;
+            headerRow.appendChild(c('th', attrs, column.text + arrow));
+        }
+        table.appendChild(c('thead', {}, headerRow));
+
+        const tbody = c('tbody');
+        rows.forEach((row, idx) => {
+            const tr = c('tr');
+            tr.appendChild(c('td', {}, String(idx + 1)));
+            const nameCell = c('td', { className: 'csp-item-name' }, c('a', { href: row.url }, row.name));
+            if (row.issues?.length) {
+                nameCell.appendChild(c('span', { className: 'csp-ranking-warning', title: row.issues.join('\n') }, ' \u26A0'));
+            }
+            tr.appendChild(nameCell);
+
+            if (row.failed) {
+                tr.appendChild(c('td', { className: 'csp-loss', colspan: String(columns.length - 1) }, 'Failed to load'));
+            } else {
+                tr.appendChild(this.amountCell(row.casePrice, userCurrency));
+                tr.appendChild(row.expectedValue !== null ? this.amountCell(row.expectedValue, userCurrency) : c('td', {}, 'N/A'));
+                tr.appendChild(percentCell(row.profitability, 1, row.profitability !== null ? profitabilityClass(row.profitability) : ''));
+                tr.appendChild(percentCell(row.realProfitability, 1, row.realProfitability !== null ? profitabilityClass(row.realProfitability) : ''));
+                tr.appendChild(percentCell(row.profitChance, 2));
+            }
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+
+        return table;
+    },
+
     /**
      * Build item name table cell with StatTrak, wear, and phase styling
      * @param {Object} item - Item data
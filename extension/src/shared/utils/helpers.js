@@ -70,11 +70,36 @@ const Helpers = {
 
             setTimeout(() => {
                 observer.disconnect();
-                resolve(null);
+                resolve(document.querySelector(selector));
             }, timeout);
         });
     },
 
+    /**
+     * Collect ids from links on the page whose path matches a pattern
+     * @param {RegExp} pattern - Path pattern with the id in the first capture group
+     * @returns {Array<{id: string, url: string}>} - Unique ids in page order
+     */
+    getLinkedPathIds(pattern) {
+        const found = new Map();
+
+        for (const link of document.querySelectorAll('a[href]')) {
+            let url;
+            try {
+                url = new URL(link.getAttribute('href'), window.location.origin);
+            } catch (error) {
+                continue;
+            }
+            if (url.hostname !== window.location.hostname) continue;
+
+            const match = url.pathname.match(pattern);
+            if (match && !found.has(match[1])) {
+                found.set(match[1], { id: match[1], url: url.href });
+            }
+        }
+        return [...found.values()];
+    },
+
     /**
      * Weighted random selection from array
      * @param {Array<{odds: number}>} items - Items with odds property
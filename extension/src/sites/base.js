@@ -0,0 +1,239 @@
+/**
+ * Base Site Adapter - Contract and shared helpers for site adapters
+ * Every adapter extends this class and is checked against the contract
+ * before the content script uses it
+ *
+ * Required (static):
+ * - matches(url) -> boolean, true if the adapter handles the URL
+ * - getSiteId() -> string, id listed in SiteRegistry
+ *
+ * Required (instance):
+ * - isCasePage() -> boolean (default: getCaseId() returns an id)
+ * - getCaseId() -> string|null, case id or slug from the URL
+ * - getInsertionPoint() -> Promise<Element|null>, element to insert the box after
+ * - fetchCaseData() -> Promise<CaseData|null> (default: fetchCaseDataById(getCaseId()))
+ * - fetchUserCurrency() -> Promise<Currency> (default: USD)
+ *
+ * Optional capabilities (all methods of a capability or none):
+ * - catalog: getCatalogCases() -> [{ id, url }], fetchCaseDataById(caseId) -> Promise<CaseData|null>
+ *   (case ranking view)
+ * - openings: getOpeningUrlPatterns() -> [{ method, url }], parseOpeningResponse(data, url) -> [{ id, marketHashName }]
+ *   (OpeningTracker)
+ */
+
+class BaseSiteAdapter {
+    static REQUIRED_STATIC_METHODS = ['matches', 'getSiteId'];
+    static REQUIRED_METHODS = ['isCasePage', 'getCaseId', 'getInsertionPoint', 'fetchCaseData', 'fetchUserCurrency'];
+    static CAPABILITIES = {
+        catalog: ['getCatalogCases', 'fetchCaseDataById'],
+        openings: ['getOpeningUrlPatterns', 'parseOpeningResponse']
+    };
+
+    /**
+     * Check if this adapter handles the given URL
+     * @param {string} url - Current URL
+     * @returns {boolean}
+     */
+    static matches(url) {
+        throw new Error(`${this.name} must implement static matches(url)`);
+    }
+
+    /**
+     * Get unique site identifier
+     * @returns {string}
+     */
+    static getSiteId() {
+        throw new Error(`${this.name} must implement static getSiteId()`);
+    }
+
+    /**
+     * Check an adapter class against the contract
+     * @param {Function} AdapterClass - Adapter class
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    static validate(AdapterClass) {
+        const errors = [];
+
+        if (typeof AdapterClass !== 'function' || !(AdapterClass.prototype instanceof BaseSiteAdapter)) {
+            return { valid: false, errors: ['does not extend BaseSiteAdapter'] };
+        }
+
+        for (const method of this.REQUIRED_STATIC_METHODS) {
+            if (AdapterClass[method] === BaseSiteAdapter[method]) {
+                errors.push(`missing static ${method}()`);
+            }
+        }
+
+        if (AdapterClass.getSiteId !== BaseSiteAdapter.getSiteId) {
+            const siteId = AdapterClass.getSiteId();
+            if (typeof siteId !== 'string' || !siteId) {
+                errors.push('getSiteId() must return a non-empty string');
+            } else if (window.SiteRegistry && !SiteRegistry.getSite(siteId)) {
+                errors.push(`site id "${siteId}" is not listed in SiteRegistry`);
+            }
+        }
+
+        const proto = AdapterClass.prototype;
+        for (const method of this.REQUIRED_METHODS) {
+            if (typeof proto[method] !== 'function') {
+                errors.push(`missing ${method}()`);
+            }
+        }
+        for (const method of ['getCaseId', 'getInsertionPoint']) {
+            if (proto[method] === BaseSiteAdapter.prototype[method]) {
+                errors.push(`missing ${method}()`);
+            }
+        }
+        if (proto.fetchCaseData === BaseSiteAdapter.prototype.fetchCaseData && typeof proto.fetchCaseDataById !== 'function') {
+            errors.push('missing fetchCaseData() or fetchCaseDataById()');
+        }
+
+        for (const [capability, methods] of Object.entries(this.CAPABILITIES)) {
+            const implemented = methods.filter(method => typeof proto[method] === 'function');
+            if (implemented.length > 0 && implemented.length < methods.length) {
+                const missing = methods.filter(method => !implemented.includes(method));
+                errors.push(`incomplete ${capability} capability, missing ${missing.map(method => `${method}()`).join(', ')}`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Check if an adapter implements an optional capability
+     * @param {Object} adapter - Adapter instance
+     * @param {string} capability - Key of CAPABILITIES
+     * @returns {boolean}
+     */
+    static supports(adapter, capability) {
+        const methods = this.CAPABILITIES[capability];
+        return !!methods && methods.every(method => typeof adapter?.[method] === 'function');
+    }
+
+    /**
+     * Check if current page is a case page
+     * @returns {boolean}
+     */
+    isCasePage() {
+        return !!this.getCaseId();
+    }
+
+    /**
+     * Get case identifier from URL
+     * @returns {string|null}
+     */
+    getCaseId() {
+        throw new Error(`${this.constructor.name} must implement getCaseId()`);
+    }
+
+    /**
+     * Find DOM element to insert box after
+     * @returns {Promise<Element|null>}
+     */
+    async getInsertionPoint() {
+        throw new Error(`${this.constructor.name} must implement getInsertionPoint()`);
+    }
+
+    /**
+     * Fetch the case shown on the current page
+     * @returns {Promise<Object|null>} - Unified CaseData object
+     */
+    async fetchCaseData() {
+        if (!this.isCasePage()) return null;
+
+        const caseId = this.getCaseId();
+        if (!caseId) return null;
+
+        return this.fetchCaseDataById(caseId);
+    }
+
+    /**
+     * Fetch user's currency preference
+     * @returns {Promise<Object>} - Currency object {name, rate, symbol}
+     */
+    async fetchUserCurrency() {
+        return CurrencyService.defaultCurrency;
+    }
+
+    /**
+     * Get the first capture group of a pattern matched against the URL path
+     * @param {RegExp} pattern - Path pattern
+     * @returns {string|null}
+     */
+    matchPath(pattern) {
+        const match = window.location.pathname.match(pattern);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Wait for an element to appear in the DOM
+     * @param {string} selector - CSS selector
+     * @param {number} timeout - Maximum time to wait
+     * @returns {Promise<Element|null>}
+     */
+    waitForElement(selector, timeout = 5000) {
+        return Helpers.waitForElement(selector, timeout);
+    }
+
+    /**
+     * Read a cookie of the site
+     * @param {string} name - Cookie name
+     * @returns {string|null}
+     */
+    getCookie(name) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = document.cookie.match(new RegExp(`(?:^|;\\s*)${escaped}=([^;]*)`));
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Get the currency code stored in the site's "currency" cookie
+     * @param {string} fallback - Code used when the cookie is missing
+     * @returns {string}
+     */
+    getCurrencyCookie(fallback = 'USD') {
+        const code = this.getCookie('currency');
+        return code && /^\w+$/.test(code) ? code : fallback;
+    }
+
+    /**
+     * Get the site's coins (CurrencyService.VIRTUAL_CURRENCIES) as a currency, for sites that show prices in coins
+     * @returns {Promise<Object>} - Currency object {name, rate, symbol}, USD if the coins have no rate
+     */
+    async fetchCoinCurrency() {
+        const code = CurrencyService.getSiteCoin(this.constructor.getSiteId());
+        const rate = code ? await CurrencyService.getExchangeRate(code) : null;
+        return rate ? CurrencyService.create(code, rate) : CurrencyService.defaultCurrency;
+    }
+
+    /**
+     * Run a site request and log failures with the site name
+     * HttpErrors are rethrown so the box can tell the user why loading failed
+     * @param {string} action - What is being done, for the log ("fetching case data")
+     * @param {Function} request - Async function to run
+     * @param {*} fallback - Value returned when the request throws anything else
+     * @returns {Promise<*>}
+     * @throws {HttpError}
+     */
+    async attempt(action, request, fallback = null) {
+        try {
+            return await request();
+        } catch (error) {
+            console.error(`[${this.getSiteName()} Adapter] Error ${action}:`, error);
+            if (error instanceof HttpError) throw error;
+            return fallback;
+        }
+    }
+
+    /**
+     * Get the display name of the adapter's site
+     * @returns {string}
+     */
+    getSiteName() {
+        const siteId = this.constructor.getSiteId();
+        return window.SiteRegistry ? SiteRegistry.getSiteName(siteId) : siteId;
+    }
+}
+
+// Make available globally for content scripts
+window.BaseSiteAdapter = BaseSiteAdapter;
@@ -7,37 +7,28 @@
  */
 
 const ClashGGAPI = {
+    client: new HttpClient({ name: 'Clash.gg API', minInterval: 250 }),
+
     /**
      * Fetch case data from API
      * @param {string} caseSlug - Case slug from URL
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @returns {Promise<Object>} - Case data
+     * @throws {HttpError}
      */
     async fetchCaseData(caseSlug) {
-        try {
-            const response = await fetch(`/api/cases/${caseSlug}`, {
-                credentials: 'include',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                console.error('[Clash.gg API] HTTP error:', response.status);
-                return null;
-            }
-
-            const json = await response.json();
-
-            if (!json.name || !json.items) {
-                console.error('[Clash.gg API] Invalid response: missing case data');
-                return null;
+        const url = `/api/cases/${caseSlug}`;
+        const json = await this.client.json(url, {
+            credentials: 'include',
+            headers: {
+                'Accept': 'application/json'
             }
+        });
 
-            return json;
-        } catch (error) {
-            console.error('[Clash.gg API] Error fetching case data:', error);
-            return null;
+        if (!json.name || !json.items) {
+            throw new HttpResponseError('missing case data', { url });
         }
+
+        return json;
     }
 };
 
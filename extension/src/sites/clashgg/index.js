@@ -8,7 +8,7 @@
  * Data source: /api/cases/{slug}
  */
 
-class ClashGGAdapter {
+class ClashGGAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -26,23 +26,12 @@ class ClashGGAdapter {
         return 'clashgg';
     }
 
-    /**
-     * Check if current page is a case page
-     * @returns {boolean}
-     */
-    isCasePage() {
-        const path = window.location.pathname;
-        // Match /casescs2/{slug} pattern
-        return /^\/casescs2\/[^/]+$/.test(path);
-    }
-
     /**
      * Get case slug from URL
      * @returns {string|null}
      */
-    getCaseSlug() {
-        const match = window.location.pathname.match(/^\/casescs2\/([^/]+)$/);
-        return match ? match[1] : null;
+    getCaseId() {
+        return this.matchPath(/^\/casescs2\/([^/]+)$/);
     }
 
     /**
@@ -89,68 +78,38 @@ class ClashGGAdapter {
     }
 
     /**
-     * Wait for an element to appear in the DOM
-     * @param {string} selector - CSS selector
-     * @param {number} timeout - Maximum time to wait
-     * @returns {Promise<Element|null>}
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    waitForElement(selector, timeout = 5000) {
-        return new Promise((resolve) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const observer = new MutationObserver((mutations, obs) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    obs.disconnect();
-                    resolve(el);
-                }
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
-
-            setTimeout(() => {
-                observer.disconnect();
-                resolve(document.querySelector(selector));
-            }, timeout);
-        });
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/^\/casescs2\/([^/]+)$/);
     }
 
     /**
-     * Fetch case data from API
+     * Fetch any case from API
+     * @param {string} caseSlug - Case slug
      * @returns {Promise<Object|null>} - Unified CaseData object
      */
-    async fetchCaseData() {
-        if (!this.isCasePage()) return null;
-
-        const caseSlug = this.getCaseSlug();
-        if (!caseSlug) return null;
-
-        try {
+    async fetchCaseDataById(caseSlug) {
+        return this.attempt('fetching case data', async () => {
             const rawData = await ClashGGAPI.fetchCaseData(caseSlug);
             if (rawData) {
-                return ClashGGParser.transform(rawData);
+                // Convert gem prices to USD, they can't be converted without a rate (the box explains it)
+                const gemRate = await CurrencyService.getExchangeRate('CLASHGG_GEM');
+                if (!gemRate) return null;
+                return ClashGGParser.transform(rawData, 1 / gemRate);
             }
             return null;
-        } catch (error) {
-            console.error('[Clash.gg Adapter] Error fetching case data:', error);
-            return null;
-        }
+        });
     }
 
     /**
-     * Fetch user's currency preference
-     * Clash.gg prices are in cents, convert to USD
-     * @returns {Promise<Object>} - Currency object
+     * Fetch user's currency, the site shows prices in its coins
+     * ProbabilityBox shows them or fiat depending on the showSiteCoins setting
+     * @returns {Promise<Object>} - Currency object {name, rate, symbol}
      */
     async fetchUserCurrency() {
-        return CurrencyService.defaultCurrency;
+        return this.fetchCoinCurrency();
     }
 }
 
@@ -7,40 +7,31 @@
  */
 
 const CSGO500API = {
+    client: new HttpClient({ name: 'CSGO500 API', minInterval: 250 }),
+
     /**
      * Fetch case data from API
      * @param {string} caseId - Case ID (MongoDB ObjectId)
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @returns {Promise<Object>} - Case data
+     * @throws {HttpError}
      */
     async fetchCaseData(caseId) {
-        try {
-            const response = await fetch(`/api/case/${caseId}?active=1`, {
-                credentials: 'include',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                console.error('[CSGO500 API] HTTP error:', response.status);
-                return null;
-            }
-
-            const json = await response.json();
-
-            if (!json.case) {
-                console.error('[CSGO500 API] Invalid response: no case data');
-                return null;
+        const url = `/api/case/${caseId}?active=1`;
+        const json = await this.client.json(url, {
+            credentials: 'include',
+            headers: {
+                'Accept': 'application/json'
             }
+        });
 
-            return {
-                case: json.case,
-                caseItems: json.caseItems || []
-            };
-        } catch (error) {
-            console.error('[CSGO500 API] Error fetching case data:', error);
-            return null;
+        if (!json.case) {
+            throw new HttpResponseError('no case data', { url });
         }
+
+        return {
+            case: json.case,
+            caseItems: json.caseItems || []
+        };
     }
 };
 
@@ -10,7 +10,7 @@
  * Data source: /api/case/{caseId}?active=1
  */
 
-class CSGO500Adapter {
+class CSGO500Adapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -44,8 +44,7 @@ class CSGO500Adapter {
      * @returns {string|null}
      */
     getCaseId() {
-        const match = window.location.pathname.match(/\/([a-f0-9]{24})$/i);
-        return match ? match[1] : null;
+        return this.matchPath(/\/([a-f0-9]{24})$/i);
     }
 
     /**
@@ -82,69 +81,38 @@ class CSGO500Adapter {
     }
 
     /**
-     * Wait for an element to appear in the DOM
-     * @param {string} selector - CSS selector
-     * @param {number} timeout - Maximum time to wait
-     * @returns {Promise<Element|null>}
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    waitForElement(selector, timeout = 3000) {
-        return new Promise((resolve) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const observer = new MutationObserver((mutations, obs) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    obs.disconnect();
-                    resolve(el);
-                }
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
-
-            setTimeout(() => {
-                observer.disconnect();
-                resolve(document.querySelector(selector));
-            }, timeout);
-        });
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/\/([a-f0-9]{24})$/i);
     }
 
     /**
-     * Fetch case data from API
+     * Fetch any case from API
+     * @param {string} caseId - Case identifier
      * @returns {Promise<Object|null>} - Unified CaseData object
      */
-    async fetchCaseData() {
-        if (!this.isCasePage()) return null;
-
-        const caseId = this.getCaseId();
-        if (!caseId) return null;
-
-        try {
+    async fetchCaseDataById(caseId) {
+        return this.attempt('fetching case data', async () => {
             const rawData = await CSGO500API.fetchCaseData(caseId);
             if (rawData) {
-                return CSGO500Parser.transform(rawData);
+                // Convert coin prices to USD, they can't be converted without a rate (the box explains it)
+                const coinRate = await CurrencyService.getExchangeRate('CSGO500_COIN');
+                if (!coinRate) return null;
+                return CSGO500Parser.transform(rawData, 1 / coinRate);
             }
             return null;
-        } catch (error) {
-            console.error('[CSGO500 Adapter] Error fetching case data:', error);
-            return null;
-        }
+        });
     }
 
     /**
-     * Fetch user's currency preference
-     * CSGO500 uses coins (1 coin = $0.01)
-     * @returns {Promise<Object>} - Currency object
+     * Fetch user's currency, the site shows prices in its coins
+     * ProbabilityBox shows them or fiat depending on the showSiteCoins setting
+     * @returns {Promise<Object>} - Currency object {name, rate, symbol}
      */
     async fetchUserCurrency() {
-        // CSGO500 prices are in cents, convert to USD
-        return CurrencyService.defaultCurrency;
+        return this.fetchCoinCurrency();
     }
 }
 
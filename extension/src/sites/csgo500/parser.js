@@ -3,10 +3,10 @@
  * Transforms API response to unified CaseData format
  *
  * API response format:
- * - case: { name, price (cents), items: [...] }
+ * - case: { name, price (hundredths of a coin), items: [...] }
  * - caseItems: [{
  *     details: { weapon, skinName, exterior, shortExterior, quality, fullName },
- *     price (cents), odds, image, name, type
+ *     price (hundredths of a coin), odds, image, name, type
  *   }]
  */
 
@@ -16,9 +16,10 @@ const CSGO500Parser = {
     /**
      * Transform API response to unified format
      * @param {Object} rawData - Raw API response { case, caseItems }
+     * @param {number} coinToUsd - Conversion rate from CSGO500 coins to USD (see CurrencyService.VIRTUAL_CURRENCIES.CSGO500_COIN)
      * @returns {Object|null} - Unified CaseData object
      */
-    transform(rawData) {
+    transform(rawData, coinToUsd) {
         if (!rawData || !rawData.case) {
             return null;
         }
@@ -31,13 +32,14 @@ const CSGO500Parser = {
 
         // Use caseItems for detailed item info, fallback to case.items
         const items = caseItems.length > 0
-            ? this.parseDetailedItems(caseItems, imageMap)
-            : this.parseBasicItems(caseData.items || []);
+            ? this.parseDetailedItems(caseItems, coinToUsd, imageMap)
+            : this.parseBasicItems(caseData.items || [], coinToUsd);
 
         return {
             caseId: caseData._id || 'unknown',
             caseName: caseData.name || 'Unknown Case',
-            casePrice: (caseData.price || 0) / 100,
+            casePrice: ((caseData.price || 0) / 100) * coinToUsd,
+            siteRate: 1 / coinToUsd, // Coins per USD
             items: items
         };
     },
@@ -61,10 +63,11 @@ const CSGO500Parser = {
     /**
      * Parse detailed items from caseItems array
      * @param {Array} caseItems - Detailed item array
+     * @param {number} coinToUsd - Conversion rate from coins to USD
      * @param {Map} imageMap - Fallback image map from case.items
      * @returns {Array} - Parsed items
      */
-    parseDetailedItems(caseItems, imageMap = new Map()) {
+    parseDetailedItems(caseItems, coinToUsd, imageMap = new Map()) {
         return caseItems.map((item, idx) => {
             const details = item.details || {};
 
@@ -74,29 +77,18 @@ const CSGO500Parser = {
                 ? `★ ${details.weapon || item.type || ''}`
                 : details.weapon || item.type || '';
 
-            // Get skin name
-            const skinName = details.skinName || item.name || '';
-
-            // Extract phase from skin name for Doppler
-            const phase = this.extractPhase(skinName);
-
-            // Clean skin name
-            const cleanSkinName = this.cleanSkinName(skinName);
-
-            // Get wear info
-            const wear = (details.shortExterior || '').toUpperCase();
-            const wearFull = details.exterior || '';
-
             // Market hash name - use fullName if available (cleaned of garbage suffix)
-            const marketHashName = details.fullName
-                ? this.cleanFullName(details.fullName)
-                : this.buildMarketHashName(
+            // No StatTrak info in the separate fields, skin names carry the phase as "Doppler - Ruby"
+            const parsed = details.fullName
+                ? MarketHashName.parse(this.cleanFullName(details.fullName), {
+                    wearFull: details.exterior,
+                    phase: MarketHashName.extractPhase(details.skinName)
+                })
+                : MarketHashName.fromParts({
                     weaponName,
-                    cleanSkinName,
-                    wearFull,
-                    false, // No StatTrak info in basic response
-                    phase
-                );
+                    skinName: details.skinName || item.name || '',
+                    wearFull: details.exterior
+                });
 
             // Resolve image URL (handle cdn:// prefix for non-Steam items)
             // Fallback to imageMap for quantifiable items that don't have image in caseItems
@@ -106,16 +98,10 @@ const CSGO500Parser = {
 
             return {
                 id: item._id || `csgo500-${idx}`,
-                weaponName: weaponName,
-                skinName: cleanSkinName,
-                wear: wear,
-                wearFull: wearFull,
-                isStattrak: marketHashName.includes('StatTrak'),
-                price: (item.price || 0) / 100,
+                ...parsed,
+                price: ((item.price || 0) / 100) * coinToUsd,
                 odds: item.odds || 0,
-                image: resolvedImage,
-                marketHashName: marketHashName,
-                phase: phase
+                image: resolvedImage
             };
         });
     },
@@ -123,20 +109,17 @@ const CSGO500Parser = {
     /**
      * Parse basic items from case.items array (fallback)
      * @param {Array} items - Basic item array
+     * @param {number} coinToUsd - Conversion rate from coins to USD
      * @returns {Array} - Parsed items
      */
-    parseBasicItems(items) {
+    parseBasicItems(items, coinToUsd) {
         return items.map((item, idx) => {
             const meta = item.meta || {};
 
-            // Build weapon name
-            const weaponName = meta.type || 'Unknown';
-
-            // Get skin name
-            const skinName = meta.name || '';
-
-            // Extract phase
-            const phase = this.extractPhase(skinName);
+            const parsed = MarketHashName.fromParts({
+                weaponName: meta.type || 'Unknown',
+                skinName: meta.name || ''
+            });
 
             // Resolve image URL (handle cdn:// prefix for non-Steam items)
             const rawImage = meta.image || '';
@@ -144,16 +127,10 @@ const CSGO500Parser = {
 
             return {
                 id: item.itemId || `csgo500-${idx}`,
-                weaponName: weaponName,
-                skinName: this.cleanSkinName(skinName),
-                wear: '',
-                wearFull: '',
-                isStattrak: false,
-                price: (item.price || 0) / 100,
+                ...parsed,
+                price: ((item.price || 0) / 100) * coinToUsd,
                 odds: item.odds || 0,
-                image: resolvedImage,
-                marketHashName: `${weaponName} | ${skinName}`,
-                phase: phase
+                image: resolvedImage
             };
         });
     },
@@ -175,47 +152,6 @@ const CSGO500Parser = {
         return imageUrl;
     },
 
-    /**
-     * Extract Doppler phase from skin name
-     * @param {string} skinName - Skin name
-     * @returns {string|null} - Phase or null
-     */
-    extractPhase(skinName) {
-        if (!skinName || !skinName.toLowerCase().includes('doppler')) return null;
-
-        const phasePatterns = [
-            { pattern: /Phase 1/i, name: 'Phase 1' },
-            { pattern: /Phase 2/i, name: 'Phase 2' },
-            { pattern: /Phase 3/i, name: 'Phase 3' },
-            { pattern: /Phase 4/i, name: 'Phase 4' },
-            { pattern: /Ruby/i, name: 'Ruby' },
-            { pattern: /Sapphire/i, name: 'Sapphire' },
-            { pattern: /Emerald/i, name: 'Emerald' },
-            { pattern: /Black Pearl/i, name: 'Black Pearl' }
-        ];
-
-        for (const { pattern, name } of phasePatterns) {
-            if (pattern.test(skinName)) {
-                return name;
-            }
-        }
-
-        return null;
-    },
-
-    /**
-     * Clean skin name by removing phase suffix
-     * @param {string} skinName - Skin name
-     * @returns {string} - Cleaned name
-     */
-    cleanSkinName(skinName) {
-        if (!skinName) return '';
-
-        return skinName
-            .replace(/\s*-\s*(Phase \d|Ruby|Sapphire|Emerald|Black Pearl)$/i, '')
-            .trim();
-    },
-
     /**
      * Clean fullName by removing garbage suffix added by CSGO500 API
      * The API appends " StatTrak Stat Trak" to StatTrak item names
@@ -228,46 +164,6 @@ const CSGO500Parser = {
         return fullName
             .replace(/\s+StatTrak\s+Stat\s*Trak$/i, '')
             .trim();
-    },
-
-    /**
-     * Build market hash name
-     * @param {string} weaponName - Weapon name
-     * @param {string} skinName - Skin name
-     * @param {string} exterior - Wear condition
-     * @param {boolean} isStattrak - Is StatTrak
-     * @param {string|null} phase - Doppler phase
-     * @returns {string}
-     */
-    buildMarketHashName(weaponName, skinName, exterior, isStattrak, phase) {
-        // Handle ★ prefix for knives/gloves - it must come before StatTrak™
-        // Correct format: "★ StatTrak™ Weapon | Skin (Wear) Phase"
-        let starPrefix = '';
-        let cleanWeaponName = weaponName;
-
-        if (weaponName.startsWith('★ ')) {
-            starPrefix = '★ ';
-            cleanWeaponName = weaponName.substring(2);
-        }
-
-        const stattrakPrefix = isStattrak ? 'StatTrak™ ' : '';
-
-        // Handle vanilla items (no skin name)
-        if (!skinName) {
-            return `${starPrefix}${stattrakPrefix}${cleanWeaponName}`;
-        }
-
-        let hashName = `${starPrefix}${stattrakPrefix}${cleanWeaponName} | ${skinName}`;
-
-        if (exterior) {
-            hashName = `${hashName} (${exterior})`;
-        }
-
-        if (phase) {
-            hashName = `${hashName} ${phase}`;
-        }
-
-        return hashName;
     }
 };
 
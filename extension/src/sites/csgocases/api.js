@@ -8,6 +8,8 @@
 const CSGOCasesAPI = {
     BASE_URL: 'https://csgocases.com/api.php',
 
+    client: new HttpClient({ name: 'CSGOCases API', minInterval: 250 }),
+
     /**
      * Get displayed currency from page (the currency selector button)
      * @returns {string|null} - Currency code or null
@@ -31,12 +33,10 @@ const CSGOCasesAPI = {
      */
     async fetchUserAuth() {
         try {
-            const response = await fetch(`${this.BASE_URL}/auth`, {
+            const json = await this.client.json(`${this.BASE_URL}/auth`, {
                 method: 'GET',
                 headers: { 'Accept': 'application/json' }
             });
-            if (!response.ok) return null;
-            const json = await response.json();
             return json.user || null;
         } catch (error) {
             console.error('[CSGOCases API] Error fetching auth:', error);
@@ -68,27 +68,17 @@ const CSGOCasesAPI = {
     /**
      * Fetch case data from API
      * @param {string} caseSlug - Case slug (e.g., "mysterious")
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @returns {Promise<Object|null>} - Case data or null if the response is empty
+     * @throws {HttpError}
      */
     async fetchCaseData(caseSlug) {
-        try {
-            const response = await fetch(`${this.BASE_URL}/case/${caseSlug}`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+        const json = await this.client.json(`${this.BASE_URL}/case/${caseSlug}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
             }
-
-            const json = await response.json();
-            return json || null;
-        } catch (error) {
-            console.error('[CSGOCases API] Error fetching case data:', error);
-            return null;
-        }
+        });
+        return json || null;
     }
 };
 
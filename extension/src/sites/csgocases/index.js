@@ -8,7 +8,7 @@
  * Data source: REST API
  */
 
-class CSGOCasesAdapter {
+class CSGOCasesAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -26,24 +26,12 @@ class CSGOCasesAdapter {
         return 'csgocases';
     }
 
-    /**
-     * Check if current page is a case page
-     * @returns {boolean}
-     */
-    isCasePage() {
-        const path = window.location.pathname;
-        // Match /case/{slug} or /{lang}/case/{slug} pattern (e.g., /pl/case/knife)
-        return /^(?:\/[a-z]{2})?\/case\/[^/]+/.test(path);
-    }
-
     /**
      * Get case slug from URL
      * @returns {string|null}
      */
-    getCaseSlug() {
-        // Match /case/{slug} or /{lang}/case/{slug} pattern
-        const match = window.location.pathname.match(/^(?:\/[a-z]{2})?\/case\/([^/]+)/);
-        return match ? match[1] : null;
+    getCaseId() {
+        return this.matchPath(/^(?:\/[a-z]{2})?\/case\/([^/]+)/);
     }
 
     /**
@@ -76,61 +64,28 @@ class CSGOCasesAdapter {
     }
 
     /**
-     * Wait for an element to appear in the DOM
-     * @param {string} selector - CSS selector
-     * @param {number} timeout - Maximum time to wait
-     * @returns {Promise<Element|null>}
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    waitForElement(selector, timeout = 5000) {
-        return new Promise((resolve) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const observer = new MutationObserver((mutations, obs) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    obs.disconnect();
-                    resolve(el);
-                }
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
-
-            setTimeout(() => {
-                observer.disconnect();
-                resolve(document.querySelector(selector));
-            }, timeout);
-        });
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/^(?:\/[a-z]{2})?\/case\/([^/]+)/);
     }
 
     /**
-     * Fetch case data from API
+     * Fetch any case from API
+     * @param {string} caseSlug - Case slug
      * @returns {Promise<Object|null>} - Unified CaseData object
      */
-    async fetchCaseData() {
-        if (!this.isCasePage()) return null;
-
-        const caseSlug = this.getCaseSlug();
-        if (!caseSlug) return null;
-
-        try {
+    async fetchCaseDataById(caseSlug) {
+        return this.attempt('fetching case data', async () => {
             const rawData = await CSGOCasesAPI.fetchCaseData(caseSlug);
             if (rawData) {
-                // Get case price from page (already in user currency)
-                const casePriceFromPage = CSGOCasesAPI.getCasePriceFromPage();
+                // Get case price from page (already in user currency), only shown for the open case
+                const casePriceFromPage = caseSlug === this.getCaseId() ? CSGOCasesAPI.getCasePriceFromPage() : 0;
                 return CSGOCasesParser.transform(rawData, casePriceFromPage || null);
             }
             return null;
-        } catch (error) {
-            console.error('[CSGOCases Adapter] Error fetching case data:', error);
-            return null;
-        }
+        });
     }
 
     /**
@@ -143,7 +98,7 @@ class CSGOCasesAdapter {
             const currencyCode = CSGOCasesAPI.getCurrencyFromPage() || 'USD';
 
             // Calculate rate from case price comparison (USD from API vs displayed price)
-            const caseSlug = this.getCaseSlug();
+            const caseSlug = this.getCaseId();
             if (caseSlug) {
                 const rawData = await CSGOCasesAPI.fetchCaseData(caseSlug);
                 const priceUsd = parseFloat(rawData?.case?.price_usd) || 0;
@@ -155,7 +110,9 @@ class CSGOCasesAdapter {
                 }
             }
 
-            return CurrencyService.create(currencyCode, 1);
+            // No case price to compare, prices are in USD: use the exchange rate or stay in USD (the box notes the missing rate)
+            const rate = await CurrencyService.getExchangeRate(currencyCode);
+            return rate ? CurrencyService.create(currencyCode, rate) : CurrencyService.defaultCurrency;
         } catch (error) {
             console.error('[CSGOCases Adapter] Error fetching currency:', error);
             return CurrencyService.defaultCurrency;
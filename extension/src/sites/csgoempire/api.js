@@ -8,6 +8,8 @@
  */
 
 const CSGOEmpireAPI = {
+    client: new HttpClient({ name: 'CSGOEmpire API', minInterval: 250 }),
+
     /**
      * Get device identifier from localStorage or generate new one
      * @returns {string}
@@ -34,39 +36,29 @@ const CSGOEmpireAPI = {
     /**
      * Fetch case data from API
      * @param {string} caseSlug - Case slug (e.g., "ophidian")
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @returns {Promise<Object>} - Case data
+     * @throws {HttpError}
      */
     async fetchCaseData(caseSlug) {
-        try {
-            const deviceId = this.getDeviceIdentifier();
-            const envClass = this.getEnvClass();
-
-            const response = await fetch(`/api/v2/caseopening/case/${caseSlug}`, {
-                credentials: 'include',
-                headers: {
-                    'Accept': 'application/json',
-                    'x-empire-device-identifier': deviceId,
-                    'x-env-class': envClass
-                }
-            });
-
-            if (!response.ok) {
-                console.error('[CSGOEmpire API] HTTP error:', response.status);
-                return null;
-            }
-
-            const json = await response.json();
+        const deviceId = this.getDeviceIdentifier();
+        const envClass = this.getEnvClass();
 
-            if (!json.success || !json.data) {
-                console.error('[CSGOEmpire API] Invalid response:', json);
-                return null;
+        const url = `/api/v2/caseopening/case/${caseSlug}`;
+        const json = await this.client.json(url, {
+            credentials: 'include',
+            headers: {
+                'Accept': 'application/json',
+                'x-empire-device-identifier': deviceId,
+                'x-env-class': envClass
             }
+        });
 
-            return json.data;
-        } catch (error) {
-            console.error('[CSGOEmpire API] Error fetching case data:', error);
-            return null;
+        if (!json.success || !json.data) {
+            console.error('[CSGOEmpire API] Invalid response:', json);
+            throw new HttpResponseError(json.message || 'request was not successful', { url });
         }
+
+        return json.data;
     }
 };
 
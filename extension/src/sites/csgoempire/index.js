@@ -6,20 +6,12 @@
  * Data source: API
  *
  * Currency: CSGOEmpire uses "empire coins" internally
- * - 100 empire coins = €52 (1 coin = €0.52 EUR)
+ * - 100 empire coins = €52 (CurrencyService.VIRTUAL_CURRENCIES.EMPIRE_COIN)
  * - Users can select display currency (EUR, USD, coins, etc.)
  * - We convert to USD for internal calculations
  */
 
-class CSGOEmpireAdapter {
-    // Default empire coin to EUR conversion rate (100 coins = €52)
-    static DEFAULT_COIN_TO_EUR = 0.52;
-    // Default exchange rates to USD (fallback if API fails)
-    static DEFAULT_EUR_TO_USD = 1.04;
-    static DEFAULT_GBP_TO_USD = 1.27;
-
-    // Cached exchange rates from API
-    _exchangeRates = null;
+class CSGOEmpireAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -52,8 +44,7 @@ class CSGOEmpireAdapter {
      * @returns {string|null}
      */
     getCaseId() {
-        const match = window.location.pathname.match(/\/cases\/open\/([^\/]+)/);
-        return match ? match[1] : null;
+        return this.matchPath(/\/cases\/open\/([^\/]+)/);
     }
 
     /**
@@ -102,80 +93,30 @@ class CSGOEmpireAdapter {
     }
 
     /**
-     * Wait for an element to appear in the DOM
-     * @param {string} selector - CSS selector
-     * @param {number} timeout - Maximum time to wait
-     * @returns {Promise<Element|null>}
-     */
-    waitForElement(selector, timeout = 3000) {
-        return new Promise((resolve) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const observer = new MutationObserver((mutations, obs) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    obs.disconnect();
-                    resolve(el);
-                }
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
-
-            setTimeout(() => {
-                observer.disconnect();
-                resolve(document.querySelector(selector));
-            }, timeout);
-        });
-    }
-
-    /**
-     * Get exchange rates (using defaults since metadata API is protected)
-     * @returns {Object} - Exchange rates object
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    getExchangeRates() {
-        if (!this._exchangeRates) {
-            this._exchangeRates = {
-                coinToEur: CSGOEmpireAdapter.DEFAULT_COIN_TO_EUR,
-                eurToUsd: CSGOEmpireAdapter.DEFAULT_EUR_TO_USD,
-                gbpToUsd: CSGOEmpireAdapter.DEFAULT_GBP_TO_USD
-            };
-        }
-        return this._exchangeRates;
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/\/cases\/open\/([^\/]+)/);
     }
 
     /**
-     * Fetch case data from API
+     * Fetch any case from API
+     * @param {string} caseSlug - Case slug
      * @returns {Promise<Object|null>} - Unified CaseData object
      */
-    async fetchCaseData() {
-        if (!this.isCasePage()) return null;
-
-        const caseSlug = this.getCaseId();
-        if (!caseSlug) return null;
-
-        try {
+    async fetchCaseDataById(caseSlug) {
+        return this.attempt('fetching case data', async () => {
             const rawData = await CSGOEmpireAPI.fetchCaseData(caseSlug);
             if (rawData) {
-                // Get exchange rates
-                const rates = this.getExchangeRates();
-
-                // Convert empire coin prices to USD
-                // 1 coin = €0.52, then convert EUR to USD
-                const coinToUsd = rates.coinToEur * rates.eurToUsd;
-                return CSGOEmpireParser.transform(rawData, coinToUsd);
+                // Convert empire coin prices to USD (coin -> EUR -> USD)
+                const coinRate = await CurrencyService.getExchangeRate('EMPIRE_COIN');
+                // Prices can't be converted to USD, the box explains the missing rate
+                if (!coinRate) return null;
+                return CSGOEmpireParser.transform(rawData, 1 / coinRate);
             }
             return null;
-        } catch (error) {
-            console.error('[CSGOEmpire Adapter] Error fetching case data:', error);
-            return null;
-        }
+        });
     }
 
     /**
@@ -204,24 +145,19 @@ class CSGOEmpireAdapter {
     async fetchUserCurrency() {
         const detectedCurrency = this.detectUserCurrency();
 
-        // If empire coins or no currency detected, use USD
-        if (!detectedCurrency || detectedCurrency === 'COINS' || detectedCurrency === 'COIN') {
+        if (!detectedCurrency) {
             return CurrencyService.defaultCurrency; // USD
         }
 
-        // Get exchange rates
-        const rates = this.getExchangeRates();
+        // Empire coins, ProbabilityBox shows them or fiat depending on the showSiteCoins setting
+        if (detectedCurrency === 'COINS' || detectedCurrency === 'COIN') {
+            return this.fetchCoinCurrency();
+        }
 
         // The rate here is for DISPLAY purposes (USD to display currency)
         // Prices are already converted to USD internally
-        switch (detectedCurrency) {
-            case 'EUR':
-                return CurrencyService.create('EUR', 1 / rates.eurToUsd);
-            case 'GBP':
-                return CurrencyService.create('GBP', 1 / rates.gbpToUsd);
-            default:
-                return CurrencyService.defaultCurrency;
-        }
+        const rate = await CurrencyService.getExchangeRate(detectedCurrency);
+        return rate ? CurrencyService.create(detectedCurrency, rate) : CurrencyService.defaultCurrency;
     }
 }
 
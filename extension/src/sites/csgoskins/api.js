@@ -13,7 +13,7 @@
 const CSGOSkinsAPI = {
     /**
      * Get currency info from cookie and page
-     * @returns {{code: string, rate: number}}
+     * @returns {{code: string, rate: number|null}} - rate is null if neither the page nor the loaded rates have one
      */
     getCurrencyInfo() {
         // Get currency code from cookie
@@ -26,10 +26,10 @@ const CSGOSkinsAPI = {
             return { code: currencyCode, rate: 1 };
         }
 
-        // Try to find exchange rate in page for non-USD currencies
+        // Try to find exchange rate in page for non-USD currencies, then in the loaded exchange rates
         const html = document.documentElement.innerHTML;
         const rateMatch = html.match(/rate:([\d.]+)/);
-        const rate = rateMatch ? parseFloat(rateMatch[1]) : 1;
+        const rate = rateMatch ? parseFloat(rateMatch[1]) : CurrencyService.getRateInfo(currencyCode)?.rate || null;
 
         return { code: currencyCode, rate: rate };
     },
@@ -51,12 +51,16 @@ const CSGOSkinsAPI = {
 
     /**
      * Scrape case data from the DOM
-     * @returns {Object|null} - Case data or null on error
+     * @returns {Object|null} - Case data { name, price, rate, items } (prices in USD, rate the page prices were divided by) or null on error
      */
     scrapePageData() {
         try {
             // Get currency info for conversion
             const currency = this.getCurrencyInfo();
+            if (!currency.rate) {
+                console.error(`[CSGO-Skins API] No exchange rate for ${currency.code}, prices can't be converted`);
+                return null;
+            }
 
             // Extract case name from h1
             const caseName = document.querySelector('h1')?.innerText?.trim() || 'Unknown Case';
@@ -101,6 +105,7 @@ const CSGOSkinsAPI = {
             return {
                 name: caseName,
                 price: casePrice,
+                rate: currency.rate,
                 items: items
             };
         } catch (error) {
@@ -8,7 +8,7 @@
  * Data source: DOM scraping (no API available)
  */
 
-class CSGOSkinsAdapter {
+class CSGOSkinsAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -26,23 +26,12 @@ class CSGOSkinsAdapter {
         return 'csgoskins';
     }
 
-    /**
-     * Check if current page is a case page
-     * @returns {boolean}
-     */
-    isCasePage() {
-        const path = window.location.pathname;
-        // Match /case/{slug} pattern
-        return /^\/case\/[^/]+$/.test(path);
-    }
-
     /**
      * Get case slug from URL
      * @returns {string|null}
      */
-    getCaseSlug() {
-        const match = window.location.pathname.match(/^\/case\/([^/]+)$/);
-        return match ? match[1] : null;
+    getCaseId() {
+        return this.matchPath(/^\/case\/([^/]+)$/);
     }
 
     /**
@@ -70,40 +59,6 @@ class CSGOSkinsAdapter {
         return null;
     }
 
-    /**
-     * Wait for an element to appear in the DOM
-     * @param {string} selector - CSS selector
-     * @param {number} timeout - Maximum time to wait
-     * @returns {Promise<Element|null>}
-     */
-    waitForElement(selector, timeout = 5000) {
-        return new Promise((resolve) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const observer = new MutationObserver((mutations, obs) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    obs.disconnect();
-                    resolve(el);
-                }
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
-
-            setTimeout(() => {
-                observer.disconnect();
-                resolve(document.querySelector(selector));
-            }, timeout);
-        });
-    }
-
     /**
      * Fetch case data (actually scrapes from DOM)
      * @returns {Promise<Object|null>} - Unified CaseData object
@@ -113,17 +68,16 @@ class CSGOSkinsAdapter {
 
         // Wait for items to load
         await this.waitForElement('.ContainerGroupedItem', 5000);
+        // The scraper falls back to downloaded rates if the page has none
+        await CurrencyService.loadExchangeRates();
 
-        try {
+        return this.attempt('fetching case data', async () => {
             const rawData = CSGOSkinsAPI.scrapePageData();
             if (rawData) {
                 return CSGOSkinsParser.transform(rawData);
             }
             return null;
-        } catch (error) {
-            console.error('[CSGO-Skins Adapter] Error fetching case data:', error);
-            return null;
-        }
+        });
     }
 
     /**
@@ -132,8 +86,7 @@ class CSGOSkinsAdapter {
      */
     async fetchUserCurrency() {
         // Get currency code from cookie
-        const currencyMatch = document.cookie.match(/currency=(\w+)/);
-        const currencyCode = currencyMatch ? currencyMatch[1] : 'USD';
+        const currencyCode = this.getCurrencyCookie();
 
         // For USD, always use rate of 1 (prices on page are already in USD)
         if (currencyCode === 'USD') {
@@ -143,9 +96,10 @@ class CSGOSkinsAdapter {
         // Get exchange rate from page for non-USD currencies
         const html = document.documentElement.innerHTML;
         const rateMatch = html.match(/rate:([\d.]+)/);
-        const rate = rateMatch ? parseFloat(rateMatch[1]) : 1;
+        const rate = rateMatch ? parseFloat(rateMatch[1]) : await CurrencyService.getExchangeRate(currencyCode);
 
-        return CurrencyService.create(currencyCode, rate);
+        // Without a rate prices are not converted (the box notes the missing rate)
+        return rate ? CurrencyService.create(currencyCode, rate) : CurrencyService.defaultCurrency;
     }
 }
 
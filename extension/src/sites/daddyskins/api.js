@@ -9,11 +9,14 @@
 const DaddySkinsAPI = {
     BASE_URL: 'https://api.daddyskins.com/api',
 
+    client: new HttpClient({ name: 'DaddySkins API', minInterval: 250 }),
+
     /**
      * Fetch case data from GraphQL API
      * @param {string} caseSlug - Case slug (e.g., "overpass")
      * @param {string} locale - Locale (default: "en")
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @returns {Promise<Object|null>} - Case data or null if the case does not exist
+     * @throws {HttpError}
      */
     async fetchCaseData(caseSlug, locale = 'en') {
         const query = `
@@ -38,31 +41,26 @@ const DaddySkinsAPI = {
             }
         `;
 
-        try {
-            const response = await fetch(this.BASE_URL, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json',
-                    'Authorization': 'Basic Og=='
-                },
-                body: JSON.stringify({
-                    operationName: 'FetchSteamCase',
-                    variables: { slug: caseSlug, locale: locale },
-                    query: query
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+        const json = await this.client.json(this.BASE_URL, {
+            method: 'POST',
+            // Read-only query, safe to send again
+            retries: this.client.retries,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Authorization': 'Basic Og=='
+            },
+            body: JSON.stringify({
+                operationName: 'FetchSteamCase',
+                variables: { slug: caseSlug, locale: locale },
+                query: query
+            })
+        });
 
-            const json = await response.json();
-            return json.data?.case || null;
-        } catch (error) {
-            console.error('[DaddySkins API] Error fetching case data:', error);
-            return null;
+        if (json.errors?.length) {
+            throw new HttpResponseError(json.errors[0].message || 'GraphQL error', { url: this.BASE_URL });
         }
+        return json.data?.case || null;
     }
 };
 
@@ -9,7 +9,7 @@
  * Data source: GraphQL API
  */
 
-class DaddySkinsAdapter {
+class DaddySkinsAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -27,23 +27,12 @@ class DaddySkinsAdapter {
         return 'daddyskins';
     }
 
-    /**
-     * Check if current page is a case page
-     * @returns {boolean}
-     */
-    isCasePage() {
-        const path = window.location.pathname;
-        // Match /{locale}/case/{slug} pattern
-        return /^\/[a-z]{2}\/case\/[^/]+/.test(path);
-    }
-
     /**
      * Get case slug from URL
      * @returns {string|null}
      */
-    getCaseSlug() {
-        const match = window.location.pathname.match(/^\/[a-z]{2}\/case\/([^/]+)/);
-        return match ? match[1] : null;
+    getCaseId() {
+        return this.matchPath(/^\/[a-z]{2}\/case\/([^/]+)/);
     }
 
     /**
@@ -51,7 +40,7 @@ class DaddySkinsAdapter {
      * @returns {string}
      */
     getLocale() {
-        const match = window.location.pathname.match(/^\/([a-z]{2})\/case\//);
+        const match = window.location.pathname.match(/^\/([a-z]{2})(?:\/|$)/);
         return match ? match[1] : 'en';
     }
 
@@ -85,70 +74,27 @@ class DaddySkinsAdapter {
     }
 
     /**
-     * Wait for an element to appear in the DOM
-     * @param {string} selector - CSS selector
-     * @param {number} timeout - Maximum time to wait
-     * @returns {Promise<Element|null>}
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    waitForElement(selector, timeout = 5000) {
-        return new Promise((resolve) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const observer = new MutationObserver((mutations, obs) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    obs.disconnect();
-                    resolve(el);
-                }
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
-
-            setTimeout(() => {
-                observer.disconnect();
-                resolve(document.querySelector(selector));
-            }, timeout);
-        });
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/^\/[a-z]{2}\/case\/([^/]+)/);
     }
 
     /**
-     * Fetch case data from GraphQL API
+     * Fetch any case from GraphQL API
+     * @param {string} caseSlug - Case slug
+     * @param {string} locale - Site locale (defaults to the current page's)
      * @returns {Promise<Object|null>} - Unified CaseData object
      */
-    async fetchCaseData() {
-        if (!this.isCasePage()) return null;
-
-        const caseSlug = this.getCaseSlug();
-        const locale = this.getLocale();
-
-        if (!caseSlug) return null;
-
-        try {
+    async fetchCaseDataById(caseSlug, locale = this.getLocale()) {
+        return this.attempt('fetching case data', async () => {
             const rawData = await DaddySkinsAPI.fetchCaseData(caseSlug, locale);
             if (rawData) {
                 return DaddySkinsParser.transform(rawData);
             }
             return null;
-        } catch (error) {
-            console.error('[DaddySkins Adapter] Error fetching case data:', error);
-            return null;
-        }
-    }
-
-    /**
-     * Fetch user's currency preference
-     * DaddySkins prices are in USD (from API)
-     * @returns {Promise<Object>} - Currency object
-     */
-    async fetchUserCurrency() {
-        return CurrencyService.defaultCurrency;
+        });
     }
 }
 
@@ -39,95 +39,22 @@ const DaddySkinsParser = {
      * @returns {Object} - Parsed item
      */
     parseItem(item) {
-        const weaponName = item.name || '';
-        const skinName = item.short_description || '';
-        const isStattrak = item.stattrak === true;
-        const wearFull = item.quality || '';
-        const wearShort = this.getWearShort(wearFull);
-
-        // Extract phase from skin name if Doppler
-        const phase = this.extractPhase(skinName);
-
-        // Build market hash name
-        // Handle ★ prefix for knives/gloves - it must come before StatTrak™
-        // Correct format: "★ StatTrak™ Weapon | Skin (Wear) Phase"
-        let starPrefix = '';
-        let cleanWeaponName = weaponName;
-
-        if (weaponName.startsWith('★ ')) {
-            starPrefix = '★ ';
-            cleanWeaponName = weaponName.substring(2);
-        }
-
-        const stattrakPrefix = isStattrak ? 'StatTrak\u2122 ' : '';
-        let marketHashName = `${starPrefix}${stattrakPrefix}${cleanWeaponName} | ${skinName}`;
-
-        if (wearFull) {
-            marketHashName += ` (${wearFull})`;
-        }
-        if (phase) {
-            marketHashName += ` ${phase}`;
-        }
+        // The phase of Doppler skins is part of the skin name
+        const parsed = MarketHashName.fromParts({
+            weaponName: item.name,
+            skinName: item.short_description,
+            wearFull: item.quality,
+            isStattrak: item.stattrak === true
+        });
 
         return {
             id: item.id || `daddyskins-${Math.random()}`,
-            weaponName: weaponName,
-            skinName: skinName,
-            wear: wearShort,
-            wearFull: wearFull,
-            isStattrak: isStattrak,
-            isSouvenir: false,
+            ...parsed,
             price: (item.price || 0) / 100, // Convert cents to dollars
             odds: item.chance || 0,
             image: item.image || '',
-            marketHashName: marketHashName,
-            phase: phase,
             rarity: item.class || ''
         };
-    },
-
-    /**
-     * Get short wear code
-     * @param {string} wearFull - Full wear name
-     * @returns {string} - Short wear code
-     */
-    getWearShort(wearFull) {
-        const wearMap = {
-            'Factory New': 'FN',
-            'Minimal Wear': 'MW',
-            'Field-Tested': 'FT',
-            'Well-Worn': 'WW',
-            'Battle-Scarred': 'BS'
-        };
-        return wearMap[wearFull] || '';
-    },
-
-    /**
-     * Extract Doppler phase from skin name
-     * @param {string} skinName - Skin name
-     * @returns {string|null} - Phase or null
-     */
-    extractPhase(skinName) {
-        if (!skinName.toLowerCase().includes('doppler')) return null;
-
-        const phasePatterns = [
-            { pattern: /Phase 1/i, name: 'Phase 1' },
-            { pattern: /Phase 2/i, name: 'Phase 2' },
-            { pattern: /Phase 3/i, name: 'Phase 3' },
-            { pattern: /Phase 4/i, name: 'Phase 4' },
-            { pattern: /Ruby/i, name: 'Ruby' },
-            { pattern: /Sapphire/i, name: 'Sapphire' },
-            { pattern: /Emerald/i, name: 'Emerald' },
-            { pattern: /Black Pearl/i, name: 'Black Pearl' }
-        ];
-
-        for (const { pattern, name } of phasePatterns) {
-            if (pattern.test(skinName)) {
-                return name;
-            }
-        }
-
-        return null;
     }
 };
 
@@ -8,32 +8,24 @@
 const DatDropAPI = {
     BASE_URL: 'https://api.datdrop.com',
 
+    client: new HttpClient({ name: 'DatDrop API', minInterval: 250 }),
+
     /**
      * Fetch case data from API
      * @param {string} caseSlug - Case slug (e.g., "snowflake")
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @returns {Promise<Object|null>} - Case data or null if the response has none
+     * @throws {HttpError}
      */
     async fetchCaseData(caseSlug) {
-        try {
-            const response = await fetch(`${this.BASE_URL}/api/dropcase/${caseSlug}`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'x-oauth-client-id': '1',
-                    'x-client-version': '11'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+        const json = await this.client.json(`${this.BASE_URL}/api/dropcase/${caseSlug}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                'x-oauth-client-id': '1',
+                'x-client-version': '11'
             }
-
-            const json = await response.json();
-            return json.drop_case || null;
-        } catch (error) {
-            console.error('[DatDrop API] Error fetching case data:', error);
-            return null;
-        }
+        });
+        return json.drop_case || null;
     }
 };
 
@@ -6,7 +6,7 @@
  * API: https://api.datdrop.com/api/dropcase/{slug}
  */
 
-class DatDropAdapter {
+class DatDropAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -24,22 +24,13 @@ class DatDropAdapter {
         return 'datdrop';
     }
 
-    /**
-     * Check if current page is a case page
-     * @returns {boolean}
-     */
-    isCasePage() {
-        return !!this.getCaseId();
-    }
-
     /**
      * Get case identifier from URL
      * URL pattern: /case/{slug}
      * @returns {string|null}
      */
     getCaseId() {
-        const match = window.location.pathname.match(/\/case\/([^\/]+)/);
-        return match ? match[1] : null;
+        return this.matchPath(/\/case\/([^\/]+)/);
     }
 
     /**
@@ -81,33 +72,26 @@ class DatDropAdapter {
     }
 
     /**
-     * Fetch case data from API
-     * @returns {Promise<Object|null>} - Unified CaseData object
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    async fetchCaseData() {
-        const caseSlug = this.getCaseId();
-        if (!caseSlug) return null;
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/\/case\/([^\/]+)/);
+    }
 
-        try {
+    /**
+     * Fetch any case from API
+     * @param {string} caseSlug - Case slug
+     * @returns {Promise<Object|null>} - Unified CaseData object
+     */
+    async fetchCaseDataById(caseSlug) {
+        return this.attempt('fetching case data', async () => {
             const rawData = await DatDropAPI.fetchCaseData(caseSlug);
             if (rawData) {
                 return DatDropParser.transform(rawData);
             }
             return null;
-        } catch (error) {
-            console.error('[DatDrop Adapter] Error fetching case data:', error);
-            return null;
-        }
-    }
-
-    /**
-     * Fetch user's currency preference
-     * DatDrop uses USD by default
-     * @returns {Promise<Object>} - Currency object {name, rate, symbol}
-     */
-    async fetchUserCurrency() {
-        // DatDrop prices are in cents (USD)
-        return CurrencyService.defaultCurrency;
+        });
     }
 }
 
@@ -6,31 +6,23 @@
 const HellcaseAPI = {
     BASE_URL: 'https://api.hellcase.com',
 
+    client: new HttpClient({ name: 'Hellcase API', minInterval: 250 }),
+
     /**
      * Fetch case data from Hellcase API
      * @param {string} caseSlug - Case slug/identifier
-     * @returns {Promise<Object|null>} - Raw API response or null on error
+     * @returns {Promise<Object>} - Raw API response
+     * @throws {HttpError}
      */
     async fetchCaseData(caseSlug) {
-        try {
-            const response = await fetch(`${this.BASE_URL}/open/${caseSlug}`, {
-                method: 'GET',
-                credentials: 'include',
-                headers: {
-                    'Accept': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+        return this.client.json(`${this.BASE_URL}/open/${caseSlug}`, {
+            method: 'GET',
+            credentials: 'include',
+            headers: {
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
             }
-
-            return await response.json();
-        } catch (error) {
-            console.error('[Hellcase API] Error fetching case data:', error);
-            return null;
-        }
+        });
     },
 
     /**
@@ -39,7 +31,7 @@ const HellcaseAPI = {
      */
     async fetchUserData() {
         try {
-            const response = await fetch(`${this.BASE_URL}/root`, {
+            return await this.client.json(`${this.BASE_URL}/root`, {
                 method: 'GET',
                 credentials: 'include',
                 headers: {
@@ -47,12 +39,6 @@ const HellcaseAPI = {
                     'X-Requested-With': 'XMLHttpRequest'
                 }
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            return await response.json();
         } catch (error) {
             console.error('[Hellcase API] Error fetching user data:', error);
             return null;
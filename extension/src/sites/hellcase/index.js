@@ -3,7 +3,7 @@
  * Implements the site adapter interface for Hellcase
  */
 
-class HellcaseAdapter {
+class HellcaseAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -21,21 +21,12 @@ class HellcaseAdapter {
         return 'hellcase';
     }
 
-    /**
-     * Check if current page is a case page
-     * @returns {boolean}
-     */
-    isCasePage() {
-        return !!this.getCaseId();
-    }
-
     /**
      * Get case identifier from URL
      * @returns {string|null}
      */
     getCaseId() {
-        const match = window.location.pathname.match(/\/open\/([^\/]+)/);
-        return match ? match[1] : null;
+        return this.matchPath(/\/open\/([^\/]+)/);
     }
 
     /**
@@ -66,19 +57,42 @@ class HellcaseAdapter {
     }
 
     /**
-     * Fetch case data from API
-     * @returns {Promise<Object|null>} - Unified CaseData object
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    async fetchCaseData() {
-        const caseSlug = this.getCaseId();
-        if (!caseSlug) return null;
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/\/open\/([^\/]+)/);
+    }
 
+    /**
+     * Fetch any case from API
+     * @param {string} caseSlug - Case slug
+     * @returns {Promise<Object|null>} - Unified CaseData object
+     */
+    async fetchCaseDataById(caseSlug) {
         const rawData = await HellcaseAPI.fetchCaseData(caseSlug);
         if (!rawData) return null;
 
         return HellcaseParser.transform(rawData);
     }
 
+    /**
+     * Requests that open a case (watched by OpeningTracker)
+     * @returns {Array<{method: string, url: string}>}
+     */
+    getOpeningUrlPatterns() {
+        return [{ method: 'POST', url: 'api\\.hellcase\\.com/open/[^/?]+' }];
+    }
+
+    /**
+     * Extract won items from an open-case response
+     * @param {Object} data - Open-case response
+     * @returns {Array<{id: *, marketHashName: string|null}>}
+     */
+    parseOpeningResponse(data) {
+        return HellcaseParser.parseOpening(data);
+    }
+
     /**
      * Fetch user's currency preference
      * @returns {Promise<Object>} - Currency object {name, rate, symbol}
@@ -7,6 +7,8 @@
  */
 
 const KeyDropAPI = {
+    client: new HttpClient({ name: 'KeyDrop API', minInterval: 250 }),
+
     /**
      * Get the language code from URL
      * @returns {string} - Language code (e.g., 'en', 'pl')
@@ -18,32 +20,18 @@ const KeyDropAPI = {
 
     /**
      * Fetch authorization token
-     * @returns {Promise<string|null>} - JWT token or null on error
+     * @returns {Promise<string>} - JWT token
+     * @throws {HttpError}
      */
     async fetchToken() {
-        try {
-            const lang = this.getLang();
-            const response = await fetch(`/${lang}/token?t=${Date.now()}`);
+        const lang = this.getLang();
+        const url = `/${lang}/token?t=${Date.now()}`;
+        const token = await this.client.text(url);
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const token = await response.text();
-            return token;
-        } catch (error) {
-            console.error('[KeyDrop API] Error fetching token:', error);
-            return null;
+        if (!token) {
+            throw new HttpResponseError('empty authorization token', { url });
         }
-    },
-
-    /**
-     * Get user's currency from cookie
-     * @returns {string} - Currency code
-     */
-    getCurrency() {
-        const match = document.cookie.match(/currency=(\w+)/);
-        return match ? match[1] : 'USD';
+        return token;
     },
 
     /**
@@ -53,18 +41,12 @@ const KeyDropAPI = {
     async fetchExchangeRates() {
         try {
             const lang = this.getLang();
-            const response = await fetch(`/${lang}/apiData/currency`, {
+            const json = await this.client.json(`/${lang}/apiData/currency`, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
                 }
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const json = await response.json();
             return json.data || null;
         } catch (error) {
             console.error('[KeyDrop API] Error fetching exchange rates:', error);
@@ -75,37 +57,23 @@ const KeyDropAPI = {
     /**
      * Fetch case data from API
      * @param {string} caseSlug - Case slug (e.g., "crocodilo")
-     * @param {string} [currencyOverride] - Optional currency code to override user preference
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @param {string} currency - Currency code the prices are sent in (the adapter's getCurrencyCookie())
+     * @returns {Promise<Object|null>} - Case data or null if the response has none
+     * @throws {HttpError}
      */
-    async fetchCaseData(caseSlug, currencyOverride = null) {
-        try {
-            const token = await this.fetchToken();
-            if (!token) {
-                throw new Error('Failed to get authorization token');
-            }
+    async fetchCaseData(caseSlug, currency) {
+        const token = await this.fetchToken();
 
-            const lang = this.getLang();
-            const currency = currencyOverride || this.getCurrency();
-            const response = await fetch(`/${lang}/apiData/skins/Cases/getCaseData/${caseSlug}`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'Authorization': `Bearer ${token}`,
-                    'x-currency': currency
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+        const lang = this.getLang();
+        const json = await this.client.json(`/${lang}/apiData/skins/Cases/getCaseData/${caseSlug}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                'x-currency': currency
             }
-
-            const json = await response.json();
-            return json.data || null;
-        } catch (error) {
-            console.error('[KeyDrop API] Error fetching case data:', error);
-            return null;
-        }
+        });
+        return json.data || null;
     }
 };
 
@@ -6,7 +6,7 @@
  * Data source: window.__case global variable
  */
 
-class KeyDropAdapter {
+class KeyDropAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -39,8 +39,7 @@ class KeyDropAdapter {
      * @returns {string|null}
      */
     getCaseId() {
-        const match = window.location.pathname.match(/\/skins\/category\/([^\/]+)/);
-        return match ? match[1] : null;
+        return this.matchPath(/\/skins\/category\/([^\/]+)/);
     }
 
     /**
@@ -92,70 +91,56 @@ class KeyDropAdapter {
     }
 
     /**
-     * Wait for an element to appear in the DOM
-     * @param {string} selector - CSS selector
-     * @param {number} timeout - Maximum time to wait
-     * @returns {Promise<Element|null>}
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    waitForElement(selector, timeout = 2000) {
-        return new Promise((resolve) => {
-            const element = document.querySelector(selector);
-            if (element) {
-                resolve(element);
-                return;
-            }
-
-            const observer = new MutationObserver((mutations, obs) => {
-                const el = document.querySelector(selector);
-                if (el) {
-                    obs.disconnect();
-                    resolve(el);
-                }
-            });
-
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true
-            });
-
-            setTimeout(() => {
-                observer.disconnect();
-                resolve(document.querySelector(selector));
-            }, timeout);
-        });
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/\/skins\/category\/([^\/]+)/);
     }
 
     /**
-     * Fetch case data
+     * Fetch any case from API
+     * @param {string} caseSlug - Case slug
      * @returns {Promise<Object|null>} - Unified CaseData object
      */
-    async fetchCaseData() {
-        if (!this.isCasePage()) return null;
-
-        const caseSlug = this.getCaseId();
-        if (!caseSlug) return null;
-
-        try {
+    async fetchCaseDataById(caseSlug) {
+        return this.attempt('fetching case data', async () => {
             // Get currency and exchange rate
-            const currencyMatch = document.cookie.match(/currency=(\w+)/);
-            const currencyCode = currencyMatch ? currencyMatch[1] : 'USD';
+            const currencyCode = this.getCurrencyCookie();
 
             let exchangeRate = 1;
             if (currencyCode !== 'USD') {
                 const currencyData = await KeyDropAPI.fetchExchangeRates();
-                exchangeRate = currencyData?.exchangeRate?.[currencyCode] || 1;
+                exchangeRate = currencyData?.exchangeRate?.[currencyCode]
+                    || await CurrencyService.getExchangeRate(currencyCode);
             }
+            // Prices can't be converted to USD, the box explains the missing rate
+            if (!exchangeRate) return null;
 
-            const rawData = await KeyDropAPI.fetchCaseData(caseSlug);
+            const rawData = await KeyDropAPI.fetchCaseData(caseSlug, currencyCode);
             if (rawData) {
                 // Pass exchange rate to parser to normalize prices to USD
                 return KeyDropParser.transform(rawData, exchangeRate);
             }
             return null;
-        } catch (error) {
-            console.error('[KeyDrop Adapter] Error fetching case data:', error);
-            return null;
-        }
+        });
+    }
+
+    /**
+     * Requests that open a case (watched by OpeningTracker)
+     * @returns {Array<{method: string, url: string}>}
+     */
+    getOpeningUrlPatterns() {
+        return [{ method: 'POST', url: '/apiData/skins/Cases/openCase' }];
+    }
+
+    /**
+     * Extract won items from an open-case response
+     * @param {Object} data - Open-case response
+     * @returns {Array<{id: string, marketHashName: null}>}
+     */
+    parseOpeningResponse(data) {
+        return KeyDropParser.parseOpening(data);
     }
 
     /**
@@ -164,8 +149,7 @@ class KeyDropAdapter {
      */
     async fetchUserCurrency() {
         // Get currency from cookie
-        const currencyMatch = document.cookie.match(/currency=(\w+)/);
-        const currencyCode = currencyMatch ? currencyMatch[1] : 'USD';
+        const currencyCode = this.getCurrencyCookie();
 
         // If already USD, rate is 1
         if (currencyCode === 'USD') {
@@ -183,8 +167,9 @@ class KeyDropAdapter {
             console.error('[KeyDrop Adapter] Error fetching exchange rate:', error);
         }
 
-        // Fallback: return rate of 1 (prices won't be converted)
-        return CurrencyService.create(currencyCode, 1);
+        // Fallback: downloaded rate, or USD if the currency is unknown (the box notes the missing rate)
+        const rate = await CurrencyService.getExchangeRate(currencyCode);
+        return rate ? CurrencyService.create(currencyCode, rate) : CurrencyService.defaultCurrency;
     }
 }
 
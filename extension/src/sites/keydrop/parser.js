@@ -33,14 +33,8 @@ const KeyDropParser = {
 
             // Each item can have multiple wear conditions in the pf array
             item.pf.forEach(wearData => {
-                const wear = this.normalizeWear(wearData.rarity || '');
-                const wearFull = this.getFullWear(wearData.rarity || '');
-
-                // Extract phase from fullTitle if it's a Doppler
-                const phase = this.extractPhase(item.fullTitle);
-
-                // Build market hash name (including phase if present)
-                const marketHashName = this.buildMarketHashName(item.fullTitle, wearFull, phase);
+                // fullTitle includes the phase of Dopplers as " - Phase 1" or similar
+                const parsed = MarketHashName.parse(item.fullTitle, { wearFull: wearData.rarity });
 
                 // Normalize price to USD
                 const priceInLocalCurrency = wearData.price || 0;
@@ -48,17 +42,11 @@ const KeyDropParser = {
 
                 items.push({
                     id: `${item.id}_${wearData.rarity}`,
-                    weaponName: (item.title || '').trim(),
-                    skinName: (item.subtitle || '').trim(),
-                    wear: wear,
-                    wearFull: wearFull,
-                    isStattrak: (item.fullTitle || '').includes('StatTrak'),
+                    ...parsed,
                     price: priceInUsd,
                     odds: wearData.odds || 0,
                     image: item.icon || '',
-                    rarity: this.mapColorToRarity(item.color || ''),
-                    marketHashName: marketHashName,
-                    phase: phase
+                    rarity: this.mapColorToRarity(item.color || '')
                 });
             });
         });
@@ -71,108 +59,30 @@ const KeyDropParser = {
             caseId: rawData.id || rawData.slug,
             caseName: rawData.title || 'Unknown Case',
             casePrice: casePriceInUsd,
+            siteRate: rate, // Units of the site currency per USD
             items: items
         };
     },
 
     /**
-     * Build market hash name from full title, wear, and phase
-     * @param {string} fullTitle - Full item title like "M4A1-S | Printstream"
-     * @param {string} wearFull - Full wear condition
-     * @param {string|null} phase - Doppler phase if applicable
-     * @returns {string} - Market hash name
-     */
-    buildMarketHashName(fullTitle, wearFull, phase) {
-        if (!fullTitle) return '';
-
-        let hashName = fullTitle.trim();
-
-        // Strip phase from title if present (KeyDrop includes it as " - Phase 1" or similar)
-        if (phase) {
-            hashName = hashName
-                .replace(/\s*-\s*Phase\s*\d/i, '')
-                .replace(/\s*-\s*Ruby/i, '')
-                .replace(/\s*-\s*Sapphire/i, '')
-                .replace(/\s*-\s*Emerald/i, '')
-                .replace(/\s*-\s*Black Pearl/i, '')
-                .trim();
-        }
-
-        if (wearFull) {
-            hashName = `${hashName} (${wearFull})`;
-        }
-
-        return hashName;
-    },
-
-    /**
-     * Extract Doppler phase from full title
-     * @param {string} fullTitle - Full item title
-     * @returns {string|null} - Phase name or null
+     * Extract won items from an open-case response
+     * Response shape is best-effort: { winnerItem | items: [{ id, rarity }] }
+     * Ids are built like transform() so they match the case items
+     * @param {Object} rawData - Raw open-case response
+     * @returns {Array<{id: string, marketHashName: null}>} - Won items
      */
-    extractPhase(fullTitle) {
-        if (!fullTitle) return null;
-
-        // Check if it's a Doppler or Gamma Doppler
-        if (!fullTitle.includes('Doppler')) return null;
-
-        // Phase patterns to look for in the title
-        const phasePatterns = [
-            { pattern: /Phase 1/i, name: 'Phase 1' },
-            { pattern: /Phase 2/i, name: 'Phase 2' },
-            { pattern: /Phase 3/i, name: 'Phase 3' },
-            { pattern: /Phase 4/i, name: 'Phase 4' },
-            { pattern: /Ruby/i, name: 'Ruby' },
-            { pattern: /Sapphire/i, name: 'Sapphire' },
-            { pattern: /Emerald/i, name: 'Emerald' },
-            { pattern: /Black Pearl/i, name: 'Black Pearl' }
-        ];
-
-        for (const { pattern, name } of phasePatterns) {
-            if (pattern.test(fullTitle)) {
-                return name;
-            }
-        }
-
-        return null;
-    },
-
-    /**
-     * Normalize wear condition to short format
-     * @param {string} wear - Wear string (FN, MW, FT, WW, BS)
-     * @returns {string} - Short wear format
-     */
-    normalizeWear(wear) {
-        if (!wear) return '';
-
-        const wearUpper = wear.toUpperCase();
-
-        if (wearUpper === 'FN' || wearUpper.includes('FACTORY NEW')) return 'FN';
-        if (wearUpper === 'MW' || wearUpper.includes('MINIMAL WEAR')) return 'MW';
-        if (wearUpper === 'FT' || wearUpper.includes('FIELD-TESTED') || wearUpper.includes('FIELD TESTED')) return 'FT';
-        if (wearUpper === 'WW' || wearUpper.includes('WELL-WORN') || wearUpper.includes('WELL WORN')) return 'WW';
-        if (wearUpper === 'BS' || wearUpper.includes('BATTLE-SCARRED') || wearUpper.includes('BATTLE SCARRED')) return 'BS';
-
-        return wear;
-    },
-
-    /**
-     * Get full wear condition name
-     * @param {string} wear - Short wear string
-     * @returns {string} - Full wear name
-     */
-    getFullWear(wear) {
-        if (!wear) return '';
-
-        const wearMap = {
-            'FN': 'Factory New',
-            'MW': 'Minimal Wear',
-            'FT': 'Field-Tested',
-            'WW': 'Well-Worn',
-            'BS': 'Battle-Scarred'
-        };
-
-        return wearMap[wear.toUpperCase()] || wear;
+    parseOpening(rawData) {
+        const data = rawData?.data || rawData;
+        if (!data) return [];
+
+        const wonItems = Array.isArray(data.items) ? data.items : (data.winnerItem ? [data.winnerItem] : []);
+
+        return wonItems
+            .filter(won => won?.id && won.rarity)
+            .map(won => ({
+                id: `${won.id}_${won.rarity}`,
+                marketHashName: null
+            }));
     },
 
     /**
@@ -0,0 +1,50 @@
+/**
+ * Site Registry - Metadata for every supported site
+ * Single source for the content script adapter list and the popup
+ * SITES is generated from registry.json by scripts/generate-manifest.js (npm run generate)
+ */
+
+const SiteRegistry = {
+    // Order matters: the first adapter whose matches() accepts the URL is used
+    SITES: [
+        { id: 'hellcase', name: 'Hellcase', url: 'https://hellcase.com', adapter: 'HellcaseAdapter' },
+        { id: 'skinclub', name: 'SkinClub', url: 'https://skin.club', adapter: 'SkinClubAdapter' },
+        { id: 'datdrop', name: 'DatDrop', url: 'https://datdrop.com', adapter: 'DatDropAdapter' },
+        { id: 'keydrop', name: 'KeyDrop', url: 'https://key-drop.com', adapter: 'KeyDropAdapter' },
+        { id: 'csgoempire', name: 'CSGOEmpire', url: 'https://csgoempire.com', adapter: 'CSGOEmpireAdapter' },
+        { id: 'csgo500', name: 'CSGO500', url: 'https://csgo500.com', adapter: 'CSGO500Adapter' },
+        { id: 'clashgg', name: 'Clash.gg', url: 'https://clash.gg', adapter: 'ClashGGAdapter' },
+        { id: 'csgoskins', name: 'CSGO-Skins', url: 'https://csgo-skins.com', adapter: 'CSGOSkinsAdapter' },
+        { id: 'daddyskins', name: 'DaddySkins', url: 'https://daddyskins.com', adapter: 'DaddySkinsAdapter' },
+        { id: 'csgocases', name: 'CSGOCases', url: 'https://csgocases.com', adapter: 'CSGOCasesAdapter' }
+    ],
+
+    /**
+     * Get adapter classes loaded in the current context
+     * @returns {Array<Function>} - Adapter classes
+     */
+    getAdapters() {
+        return this.SITES.map(site => window[site.adapter]).filter(Boolean);
+    },
+
+    /**
+     * Find site metadata by id
+     * @param {string} siteId - Site identifier (adapter getSiteId())
+     * @returns {Object|null}
+     */
+    getSite(siteId) {
+        return this.SITES.find(site => site.id === siteId) || null;
+    },
+
+    /**
+     * Get a display name for a site id
+     * @param {string} siteId - Site identifier
+     * @returns {string}
+     */
+    getSiteName(siteId) {
+        return this.getSite(siteId)?.name || siteId;
+    }
+};
+
+// Make available globally for content scripts and the popup
+window.SiteRegistry = SiteRegistry;
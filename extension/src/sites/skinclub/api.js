@@ -9,32 +9,24 @@
 const SkinClubAPI = {
     BASE_URL: 'https://gate.skin.club',
 
+    client: new HttpClient({ name: 'SkinClub API', minInterval: 250 }),
+
     /**
      * Fetch case data from API
      * Used as fallback when SSR payload is not available (SPA navigation)
      * @param {string} caseSlug - Case slug (e.g., "knife", "ak-47")
-     * @returns {Promise<Object|null>} - Case data or null on error
+     * @returns {Promise<Object|null>} - Case data or null if the response has none
+     * @throws {HttpError}
      */
     async fetchCaseData(caseSlug) {
-        try {
-            const response = await fetch(`${this.BASE_URL}/apiv2/cases/${caseSlug}`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+        const json = await this.client.json(`${this.BASE_URL}/apiv2/cases/${caseSlug}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
             }
-
-            const json = await response.json();
-            return json.data || null;
-        } catch (error) {
-            console.error('[SkinClub API] Error fetching case data:', error);
-            return null;
-        }
+        });
+        return json.data || null;
     },
 
     /**
@@ -44,7 +36,7 @@ const SkinClubAPI = {
      */
     async fetchUserData() {
         try {
-            const response = await fetch(`${this.BASE_URL}/apiv2/user`, {
+            return await this.client.json(`${this.BASE_URL}/apiv2/user`, {
                 method: 'GET',
                 credentials: 'include',
                 headers: {
@@ -52,17 +44,11 @@ const SkinClubAPI = {
                     'X-Requested-With': 'XMLHttpRequest'
                 }
             });
-
-            if (!response.ok) {
-                // User might not be logged in - this is not an error
-                if (response.status === 401 || response.status === 403) {
-                    return null;
-                }
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            return await response.json();
         } catch (error) {
+            // User might not be logged in - this is not an error
+            if (error.status === 401 || error.status === 403) {
+                return null;
+            }
             // Silently fail for user data - will use default currency
             console.debug('[SkinClub API] Could not fetch user data:', error.message);
             return null;
@@ -6,7 +6,7 @@
  * URL pattern: /en/cases/open/{slug} (with locale prefix)
  */
 
-class SkinClubAdapter {
+class SkinClubAdapter extends BaseSiteAdapter {
     /**
      * Check if this adapter handles the given URL
      * @param {string} url - Current URL
@@ -24,23 +24,13 @@ class SkinClubAdapter {
         return 'skinclub';
     }
 
-    /**
-     * Check if current page is a case page
-     * @returns {boolean}
-     */
-    isCasePage() {
-        return !!this.getCaseId();
-    }
-
     /**
      * Get case identifier from URL
      * URL pattern: /{locale}/cases/open/{slug}
      * @returns {string|null}
      */
     getCaseId() {
-        // Match pattern: /en/cases/open/knife or /cases/open/knife
-        const match = window.location.pathname.match(/\/cases\/open\/([^\/]+)/);
-        return match ? match[1] : null;
+        return this.matchPath(/\/cases\/open\/([^\/]+)/);
     }
 
     /**
@@ -79,23 +69,43 @@ class SkinClubAdapter {
     }
 
     /**
-     * Fetch case data from API
-     * @returns {Promise<Object|null>} - Unified CaseData object
+     * Cases linked on the current page (site catalog)
+     * @returns {Array<{id: string, url: string}>}
      */
-    async fetchCaseData() {
-        const caseSlug = this.getCaseId();
-        if (!caseSlug) return null;
+    getCatalogCases() {
+        return Helpers.getLinkedPathIds(/\/cases\/open\/([^\/]+)/);
+    }
 
-        try {
+    /**
+     * Fetch any case from API
+     * @param {string} caseSlug - Case slug
+     * @returns {Promise<Object|null>} - Unified CaseData object
+     */
+    async fetchCaseDataById(caseSlug) {
+        return this.attempt('fetching case data', async () => {
             const rawData = await SkinClubAPI.fetchCaseData(caseSlug);
             if (rawData) {
                 return SkinClubParser.transform(rawData);
             }
             return null;
-        } catch (error) {
-            console.error('[SkinClub Adapter] Error fetching case data:', error);
-            return null;
-        }
+        });
+    }
+
+    /**
+     * Requests that open a case (watched by OpeningTracker)
+     * @returns {Array<{method: string, url: string}>}
+     */
+    getOpeningUrlPatterns() {
+        return [{ method: 'POST', url: 'gate\\.skin\\.club/apiv2/cases/[^/?]+/open' }];
+    }
+
+    /**
+     * Extract won items from an open-case response
+     * @param {Object} data - Open-case response
+     * @returns {Array<{id: *, marketHashName: string|null}>}
+     */
+    parseOpeningResponse(data) {
+        return SkinClubParser.parseOpening(data);
     }
 
     /**
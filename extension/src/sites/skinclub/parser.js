@@ -27,8 +27,15 @@ const SkinClubParser = {
             const item = content.item;
             if (!item) return;
 
-            // Check for StatTrak in market_hash_name
-            const isStattrak = item.market_hash_name?.includes('StatTrak™') || false;
+            // Phase is sent on its own (e.g., "Phase 3", "Ruby", "Sapphire")
+            const parsed = item.market_hash_name
+                ? MarketHashName.parse(item.market_hash_name, { wearFull: item.exterior, phase: item.phase })
+                : MarketHashName.fromParts({
+                    weaponName: item.name,           // e.g., "★ Shadow Daggers"
+                    skinName: item.finish,           // e.g., "Urban Masked"
+                    wearFull: item.exterior,         // e.g., "Minimal Wear"
+                    phase: item.phase
+                });
 
             // Build image URL from file path
             const imagePath = item.file?.path || '';
@@ -36,19 +43,13 @@ const SkinClubParser = {
 
             items.push({
                 id: item.id,
-                weaponName: item.name || '',           // e.g., "★ Shadow Daggers"
-                skinName: item.finish || '',           // e.g., "Urban Masked"
-                wear: this.normalizeWear(item.exterior || ''),
-                wearFull: item.exterior || '',         // e.g., "Minimal Wear"
-                isStattrak: isStattrak,
+                ...parsed,
                 price: this.convertPrice(item.price),  // Convert from cents to dollars
                 odds: this.convertOdds(content.chance, content.chance_percent),
                 image: imageUrl,
                 // Additional fields for display
-                phase: item.phase || null,             // e.g., "Phase 3", "Ruby", "Sapphire"
                 rarity: item.rarity_site || item.rarity || '',
-                quality: item.quality || '',
-                marketHashName: item.market_hash_name || ''
+                quality: item.quality || ''
             });
         });
 
@@ -60,6 +61,24 @@ const SkinClubParser = {
         };
     },
 
+    /**
+     * Extract won items from an open-case response
+     * Response shape is best-effort: { data: [{ item: { id, market_hash_name } }] }
+     * @param {Object} rawData - Raw open-case response
+     * @returns {Array<{id: *, marketHashName: string|null}>} - Won items
+     */
+    parseOpening(rawData) {
+        const drops = rawData?.data;
+        if (!Array.isArray(drops)) return [];
+
+        return drops
+            .filter(drop => drop?.item)
+            .map(drop => ({
+                id: drop.item.id,
+                marketHashName: drop.item.market_hash_name || null
+            }));
+    },
+
     /**
      * Convert price from cents to dollars
      * @param {number} priceInCents - Price in cents
@@ -92,25 +111,6 @@ const SkinClubParser = {
         }
 
         return 0;
-    },
-
-    /**
-     * Normalize wear condition to short format
-     * @param {string} wear - Wear string in any format
-     * @returns {string} - Short wear format (FN, MW, FT, WW, BS)
-     */
-    normalizeWear(wear) {
-        if (!wear) return '';
-
-        const wearLower = wear.toLowerCase();
-
-        if (wearLower.includes('factory new') || wearLower === 'fn') return 'FN';
-        if (wearLower.includes('minimal wear') || wearLower === 'mw') return 'MW';
-        if (wearLower.includes('field-tested') || wearLower.includes('field tested') || wearLower === 'ft') return 'FT';
-        if (wearLower.includes('well-worn') || wearLower.includes('well worn') || wearLower === 'ww') return 'WW';
-        if (wearLower.includes('battle-scarred') || wearLower.includes('battle scarred') || wearLower === 'bs') return 'BS';
-
-        return wear;
     }
 };
 
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Manifest Generator - Builds manifest.json and the SiteRegistry list from
+ * extension/src/sites/registry.json
+ *
+ * registry.json format:
+ * - contentScripts.shared: scripts loaded on every site (in order)
+ * - contentScripts.promo: scripts loaded before the site files of sites with a promo handler
+ * - contentScripts.adapter: scripts loaded right before the site files
+ * - contentScripts.entry: scripts loaded last
+ * - background: scripts the background worker loads before background.js
+ *   (manifest background.scripts for Firefox, importScripts() in background.js for Chrome)
+ * - hostPermissions: permissions not tied to a site (price feeds)
+ * - sites: [{ id, name, url, adapter, domains, apiHosts, scripts, promo }]
+ *   domains match with and without subdomains, scripts are relative to src/sites/{id}/,
+ *   promo adds src/sites/{id}/promo.js after them
+ *
+ * Usage:
+ *   node scripts/generate-manifest.js          Write manifest.json and src/sites/registry.js
+ *   node scripts/generate-manifest.js --check  Exit with 1 if they differ from registry.json
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'extension');
+const REGISTRY_JSON = path.join(EXTENSION_DIR, 'src', 'sites', 'registry.json');
+const REGISTRY_JS = path.join(EXTENSION_DIR, 'src', 'sites', 'registry.js');
+const MANIFEST = path.join(EXTENSION_DIR, 'manifest.json');
+const BACKGROUND = path.join(EXTENSION_DIR, 'background.js');
+const SITES_BLOCK = /^( {4}SITES: \[\n)[\s\S]*?(\n {4}\],)$/m;
+
+/**
+ * Read the site registry
+ * @returns {Object}
+ */
+function readRegistry() {
+    return JSON.parse(fs.readFileSync(REGISTRY_JSON, 'utf8'));
+}
+
+/**
+ * Build match patterns for a site's domains (with and without subdomains)
+ * @param {Object} site - Registry site
+ * @returns {Array<string>}
+ */
+function getMatches(site) {
+    return site.domains.flatMap(domain => [`https://${domain}/*`, `https://*.${domain}/*`]);
+}
+
+/**
+ * Build the ordered content script list of a site
+ * @param {Object} registry - Site registry
+ * @param {Object} site - Registry site
+ * @returns {Array<string>}
+ */
+function getSiteScripts(registry, site) {
+    const { shared, promo, adapter, entry } = registry.contentScripts;
+    const siteScripts = site.scripts.map(script => `src/sites/${site.id}/${script}`);
+    if (site.promo) siteScripts.push(`src/sites/${site.id}/promo.js`);
+
+    return [
+        ...shared,
+        ...(site.promo ? promo : []),
+        ...adapter,
+        ...siteScripts,
+        ...entry
+    ];
+}
+
+/**
+ * Build manifest.json from the registry, keeping all other manifest fields
+ * @param {Object} registry - Site registry
+ * @param {Object} manifest - Current manifest
+ * @returns {Object}
+ */
+function buildManifest(registry, manifest) {
+    const siteMatches = registry.sites.flatMap(getMatches);
+    const contentScriptDefaults = manifest.content_scripts?.[0] || {};
+
+    return {
+        ...manifest,
+        host_permissions: [
+            ...registry.sites.flatMap(site => [
+                ...getMatches(site),
+                ...(site.apiHosts || []).map(host => `https://${host}/*`)
+            ]),
+            ...registry.hostPermissions
+        ],
+        content_scripts: registry.sites.map(site => ({
+            matches: getMatches(site),
+            js: getSiteScripts(registry, site),
+            css: contentScriptDefaults.css || ['src/shared/ui/styles.css'],
+            run_at: contentScriptDefaults.run_at || 'document_idle'
+        })),
+        web_accessible_resources: (manifest.web_accessible_resources || []).map(entry => ({
+            ...entry,
+            matches: siteMatches
+        })),
+        ...(manifest.background && {
+            background: {
+                ...manifest.background,
+                scripts: [...registry.background, manifest.background.service_worker]
+            }
+        })
+    };
+}
+
+/**
+ * Build registry.js with the SITES list replaced
+ * @param {Object} registry - Site registry
+ * @param {string} source - Current registry.js source
+ * @returns {string}
+ */
+function buildRegistryScript(registry, source) {
+    if (!SITES_BLOCK.test(source)) {
+        throw new Error('SITES list not found in src/sites/registry.js');
+    }
+
+    const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    const lines = registry.sites.map(site =>
+        `        { id: ${quote(site.id)}, name: ${quote(site.name)}, url: ${quote(site.url)}, adapter: ${quote(site.adapter)} }`
+    );
+
+    return source.replace(SITES_BLOCK, (match, start, end) => `${start}${lines.join(',\n')}${end}`);
+}
+
+/**
+ * Get the scripts background.js loads with importScripts()
+ * @param {string} source - background.js source
+ * @returns {Array<string>}
+ */
+function getBackgroundImports(source) {
+    const call = source.match(/importScripts\(([^)]*)\)/);
+    return call ? [...call[1].matchAll(/'([^']+)'/g)].map(match => match[1]) : [];
+}
+
+/**
+ * Check the registry for mistakes the generated files would hide
+ * @param {Object} registry - Site registry
+ * @returns {Array<string>} - Problems found
+ */
+function validateRegistry(registry) {
+    const problems = [];
+    const ids = new Set();
+    const { shared, promo, adapter, entry } = registry.contentScripts;
+
+    for (const script of [...shared, ...promo, ...adapter, ...entry, ...registry.background]) {
+        if (!fs.existsSync(path.join(EXTENSION_DIR, script))) problems.push(`missing script ${script}`);
+    }
+
+    const imports = getBackgroundImports(fs.readFileSync(BACKGROUND, 'utf8'));
+    if (imports.join() !== registry.background.join()) {
+        problems.push(`background.js imports [${imports.join(', ')}] instead of the registry's background scripts`);
+    }
+
+    for (const site of registry.sites) {
+        if (ids.has(site.id)) problems.push(`duplicate site id ${site.id}`);
+        ids.add(site.id);
+
+        if (!site.domains?.length) problems.push(`${site.id}: no domains`);
+
+        const scripts = [...site.scripts, ...(site.promo ? ['promo.js'] : [])];
+        for (const script of scripts) {
+            if (!fs.existsSync(path.join(EXTENSION_DIR, 'src', 'sites', site.id, script))) {
+                problems.push(`${site.id}: missing script ${script}`);
+            }
+        }
+
+        const indexPath = path.join(EXTENSION_DIR, 'src', 'sites', site.id, 'index.js');
+        if (fs.existsSync(indexPath) && !new RegExp(`\\bclass ${site.adapter}\\b`).test(fs.readFileSync(indexPath, 'utf8'))) {
+            problems.push(`${site.id}: adapter class ${site.adapter} not found in index.js`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Generate the files, or compare them with the registry in check mode
+ * @param {Object} options - Options
+ * @param {boolean} options.check - Only compare, do not write
+ * @returns {{ok: boolean, problems: Array<string>}}
+ */
+function run({ check = false } = {}) {
+    const registry = readRegistry();
+    const problems = validateRegistry(registry);
+
+    const manifestSource = fs.readFileSync(MANIFEST, 'utf8');
+    const registrySource = fs.readFileSync(REGISTRY_JS, 'utf8');
+    const outputs = [
+        [MANIFEST, manifestSource, JSON.stringify(buildManifest(registry, JSON.parse(manifestSource)), null, 4) + '\n'],
+        [REGISTRY_JS, registrySource, buildRegistryScript(registry, registrySource)]
+    ];
+
+    for (const [file, current, generated] of outputs) {
+        if (current === generated) continue;
+        const name = path.relative(path.join(__dirname, '..'), file);
+        if (check) {
+            problems.push(`${name} is out of date, run "npm run generate"`);
+        } else {
+            fs.writeFileSync(file, generated);
+            console.log(`Updated ${name}`);
+        }
+    }
+
+    return { ok: problems.length === 0, problems };
+}
+
+if (require.main === module) {
+    const { ok, problems } = run({ check: process.argv.includes('--check') });
+    problems.forEach(problem => console.error(problem));
+    process.exitCode = ok ? 0 : 1;
+}
+
+module.exports = { run, buildManifest, buildRegistryScript, getSiteScripts, validateRegistry };
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('../helpers/extension');
+
+const { PriceMatcher } = loadScripts([
+    'src/shared/services/itemtypes.js',
+    'src/shared/services/markethashname.js',
+    'src/background/matcher.js'
+]);
+
+describe('PriceMatcher.parse', () => {
+    it('normalizes stars, case, spacing and wear abbreviations', () => {
+        const feed = PriceMatcher.parse('★ Karambit | Doppler (Factory New)');
+        const site = PriceMatcher.parse('karambit|doppler  (FN)');
+
+        assert.equal(site.key, feed.key);
+        assert.equal(feed.base, 'karambit | doppler (factory new)');
+        assert.equal(feed.group, 'karambit | ');
+        assert.equal(feed.wear, 'factory new');
+    });
+
+    it('detects StatTrak and Souvenir wherever they are written', () => {
+        const feed = PriceMatcher.parse('★ StatTrak™ Butterfly Knife | Fade (Factory New)');
+        const site = PriceMatcher.parse('StatTrak ★ Butterfly Knife | Fade (Factory New)');
+
+        assert.equal(site.key, feed.key);
+        assert.equal(feed.stattrak, true);
+        assert.equal(feed.base, 'butterfly knife | fade (factory new)');
+        assert.equal(PriceMatcher.parse('Souvenir AWP | Dragon Lore (Field Tested)').key, 'souvenir awp | dragon lore (field-tested)');
+    });
+
+    it('leaves names without a wear alone', () => {
+        const parsed = PriceMatcher.parse('Sticker | Crown (Foil)');
+        assert.equal(parsed.wear, 'foil');
+        assert.equal(PriceMatcher.parse('Operation Breakout Weapon Case').wear, null);
+    });
+});
+
+describe('PriceMatcher.rank', () => {
+    const feed = [
+        'AK-47 | Redline (Field-Tested)',
+        'AK-47 | Redline (Minimal Wear)',
+        'StatTrak™ AK-47 | Redline (Field-Tested)',
+        'AK-47 | Red Laminate (Field-Tested)'
+    ];
+
+    it('ranks a misspelled name above its variants', () => {
+        const [best, second] = PriceMatcher.rank('AK-47 | Redlin (Field-Tested)', feed);
+
+        assert.equal(best.name, 'AK-47 | Redline (Field-Tested)');
+        assert.ok(best.confidence >= PriceMatcher.MIN_CONFIDENCE);
+        assert.ok(second.confidence < PriceMatcher.MIN_CONFIDENCE);
+    });
+
+    it('keeps other flags and wears below the match threshold', () => {
+        const stattrak = PriceMatcher.rank('StatTrak™ AK-47 | Redline (Field-Tested)', feed.filter(name => !name.startsWith('StatTrak')));
+        const wear = PriceMatcher.rank('AK-47 | Redline (Well-Worn)', feed);
+
+        assert.ok(stattrak.every(candidate => candidate.confidence < PriceMatcher.MIN_CONFIDENCE));
+        assert.ok(wear.every(candidate => candidate.confidence < PriceMatcher.MIN_CONFIDENCE));
+    });
+
+    it('reports candidates with other numbers without pricing them', () => {
+        const stickers = ['Sticker | Natus Vincere | Katowice 2015', 'Sticker | Natus Vincere (Holo) | Katowice 2015'];
+        const [sticker] = PriceMatcher.rank('Sticker | Natus Vincere | Katowice 2014', stickers);
+        const [capsule] = PriceMatcher.rank('Operation Breakout Weapon Case 2', ['Operation Breakout Weapon Case 3']);
+        const [weapon] = PriceMatcher.rank('M4A1-S | Guardian (Field-Tested)', ['M4A4 | Guardian (Field-Tested)']);
+
+        assert.equal(sticker.name, 'Sticker | Natus Vincere | Katowice 2015');
+        for (const candidate of [sticker, capsule, weapon]) {
+            assert.ok(candidate.confidence > 0 && candidate.confidence < PriceMatcher.MIN_CONFIDENCE, `${candidate.name}: ${candidate.confidence}`);
+        }
+    });
+
+    it('does not price near-identical names with another exterior or flag', () => {
+        const names = [
+            ['Sticker | Crown (Foil)', 'Sticker | Crown (Holo)'],
+            ['AK-47 | Redlin (Field-Tested)', 'AK-47 | Redline (Minimal Wear)'],
+            ['StatTrak™ AK-47 | Redlin (Field-Tested)', 'AK-47 | Redline (Field-Tested)'],
+            ['Souvenir AWP | Dragon Lor (Field-Tested)', 'AWP | Dragon Lore (Field-Tested)']
+        ];
+        for (const [name, candidate] of names) {
+            const [ranked] = PriceMatcher.rank(name, [candidate]);
+            assert.ok(ranked.confidence < PriceMatcher.MIN_CONFIDENCE, `${name} -> ${candidate}: ${ranked.confidence}`);
+        }
+    });
+
+    it('returns at most MAX_CANDIDATES, best first', () => {
+        const ranked = PriceMatcher.rank('AK-47 | Redline (Field-Tested)', feed);
+
+        assert.equal(ranked.length, PriceMatcher.MAX_CANDIDATES);
+        assert.equal(ranked[0].confidence, PriceMatcher.NORMALIZED_CONFIDENCE);
+        assert.ok(ranked[0].confidence >= ranked[1].confidence && ranked[1].confidence >= ranked[2].confidence);
+    });
+});
@@ -0,0 +1,154 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts, plain } = require('../helpers/extension');
+
+// CSGOTrader feed, phase prices are normalized from doppler to phases
+const FEED = {
+    'AK-47 | Redline (Field-Tested)': { price: 12.5 },
+    '★ Karambit | Doppler (Factory New)': { price: 900, doppler: { 'Phase 2': 1100, 'Ruby': 4000 } },
+    'Sticker | Natus Vincere | Katowice 2015': { price: 4.2 }
+};
+
+/**
+ * Load the background price scripts with a fresh database and stubbed chrome APIs
+ * @returns {Window}
+ */
+function loadBackground() {
+    const window = loadScripts([
+        'src/shared/services/http.js',
+        'src/shared/services/settings.js',
+        'src/shared/services/providers.js',
+        'src/shared/services/itemtypes.js',
+        'src/shared/services/markethashname.js',
+        'src/background/matcher.js',
+        'src/background/pricedb.js',
+        'src/background/pricestore.js'
+    ]);
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    window.chrome = {
+        storage: {
+            sync: { get: (keys, callback) => callback({}) },
+            onChanged: { addListener() {} }
+        },
+        runtime: {}
+    };
+    return window;
+}
+
+describe('PriceDB', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadBackground();
+    });
+
+    it('stores prices by provider and market hash name', async () => {
+        const meta = await window.PriceDB.replace('csgotrader', window.PriceProviders.get('csgotrader').parse(FEED));
+        assert.equal(meta.count, 3);
+
+        const found = await window.PriceDB.get('csgotrader', ['AK-47 | Redline (Field-Tested)', '★ Karambit | Doppler (Factory New)', 'Missing']);
+        assert.equal(found['AK-47 | Redline (Field-Tested)'].price, 12.5);
+        assert.equal(found['★ Karambit | Doppler (Factory New)'].phases.Ruby, 4000);
+        assert.equal(found.Missing, null);
+    });
+
+    it('replaces a provider without touching the others', async () => {
+        await window.PriceDB.replace('csgotrader', window.PriceProviders.get('csgotrader').parse(FEED));
+        await window.PriceDB.replace('steam', { 'AK-47 | Redline (Field-Tested)': { price: 14 } });
+        await window.PriceDB.replace('csgotrader', { 'AWP | Asiimov (Field-Tested)': { price: 80 } });
+
+        const csgotrader = await window.PriceDB.get('csgotrader', ['AK-47 | Redline (Field-Tested)', 'AWP | Asiimov (Field-Tested)']);
+        assert.equal(csgotrader['AK-47 | Redline (Field-Tested)'], null);
+        assert.equal(csgotrader['AWP | Asiimov (Field-Tested)'].price, 80);
+
+        const steam = await window.PriceDB.get('steam', ['AK-47 | Redline (Field-Tested)']);
+        assert.equal(steam['AK-47 | Redline (Field-Tested)'].price, 14);
+        assert.equal((await window.PriceDB.getMeta('csgotrader')).count, 1);
+        assert.equal(await window.PriceDB.getMeta('buff163'), null);
+    });
+});
+
+describe('PriceStore', () => {
+    let window;
+    let downloads;
+
+    beforeEach(() => {
+        window = loadBackground();
+        downloads = 0;
+        window.fetch = async () => {
+            downloads++;
+            return { ok: true, status: 200, json: async () => FEED };
+        };
+    });
+
+    it('downloads a missing feed once for concurrent lookups', async () => {
+        const names = ['AK-47 | Redline (Field-Tested)'];
+        const [first, second] = await Promise.all([
+            window.PriceStore.lookup(['csgotrader'], names),
+            window.PriceStore.lookup(['csgotrader'], names)
+        ]);
+
+        assert.equal(downloads, 1);
+        assert.equal(first.prices.csgotrader['AK-47 | Redline (Field-Tested)'].price, 12.5);
+        assert.deepEqual(plain(second.prices), plain(first.prices));
+        assert.ok(first.updatedAt.csgotrader > 0);
+    });
+
+    it('answers from the database while the feed is fresh', async () => {
+        await window.PriceStore.lookup(['csgotrader'], []);
+        const result = await window.PriceStore.lookup(['csgotrader'], ['★ Karambit | Doppler (Factory New)']);
+
+        assert.equal(downloads, 1);
+        assert.equal(result.prices.csgotrader['★ Karambit | Doppler (Factory New)'].phases['Phase 2'], 1100);
+    });
+
+    it('keeps stored prices when a forced refresh fails', async () => {
+        await window.PriceStore.lookup(['csgotrader'], []);
+        window.fetch = async () => ({ ok: false, status: 404, headers: { get: () => null } });
+
+        await assert.rejects(window.PriceStore.refresh('csgotrader', true), { status: 404 });
+        const result = await window.PriceStore.lookup(['csgotrader'], ['AK-47 | Redline (Field-Tested)']);
+        assert.equal(result.prices.csgotrader['AK-47 | Redline (Field-Tested)'].price, 12.5);
+        assert.deepEqual(plain(result.errors), {});
+    });
+
+    it('matches names spelled differently from the feed', async () => {
+        const result = await window.PriceStore.lookup(['csgotrader'], [
+            'Karambit | Doppler (FN)',
+            'AK-47 | Redlin (Field-Tested)',
+            'StatTrak™ AK-47 | Redline (Field-Tested)'
+        ]);
+        const { prices, matches } = result;
+
+        assert.equal(prices.csgotrader['Karambit | Doppler (FN)'].phases.Ruby, 4000);
+        assert.equal(matches.csgotrader['Karambit | Doppler (FN)'].matchedName, '★ Karambit | Doppler (Factory New)');
+        assert.equal(prices.csgotrader['AK-47 | Redlin (Field-Tested)'].price, 12.5);
+        assert.ok(matches.csgotrader['AK-47 | Redlin (Field-Tested)'].confidence >= window.PriceMatcher.MIN_CONFIDENCE);
+
+        // The StatTrak version is a different item, only reported as a candidate
+        const stattrak = matches.csgotrader['StatTrak™ AK-47 | Redline (Field-Tested)'];
+        assert.equal(prices.csgotrader['StatTrak™ AK-47 | Redline (Field-Tested)'], null);
+        assert.equal(stattrak.matchedName, null);
+        assert.equal(stattrak.candidates[0].name, 'AK-47 | Redline (Field-Tested)');
+    });
+
+    it('reports a name differing by a year without pricing it', async () => {
+        const name = 'Sticker | Natus Vincere | Katowice 2014';
+        const { prices, matches } = await window.PriceStore.lookup(['csgotrader'], [name]);
+
+        assert.equal(prices.csgotrader[name], null);
+        assert.equal(matches.csgotrader[name].matchedName, null);
+        assert.equal(matches.csgotrader[name].candidates[0].name, 'Sticker | Natus Vincere | Katowice 2015');
+    });
+
+    it('reports download errors per provider', async () => {
+        window.fetch = async () => ({ ok: false, status: 404, headers: { get: () => null } });
+
+        const result = await window.PriceStore.lookup(['steam'], ['AK-47 | Redline (Field-Tested)']);
+        assert.equal(result.errors.steam.status, 404);
+        assert.equal(result.updatedAt.steam, null);
+        assert.deepEqual(plain(result.prices.steam), {});
+    });
+});
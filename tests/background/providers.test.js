@@ -0,0 +1,179 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readJsonFixture, plain } = require('../helpers/extension');
+
+const AK = 'AK-47 | Redline (Field-Tested)';
+const KARAMBIT = '★ Karambit | Doppler (Factory New)';
+const STICKER = 'Sticker | Natus Vincere | Katowice 2015';
+
+/**
+ * Parse a provider's feed fixture
+ * @param {Window} window - Loaded window
+ * @param {string} id - Provider id (fixture name)
+ * @returns {Object} - Normalized prices
+ */
+function parseFeed(window, id) {
+    return plain(window.PriceProviders.get(id).parse(readJsonFixture('providers', `${id}.json`)));
+}
+
+describe('PriceProviders', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/settings.js',
+            'src/shared/services/providers.js'
+        ]);
+    });
+
+    it('registers the built-in providers', () => {
+        const { PriceProviders } = window;
+        assert.deepEqual(plain(PriceProviders.getAll().map(provider => provider.id)), ['csgotrader', 'steam', 'buff163', 'skinport']);
+        assert.equal(PriceProviders.get('steam').name, 'Steam Market');
+        assert.equal(PriceProviders.get('unknown'), null);
+
+        for (const provider of PriceProviders.getAll()) {
+            assert.match(provider.url, /^https:\/\//, `${provider.id} has no feed URL`);
+            assert.equal(typeof provider.parse, 'function');
+        }
+    });
+
+    it('replaces providers registered again under the same id', () => {
+        const { PriceProviders } = window;
+        PriceProviders.register({ id: 'steam', name: 'Steam (mirror)', url: 'https://example.com/steam.json', parse: () => ({}) });
+
+        assert.equal(PriceProviders.getAll().length, 4);
+        assert.equal(PriceProviders.get('steam').name, 'Steam (mirror)');
+    });
+
+    it('keeps feeds fresh for the provider hours or the priceCacheHours setting', () => {
+        const { PriceProviders, SettingsService } = window;
+        const HOUR = 60 * 60 * 1000;
+
+        assert.equal(PriceProviders.getCacheDuration(PriceProviders.get('steam')), 24 * HOUR);
+        assert.equal(PriceProviders.getCacheDuration(PriceProviders.get('csgotrader')), 6 * HOUR);
+
+        SettingsService.values = { priceCacheHours: 0.5 };
+        assert.equal(PriceProviders.getCacheDuration(PriceProviders.get('buff163')), 0.5 * HOUR);
+        assert.equal(PriceProviders.getCacheDuration(PriceProviders.get('steam')), 24 * HOUR);
+    });
+
+    it('normalizes the CSGOTrader feed with Doppler phases', () => {
+        assert.deepEqual(parseFeed(window, 'csgotrader'), {
+            [AK]: { price: 12.5 },
+            [KARAMBIT]: { price: 900, phases: { 'Phase 1': 850, 'Phase 2': 1100, 'Ruby': 4000, 'Sapphire': 5200 } },
+            [STICKER]: { price: null }
+        });
+    });
+
+    it('normalizes the Steam feed to the most recent median with sales', () => {
+        assert.deepEqual(parseFeed(window, 'steam'), {
+            [AK]: { price: 13.1 },
+            [KARAMBIT]: { price: 1020.5 },
+            'Souvenir P250 | Sand Dune (Battle-Scarred)': { price: 0.41 },
+            [STICKER]: { price: null }
+        });
+    });
+
+    it('normalizes the Buff163 feed to the lowest listing', () => {
+        assert.deepEqual(parseFeed(window, 'buff163'), {
+            [AK]: { price: 11.2 },
+            [KARAMBIT]: { price: 820, phases: { 'Phase 2': 1005, 'Ruby': 3650 } },
+            [STICKER]: { price: null }
+        });
+    });
+
+    it('normalizes the Skinport feed to the lowest listing or the suggested price', () => {
+        assert.deepEqual(parseFeed(window, 'skinport'), {
+            [AK]: { price: 12.1 },
+            [KARAMBIT]: { price: 1050 },
+            [STICKER]: { price: null }
+        });
+    });
+
+    it('returns no prices for feeds that are not objects', () => {
+        for (const provider of window.PriceProviders.getAll()) {
+            assert.deepEqual(plain(provider.parse(null)), {});
+            assert.deepEqual(plain(provider.parse('<html>Rate limited</html>')), {});
+        }
+    });
+});
+
+describe('Compare price provider', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/settings.js',
+            'src/shared/services/currency.js',
+            'src/shared/services/providers.js',
+            'src/shared/services/itemtypes.js',
+            'src/shared/services/markethashname.js',
+            'src/shared/services/pricesheet.js',
+            'src/shared/services/pricing.js',
+            'src/shared/services/liquidation.js',
+            'src/shared/ui/ProbabilityBox.js'
+        ]);
+
+        // Prices looked up from the feeds like the background worker returns them
+        const { PricingService } = window;
+        for (const id of ['csgotrader', 'buff163']) {
+            const prices = parseFeed(window, id);
+            PricingService.prices[id] = { [AK]: prices[AK], [KARAMBIT]: prices[KARAMBIT] };
+        }
+    });
+
+    /**
+     * Select price providers like the options page stores them
+     * @param {string} priceProvider - Active provider id
+     * @param {string} comparePriceProvider - Compare provider id ('' = off)
+     */
+    function useProviders(priceProvider, comparePriceProvider) {
+        window.SettingsService.values = { ...window.SettingsService.getDefaults(), priceProvider, comparePriceProvider };
+    }
+
+    /**
+     * Price items the way the probability box does
+     * @returns {Array<Object>} - [realPrice, comparePrice, comparePriceIsBase] per item
+     */
+    function priceItems() {
+        const box = new window.ProbabilityBox({ constructor: { getSiteId: () => 'hellcase' } });
+        const items = [
+            window.MarketHashName.parse(AK),
+            window.MarketHashName.parse(`${KARAMBIT} Ruby`),
+            window.MarketHashName.parse(`${KARAMBIT} Phase 4`),
+            { weaponName: 'Free $', skinName: '', price: 1, isBoost: true }
+        ].map(item => ({ price: 10, ...item }));
+
+        return plain(box.getProcessedItems(items).map(item => [item.realPrice, item.comparePrice, item.comparePriceIsBase ?? null]));
+    }
+
+    it('is off by default', () => {
+        useProviders('csgotrader', '');
+        assert.equal(window.PricingService.getCompareProvider(), null);
+        assert.deepEqual(plain(window.PricingService.getProviderIds()), ['csgotrader']);
+        assert.deepEqual(priceItems(), [[12.5, null, false], [4000, null, false], [900, null, false], [null, null, null]]);
+    });
+
+    it('prices items side by side with a second provider', () => {
+        useProviders('csgotrader', 'buff163');
+        assert.equal(window.PricingService.getCompareProvider().name, 'Buff163');
+        assert.deepEqual(plain(window.PricingService.getProviderIds()), ['csgotrader', 'buff163']);
+
+        // Phase 4 is missing from both feeds, both fall back to the base price
+        assert.deepEqual(priceItems(), [[12.5, 11.2, false], [4000, 3650, false], [900, 820, true], [null, null, null]]);
+    });
+
+    it('does not compare a provider with itself', () => {
+        useProviders('buff163', 'buff163');
+        assert.equal(window.PricingService.getCompareProvider(), null);
+        assert.deepEqual(plain(window.PricingService.getProviderIds()), ['buff163']);
+    });
+
+    it('does not use the price sheet for compare prices', () => {
+        useProviders('csgotrader', 'buff163');
+        window.PriceSheetService.sheet = { prices: { [AK]: { price: 15 } } };
+
+        assert.deepEqual(priceItems()[0], [15, 11.2, false]);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+// Frankfurter response, USD itself is not listed
+const RATES = { amount: 1, base: 'USD', date: '2026-10-16', rates: { EUR: 0.92, GBP: 0.79, PLN: 3.95 } };
+
+/**
+ * Load the background rate scripts with stubbed chrome APIs
+ * @param {Object} settings - Stored settings
+ * @returns {{window: Window, local: Object}} - local is the chrome.storage.local contents
+ */
+function loadBackground(settings = {}) {
+    const window = loadScripts([
+        'src/shared/services/http.js',
+        'src/shared/services/cache.js',
+        'src/shared/services/settings.js',
+        'src/background/ratestore.js'
+    ]);
+    const local = {};
+    window.chrome = {
+        storage: {
+            sync: { get: (keys, callback) => callback({ csp_settings: settings }) },
+            local: {
+                get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))),
+                set: (values, callback) => { Object.assign(local, values); callback(); }
+            },
+            onChanged: { addListener() {} }
+        },
+        runtime: {}
+    };
+    return { window, local };
+}
+
+describe('RateStore', () => {
+    let window;
+    let local;
+    let requests;
+
+    beforeEach(() => {
+        ({ window, local } = loadBackground());
+        requests = [];
+        window.fetch = async (url) => {
+            requests.push(url);
+            return { ok: true, status: 200, json: async () => RATES };
+        };
+    });
+
+    /**
+     * Let pending requests start (gives up after a few turns of the event loop)
+     * @param {number} count - Expected number of requests
+     */
+    async function waitForRequests(count) {
+        for (let turn = 0; turn < 20 && requests.length < count; turn++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    it('downloads and stores rates from USD of the selected source', async () => {
+        const result = await window.RateStore.get();
+
+        assert.deepEqual(requests, ['https://api.frankfurter.app/latest?from=USD']);
+        assert.deepEqual(plain(result.rates), { USD: 1, EUR: 0.92, GBP: 0.79, PLN: 3.95 });
+        assert.equal(result.source, 'frankfurter');
+        assert.equal(result.error, null);
+        assert.equal(local.csp_exchange_rates.updatedAt, result.updatedAt);
+    });
+
+    it('reuses fresh rates and downloads again when forced', async () => {
+        await window.RateStore.get();
+        await window.RateStore.get();
+        assert.equal(requests.length, 1);
+
+        await window.RateStore.get(true);
+        assert.equal(requests.length, 2);
+    });
+
+    it('downloads again when the source setting changed', async () => {
+        await window.RateStore.get();
+        window.SettingsService.values.exchangeRateSource = 'erapi';
+        window.fetch = async (url) => {
+            requests.push(url);
+            return { ok: true, status: 200, json: async () => ({ result: 'success', rates: { USD: 1, EUR: 0.93 } }) };
+        };
+
+        const result = await window.RateStore.get();
+        assert.equal(requests[1], 'https://open.er-api.com/v6/latest/USD');
+        assert.equal(result.rates.EUR, 0.93);
+        assert.equal(result.sourceName, 'ExchangeRate-API');
+    });
+
+    it('shares running downloads of the same source only', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        window.fetch = async (url) => {
+            requests.push(url);
+            await gate;
+            const body = url.includes('er-api') ? { result: 'success', rates: { EUR: 0.93 } } : RATES;
+            return { ok: true, status: 200, json: async () => body };
+        };
+
+        const first = window.RateStore.get();
+        const shared = window.RateStore.get();
+        await waitForRequests(1);
+
+        // Switching the source while Frankfurter rates are downloading
+        window.SettingsService.values.exchangeRateSource = 'erapi';
+        const switched = window.RateStore.get();
+        await waitForRequests(2);
+        release();
+
+        const results = await Promise.all([first, shared, switched]);
+        assert.equal(requests.length, 2);
+        assert.deepEqual(plain(results.map(result => [result.source, result.sourceName, result.rates.EUR])), [
+            ['frankfurter', 'Frankfurter (ECB)', 0.92],
+            ['frankfurter', 'Frankfurter (ECB)', 0.92],
+            ['erapi', 'ExchangeRate-API', 0.93]
+        ]);
+    });
+
+    it('returns stored rates with the error when the download fails', async () => {
+        local.csp_exchange_rates = { source: 'frankfurter', rates: { USD: 1, EUR: 0.9 }, updatedAt: 1 };
+        window.fetch = async () => ({ ok: false, status: 404, headers: { get: () => null } });
+
+        const result = await window.RateStore.get();
+        assert.equal(result.rates.EUR, 0.9);
+        assert.equal(result.updatedAt, 1);
+        assert.equal(result.error.status, 404);
+    });
+
+    it('rejects responses without rates', async () => {
+        window.fetch = async () => ({ ok: true, status: 200, json: async () => ({ rates: { EUR: 'n/a' } }) });
+
+        const result = await window.RateStore.get();
+        assert.equal(result.rates, null);
+        assert.match(result.error.message, /no exchange rates/);
+    });
+});
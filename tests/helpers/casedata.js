@@ -0,0 +1,68 @@
+/**
+ * Test helpers - Assertions on the unified CaseData format shared by all parsers
+ */
+
+const assert = require('node:assert/strict');
+
+const WEARS = {
+    FN: 'Factory New',
+    MW: 'Minimal Wear',
+    FT: 'Field-Tested',
+    WW: 'Well-Worn',
+    BS: 'Battle-Scarred'
+};
+const PHASES = ['Phase 1', 'Phase 2', 'Phase 3', 'Phase 4', 'Ruby', 'Sapphire', 'Emerald', 'Black Pearl'];
+
+/**
+ * Assert the shape of parsed case data and run the extension's own validator
+ * @param {Window} window - Window with ItemTypes and CaseValidator loaded
+ * @param {Object} caseData - Parser output
+ */
+function assertCaseData(window, caseData) {
+    assert.ok(caseData, 'parser returned no case data');
+    assert.equal(typeof caseData.caseName, 'string');
+    assert.ok(caseData.caseId !== undefined && caseData.caseId !== null && caseData.caseId !== '', 'missing caseId');
+    assert.ok(Number.isFinite(caseData.casePrice), `case price is not a number: ${caseData.casePrice}`);
+    assert.ok(Array.isArray(caseData.items) && caseData.items.length > 0, 'case has no items');
+
+    for (const item of caseData.items) {
+        const label = item.marketHashName || item.id;
+        assert.ok(Number.isFinite(item.price) && item.price >= 0, `${label}: bad price ${item.price}`);
+        assert.ok(Number.isFinite(item.odds) && item.odds >= 0, `${label}: bad odds ${item.odds}`);
+        assert.equal(typeof item.isStattrak, 'boolean', `${label}: isStattrak is not a boolean`);
+        assert.ok(window.ItemTypes.getAll().includes(item.type), `${label}: unknown item type ${item.type}`);
+        if (item.wear) {
+            assert.equal(item.wearFull, WEARS[item.wear], `${label}: wear ${item.wear} does not match ${item.wearFull}`);
+        }
+        if (item.phase) {
+            assert.ok(PHASES.includes(item.phase), `${label}: unknown phase ${item.phase}`);
+        }
+    }
+
+    const { issues } = window.CaseValidator.validate(caseData);
+    const errors = Array.from(issues.filter(issue => issue.level === 'error'), issue => issue.message);
+    assert.deepEqual(errors, [], 'CaseValidator reported errors');
+}
+
+/**
+ * Sum the odds of all items
+ * @param {Object} caseData - Parser output
+ * @returns {number}
+ */
+function sumOdds(caseData) {
+    return caseData.items.reduce((sum, item) => sum + item.odds, 0);
+}
+
+/**
+ * Find an item by market hash name
+ * @param {Object} caseData - Parser output
+ * @param {string} marketHashName - Market hash name
+ * @returns {Object}
+ */
+function findItem(caseData, marketHashName) {
+    const item = caseData.items.find(candidate => candidate.marketHashName === marketHashName);
+    assert.ok(item, `no item named "${marketHashName}", got: ${caseData.items.map(candidate => candidate.marketHashName).join(', ')}`);
+    return item;
+}
+
+module.exports = { assertCaseData, sumOdds, findItem };
@@ -0,0 +1,90 @@
+/**
+ * Test helpers - Load extension scripts into a jsdom window
+ * Content scripts share globals through window, so each test gets a fresh
+ * window with the scripts evaluated in manifest order
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'extension');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Create a window with extension scripts loaded
+ * @param {Array<string>} scripts - Script paths relative to extension/
+ * @param {Object} options - Page options
+ * @param {string} options.url - Page URL (adapters and scrapers read location)
+ * @param {string} options.html - Page HTML
+ * @param {string} options.cookie - document.cookie value
+ * @returns {Window}
+ */
+function loadScripts(scripts, { url = 'https://example.com/', html = '<!DOCTYPE html><body></body>', cookie = '' } = {}) {
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+    const window = dom.window;
+
+    // jsdom has no layout, scrapers read innerText
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() { return this.textContent; },
+        configurable: true
+    });
+
+    for (const part of cookie.split(';').map(part => part.trim()).filter(Boolean)) {
+        window.document.cookie = part;
+    }
+
+    for (const script of scripts) {
+        const source = fs.readFileSync(path.join(EXTENSION_DIR, script), 'utf8');
+        window.eval(`${source}\n//# sourceURL=${script}`);
+    }
+
+    return window;
+}
+
+/**
+ * Load a site's parser with the shared scripts it needs
+ * @param {string} site - Site folder name
+ * @param {Object} options - Page options (see loadScripts)
+ * @returns {Window}
+ */
+function loadParser(site, options = {}) {
+    return loadScripts([
+        'src/shared/services/itemtypes.js',
+        'src/shared/services/markethashname.js',
+        'src/shared/services/validator.js',
+        `src/sites/${site}/parser.js`
+    ], options);
+}
+
+/**
+ * Read a JSON fixture
+ * @param {string} site - Site folder name
+ * @param {string} name - Fixture file name
+ * @returns {Object}
+ */
+function readJsonFixture(site, name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, site, name), 'utf8'));
+}
+
+/**
+ * Read an HTML fixture
+ * @param {string} site - Site folder name
+ * @param {string} name - Fixture file name
+ * @returns {string}
+ */
+function readHtmlFixture(site, name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, site, name), 'utf8');
+}
+
+/**
+ * Copy a value created inside the jsdom window into plain Node objects
+ * (deep equality checks compare prototypes, which differ between realms)
+ * @param {*} value - JSON-compatible value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, loadParser, readJsonFixture, readHtmlFixture, plain };
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { run, buildManifest, getSiteScripts } = require('../scripts/generate-manifest');
+
+const registry = {
+    contentScripts: {
+        shared: ['src/shared/utils/helpers.js'],
+        promo: ['src/shared/ui/PromoBanner.js'],
+        adapter: ['src/sites/base.js'],
+        entry: ['src/sites/registry.js', 'src/content.js']
+    },
+    background: ['src/shared/services/http.js'],
+    hostPermissions: ['https://prices.csgotrader.app/*'],
+    sites: [
+        { id: 'alpha', name: 'Alpha', url: 'https://alpha.com', adapter: 'AlphaAdapter', domains: ['alpha.com'], apiHosts: ['api.alpha.com'], scripts: ['parser.js', 'index.js'], promo: true },
+        { id: 'beta', name: 'Beta', url: 'https://beta.gg', adapter: 'BetaAdapter', domains: ['beta.gg', 'beta.io'], apiHosts: [], scripts: ['index.js'], promo: false }
+    ]
+};
+
+describe('generate-manifest', () => {
+    it('manifest.json and registry.js are in sync with registry.json', () => {
+        const { ok, problems } = run({ check: true });
+        assert.deepEqual(problems, []);
+        assert.ok(ok);
+    });
+
+    it('content scripts load the promo banner and promo.js only for promo sites', () => {
+        assert.deepEqual(getSiteScripts(registry, registry.sites[0]), [
+            'src/shared/utils/helpers.js',
+            'src/shared/ui/PromoBanner.js',
+            'src/sites/base.js',
+            'src/sites/alpha/parser.js',
+            'src/sites/alpha/index.js',
+            'src/sites/alpha/promo.js',
+            'src/sites/registry.js',
+            'src/content.js'
+        ]);
+        assert.deepEqual(getSiteScripts(registry, registry.sites[1]), [
+            'src/shared/utils/helpers.js',
+            'src/sites/base.js',
+            'src/sites/beta/index.js',
+            'src/sites/registry.js',
+            'src/content.js'
+        ]);
+    });
+
+    it('manifest keeps unrelated fields and derives permissions from domains', () => {
+        const manifest = buildManifest(registry, {
+            name: 'Test',
+            permissions: ['storage'],
+            background: { service_worker: 'background.js' },
+            web_accessible_resources: [{ resources: ['icons/*'], matches: [] }]
+        });
+
+        assert.equal(manifest.name, 'Test');
+        assert.deepEqual(manifest.permissions, ['storage']);
+        assert.deepEqual(manifest.background, { service_worker: 'background.js', scripts: ['src/shared/services/http.js', 'background.js'] });
+        assert.deepEqual(manifest.host_permissions, [
+            'https://alpha.com/*',
+            'https://*.alpha.com/*',
+            'https://api.alpha.com/*',
+            'https://beta.gg/*',
+            'https://*.beta.gg/*',
+            'https://beta.io/*',
+            'https://*.beta.io/*',
+            'https://prices.csgotrader.app/*'
+        ]);
+        assert.deepEqual(manifest.content_scripts[1].matches, ['https://beta.gg/*', 'https://*.beta.gg/*', 'https://beta.io/*', 'https://*.beta.io/*']);
+        assert.deepEqual(manifest.web_accessible_resources[0], {
+            resources: ['icons/*'],
+            matches: ['https://alpha.com/*', 'https://*.alpha.com/*', 'https://beta.gg/*', 'https://*.beta.gg/*', 'https://beta.io/*', 'https://*.beta.io/*']
+        });
+    });
+});
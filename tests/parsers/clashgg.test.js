@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('ClashGGParser', () => {
+    const window = loadParser('clashgg');
+    const caseData = window.ClashGGParser.transform(readJsonFixture('clashgg', 'case.json'), 1);
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, '1207');
+        assert.equal(caseData.caseName, 'Black Pearl');
+    });
+
+    it('calculates odds from ticket ranges', () => {
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+        assert.equal(findItem(caseData, 'Sticker | Crown (Foil)').odds, 60);
+        assert.equal(findItem(caseData, 'Souvenir AWP | Dragon Lore (Battle-Scarred)').odds.toFixed(6), '0.100000');
+    });
+
+    it('converts hundredths of a gem to USD', () => {
+        assert.equal(caseData.casePrice, 49.99);
+        assert.equal(findItem(caseData, 'StatTrak™ Desert Eagle | Blaze (Factory New)').price, 761.2);
+
+        const halved = window.ClashGGParser.transform(readJsonFixture('clashgg', 'case.json'), 0.5);
+        assert.equal(halved.casePrice, 24.995);
+        assert.equal(findItem(halved, 'StatTrak™ Desert Eagle | Blaze (Factory New)').price, 380.6);
+    });
+
+    it('splits market hash names into their parts', () => {
+        const pistol = findItem(caseData, 'StatTrak™ Desert Eagle | Blaze (Factory New)');
+        assert.equal(pistol.weaponName, 'Desert Eagle');
+        assert.equal(pistol.skinName, 'Blaze');
+        assert.equal(pistol.wear, 'FN');
+        assert.equal(pistol.isStattrak, true);
+
+        const souvenir = findItem(caseData, 'Souvenir AWP | Dragon Lore (Battle-Scarred)');
+        assert.equal(souvenir.isSouvenir, true);
+        assert.equal(souvenir.weaponName, 'AWP');
+        assert.equal(souvenir.wear, 'BS');
+
+        const sticker = findItem(caseData, 'Sticker | Crown (Foil)');
+        assert.equal(sticker.weaponName, 'Sticker');
+        assert.equal(sticker.skinName, 'Crown (Foil)');
+        assert.equal(sticker.wear, '');
+    });
+
+    it('sets item types', () => {
+        assert.equal(findItem(caseData, 'Sticker | Crown (Foil)').type, 'sticker');
+        assert.equal(findItem(caseData, 'Souvenir AWP | Dragon Lore (Battle-Scarred)').type, 'weapon');
+        assert.equal(findItem(caseData, '★ Bayonet | Doppler (Factory New) Black Pearl').type, 'knife');
+
+        const container = window.ClashGGParser.parseItem({ name: 'ESL One Cologne 2015 Dust II Souvenir Package', ticketsStart: 0, ticketsEnd: 9 }, 0, 100, 1);
+        assert.equal(container.type, 'container');
+        assert.equal(container.isSouvenir, false);
+    });
+
+    it('moves Doppler phases after the wear', () => {
+        const knife = findItem(caseData, '★ Bayonet | Doppler (Factory New) Black Pearl');
+        assert.equal(knife.weaponName, '★ Bayonet');
+        assert.equal(knife.skinName, 'Doppler');
+        assert.equal(knife.phase, 'Black Pearl');
+        assert.equal(knife.wear, 'FN');
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('CSGO500Parser', () => {
+    const window = loadParser('csgo500');
+    const rawData = readJsonFixture('csgo500', 'case.json');
+    const caseData = window.CSGO500Parser.transform(rawData, 1);
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, '65f1c2a9e4b0a1b2c3d4e5f6');
+        assert.equal(caseData.caseName, 'Sapphire Dream');
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+    });
+
+    it('converts hundredths of a coin to USD', () => {
+        assert.equal(caseData.casePrice, 25);
+        assert.equal(findItem(caseData, 'Five-SeveN | Forest Night (Well-Worn)').price, 0.41);
+
+        const halved = window.CSGO500Parser.transform(rawData, 0.5);
+        assert.equal(halved.casePrice, 12.5);
+        assert.equal(findItem(halved, 'Five-SeveN | Forest Night (Well-Worn)').price, 0.205);
+    });
+
+    it('cleans the StatTrak suffix of full names', () => {
+        const rifle = findItem(caseData, 'StatTrak™ M4A4 | Neo-Noir (Field-Tested)');
+        assert.equal(rifle.isStattrak, true);
+        assert.equal(rifle.wear, 'FT');
+        assert.equal(rifle.price, 52.3);
+    });
+
+    it('builds Doppler hash names with the phase after the wear', () => {
+        const knife = findItem(caseData, '★ M9 Bayonet | Doppler (Factory New) Sapphire');
+        assert.equal(knife.weaponName, '★ M9 Bayonet');
+        assert.equal(knife.skinName, 'Doppler');
+        assert.equal(knife.phase, 'Sapphire');
+    });
+
+    it('resolves cdn:// images from the case items', () => {
+        const coins = caseData.items.find(item => item.id === '6601a0000000000000000004');
+        assert.equal(coins.image, 'https://cdnv1.csgo500.com/rewards/coins-10.png');
+        assert.equal(coins.price, 10);
+    });
+
+    it('falls back to the basic item list', () => {
+        const basic = window.CSGO500Parser.transform({ case: rawData.case }, 1);
+        assert.equal(basic.items.length, 4);
+        assert.equal(sumOdds(basic).toFixed(6), '100.000000');
+        assert.equal(basic.items[2].phase, 'Sapphire');
+        assert.equal(basic.items[2].skinName, 'Doppler');
+    });
+});
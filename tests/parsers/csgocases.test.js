@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, loadScripts, readJsonFixture } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('CSGOCasesParser', () => {
+    const window = loadParser('csgocases');
+    const rawData = readJsonFixture('csgocases', 'case.json');
+    const caseData = window.CSGOCasesParser.transform(rawData);
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 'knife');
+        assert.equal(caseData.caseName, 'Knife');
+        assert.equal(caseData.hasValidOdds, true);
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+    });
+
+    it('uses USD prices without a page price', () => {
+        assert.equal(caseData.casePrice, 12);
+        assert.equal(findItem(caseData, 'Tec-9 | Fubar (Battle-Scarred)').price, 0.21);
+    });
+
+    it('converts items to the currency of the page price', () => {
+        const local = window.CSGOCasesParser.transform(rawData, 48);
+        assert.equal(local.casePrice, 48);
+        assert.equal(findItem(local, 'Tec-9 | Fubar (Battle-Scarred)').price, 0.84);
+    });
+
+    it('records the page rate for case history and snapshots', () => {
+        const { CaseDiffService, SnapshotService } = loadScripts([
+            'src/shared/services/snapshots.js',
+            'src/shared/services/casediff.js'
+        ]);
+        const local = window.CSGOCasesParser.transform(rawData, 48);
+
+        assert.equal(caseData.siteRate, 1);
+        assert.equal(local.siteRate, 0.25);
+        assert.equal(SnapshotService.getSignature(local), SnapshotService.getSignature(caseData));
+
+        assert.equal(CaseDiffService.compare(CaseDiffService.createState(caseData), CaseDiffService.createState(local)), null);
+    });
+
+    it('adds ★ to knives and StatTrak™ from the flag', () => {
+        const knife = findItem(caseData, '★ Gut Knife | Doppler (Factory New)');
+        assert.equal(knife.wear, 'FN');
+        assert.equal(knife.image, 'https://community.cloudflare.steamstatic.com/economy/image/gut-doppler');
+
+        const rifle = findItem(caseData, 'StatTrak™ AWP | Neo-Noir (Minimal Wear)');
+        assert.equal(rifle.isStattrak, true);
+        assert.equal(rifle.weaponName, 'AWP');
+    });
+
+    it('builds names of souvenirs, agents and containers', () => {
+        const parse = (name, quality = '') => window.CSGOCasesParser.parseItem({ name, quality, stattrak: '0', chance: '1' }, 0);
+
+        const souvenir = parse('Souvenir AWP | Dragon Lore', 'Field-Tested');
+        assert.equal(souvenir.marketHashName, 'Souvenir AWP | Dragon Lore (Field-Tested)');
+        assert.equal(souvenir.type, 'weapon');
+
+        const agent = parse('Sir Bloody Miami Darryl | The Professionals');
+        assert.equal(agent.marketHashName, 'Sir Bloody Miami Darryl | The Professionals');
+        assert.equal(agent.type, 'agent');
+
+        const container = parse('Operation Breakout Weapon Case');
+        assert.equal(container.marketHashName, 'Operation Breakout Weapon Case');
+        assert.equal(container.type, 'container');
+        assert.equal(findItem(caseData, 'Free $1').type, 'other');
+    });
+
+    it('keeps boost items', () => {
+        const boost = findItem(caseData, 'Free $1');
+        assert.equal(boost.isBoost, true);
+        assert.equal(boost.price, 1);
+        assert.equal(boost.image, 'https://csgocases.com/uploads/gallery/oryginal/free-1.png');
+    });
+
+    it('extracts Doppler phases', () => {
+        const knife = window.CSGOCasesParser.parseItem({ name: 'Gut Knife | Doppler Phase 3', quality: 'Factory New', stattrak: '0' }, 0);
+        assert.equal(knife.marketHashName, '★ Gut Knife | Doppler (Factory New) Phase 3');
+        assert.equal(knife.skinName, 'Doppler');
+        assert.equal(knife.phase, 'Phase 3');
+        assert.equal(window.CSGOCasesParser.parseItem({ name: 'Tec-9 | Fubar', quality: 'Well-Worn' }, 0).phase, null);
+    });
+
+    it('flags cases without published odds', () => {
+        const noOdds = window.CSGOCasesParser.transform(readJsonFixture('csgocases', 'case-no-odds.json'));
+        assertCaseData(window, noOdds);
+        assert.equal(noOdds.hasValidOdds, false);
+    });
+});
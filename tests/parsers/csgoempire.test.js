@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('CSGOEmpireParser', () => {
+    const window = loadParser('csgoempire');
+    const coinToUsd = 0.52 * 1.04;
+    const caseData = window.CSGOEmpireParser.transform(readJsonFixture('csgoempire', 'case.json'), coinToUsd);
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 'jungle-fever');
+        assert.equal(caseData.caseName, 'Jungle Fever');
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+    });
+
+    it('converts empire coins to USD', () => {
+        assert.equal(caseData.casePrice.toFixed(4), (18.5 * coinToUsd).toFixed(4));
+        assert.equal(findItem(caseData, 'Galil AR | Eco (Field-Tested)').price.toFixed(4), (0.95 * coinToUsd).toFixed(4));
+        // Coins per USD, CaseDiffService compares prices in coins
+        assert.equal((caseData.casePrice * caseData.siteRate).toFixed(4), '18.5000');
+    });
+
+    it('builds market hash names with ★ before StatTrak™', () => {
+        const rifle = findItem(caseData, 'StatTrak™ AK-47 | Jungle Spray (Minimal Wear)');
+        assert.equal(rifle.isStattrak, true);
+        assert.equal(rifle.wear, 'MW');
+        assert.equal(rifle.image, 'https://community.cloudflare.steamstatic.com/economy/image/ak47-jungle-spray-hash/480x480');
+    });
+
+    it('moves the Doppler phase from the skin name to the end of the hash name', () => {
+        const knife = findItem(caseData, '★ Karambit | Gamma Doppler (Factory New) Emerald');
+        assert.equal(knife.weaponName, '★ Karambit');
+        assert.equal(knife.skinName, 'Gamma Doppler');
+        assert.equal(knife.phase, 'Emerald');
+        assert.equal(knife.image, 'https://community.cloudflare.steamstatic.com/economy/image/karambit-gamma-emerald/480x480');
+    });
+
+    it('names vanilla knives without a skin', () => {
+        const knife = findItem(caseData, '★ Butterfly Knife');
+        assert.equal(knife.skinName, '');
+        assert.equal(knife.wear, '');
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('DaddySkinsParser', () => {
+    const window = loadParser('daddyskins');
+    const caseData = window.DaddySkinsParser.transform(readJsonFixture('daddyskins', 'case.json'));
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 'monster');
+        assert.equal(caseData.caseName, 'Monster');
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+    });
+
+    it('keeps the case price in dollars and converts item cents', () => {
+        assert.equal(caseData.casePrice, 6.5);
+        assert.equal(findItem(caseData, 'StatTrak™ AK-47 | B the Monster (Field-Tested)').price, 94.1);
+        assert.equal(findItem(caseData, '★ Sport Gloves | Vice (Minimal Wear)').price, 12890);
+    });
+
+    it('builds market hash names', () => {
+        const rifle = findItem(caseData, 'StatTrak™ AK-47 | B the Monster (Field-Tested)');
+        assert.equal(rifle.isStattrak, true);
+        assert.equal(rifle.wear, 'FT');
+        assert.equal(rifle.rarity, 'covert');
+
+        const smg = findItem(caseData, 'MAC-10 | Sakkaku (Minimal Wear)');
+        assert.equal(smg.isStattrak, false);
+    });
+
+    it('names items without a skin after their type', () => {
+        const container = window.DaddySkinsParser.parseItem({ name: 'Operation Breakout Weapon Case', short_description: '', price: 100, chance: 1 });
+        assert.equal(container.type, 'container');
+        assert.equal(container.marketHashName, 'Operation Breakout Weapon Case');
+        assert.equal(findItem(caseData, '★ Sport Gloves | Vice (Minimal Wear)').type, 'gloves');
+    });
+
+    it('extracts Doppler phases from skin names', () => {
+        const knife = window.DaddySkinsParser.parseItem({ name: '★ Bayonet', short_description: 'Gamma Doppler Phase 1', quality: 'Factory New' });
+        assert.equal(knife.marketHashName, '★ Bayonet | Gamma Doppler (Factory New) Phase 1');
+        assert.equal(knife.skinName, 'Gamma Doppler');
+        assert.equal(knife.phase, 'Phase 1');
+        assert.equal(findItem(caseData, '★ Sport Gloves | Vice (Minimal Wear)').phase, null);
+    });
+
+    it('returns null without products', () => {
+        assert.equal(window.DaddySkinsParser.transform({ slug: 'empty', products: [] }), null);
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('DatDropParser', () => {
+    const window = loadParser('datdrop');
+    const caseData = window.DatDropParser.transform(readJsonFixture('datdrop', 'case.json'));
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 318);
+        assert.equal(caseData.caseName, 'Emerald Box');
+        assert.equal(caseData.items.length, 4);
+    });
+
+    it('converts chances out of 100,000 to percent', () => {
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+        assert.equal(findItem(caseData, 'MP9 | Starlight Protector (Field-Tested)').odds, 70);
+    });
+
+    it('converts cents to USD', () => {
+        assert.equal(caseData.casePrice, 12.5);
+        assert.equal(findItem(caseData, 'StatTrak™ USP-S | Whiteout (Minimal Wear)').price, 15.1);
+    });
+
+    it('splits names into weapon and skin', () => {
+        const pistol = findItem(caseData, 'StatTrak™ USP-S | Whiteout (Minimal Wear)');
+        assert.equal(pistol.weaponName, 'USP-S');
+        assert.equal(pistol.skinName, 'Whiteout');
+        assert.equal(pistol.wear, 'MW');
+        assert.equal(pistol.isStattrak, true);
+        assert.equal(pistol.image, 'https://datdrop.com/content/images/skin-items/usps-whiteout.webp');
+    });
+
+    it('extracts Doppler phases', () => {
+        assert.equal(findItem(caseData, '★ Talon Knife | Gamma Doppler (Factory New) Phase 4').phase, 'Phase 4');
+        assert.equal(findItem(caseData, '★ Talon Knife | Gamma Doppler (Factory New) Emerald').phase, 'Emerald');
+        assert.equal(findItem(caseData, 'MP9 | Starlight Protector (Field-Tested)').phase, null);
+    });
+});
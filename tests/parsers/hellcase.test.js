@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture, plain } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('HellcaseParser', () => {
+    const window = loadParser('hellcase');
+    const caseData = window.HellcaseParser.transform(readJsonFixture('hellcase', 'case.json'));
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 'dragon-scale');
+        assert.equal(caseData.caseName, 'Dragon Scale');
+        assert.equal(caseData.casePrice, 9.99);
+    });
+
+    it('flattens every wear variant into its own item', () => {
+        assert.equal(caseData.items.length, 5);
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+    });
+
+    it('builds market hash names with ★ before StatTrak™', () => {
+        const knife = findItem(caseData, '★ StatTrak™ Butterfly Knife | Fade (Factory New)');
+        assert.equal(knife.price, 2850.4);
+        assert.equal(knife.wear, 'FN');
+        assert.equal(knife.isStattrak, true);
+
+        const rifle = findItem(caseData, 'StatTrak™ AK-47 | Redline (Minimal Wear)');
+        assert.equal(rifle.odds, 4.5);
+        assert.equal(rifle.image, 'https://community.cloudflare.steamstatic.com/economy/image/ak47-redline');
+    });
+
+    it('extracts Doppler phases from skin names', () => {
+        const sapphire = window.HellcaseParser.transform({
+            slug: 'doppler',
+            itemlist: [{
+                id: 1,
+                weapon_name: '★ Karambit',
+                skin_name: 'Doppler (Sapphire)',
+                items: [{ id: 2, steam_exterior: 'Factory New', is_stattrak: false, steam_price_en: 4200, odds: 100 }]
+            }]
+        }).items[0];
+        assert.equal(sapphire.skinName, 'Doppler');
+        assert.equal(sapphire.phase, 'Sapphire');
+        assert.equal(sapphire.marketHashName, '★ Karambit | Doppler (Factory New) Sapphire');
+        assert.ok(caseData.items.every(item => item.phase === null));
+    });
+
+    it('returns null without an item list', () => {
+        assert.equal(window.HellcaseParser.transform({ slug: 'empty' }), null);
+    });
+
+    it('parses opening responses', () => {
+        const won = window.HellcaseParser.parseOpening(readJsonFixture('hellcase', 'opening.json'));
+        assert.deepEqual(plain(won), [{ id: 90121, marketHashName: 'AK-47 | Redline (Field-Tested)' }]);
+    });
+});
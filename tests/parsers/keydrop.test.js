@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture, plain } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('KeyDropParser', () => {
+    const window = loadParser('keydrop');
+    const rawData = readJsonFixture('keydrop', 'case.json');
+    // Fixture prices are in PLN, the adapter passes the site's PLN rate
+    const rate = readJsonFixture('keydrop', 'currency.json').exchangeRate.PLN;
+    const caseData = window.KeyDropParser.transform(rawData, rate);
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 2231);
+        assert.equal(caseData.caseName, 'Crocodilo');
+        assert.equal(caseData.siteRate, rate);
+    });
+
+    it('expands every wear into its own item', () => {
+        assert.equal(caseData.items.length, 4);
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+        assert.ok(findItem(caseData, 'Nova | Sand Dune (Battle-Scarred)').id === '88101_BS');
+    });
+
+    it('leaves the wear out of items that have none', () => {
+        const stickers = window.KeyDropParser.transform({
+            id: 1,
+            title: 'Stickers',
+            price: 1,
+            items: [{ id: 7, fullTitle: 'Sticker | Crown (Foil)', title: 'Sticker', subtitle: 'Crown (Foil)', pf: [{ rarity: 'FN', price: 1, odds: 100 }] }]
+        });
+        assert.equal(stickers.items[0].type, 'sticker');
+        assert.equal(stickers.items[0].marketHashName, 'Sticker | Crown (Foil)');
+        assert.equal(findItem(caseData, 'StatTrak™ AWP | Asiimov (Field-Tested)').type, 'weapon');
+    });
+
+    it('normalizes local prices to USD', () => {
+        assert.equal(caseData.casePrice, 9.99);
+        assert.equal(findItem(caseData, 'Nova | Sand Dune (Field-Tested)').price, 0.05);
+        assert.equal(findItem(caseData, 'StatTrak™ AWP | Asiimov (Field-Tested)').price, 255);
+    });
+
+    it('keeps prices as they are without a usable rate', () => {
+        assert.equal(window.KeyDropParser.transform(rawData).casePrice, 39.96);
+        assert.equal(window.KeyDropParser.transform(rawData, 0).casePrice, 39.96);
+    });
+
+    it('builds market hash names and trims titles', () => {
+        const rifle = findItem(caseData, 'StatTrak™ AWP | Asiimov (Field-Tested)');
+        assert.equal(rifle.weaponName, 'AWP');
+        assert.equal(rifle.skinName, 'Asiimov');
+        assert.equal(rifle.isStattrak, true);
+        assert.equal(rifle.rarity, 'Covert');
+    });
+
+    it('strips the Doppler phase from the title into the phase field', () => {
+        const knife = findItem(caseData, '★ Karambit | Doppler (Factory New) Ruby');
+        assert.equal(knife.phase, 'Ruby');
+        assert.equal(knife.price, 3100);
+        assert.equal(knife.rarity, 'Covert (Gold)');
+    });
+
+    it('parses opening responses into case item ids', () => {
+        const won = window.KeyDropParser.parseOpening(readJsonFixture('keydrop', 'opening.json'));
+        assert.deepEqual(plain(won), [{ id: '88102_FT', marketHashName: null }]);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadParser, readJsonFixture, plain } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+describe('SkinClubParser', () => {
+    const window = loadParser('skinclub');
+    const caseData = window.SkinClubParser.transform(readJsonFixture('skinclub', 'case.json'));
+
+    it('produces valid CaseData', () => {
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 4411);
+        assert.equal(caseData.caseName, 'Knife Case');
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+    });
+
+    it('converts cents to USD', () => {
+        assert.equal(caseData.casePrice, 29.99);
+        assert.equal(findItem(caseData, 'Glock-18 | Candy Apple (Factory New)').price, 1.12);
+        assert.equal(findItem(caseData, 'StatTrak™ M4A1-S | Hyper Beast (Field-Tested)').price, 31.4);
+    });
+
+    it('keeps market hash names and detects StatTrak™', () => {
+        const rifle = findItem(caseData, 'StatTrak™ M4A1-S | Hyper Beast (Field-Tested)');
+        assert.equal(rifle.isStattrak, true);
+        assert.equal(rifle.weaponName, 'M4A1-S');
+        assert.equal(rifle.skinName, 'Hyper Beast');
+        assert.equal(rifle.wear, 'FT');
+        assert.equal(rifle.image, 'https://cfdn.skin.club/items/m4a1s-hyper-beast.png');
+    });
+
+    it('reads Doppler phases from the item', () => {
+        const dopplers = caseData.items.filter(item => item.skinName === 'Doppler');
+        assert.deepEqual(plain(dopplers.map(item => item.phase)), ['Phase 2', 'Ruby']);
+        assert.deepEqual(plain(dopplers.map(item => item.price)), [418.55, 982.1]);
+        assert.deepEqual(plain(dopplers.map(item => item.marketHashName)), [
+            '★ Flip Knife | Doppler (Factory New) Phase 2',
+            '★ Flip Knife | Doppler (Factory New) Ruby'
+        ]);
+    });
+
+    it('falls back to chance out of 1,000,000 without chance_percent', () => {
+        assert.equal(window.SkinClubParser.convertOdds(4500, undefined).toFixed(6), '0.450000');
+        assert.equal(window.SkinClubParser.convertOdds(4500, '0.500'), 0.5);
+    });
+
+    it('parses opening responses', () => {
+        const won = window.SkinClubParser.parseOpening(readJsonFixture('skinclub', 'opening.json'));
+        assert.deepEqual(plain(won), [{ id: 102, marketHashName: 'StatTrak™ M4A1-S | Hyper Beast (Field-Tested)' }]);
+    });
+});
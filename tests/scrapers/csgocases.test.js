@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readHtmlFixture } = require('../helpers/extension');
+
+describe('CSGOCasesAPI page readers', () => {
+    const window = loadScripts(['src/shared/services/http.js', 'src/sites/csgocases/api.js'], {
+        url: 'https://csgocases.com/pl/case/knife',
+        html: readHtmlFixture('csgocases', 'case.html')
+    });
+
+    it('reads the selected currency', () => {
+        assert.equal(window.CSGOCasesAPI.getCurrencyFromPage(), 'PLN');
+    });
+
+    it('reads the case price in the user currency', () => {
+        assert.equal(window.CSGOCasesAPI.getCasePriceFromPage(), 48);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readHtmlFixture } = require('../helpers/extension');
+const { assertCaseData, sumOdds, findItem } = require('../helpers/casedata');
+
+const SCRIPTS = [
+    'src/shared/services/itemtypes.js',
+    'src/shared/services/markethashname.js',
+    'src/shared/services/validator.js',
+    'src/sites/csgoskins/parser.js',
+    'src/sites/csgoskins/api.js'
+];
+
+describe('CSGOSkinsAPI.scrapePageData', () => {
+    const html = readHtmlFixture('csgoskins', 'case.html');
+    const url = 'https://csgo-skins.com/case/lotus';
+
+    it('scrapes the case name, price and every wear row', () => {
+        const window = loadScripts(SCRIPTS, { url, html });
+        const rawData = window.CSGOSkinsAPI.scrapePageData();
+
+        assert.equal(rawData.name, 'Lotus');
+        assert.equal(rawData.price, 4.2);
+        assert.equal(rawData.items.length, 5);
+        assert.equal(rawData.items[2].price, 1240);
+        assert.equal(rawData.items[2].isStattrak, true);
+        assert.equal(rawData.items[2].wear, 'MW');
+    });
+
+    it('produces valid CaseData through the parser', () => {
+        const window = loadScripts(SCRIPTS, { url, html });
+        const caseData = window.CSGOSkinsParser.transform(window.CSGOSkinsAPI.scrapePageData());
+
+        assertCaseData(window, caseData);
+        assert.equal(caseData.caseId, 'lotus');
+        assert.equal(sumOdds(caseData).toFixed(6), '100.000000');
+
+        const rifle = findItem(caseData, 'StatTrak™ M4A1-S | Printstream (Minimal Wear)');
+        assert.equal(rifle.odds, 2);
+        assert.equal(findItem(caseData, 'FAMAS | Sundown (Battle-Scarred)').price, 0.22);
+    });
+
+    it('adds ★ and moves the Doppler phase after the wear', () => {
+        const window = loadScripts(SCRIPTS, { url, html });
+        const caseData = window.CSGOSkinsParser.transform(window.CSGOSkinsAPI.scrapePageData());
+
+        const knife = findItem(caseData, '★ Huntsman Knife | Doppler (Factory New) Phase 1');
+        assert.equal(knife.weaponName, '★ Huntsman Knife');
+        assert.equal(knife.skinName, 'Doppler');
+        assert.equal(knife.phase, 'Phase 1');
+    });
+
+    it('converts prices to USD with the page rate of the cookie currency', () => {
+        const window = loadScripts(SCRIPTS, { url, html, cookie: 'currency=PLN' });
+        const rawData = window.CSGOSkinsAPI.scrapePageData();
+
+        assert.equal(rawData.price, 1.05);
+        assert.equal(rawData.items[0].price, 0.0875);
+    });
+
+    it('does not convert prices without an exchange rate', () => {
+        const window = loadScripts([
+            'src/shared/services/settings.js',
+            'src/shared/services/currency.js',
+            ...SCRIPTS
+        ], { url, html: html.replace(/rate:[\d.]+/g, ''), cookie: 'currency=PLN' });
+        const originalError = window.console.error;
+        window.console.error = () => {};
+
+        assert.equal(window.CSGOSkinsAPI.scrapePageData(), null);
+        assert.deepEqual([...window.CurrencyService.getMissingRates()], ['PLN']);
+        window.console.error = originalError;
+    });
+
+    it('returns null on a page without items', () => {
+        const window = loadScripts(SCRIPTS, { url, html: '<!DOCTYPE html><body><h1>Lotus</h1></body>' });
+        const originalError = window.console.error;
+        window.console.error = () => {};
+        assert.equal(window.CSGOSkinsAPI.scrapePageData(), null);
+        window.console.error = originalError;
+    });
+});
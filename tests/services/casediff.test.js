@@ -0,0 +1,175 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+/**
+ * Build an item with the unified fields CaseDiffService reads
+ * @param {Object} fields - Fields to override
+ * @returns {Object}
+ */
+function createItem(fields) {
+    return {
+        type: 'weapon',
+        weaponName: 'AK-47',
+        skinName: 'Redline',
+        wearFull: 'Field-Tested',
+        isStattrak: false,
+        isSouvenir: false,
+        phase: null,
+        price: 20,
+        odds: 50,
+        ...fields
+    };
+}
+
+/**
+ * Build case data
+ * @param {Array<Object>} items - Items
+ * @param {Object} fields - Case fields to override
+ * @returns {Object} - Unified CaseData
+ */
+function createCaseData(items, fields = {}) {
+    return { caseId: 'test-case', caseName: 'Test Case', casePrice: 10, items, ...fields };
+}
+
+describe('CaseDiffService', () => {
+    let window;
+    let CaseDiffService;
+    let local;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/cache.js',
+            'src/shared/services/casediff.js'
+        ]);
+        local = {};
+        window.chrome = {
+            storage: {
+                local: {
+                    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))),
+                    set: (values, callback) => { Object.assign(local, values); callback(); }
+                }
+            },
+            runtime: {}
+        };
+        CaseDiffService = window.CaseDiffService;
+    });
+
+    /**
+     * Compare two cases
+     * @param {Object} before - CaseData of the previous visit
+     * @param {Object} after - CaseData of the current visit
+     * @returns {Object|null} - Diff
+     */
+    function diff(before, after) {
+        return plain(CaseDiffService.compare(CaseDiffService.createState(before), CaseDiffService.createState(after)));
+    }
+
+    it('finds nothing when the case is unchanged', () => {
+        const items = [createItem({}), createItem({ skinName: 'Safari Mesh', price: 0.1 })];
+        assert.equal(diff(createCaseData(items), createCaseData(items)), null);
+    });
+
+    it('lists added and removed items and case price changes', () => {
+        const before = createCaseData([createItem({}), createItem({ skinName: 'Safari Mesh', price: 0.1 })]);
+        const after = createCaseData([createItem({}), createItem({ skinName: 'Elite Build', price: 0.5 })], { casePrice: 12 });
+
+        const result = diff(before, after);
+        assert.deepEqual(result.casePrice, { before: 10, after: 12 });
+        assert.deepEqual(result.added.map(item => item.name), ['AK-47 | Elite Build (Field-Tested)']);
+        assert.deepEqual(result.removed.map(item => item.name), ['AK-47 | Safari Mesh (Field-Tested)']);
+    });
+
+    it('ignores odds moves up to the tolerance', () => {
+        const before = createCaseData([createItem({ odds: 50 }), createItem({ skinName: 'Safari Mesh', odds: 50 })]);
+        const within = createCaseData([createItem({ odds: 50.0004 }), createItem({ skinName: 'Safari Mesh', odds: 49.9996 })]);
+        const beyond = createCaseData([createItem({ odds: 50.0006 }), createItem({ skinName: 'Safari Mesh', odds: 49.9994 })]);
+
+        assert.equal(diff(before, within), null);
+        assert.equal(diff(before, beyond).oddsChanged.length, 2);
+    });
+
+    it('marks odds moves as favorable when items above the case price get more likely', () => {
+        const before = createCaseData([createItem({ odds: 50 }), createItem({ skinName: 'Safari Mesh', price: 0.1, odds: 50 })]);
+        const after = createCaseData([createItem({ odds: 60 }), createItem({ skinName: 'Safari Mesh', price: 0.1, odds: 40 })]);
+
+        const changes = diff(before, after).oddsChanged;
+        assert.deepEqual(changes.map(change => change.favorable), [true, true]);
+        assert.equal(diff(after, before).oddsChanged.every(change => !change.favorable), true);
+    });
+
+    it('ignores price moves up to 1% of the larger price', () => {
+        const before = createCaseData([createItem({ price: 100 })]);
+
+        assert.equal(diff(before, createCaseData([createItem({ price: 101 })])), null);
+        assert.equal(diff(before, createCaseData([createItem({ price: 99.01 })])), null);
+        assert.deepEqual(diff(before, createCaseData([createItem({ price: 101.1 })])).priceChanged,
+            [{ name: 'AK-47 | Redline (Field-Tested)', before: 100, after: 101.1 }]);
+    });
+
+    it('reports a free case getting a price', () => {
+        const result = diff(createCaseData([createItem({})], { casePrice: 0 }), createCaseData([createItem({})], { casePrice: 0.01 }));
+        assert.deepEqual(result.casePrice, { before: 0, after: 0.01 });
+    });
+
+    it('ignores exchange rate moves of sites pricing in another currency', () => {
+        // 1 USD = 4 PLN on the first visit and 5 PLN on the second, site prices unchanged
+        const before = createCaseData([createItem({ price: 100 / 4 })], { casePrice: 40 / 4, siteRate: 4 });
+        const after = createCaseData([createItem({ price: 100 / 5 })], { casePrice: 40 / 5, siteRate: 5 });
+        assert.equal(diff(before, after), null);
+    });
+
+    it('reports site price changes in USD at the current rate', () => {
+        const before = createCaseData([createItem({ price: 100 / 4 })], { casePrice: 40 / 4, siteRate: 4 });
+        const after = createCaseData([createItem({ price: 150 / 5 })], { casePrice: 50 / 5, siteRate: 5 });
+
+        const result = diff(before, after);
+        assert.deepEqual(result.casePrice, { before: 8, after: 10 });
+        assert.deepEqual(result.priceChanged, [{ name: 'AK-47 | Redline (Field-Tested)', before: 20, after: 30 }]);
+    });
+
+    it('tells Souvenir, StatTrak and normal items apart', () => {
+        const items = [
+            createItem({ weaponName: 'AWP', skinName: 'Dragon Lore', price: 5000 }),
+            createItem({ weaponName: 'AWP', skinName: 'Dragon Lore', isSouvenir: true, price: 9000 })
+        ];
+        const state = CaseDiffService.createState(createCaseData(items));
+        assert.equal(Object.keys(state.items).length, 2);
+        assert.ok(Object.values(state.items).some(item => item.name === 'Souvenir AWP | Dragon Lore (Field-Tested)'));
+
+        // Souvenir swapped for StatTrak
+        const swapped = createCaseData([items[0], { ...items[1], isSouvenir: false, isStattrak: true }]);
+        const result = diff(createCaseData(items), swapped);
+        assert.deepEqual(result.added.map(item => item.name), ['StatTrak™ AWP | Dragon Lore (Field-Tested)']);
+        assert.deepEqual(result.removed.map(item => item.name), ['Souvenir AWP | Dragon Lore (Field-Tested)']);
+    });
+
+    it('keeps duplicate items apart by price', () => {
+        const items = [createItem({ price: 30 }), createItem({ price: 20 })];
+        const state = CaseDiffService.createState(createCaseData(items));
+        assert.deepEqual(Object.values(plain(state.items)).map(item => item.price), [20, 30]);
+        assert.equal(diff(createCaseData(items), createCaseData([...items].reverse())), null);
+    });
+
+    it('stores the first visit and reports changes on the next one', async () => {
+        const before = createCaseData([createItem({})]);
+        assert.equal(await CaseDiffService.check('hellcase', before), null);
+
+        const change = await CaseDiffService.check('hellcase', createCaseData([createItem({ price: 30 })]));
+        assert.equal(change.diff.priceChanged.length, 1);
+
+        // Kept until dismissed
+        assert.ok(await CaseDiffService.check('hellcase', createCaseData([createItem({ price: 30 })])));
+        await CaseDiffService.dismiss('hellcase', 'test-case');
+        assert.equal(await CaseDiffService.check('hellcase', createCaseData([createItem({ price: 30 })])), null);
+    });
+
+    it('replaces states stored by older versions without a diff', async () => {
+        local.csp_case_states = {
+            'hellcase:test-case': { timestamp: 1, casePrice: 10, items: { '|AK-47|Redline|Field-Tested|': { name: 'old', odds: 50, price: 20 } }, lastChange: null }
+        };
+
+        assert.equal(await CaseDiffService.check('hellcase', createCaseData([createItem({ price: 30 })])), null);
+        assert.equal(local.csp_case_states['hellcase:test-case'].version, CaseDiffService.STATE_VERSION);
+    });
+});
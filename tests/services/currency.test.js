@@ -0,0 +1,174 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+/**
+ * Load CurrencyService with a stubbed background worker
+ * @param {Object|Function} response - GET_EXCHANGE_RATES response, or a function throwing the error
+ * @returns {Window}
+ */
+function loadCurrency(response) {
+    const window = loadScripts([
+        'src/shared/services/http.js',
+        'src/shared/services/settings.js',
+        'src/shared/services/currency.js'
+    ]);
+    window.chrome = {
+        runtime: {
+            sendMessage: async () => (typeof response === 'function' ? response() : response)
+        }
+    };
+    return window;
+}
+
+const DOWNLOADED = {
+    success: true,
+    source: 'frankfurter',
+    sourceName: 'Frankfurter (ECB)',
+    rates: { USD: 1, EUR: 0.92, PLN: 3.95 },
+    updatedAt: 1,
+    error: null
+};
+
+describe('CurrencyService exchange rates', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadCurrency(DOWNLOADED);
+    });
+
+    it('uses downloaded rates', async () => {
+        assert.equal(await window.CurrencyService.getExchangeRate('pln'), 3.95);
+        assert.equal(await window.CurrencyService.getExchangeRate('USD'), 1);
+        assert.equal(await window.CurrencyService.getExchangeRate('XYZ'), null);
+        assert.deepEqual(plain(window.CurrencyService.getFallbacksUsed()), []);
+    });
+
+    it('prefers overrides from the settings', async () => {
+        window.SettingsService.values = { exchangeRateOverrides: 'eur=0.95, GBP = 0.8' };
+        await window.CurrencyService.loadExchangeRates();
+
+        assert.deepEqual(plain(window.CurrencyService.getRateInfo('EUR')), { rate: 0.95, kind: 'override' });
+        assert.deepEqual(plain(window.CurrencyService.getRateInfo('GBP')), { rate: 0.8, kind: 'override' });
+        assert.deepEqual(plain(window.CurrencyService.getRateInfo('PLN')), { rate: 3.95, kind: 'downloaded' });
+    });
+
+    it('records hard-coded fallback rates when nothing was downloaded', async () => {
+        window = loadCurrency(() => { throw new Error('Receiving end does not exist'); });
+
+        const rate = await window.CurrencyService.getExchangeRate('EUR');
+        assert.equal(rate, window.CurrencyService.FALLBACK_RATES.EUR);
+        assert.deepEqual(plain(window.CurrencyService.getFallbacksUsed()), [{ code: 'EUR', rate }]);
+        assert.equal(await window.CurrencyService.getExchangeRate('PLN'), null);
+        assert.deepEqual(plain(window.CurrencyService.getMissingRates()), ['PLN']);
+
+        window.CurrencyService.resetExchangeRates();
+        assert.deepEqual(plain(window.CurrencyService.getFallbacksUsed()), []);
+        assert.deepEqual(plain(window.CurrencyService.getMissingRates()), []);
+    });
+
+    it('validates the overrides setting', () => {
+        const validate = value => plain(window.SettingsService.validate('exchangeRateOverrides', value));
+
+        assert.deepEqual(validate(' EUR=0.92, GBP=.79 '), { value: 'EUR=0.92, GBP=.79', error: null });
+        assert.deepEqual(validate(''), { value: '', error: null });
+        assert.equal(validate('EUR 0.92').error, window.SettingsService.SCHEMA.exchangeRateOverrides.patternError);
+        assert.equal(validate(42).error, 'Must be text');
+    });
+});
+
+describe('CurrencyService formatting', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadCurrency(DOWNLOADED);
+        window.CurrencyService.locale = 'en-US';
+    });
+
+    it('formats amounts with the locale and the currency digits', () => {
+        const { CurrencyService } = window;
+        assert.equal(CurrencyService.formatPrice(1234.5, CurrencyService.defaultCurrency), '$1,234.50');
+        assert.equal(CurrencyService.formatPrice(10, CurrencyService.create('JPY', 150)), '¥1,500');
+        assert.equal(CurrencyService.formatProfit(-2, CurrencyService.create('EUR', 0.5)), '-€1.00');
+        assert.equal(CurrencyService.formatProfit(0, CurrencyService.defaultCurrency, false), '+0.00');
+
+        CurrencyService.locale = 'de-DE';
+        assert.equal(CurrencyService.formatPrice(1234.5, CurrencyService.create('EUR', 1)).replace(/\s/g, ' '), '1.234,50 €');
+    });
+
+    it('formats codes Intl does not know with their symbol', () => {
+        const { CurrencyService } = window;
+        assert.equal(CurrencyService.formatValue(3, { name: 'GEMS', rate: 1, symbol: 'G ' }), 'G 3.00');
+        assert.equal(CurrencyService.getSymbol('EUR'), '€');
+    });
+
+    it('converts to the display currency and keeps the site currency for hover text', async () => {
+        const { CurrencyService, SettingsService } = window;
+        const pln = CurrencyService.create('PLN', 4);
+
+        assert.equal(await CurrencyService.getDisplayCurrency(pln), pln);
+        assert.equal(CurrencyService.describeSiteValue(10, pln), '');
+
+        SettingsService.values = { displayCurrency: 'EUR' };
+        const display = await CurrencyService.getDisplayCurrency(pln);
+        assert.equal(display.name, 'EUR');
+        assert.equal(display.rate, 0.92);
+        assert.equal(CurrencyService.formatPrice(10, display), '€9.20');
+        // Intl separates codes from amounts with a no-break space
+        const siteValue = (...args) => CurrencyService.describeSiteValue(...args).replace(/\s/g, ' ');
+        assert.equal(siteValue(10, display), 'On the site: PLN 40.00');
+        assert.equal(siteValue(-1, display, true), 'On the site: -PLN 4.00');
+
+        // Without a rate the site currency is kept
+        SettingsService.values = { displayCurrency: 'CHF' };
+        assert.equal(await CurrencyService.getDisplayCurrency(pln), pln);
+    });
+});
+
+describe('CurrencyService site coins', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadCurrency(DOWNLOADED);
+        window.CurrencyService.locale = 'en-US';
+    });
+
+    it('converts coins through the currency they are pegged to', async () => {
+        const { CurrencyService } = window;
+        const rate = await CurrencyService.getExchangeRate('EMPIRE_COIN');
+
+        // 1 coin = 0.52 EUR, 1 USD = 0.92 EUR
+        assert.equal(rate.toFixed(4), (0.92 / 0.52).toFixed(4));
+        assert.equal(CurrencyService.getSiteCoin('csgoempire'), 'EMPIRE_COIN');
+        assert.equal(CurrencyService.getSiteCoin('csgo500'), 'CSGO500_COIN');
+        assert.equal(CurrencyService.getSiteCoin('clashgg'), 'CLASHGG_GEM');
+        assert.equal(CurrencyService.getSiteCoin('hellcase'), null);
+        assert.equal(await CurrencyService.getExchangeRate('CSGO500_COIN'), 1);
+
+        const coins = CurrencyService.create('EMPIRE_COIN', rate);
+        assert.equal(CurrencyService.formatPrice(0.52 / 0.92 * 18.5, coins), '\u{1FA99}18.50');
+    });
+
+    it('records the fallback rate of the peg currency', async () => {
+        window = loadCurrency(() => { throw new Error('Receiving end does not exist'); });
+
+        await window.CurrencyService.getExchangeRate('EMPIRE_COIN');
+        assert.deepEqual(plain(window.CurrencyService.getFallbacksUsed()).map(fallback => fallback.code), ['EUR']);
+    });
+
+    it('shows coins or fiat depending on the showSiteCoins setting', async () => {
+        const { CurrencyService, SettingsService } = window;
+        const coins = CurrencyService.create('EMPIRE_COIN', await CurrencyService.getExchangeRate('EMPIRE_COIN'));
+        const usd = CurrencyService.defaultCurrency;
+
+        // The site shows coins, the setting hides them
+        const fiat = await CurrencyService.getDisplayCurrency(coins, 'csgoempire');
+        assert.equal(fiat.name, 'USD');
+        assert.equal(fiat.siteCurrency, coins);
+
+        SettingsService.values = { showSiteCoins: true, displayCurrency: 'EUR' };
+        assert.equal(await CurrencyService.getDisplayCurrency(coins, 'csgoempire'), coins);
+        assert.equal((await CurrencyService.getDisplayCurrency(usd, 'csgoempire')).name, 'EMPIRE_COIN');
+        assert.equal((await CurrencyService.getDisplayCurrency(usd, 'hellcase')).name, 'EUR');
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+const window = loadScripts([
+    'src/shared/services/currency.js',
+    'src/shared/services/export.js'
+]);
+const { ExportService } = window;
+window.CurrencyService.locale = 'en-US';
+
+/**
+ * Build a report like ProbabilityBox does
+ * @param {Object} caseFields - CaseData fields to override
+ * @returns {Object} - Export report
+ */
+function createReport(caseFields = {}) {
+    return ExportService.buildReport({
+        meta: {
+            siteId: 'hellcase',
+            siteName: 'Hellcase',
+            caseId: 'Dragon|Lore',
+            currency: { name: 'USD', rate: 1, symbol: '$' },
+            priceSource: { name: 'CSGOTrader', updatedAt: null },
+            liquidation: 'Sold on the Steam market (price / 1.15 after fees)'
+        },
+        caseData: {
+            caseId: 'Dragon|Lore',
+            caseName: 'Dragon | Lore',
+            casePrice: 10,
+            items: [{ id: 1 }],
+            ...caseFields
+        },
+        items: [
+            { name: 'P250 | Sand Dune (Field-Tested)', price: 0.05, realPrice: 0.04, odds: 90 },
+            { name: 'AWP | Dragon Lore (Factory New)', price: 95, realPrice: null, odds: 10 }
+        ],
+        stats: {
+            expectedValue: 9.5,
+            profitability: -4.55,
+            profitChance: 10,
+            hasRealPrices: false,
+            real: {},
+            net: { profitability: -17 }
+        }
+    });
+}
+
+describe('ExportService.toCsv', () => {
+    it('writes one escaped row per item', () => {
+        const csv = ExportService.toCsv({
+            items: [{ name: 'Music Kit | Daniel Sadowski, "Crimson Assault"', type: 'music_kit', odds: 2.5, price: 3, realPrice: null, netValue: -0.5 }]
+        });
+        const [header, row] = csv.split('\r\n');
+
+        assert.equal(header.split(',')[0], 'name');
+        assert.equal(row.split(',').length, header.split(',').length + 1);
+        assert.ok(row.startsWith('"Music Kit | Daniel Sadowski, ""Crimson Assault""",music_kit,'));
+        // Numbers are not formulas, negative amounts stay numeric
+        assert.ok(row.includes(',2.5,3,,false,,-0.5,false'));
+    });
+
+    it('prefixes text that spreadsheets would run as a formula', () => {
+        assert.equal(ExportService.escapeCsv('=HYPERLINK("https://example.com")'), '"\'=HYPERLINK(""https://example.com"")"');
+        assert.equal(ExportService.escapeCsv('+1'), "'+1");
+        assert.equal(ExportService.escapeCsv('-Free $5'), "'-Free $5");
+        assert.equal(ExportService.escapeCsv('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(ExportService.escapeCsv('AK-47 | Redline'), 'AK-47 | Redline');
+        assert.equal(ExportService.escapeCsv(-1.5), '-1.5');
+    });
+});
+
+describe('ExportService reports', () => {
+    it('keeps the case without its items and stamps the export time', () => {
+        const report = plain(createReport());
+        assert.equal(report.caseData.items, undefined);
+        assert.equal(report.meta.amountsIn, 'USD');
+        assert.match(report.meta.exportedAt, /^\d{4}-\d{2}-\d{2}T/);
+        assert.deepEqual(JSON.parse(ExportService.toJson(report)), report);
+    });
+
+    it('writes a Markdown summary and an items table sorted by price', () => {
+        const markdown = ExportService.toMarkdown(createReport());
+        const lines = markdown.split('\n');
+
+        assert.equal(lines[0], '### Dragon \\| Lore (Hellcase)');
+        assert.ok(lines.includes('- Expected value: $9.50'));
+        assert.ok(lines.includes('- Net profitability: -17.0%, sold on the Steam market (price / 1.15 after fees)'));
+        assert.ok(lines.includes('| 1 | AWP \\| Dragon Lore (Factory New) | $95.00 | - | +$85.00 | 10.000% |'));
+        assert.ok(lines.includes('| 2 | P250 \\| Sand Dune (Field-Tested) | $0.05 | $0.04 | -$9.95 | 90.000% |'));
+    });
+
+    it('notes cases without odds', () => {
+        const markdown = ExportService.toMarkdown(createReport({ hasValidOdds: false }));
+        assert.ok(markdown.includes('- Odds not available for this case'));
+        assert.ok(!markdown.includes('Expected value'));
+        assert.ok(markdown.includes('| ? |'));
+    });
+
+    it('builds file names from the site, case and date', () => {
+        const report = createReport();
+        report.meta.exportedAt = '2024-05-01T10:00:00.000Z';
+        assert.equal(ExportService.getFileName(report, 'csv'), 'hellcase-dragon-lore-2024-05-01.csv');
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+/**
+ * Build an opening record
+ * @param {Object} fields - Fields to override
+ * @returns {Object}
+ */
+function createRecord(fields = {}) {
+    return {
+        siteId: 'hellcase',
+        caseId: 'test-case',
+        caseName: 'Test Case',
+        pricePaid: 10,
+        itemName: 'AK-47 | Redline (Field-Tested)',
+        siteValue: 20,
+        realValue: 18,
+        expectedValue: 9,
+        realExpectedValue: 8,
+        timestamp: 1,
+        ...fields
+    };
+}
+
+describe('OpeningHistoryService', () => {
+    let window;
+    let local;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/cache.js',
+            'src/shared/services/history.js'
+        ]);
+        local = {};
+        window.chrome = {
+            storage: {
+                local: {
+                    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))),
+                    set: (values, callback) => { Object.assign(local, values); callback(); },
+                    remove: (key, callback) => { delete local[key]; callback(); }
+                }
+            },
+            runtime: {}
+        };
+    });
+
+    it('appends records and clears them', async () => {
+        const { OpeningHistoryService } = window;
+        await OpeningHistoryService.add([createRecord({ timestamp: 1 })]);
+        await OpeningHistoryService.add([createRecord({ timestamp: 2 }), createRecord({ timestamp: 3 })]);
+        await OpeningHistoryService.add([]);
+
+        assert.deepEqual(plain(await OpeningHistoryService.getAll()).map(record => record.timestamp), [1, 2, 3]);
+
+        await OpeningHistoryService.clear();
+        assert.deepEqual(plain(await OpeningHistoryService.getAll()), []);
+    });
+
+    it('keeps the newest 5000 records', async () => {
+        const { OpeningHistoryService } = window;
+        assert.equal(OpeningHistoryService.MAX_RECORDS, 5000);
+
+        local.csp_opening_history = Array.from({ length: 4999 }, (_, index) => createRecord({ timestamp: index }));
+        await OpeningHistoryService.add([createRecord({ timestamp: 4999 }), createRecord({ timestamp: 5000 })]);
+
+        const history = local.csp_opening_history;
+        assert.equal(history.length, 5000);
+        assert.equal(history[0].timestamp, 1);
+        assert.equal(history[history.length - 1].timestamp, 5000);
+    });
+
+    it('summarizes profit with real values falling back to site values', () => {
+        const summary = plain(window.OpeningHistoryService.summarize([
+            createRecord(),
+            createRecord({ siteValue: 2, realValue: null, realExpectedValue: null })
+        ]));
+
+        assert.deepEqual(summary, {
+            count: 2,
+            spent: 20,
+            siteValue: 22,
+            realValue: 20,
+            profit: 2,
+            realProfit: 0,
+            expectedProfit: -2,
+            realExpectedProfit: -3
+        });
+    });
+
+    it('summarizes records per site', () => {
+        const summaries = plain(window.OpeningHistoryService.summarizeBySite([
+            createRecord(),
+            createRecord({ siteId: 'keydrop', pricePaid: 5 }),
+            createRecord({ siteId: 'keydrop', pricePaid: 5 })
+        ]));
+
+        assert.deepEqual(Object.keys(summaries), ['hellcase', 'keydrop']);
+        assert.equal(summaries.keydrop.count, 2);
+        assert.equal(summaries.keydrop.profit, 30);
+    });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('../helpers/extension');
+
+/**
+ * Build a minimal fetch Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @param {Object} headers - Response headers
+ * @returns {Object}
+ */
+function response(status, body = {}, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: (name) => headers[name] ?? null },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+describe('HttpClient', () => {
+    let window;
+    let calls;
+
+    /**
+     * Replace fetch with a function answering with the given responses in order
+     * @param {Array<Object|Error>} responses - Responses (Errors are thrown)
+     */
+    function mockFetch(responses) {
+        window.fetch = async (url, options) => {
+            calls.push({ url, options });
+            const next = responses.shift();
+            if (next instanceof Error) throw next;
+            return next;
+        };
+    }
+
+    beforeEach(() => {
+        window = loadScripts(['src/shared/services/http.js']);
+        calls = [];
+    });
+
+    it('returns parsed JSON', async () => {
+        mockFetch([response(200, { name: 'Case' })]);
+        const client = new window.HttpClient({ name: 'Test' });
+
+        assert.equal((await client.json('https://example.com/case')).name, 'Case');
+        assert.equal(calls.length, 1);
+    });
+
+    it('retries 5xx with backoff and then succeeds', async () => {
+        mockFetch([response(502), response(503), response(200, { ok: 1 })]);
+        const client = new window.HttpClient({ name: 'Test', backoff: 1 });
+
+        assert.equal((await client.json('https://example.com/case')).ok, 1);
+        assert.equal(calls.length, 3);
+    });
+
+    it('throws a status error without retrying 4xx', async () => {
+        mockFetch([response(404)]);
+        const client = new window.HttpClient({ name: 'Test', backoff: 1 });
+
+        await assert.rejects(client.json('https://example.com/case'), (error) => {
+            assert.ok(error instanceof window.HttpStatusError);
+            assert.equal(error.status, 404);
+            assert.equal(error.message, 'HTTP 404');
+            return true;
+        });
+        assert.equal(calls.length, 1);
+    });
+
+    it('gives up after the configured retries', async () => {
+        mockFetch([response(500), response(500), response(500)]);
+        const client = new window.HttpClient({ name: 'Test', retries: 1, backoff: 1 });
+
+        await assert.rejects(client.json('https://example.com/case'), { status: 500, message: 'HTTP 500 (after 2 attempts)' });
+        assert.equal(calls.length, 2);
+    });
+
+    it('does not retry POST requests unless asked to', async () => {
+        mockFetch([response(503), response(200)]);
+        const client = new window.HttpClient({ name: 'Test', backoff: 1 });
+
+        await assert.rejects(client.json('https://example.com/case', { method: 'POST' }), { status: 503 });
+        assert.equal(calls.length, 1);
+    });
+
+    it('honors Retry-After on 429', async () => {
+        mockFetch([response(429, {}, { 'Retry-After': '0' }), response(200, { ok: 1 })]);
+        const client = new window.HttpClient({ name: 'Test', backoff: 10000 });
+
+        const started = Date.now();
+        await client.json('https://example.com/case');
+        assert.ok(Date.now() - started < 1000, 'waited for the backoff instead of Retry-After');
+        assert.equal(calls.length, 2);
+    });
+
+    it('turns network failures into network errors', async () => {
+        mockFetch([new TypeError('Failed to fetch')]);
+        const client = new window.HttpClient({ name: 'Test', retries: 0 });
+
+        await assert.rejects(client.json('https://example.com/case'), (error) => {
+            assert.ok(error instanceof window.HttpNetworkError);
+            assert.equal(error.kind, 'network');
+            return true;
+        });
+    });
+
+    it('aborts requests after the timeout', async () => {
+        window.fetch = (url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+        const client = new window.HttpClient({ name: 'Test', retries: 0, timeout: 20 });
+
+        await assert.rejects(client.json('https://example.com/case'), (error) => {
+            assert.ok(error instanceof window.HttpTimeoutError);
+            return true;
+        });
+    });
+
+    it('reports invalid JSON as a response error', async () => {
+        const invalid = response(200);
+        invalid.json = async () => { throw new SyntaxError('Unexpected token'); };
+        mockFetch([invalid]);
+        const client = new window.HttpClient({ name: 'Test' });
+
+        await assert.rejects(client.json('https://example.com/case'), { kind: 'response' });
+    });
+
+    it('keeps the minimum interval between requests', async () => {
+        mockFetch([response(200), response(200)]);
+        const client = new window.HttpClient({ name: 'Test', minInterval: 50 });
+
+        const started = Date.now();
+        await Promise.all([client.json('https://example.com/a'), client.json('https://example.com/b')]);
+        assert.ok(Date.now() - started >= 45, 'second request was not delayed');
+    });
+
+    it('round-trips errors through toJSON() for runtime messages', () => {
+        const error = new window.HttpStatusError('HTTP 429', { url: 'https://example.com', status: 429 });
+        const copy = window.HttpError.fromJSON(JSON.parse(JSON.stringify(error)));
+
+        assert.ok(copy instanceof window.HttpStatusError);
+        assert.equal(copy.status, 429);
+    });
+
+    it('describes failures for the user', () => {
+        const { HttpClient, HttpStatusError, HttpTimeoutError } = window;
+
+        assert.match(HttpClient.describeError(new HttpStatusError('HTTP 403', { status: 403 }), 'KeyDrop'), /KeyDrop refused the request \(HTTP 403\)/);
+        assert.match(HttpClient.describeError(new HttpStatusError('HTTP 429', { status: 429 }), 'KeyDrop'), /limiting requests/);
+        assert.match(HttpClient.describeError(new HttpTimeoutError('timeout'), 'KeyDrop'), /did not respond in time/);
+        assert.equal(HttpClient.describeError(new Error('boom'), 'KeyDrop'), 'Error loading data. Try refreshing.');
+    });
+});
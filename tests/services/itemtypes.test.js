@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('../helpers/extension');
+
+const { ItemTypes } = loadScripts(['src/shared/services/itemtypes.js']);
+
+describe('ItemTypes.detect', () => {
+    const cases = [
+        ['AK-47 | Redline (Field-Tested)', 'weapon'],
+        ['StatTrak™ M4A4 | Neo-Noir (Field-Tested)', 'weapon'],
+        ['Souvenir AWP | Dragon Lore (Battle-Scarred)', 'weapon'],
+        ['★ Karambit | Doppler (Factory New)', 'knife'],
+        ['★ StatTrak™ Butterfly Knife', 'knife'],
+        ['M9 Bayonet | Fade (Factory New)', 'knife'],
+        ['★ Sport Gloves | Vice (Minimal Wear)', 'gloves'],
+        ['Hand Wraps | Slaughter (Field-Tested)', 'gloves'],
+        ['Sticker | Crown (Foil)', 'sticker'],
+        ['Sticker | Team Liquid (Holo) | Katowice 2019', 'sticker'],
+        ['Patch | Metal Crown', 'patch'],
+        ['Sealed Graffiti | Lambda (Monster Purple)', 'graffiti'],
+        ['StatTrak™ Music Kit | Daniel Sadowski, Crimson Assault', 'music_kit'],
+        ['Charm | Die-cast AK', 'charm'],
+        ['Sir Bloody Miami Darryl | The Professionals', 'agent'],
+        ['Cmdr. Mae \'Dead Cold\' Jamison | SWAT', 'agent'],
+        ['Operation Breakout Weapon Case', 'container'],
+        ['Paris 2023 Legends Sticker Capsule', 'container'],
+        ['ESL One Cologne 2015 Dust II Souvenir Package', 'container'],
+        ['Free $1', 'other'],
+        ['', 'other']
+    ];
+
+    for (const [name, type] of cases) {
+        it(`${name || '(empty)'} -> ${type}`, () => {
+            assert.equal(ItemTypes.detect(name), type);
+        });
+    }
+});
+
+describe('ItemTypes.buildMarketHashName', () => {
+    it('puts ★ before StatTrak™ and adds the wear to skins', () => {
+        assert.equal(
+            ItemTypes.buildMarketHashName({ weaponName: '★ Karambit', skinName: 'Fade', wearFull: 'Factory New', isStattrak: true }),
+            '★ StatTrak™ Karambit | Fade (Factory New)'
+        );
+        assert.equal(
+            ItemTypes.buildMarketHashName({ weaponName: 'Karambit', skinName: '', wearFull: '' }),
+            '★ Karambit'
+        );
+        assert.equal(
+            ItemTypes.buildMarketHashName({ weaponName: 'AWP', skinName: 'Dragon Lore', wearFull: 'Battle-Scarred', isSouvenir: true }),
+            'Souvenir AWP | Dragon Lore (Battle-Scarred)'
+        );
+    });
+
+    it('builds prefixed names from either split', () => {
+        assert.equal(ItemTypes.buildMarketHashName({ weaponName: 'Sticker', skinName: 'Crown (Foil)' }), 'Sticker | Crown (Foil)');
+        assert.equal(ItemTypes.buildMarketHashName({ type: 'sticker', weaponName: 'Crown (Foil)' }), 'Sticker | Crown (Foil)');
+        assert.equal(ItemTypes.buildMarketHashName({ weaponName: 'Graffiti', skinName: 'Lambda (Monster Purple)' }), 'Sealed Graffiti | Lambda (Monster Purple)');
+        assert.equal(
+            ItemTypes.buildMarketHashName({ weaponName: 'Music Kit', skinName: 'Daniel Sadowski, Crimson Assault', isStattrak: true }),
+            'StatTrak™ Music Kit | Daniel Sadowski, Crimson Assault'
+        );
+    });
+
+    it('leaves the wear out of items that have none', () => {
+        assert.equal(
+            ItemTypes.buildMarketHashName({ weaponName: 'Sir Bloody Miami Darryl', skinName: 'The Professionals', wearFull: 'Factory New' }),
+            'Sir Bloody Miami Darryl | The Professionals'
+        );
+        assert.equal(ItemTypes.buildMarketHashName({ weaponName: 'Operation Breakout Weapon Case', skinName: '' }), 'Operation Breakout Weapon Case');
+        assert.equal(ItemTypes.buildMarketHashName({ type: 'charm', weaponName: 'Charm', skinName: 'Die-cast AK', wearFull: 'Factory New' }), 'Charm | Die-cast AK');
+    });
+});
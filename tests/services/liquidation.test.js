@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('../helpers/extension');
+
+describe('LiquidationService', () => {
+    let window;
+    let LiquidationService;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/settings.js',
+            'src/shared/services/liquidation.js'
+        ]);
+        LiquidationService = window.LiquidationService;
+    });
+
+    /**
+     * Select settings like the options page stores them
+     * @param {Object} values - Setting values
+     */
+    function useSettings(values) {
+        window.SettingsService.values = { ...window.SettingsService.getDefaults(), ...values };
+    }
+
+    it('sells on the Steam market by default', () => {
+        assert.equal(LiquidationService.getProfileId(), 'steam');
+        assert.equal(LiquidationService.getNetValue({ price: 10, realPrice: 11.5 }), 10);
+        assert.match(LiquidationService.describe(), /Steam market/);
+    });
+
+    it('falls back to the site price without a real price', () => {
+        assert.equal(LiquidationService.getNetValue({ price: 23, realPrice: null }), 20);
+        assert.equal(LiquidationService.getNetValue({ price: 23 }), 20);
+        // A real price of 0 is a price
+        assert.equal(LiquidationService.getNetValue({ price: 23, realPrice: 0 }), 0);
+    });
+
+    it('takes the third-party market fee', () => {
+        useSettings({ liquidationProfile: 'market', marketFeePercent: 2 });
+        assert.equal(LiquidationService.getNetValue({ price: 10, realPrice: 50 }), 49);
+        assert.equal(LiquidationService.describe(), 'Sold on a third-party market with a 2% fee');
+    });
+
+    it('sells back for a share of the site price', () => {
+        useSettings({ liquidationProfile: 'sellback', sellbackPercent: 80 });
+        assert.equal(LiquidationService.getNetValue({ price: 10, realPrice: 50 }), 8);
+        assert.equal(LiquidationService.describe(), 'Sold back to the site for 80% of its price');
+    });
+
+    it('uses the Steam profile for unknown profile ids', () => {
+        useSettings({ liquidationProfile: 'skinport' });
+        assert.equal(LiquidationService.getProfileId(), 'steam');
+    });
+});
@@ -0,0 +1,178 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('../helpers/extension');
+
+const { MarketHashName } = loadScripts([
+    'src/shared/services/itemtypes.js',
+    'src/shared/services/markethashname.js'
+]);
+
+/**
+ * Pick the fields a corpus entry checks
+ * @param {Object} parsed - parse() result
+ * @returns {Object}
+ */
+function summarize(parsed) {
+    return {
+        marketHashName: parsed.marketHashName,
+        type: parsed.type,
+        weaponName: parsed.weaponName,
+        skinName: parsed.skinName,
+        wear: parsed.wear,
+        isStattrak: parsed.isStattrak,
+        isSouvenir: parsed.isSouvenir,
+        phase: parsed.phase
+    };
+}
+
+describe('MarketHashName.parse', () => {
+    // [site spelling, market hash name, type, weaponName, skinName, wear, StatTrak, Souvenir, phase]
+    const corpus = [
+        // Flags in any order and spelling
+        ['AK-47 | Redline (Field-Tested)', 'AK-47 | Redline (Field-Tested)', 'weapon', 'AK-47', 'Redline', 'FT', false, false, null],
+        ['StatTrak™ AK-47 | Redline (Field-Tested)', 'StatTrak™ AK-47 | Redline (Field-Tested)', 'weapon', 'AK-47', 'Redline', 'FT', true, false, null],
+        ['StatTrak AK-47 | Redline (FT)', 'StatTrak™ AK-47 | Redline (Field-Tested)', 'weapon', 'AK-47', 'Redline', 'FT', true, false, null],
+        ['Stattrak(TM) AK-47 | Redline (field tested)', 'StatTrak™ AK-47 | Redline (Field-Tested)', 'weapon', 'AK-47', 'Redline', 'FT', true, false, null],
+        ['Souvenir AWP | Dragon Lore (BS)', 'Souvenir AWP | Dragon Lore (Battle-Scarred)', 'weapon', 'AWP', 'Dragon Lore', 'BS', false, true, null],
+        ['★ StatTrak™ Karambit | Fade (Factory New)', '★ StatTrak™ Karambit | Fade (Factory New)', 'knife', '★ Karambit', 'Fade', 'FN', true, false, null],
+        ['StatTrak™ ★ Karambit | Fade (Factory New)', '★ StatTrak™ Karambit | Fade (Factory New)', 'knife', '★ Karambit', 'Fade', 'FN', true, false, null],
+        ['☆ Karambit | Fade (FN)', '★ Karambit | Fade (Factory New)', 'knife', '★ Karambit', 'Fade', 'FN', false, false, null],
+        ['Karambit | Fade (Factory New)', '★ Karambit | Fade (Factory New)', 'knife', '★ Karambit', 'Fade', 'FN', false, false, null],
+        ['  M4A1-S |  Hyper Beast  (Well Worn) ', 'M4A1-S | Hyper Beast (Well-Worn)', 'weapon', 'M4A1-S', 'Hyper Beast', 'WW', false, false, null],
+        ['Desert Eagle | Blaze (mw)', 'Desert Eagle | Blaze (Minimal Wear)', 'weapon', 'Desert Eagle', 'Blaze', 'MW', false, false, null],
+
+        // Doppler phases in every position
+        ['★ Karambit | Doppler (Factory New) Phase 2', '★ Karambit | Doppler (Factory New) Phase 2', 'knife', '★ Karambit', 'Doppler', 'FN', false, false, 'Phase 2'],
+        ['★ Karambit | Doppler - Phase 2 (Factory New)', '★ Karambit | Doppler (Factory New) Phase 2', 'knife', '★ Karambit', 'Doppler', 'FN', false, false, 'Phase 2'],
+        ['★ Karambit | Doppler Phase2 (FN)', '★ Karambit | Doppler (Factory New) Phase 2', 'knife', '★ Karambit', 'Doppler', 'FN', false, false, 'Phase 2'],
+        ['★ Karambit | Doppler (Phase 2) (Factory New)', '★ Karambit | Doppler (Factory New) Phase 2', 'knife', '★ Karambit', 'Doppler', 'FN', false, false, 'Phase 2'],
+        ['★ Karambit | Doppler (Factory New) - Phase 2', '★ Karambit | Doppler (Factory New) Phase 2', 'knife', '★ Karambit', 'Doppler', 'FN', false, false, 'Phase 2'],
+        ['★ Bayonet | Doppler - Black Pearl (Factory New)', '★ Bayonet | Doppler (Factory New) Black Pearl', 'knife', '★ Bayonet', 'Doppler', 'FN', false, false, 'Black Pearl'],
+        ['★ Bayonet | Doppler (Factory New) black pearl', '★ Bayonet | Doppler (Factory New) Black Pearl', 'knife', '★ Bayonet', 'Doppler', 'FN', false, false, 'Black Pearl'],
+        ['★ Karambit | Doppler - Ruby', '★ Karambit | Doppler Ruby', 'knife', '★ Karambit', 'Doppler', '', false, false, 'Ruby'],
+        ['StatTrak™ ★ Flip Knife | Doppler (Sapphire) (MW)', '★ StatTrak™ Flip Knife | Doppler (Minimal Wear) Sapphire', 'knife', '★ Flip Knife', 'Doppler', 'MW', true, false, 'Sapphire'],
+        ['★ Talon Knife | Gamma Doppler (Factory New) Emerald', '★ Talon Knife | Gamma Doppler (Factory New) Emerald', 'knife', '★ Talon Knife', 'Gamma Doppler', 'FN', false, false, 'Emerald'],
+        ['★ Talon Knife | Gamma Doppler - Phase 4 (FN)', '★ Talon Knife | Gamma Doppler (Factory New) Phase 4', 'knife', '★ Talon Knife', 'Gamma Doppler', 'FN', false, false, 'Phase 4'],
+        ['Glock-18 | Gamma Doppler (Factory New) Phase 1', 'Glock-18 | Gamma Doppler (Factory New) Phase 1', 'weapon', 'Glock-18', 'Gamma Doppler', 'FN', false, false, 'Phase 1'],
+
+        // Pattern tiers
+        ['★ Karambit | Marble Fade (Fire & Ice) (Factory New)', '★ Karambit | Marble Fade (Factory New) Fire & Ice', 'knife', '★ Karambit', 'Marble Fade', 'FN', false, false, 'Fire & Ice'],
+        ['★ Karambit | Marble Fade - Fake Fire & Ice (FN)', '★ Karambit | Marble Fade (Factory New) Fake Fire & Ice', 'knife', '★ Karambit', 'Marble Fade', 'FN', false, false, 'Fake Fire & Ice'],
+        ['★ Flip Knife | Marble Fade (Factory New) Tricolor', '★ Flip Knife | Marble Fade (Factory New) Tricolor', 'knife', '★ Flip Knife', 'Marble Fade', 'FN', false, false, 'Tricolor'],
+        ['AK-47 | Case Hardened (Field-Tested) Blue Gem', 'AK-47 | Case Hardened (Field-Tested) Blue Gem', 'weapon', 'AK-47', 'Case Hardened', 'FT', false, false, 'Blue Gem'],
+        ['★ Karambit | Case Hardened - Tier 1 (MW)', '★ Karambit | Case Hardened (Minimal Wear) Tier 1', 'knife', '★ Karambit', 'Case Hardened', 'MW', false, false, 'Tier 1'],
+        ['★ Karambit | Fade 95% (Factory New)', '★ Karambit | Fade (Factory New) 95%', 'knife', '★ Karambit', 'Fade', 'FN', false, false, '95%'],
+        ['★ Karambit | Fade (Factory New) 100%', '★ Karambit | Fade (Factory New) 100%', 'knife', '★ Karambit', 'Fade', 'FN', false, false, '100%'],
+        ['Glock-18 | Fade (Factory New)', 'Glock-18 | Fade (Factory New)', 'weapon', 'Glock-18', 'Fade', 'FN', false, false, null],
+        ['MAC-10 | Amber Fade (Factory New)', 'MAC-10 | Amber Fade (Factory New)', 'weapon', 'MAC-10', 'Amber Fade', 'FN', false, false, null],
+
+        // Phases a finish doesn't have are left in the name
+        ['★ Karambit | Gamma Doppler - Ruby (Factory New)', '★ Karambit | Gamma Doppler - Ruby (Factory New)', 'knife', '★ Karambit', 'Gamma Doppler - Ruby', 'FN', false, false, null],
+        ['Sticker | Ruby', 'Sticker | Ruby', 'sticker', 'Sticker', 'Ruby', '', false, false, null],
+
+        // Types without wear
+        ['Sticker | Crown (Foil)', 'Sticker | Crown (Foil)', 'sticker', 'Sticker', 'Crown (Foil)', '', false, false, null],
+        ['Sticker | Team Liquid (Holo) | Katowice 2019', 'Sticker | Team Liquid (Holo) | Katowice 2019', 'sticker', 'Sticker', 'Team Liquid (Holo) | Katowice 2019', '', false, false, null],
+        ['Graffiti | Lambda (Monster Purple)', 'Sealed Graffiti | Lambda (Monster Purple)', 'graffiti', 'Graffiti', 'Lambda (Monster Purple)', '', false, false, null],
+        ['StatTrak™ Music Kit | Daniel Sadowski, Crimson Assault', 'StatTrak™ Music Kit | Daniel Sadowski, Crimson Assault', 'music_kit', 'Music Kit', 'Daniel Sadowski, Crimson Assault', '', true, false, null],
+        ['Sir Bloody Miami Darryl | The Professionals', 'Sir Bloody Miami Darryl | The Professionals', 'agent', 'Sir Bloody Miami Darryl', 'The Professionals', '', false, false, null],
+        ['★ Butterfly Knife', '★ Butterfly Knife', 'knife', '★ Butterfly Knife', '', '', false, false, null],
+        ['StatTrak™ ★ Butterfly Knife', '★ StatTrak™ Butterfly Knife', 'knife', '★ Butterfly Knife', '', '', true, false, null],
+        ['Operation Breakout Weapon Case', 'Operation Breakout Weapon Case', 'container', 'Operation Breakout Weapon Case', '', '', false, false, null],
+        ['ESL One Cologne 2015 Dust II Souvenir Package', 'ESL One Cologne 2015 Dust II Souvenir Package', 'container', 'ESL One Cologne 2015 Dust II Souvenir Package', '', '', false, false, null],
+        ['Free $1', 'Free $1', 'other', 'Free $1', '', '', false, false, null]
+    ];
+
+    for (const [name, marketHashName, type, weaponName, skinName, wear, isStattrak, isSouvenir, phase] of corpus) {
+        it(`${name.trim()} -> ${marketHashName}`, () => {
+            assert.deepEqual(summarize(MarketHashName.parse(name)), {
+                marketHashName, type, weaponName, skinName, wear, isStattrak, isSouvenir, phase
+            });
+        });
+    }
+
+    it('keeps canonical names as they are', () => {
+        for (const [, marketHashName] of corpus) {
+            assert.equal(MarketHashName.parse(marketHashName).marketHashName, marketHashName);
+        }
+    });
+
+    it('uses the fields sent next to the name when the name lacks them', () => {
+        const parsed = MarketHashName.parse('Karambit | Doppler', { wearFull: 'MW', isStattrak: true, phase: 'phase 3' });
+        assert.equal(parsed.marketHashName, '★ StatTrak™ Karambit | Doppler (Minimal Wear) Phase 3');
+        assert.equal(parsed.wearFull, 'Minimal Wear');
+
+        // The name wins over the extra fields
+        assert.equal(MarketHashName.parse('AK-47 | Redline (Field-Tested)', { wearFull: 'FN' }).wear, 'FT');
+        assert.equal(MarketHashName.parse('Sticker | Crown (Foil)', { wearFull: 'FN' }).wear, '');
+    });
+});
+
+describe('MarketHashName.fromParts', () => {
+    it('moves flags out of the weapon and the phase out of the skin', () => {
+        const parsed = MarketHashName.fromParts({ weaponName: 'StatTrak™ ★ Karambit', skinName: 'Doppler - Ruby', wearFull: 'factory new' });
+        assert.equal(parsed.weaponName, '★ Karambit');
+        assert.equal(parsed.skinName, 'Doppler');
+        assert.equal(parsed.isStattrak, true);
+        assert.equal(parsed.phase, 'Ruby');
+        assert.equal(parsed.marketHashName, '★ StatTrak™ Karambit | Doppler (Factory New) Ruby');
+    });
+
+    it('ignores the wear of vanilla knives and items without exteriors', () => {
+        assert.equal(MarketHashName.fromParts({ weaponName: '★ Butterfly Knife', wearFull: 'Factory New' }).wear, '');
+        assert.equal(MarketHashName.fromParts({ weaponName: 'Sticker', skinName: 'Crown (Foil)', wearFull: 'FN' }).wear, '');
+    });
+
+    it('takes the phase sent on its own only for phased finishes', () => {
+        assert.equal(MarketHashName.fromParts({ weaponName: '★ Karambit', skinName: 'Doppler', phase: 'Phase 4' }).phase, 'Phase 4');
+        assert.equal(MarketHashName.fromParts({ weaponName: '★ Karambit', skinName: 'Gamma Doppler', phase: 'Ruby' }).phase, null);
+        assert.equal(MarketHashName.fromParts({ weaponName: '★ Karambit', skinName: 'Fade', phase: 'Phase 1' }).phase, null);
+    });
+});
+
+describe('MarketHashName.extractPhase', () => {
+    const cases = [
+        ['Doppler (Sapphire)', 'Sapphire'],
+        ['Gamma Doppler Phase 3', 'Phase 3'],
+        ['Gamma Doppler - Emerald', 'Emerald'],
+        ['Doppler - Black Pearl', 'Black Pearl'],
+        ['doppler phase 1', 'Phase 1'],
+        ['Marble Fade (Fire & Ice)', 'Fire & Ice'],
+        ['Marble Fade Fake Fire&Ice', 'Fake Fire & Ice'],
+        ['Case Hardened - Blue Gem', 'Blue Gem'],
+        ['Fade 90%', '90%'],
+        ['Marble Fade 90%', null],
+        ['Fade - Ruby', null],
+        ['Doppler - Emerald', null],
+        ['Gamma Doppler - Sapphire', null],
+        ['Fade', null],
+        ['', null]
+    ];
+
+    for (const [text, phase] of cases) {
+        it(`${text || '(empty)'} -> ${phase}`, () => {
+            assert.equal(MarketHashName.extractPhase(text), phase);
+        });
+    }
+});
+
+describe('MarketHashName.normalizeWear', () => {
+    const cases = [
+        ['FN', 'FN'], ['fn', 'FN'], ['Factory New', 'FN'], ['factory_new', 'FN'],
+        ['Minimal Wear', 'MW'], ['Field-Tested', 'FT'], ['Field Tested', 'FT'],
+        ['Well-Worn', 'WW'], ['well worn', 'WW'], ['Battle-Scarred', 'BS'], ['BS', 'BS'],
+        ['Foil', ''], ['', ''], [null, '']
+    ];
+
+    for (const [wear, short] of cases) {
+        it(`${wear || '(empty)'} -> ${short || '(none)'}`, () => {
+            assert.equal(MarketHashName.normalizeWear(wear), short);
+        });
+    }
+
+    it('spells full wears like market hash names', () => {
+        assert.equal(MarketHashName.getWearFull('ft'), 'Field-Tested');
+        assert.equal(MarketHashName.getWearFull('battle scarred'), 'Battle-Scarred');
+        assert.equal(MarketHashName.getWearFull('Holo'), '');
+    });
+});
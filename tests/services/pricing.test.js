@@ -0,0 +1,246 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+const KARAMBIT = '★ Karambit | Doppler (Factory New)';
+const TALON = '★ Talon Knife | Gamma Doppler (Factory New)';
+const MARBLE = '★ Karambit | Marble Fade (Factory New)';
+
+/**
+ * Load PricingService with prices already looked up for the active provider (csgotrader)
+ * @returns {Window}
+ */
+function loadPricing() {
+    const window = loadScripts([
+        'src/shared/services/settings.js',
+        'src/shared/services/providers.js',
+        'src/shared/services/itemtypes.js',
+        'src/shared/services/markethashname.js',
+        'src/shared/services/pricesheet.js',
+        'src/shared/services/pricing.js'
+    ]);
+    window.PricingService.prices.csgotrader = {
+        [KARAMBIT]: { price: 900, phases: { 'Phase 2': 1100, 'Ruby': 4000 } },
+        [TALON]: { price: 700, phases: { 'Phase1': 800, 'emerald': 5200 } },
+        [MARBLE]: { price: 1500 }
+    };
+    return window;
+}
+
+/**
+ * Parse an item name the way site parsers do
+ * @param {Window} window - Loaded window
+ * @param {string} name - Item name
+ * @returns {Object}
+ */
+function item(window, name) {
+    return window.MarketHashName.parse(name);
+}
+
+describe('PricingService.getRealPriceInfo', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadPricing();
+    });
+
+    it('prices Doppler and Gamma Doppler phases from the phase prices', () => {
+        const info = name => plain(window.PricingService.getRealPriceInfo(item(window, name)));
+        assert.deepEqual(info(`${KARAMBIT} Ruby`), { price: 4000, isBasePrice: false });
+        assert.deepEqual(info(`${TALON} Phase 1`), { price: 800, isBasePrice: false });
+        assert.deepEqual(info('★ Talon Knife | Gamma Doppler - Emerald (FN)'), { price: 5200, isBasePrice: false });
+        assert.deepEqual(info(KARAMBIT), { price: 900, isBasePrice: false });
+    });
+
+    it('falls back to the base price when the phase has none', () => {
+        const sapphire = window.PricingService.getRealPriceInfo(item(window, `${KARAMBIT} Sapphire`));
+        assert.deepEqual(plain(sapphire), { price: 900, isBasePrice: true });
+
+        const fireAndIce = window.PricingService.getRealPriceInfo(item(window, '★ Karambit | Marble Fade (Fire & Ice) (Factory New)'));
+        assert.deepEqual(plain(fireAndIce), { price: 1500, isBasePrice: true });
+
+        assert.equal(window.PricingService.getRealPrice(item(window, `${KARAMBIT} Sapphire`)), 900);
+    });
+
+    it('prefers phase prices of the price sheet', () => {
+        window.PriceSheetService.sheet = {
+            prices: { [MARBLE]: { price: 1400, phases: { 'Fire & Ice': 3100 } } }
+        };
+
+        const fireAndIce = window.PricingService.getRealPriceInfo(item(window, `${MARBLE} Fire & Ice`));
+        assert.deepEqual(plain(fireAndIce), { price: 3100, isBasePrice: false });
+
+        const tricolor = window.PricingService.getRealPriceInfo(item(window, `${MARBLE} Tricolor`));
+        assert.deepEqual(plain(tricolor), { price: 1400, isBasePrice: true });
+    });
+
+    it('returns no price for items missing from the feed', () => {
+        const info = window.PricingService.getRealPriceInfo(item(window, '★ Bayonet | Doppler (Factory New) Ruby'));
+        assert.deepEqual(plain(info), { price: null, isBasePrice: false });
+    });
+});
+
+describe('PriceSheetService.parse', () => {
+    it('moves phases and pattern tiers written into the name to the phase column', () => {
+        const window = loadPricing();
+        const csv = [
+            'name,price,phase',
+            `${KARAMBIT},900,`,
+            `★ Karambit | Doppler - Black Pearl (Factory New),6000,`,
+            `${MARBLE},1400,fire&ice`
+        ].join('\n');
+
+        const { prices, errors } = window.PriceSheetService.parse(csv, 'prices.csv');
+        assert.deepEqual(plain(errors), []);
+        assert.deepEqual(plain(prices), {
+            [KARAMBIT]: { price: 900, phases: { 'Black Pearl': 6000 } },
+            [MARBLE]: { price: null, phases: { 'Fire & Ice': 1400 } }
+        });
+    });
+
+    it('warns about names MarketHashName.parse() spells differently', () => {
+        const window = loadPricing();
+        const csv = [
+            'name,price',
+            'StatTrak AK-47 | Redline (FT),30',
+            'Karambit,500',
+            'Operation Breakout Weapon Case,1.2',
+            'Some Item,1'
+        ].join('\n');
+
+        const { count, warnings } = window.PriceSheetService.parse(csv, 'prices.csv');
+        assert.equal(count, 4);
+        assert.deepEqual(plain(warnings), [
+            { row: 2, message: '"StatTrak AK-47 | Redline (FT)" does not match the market hash name format, expected "StatTrak™ AK-47 | Redline (Field-Tested)"' },
+            { row: 3, message: '"Karambit" does not match the market hash name format, expected "★ Karambit"' },
+            { row: 5, message: '"Some Item" is not in "Weapon | Skin (Wear)" format' }
+        ]);
+    });
+});
+
+describe('PriceSheetService file formats', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadPricing();
+    });
+
+    /**
+     * Parse a sheet and copy the result out of the window
+     * @param {string} text - File contents
+     * @param {string} fileName - File name
+     * @returns {Object}
+     */
+    function parse(text, fileName = 'prices.csv') {
+        return plain(window.PriceSheetService.parse(text, fileName));
+    }
+
+    it('reads semicolon separated sheets with decimal commas', () => {
+        const { prices, errors } = parse([
+            'Name;Price',
+            'AK-47 | Redline (Field-Tested);12,5',
+            'AWP | Asiimov (Field-Tested);80'
+        ].join('\r\n'));
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(prices, {
+            'AK-47 | Redline (Field-Tested)': { price: 12.5 },
+            'AWP | Asiimov (Field-Tested)': { price: 80 }
+        });
+    });
+
+    it('reads prices with thousands separators', () => {
+        const { prices, errors } = parse([
+            'name;price',
+            '★ Karambit | Fade (Factory New);1.234,50',
+            '★ Karambit | Crimson Web (Minimal Wear);"1,234.50"',
+            '★ Karambit | Slaughter (Factory New);1 234,50',
+            '★ Butterfly Knife | Fade (Factory New);"2,345,678"',
+            'AWP | Dragon Lore (Factory New);12.34,5'
+        ].join('\n'));
+
+        assert.deepEqual(prices, {
+            '★ Karambit | Fade (Factory New)': { price: 1234.5 },
+            '★ Karambit | Crimson Web (Minimal Wear)': { price: 1234.5 },
+            '★ Karambit | Slaughter (Factory New)': { price: 1234.5 },
+            '★ Butterfly Knife | Fade (Factory New)': { price: 2345678 }
+        });
+        assert.deepEqual(errors, [{ row: 6, message: 'Invalid price "12.34,5" for AWP | Dragon Lore (Factory New)' }]);
+    });
+
+    it('keeps delimiters and escaped quotes inside quoted cells', () => {
+        const { prices, errors } = parse([
+            'market_hash_name,price',
+            '"Music Kit | Daniel Sadowski, Crimson Assault","3,25"',
+            '"Sticker | ""Kawaii"" Killer",0.5'
+        ].join('\n'));
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(prices, {
+            'Music Kit | Daniel Sadowski, Crimson Assault': { price: 3.25 },
+            'Sticker | "Kawaii" Killer': { price: 0.5 }
+        });
+    });
+
+    it('prefers the phase column over a phase written into the name', () => {
+        const { prices } = parse([
+            'name,phase,price',
+            `★ Karambit | Doppler - Ruby (Factory New),sapphire,5000`,
+            `${KARAMBIT},phase2,1100`
+        ].join('\n'));
+
+        assert.deepEqual(prices, {
+            [KARAMBIT]: { price: null, phases: { 'Sapphire': 5000, 'Phase 2': 1100 } }
+        });
+    });
+
+    it('reads CSGOTrader files with doppler prices', () => {
+        const { prices, count, errors } = parse(JSON.stringify({
+            [KARAMBIT]: { price: 900, doppler: { 'Phase 2': 1100, 'Ruby': 4000 } },
+            'AK-47 | Redline (Field-Tested)': 12.5
+        }), 'prices_v6.json');
+
+        assert.deepEqual(errors, []);
+        assert.equal(count, 4);
+        assert.deepEqual(prices, {
+            [KARAMBIT]: { price: 900, phases: { 'Phase 2': 1100, 'Ruby': 4000 } },
+            'AK-47 | Redline (Field-Tested)': { price: 12.5 }
+        });
+    });
+
+    it('skips rows without a name or with a negative or non-numeric price', () => {
+        const { prices, count, errors } = parse([
+            'name,price',
+            'AK-47 | Redline (Field-Tested),-1',
+            'AWP | Asiimov (Field-Tested),n/a',
+            'M4A4 | Howl (Field-Tested),',
+            ',5',
+            'Glock-18 | Fade (Factory New),1500'
+        ].join('\n'));
+
+        assert.equal(count, 1);
+        assert.deepEqual(Object.keys(prices), ['Glock-18 | Fade (Factory New)']);
+        assert.deepEqual(errors, [
+            { row: 2, message: 'Invalid price "-1" for AK-47 | Redline (Field-Tested)' },
+            { row: 3, message: 'Invalid price "n/a" for AWP | Asiimov (Field-Tested)' },
+            { row: 4, message: 'Invalid price "" for M4A4 | Howl (Field-Tested)' },
+            { row: 5, message: 'Missing item name' }
+        ]);
+
+        const json = parse('[{ "name": "AK-47 | Redline (Field-Tested)", "price": null }]', 'prices.json');
+        assert.equal(json.count, 0);
+        assert.equal(json.errors.length, 1);
+    });
+
+    it('rejects a CSV without name and price columns', () => {
+        const result = parse('AK-47 | Redline (Field-Tested),12.5\nAWP | Asiimov (Field-Tested),80');
+
+        assert.deepEqual(result, {
+            prices: {},
+            count: 0,
+            errors: [{ row: 0, message: 'CSV header must contain "name" (or "market_hash_name") and "price" columns' }],
+            warnings: []
+        });
+        assert.equal(parse('{ "broken": ', 'prices.json').errors[0].row, 0);
+    });
+});
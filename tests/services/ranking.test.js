@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+describe('CaseRankingService', () => {
+    let window;
+    let service;
+    let local;
+    let now;
+    let waits;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/cache.js',
+            'src/shared/services/ranking.js'
+        ]);
+        local = {};
+        window.chrome = {
+            storage: {
+                local: {
+                    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))),
+                    set: (values, callback) => { Object.assign(local, values); callback(); },
+                    remove: (key, callback) => { delete local[key]; callback(); }
+                }
+            },
+            runtime: {}
+        };
+
+        // Fake clock, timers advance it instantly
+        now = 1_000_000;
+        waits = [];
+        window.Date.now = () => now;
+        window.setTimeout = (callback, ms) => {
+            waits.push(ms);
+            now += ms;
+            callback();
+        };
+        window.console.error = () => {};
+
+        service = window.CaseRankingService;
+    });
+
+    /**
+     * Create an adapter that records requested case ids
+     * @param {Object} failing - Case ids whose request throws
+     * @returns {Object}
+     */
+    function createAdapter(failing = {}) {
+        return {
+            requested: [],
+            async fetchCaseDataById(id) {
+                this.requested.push(id);
+                if (failing[id]) throw new Error('Request failed');
+                return { caseName: `Case ${id}`, items: [] };
+            }
+        };
+    }
+
+    it('keeps the minimum interval between requests', async () => {
+        const started = [];
+        const request = () => { started.push(now); return Promise.resolve(); };
+
+        await Promise.all([service.schedule(request), service.schedule(request), service.schedule(request)]);
+
+        assert.deepEqual(started, [1_000_000, 1_001_500, 1_003_000]);
+        assert.deepEqual(waits, [1500, 1500]);
+    });
+
+    it('only waits for the rest of the interval', async () => {
+        await service.schedule(async () => {});
+        now += 1000;
+        await service.schedule(async () => {});
+
+        assert.deepEqual(waits, [500]);
+    });
+
+    it('keeps the queue going after a failed request', async () => {
+        const failed = service.schedule(async () => { throw new Error('Request failed'); });
+        const next = service.schedule(async () => 'ok');
+
+        await assert.rejects(failed, /Request failed/);
+        assert.equal(await next, 'ok');
+    });
+
+    it('drops expired cache entries', async () => {
+        local.csp_ranking_hellcase = {
+            fresh: { timestamp: now - 60 * 1000, caseData: { caseName: 'Fresh' } },
+            expired: { timestamp: now - service.CACHE_DURATION - 1, caseData: { caseName: 'Expired' } },
+            broken: null
+        };
+
+        assert.deepEqual(Object.keys(await service.getCache('hellcase')), ['fresh']);
+        assert.deepEqual(plain(await service.getCache('skinclub')), {});
+    });
+
+    it('fetches uncached cases and stores them', async () => {
+        local.csp_ranking_hellcase = { a: { timestamp: now, caseData: { caseName: 'Cached' } } };
+        const adapter = createAdapter({ c: true });
+        const results = [];
+
+        await service.fetchAll(adapter, 'hellcase', [{ id: 'a', url: '/a' }, { id: 'b', url: '/b' }, { id: 'c', url: '/c' }],
+            async (result) => results.push(result));
+
+        assert.deepEqual(adapter.requested, ['b', 'c']);
+        assert.deepEqual(plain(results.map(result => [result.id, result.url, result.caseData?.caseName ?? null])),
+            [['a', '/a', 'Cached'], ['b', '/b', 'Case b'], ['c', '/c', null]]);
+        assert.deepEqual(Object.keys(local.csp_ranking_hellcase), ['a', 'b']);
+    });
+
+    it('stops fetching once cancelled', async () => {
+        const adapter = createAdapter();
+        const results = [];
+        let cancelled = false;
+
+        await service.fetchAll(adapter, 'hellcase', [{ id: 'a' }, { id: 'b' }, { id: 'c' }], async (result) => {
+            results.push(result.id);
+            cancelled = true;
+        }, () => cancelled);
+
+        assert.deepEqual(adapter.requested, ['a']);
+        assert.deepEqual(results, ['a']);
+    });
+
+    it('drops results that finish after cancelling', async () => {
+        const results = [];
+        let cancelled = false;
+        const adapter = {
+            async fetchCaseDataById() {
+                cancelled = true;
+                return { caseName: 'Late', items: [] };
+            }
+        };
+
+        await service.fetchAll(adapter, 'hellcase', [{ id: 'a' }, { id: 'b' }], async (result) => results.push(result), () => cancelled);
+
+        assert.deepEqual(results, []);
+    });
+
+    it('fetches at most MAX_CASES cases', async () => {
+        const adapter = createAdapter();
+        const cases = Array.from({ length: service.MAX_CASES + 5 }, (_, index) => ({ id: String(index) }));
+
+        await service.fetchAll(adapter, 'hellcase', cases, async () => {});
+
+        assert.equal(adapter.requested.length, service.MAX_CASES);
+    });
+
+    it('clears the cache of one site', async () => {
+        local.csp_ranking_hellcase = {};
+        local.csp_ranking_skinclub = {};
+
+        await service.clearCache('hellcase');
+
+        assert.deepEqual(Object.keys(local), ['csp_ranking_skinclub']);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+describe('RecentCasesService', () => {
+    let window;
+    let service;
+    let local;
+    let now;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/cache.js',
+            'src/shared/services/recent.js'
+        ]);
+        local = {};
+        window.chrome = {
+            storage: {
+                local: {
+                    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))),
+                    set: (values, callback) => { Object.assign(local, values); callback(); },
+                    remove: (key, callback) => { delete local[key]; callback(); }
+                }
+            },
+            runtime: {}
+        };
+        now = 1000;
+        window.Date.now = () => now++;
+
+        service = window.RecentCasesService;
+    });
+
+    it('lists cases newest first', async () => {
+        await service.add({ siteId: 'hellcase', caseId: 'a', caseName: 'A' });
+        await service.add({ siteId: 'hellcase', caseId: 'b', caseName: 'B' });
+
+        assert.deepEqual(plain(await service.getAll()), [
+            { siteId: 'hellcase', caseId: 'b', caseName: 'B', timestamp: 1001 },
+            { siteId: 'hellcase', caseId: 'a', caseName: 'A', timestamp: 1000 }
+        ]);
+    });
+
+    it('moves a revisited case to the top', async () => {
+        await service.add({ siteId: 'hellcase', caseId: 'a', casePrice: 1 });
+        await service.add({ siteId: 'skinclub', caseId: 'a', casePrice: 2 });
+        await service.add({ siteId: 'hellcase', caseId: 'a', casePrice: 3 });
+
+        assert.deepEqual(plain((await service.getAll()).map(entry => [entry.siteId, entry.casePrice])),
+            [['hellcase', 3], ['skinclub', 2]]);
+    });
+
+    it('keeps at most MAX_CASES cases', async () => {
+        for (let index = 0; index < service.MAX_CASES + 3; index++) {
+            await service.add({ siteId: 'hellcase', caseId: String(index) });
+        }
+
+        const recent = await service.getAll();
+        assert.equal(recent.length, service.MAX_CASES);
+        assert.equal(recent[0].caseId, String(service.MAX_CASES + 2));
+        assert.equal(recent.at(-1).caseId, '3');
+    });
+
+    it('clears all cases', async () => {
+        await service.add({ siteId: 'hellcase', caseId: 'a' });
+        await service.clear();
+
+        assert.deepEqual(plain(await service.getAll()), []);
+    });
+});
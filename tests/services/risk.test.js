@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+/**
+ * Assert that two numbers are within a tolerance
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Allowed difference
+ */
+function assertClose(actual, expected, tolerance = 1e-5) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+describe('RiskService', () => {
+    const { RiskService } = loadScripts(['src/shared/services/risk.js']);
+
+    it('describes the outcome distribution', () => {
+        const outcomes = [{ value: 0, odds: 50 }, { value: 10, odds: 50 }];
+        assert.deepEqual(plain(RiskService.describe(outcomes, 4)), {
+            mean: 1, variance: 25, stdDev: 5, median: 0, p10: 0, p50: 0, p90: 10
+        });
+    });
+
+    it('normalizes odds that do not sum to 100%', () => {
+        const outcomes = [{ value: 0, odds: 25 }, { value: 10, odds: 25 }];
+        assert.equal(RiskService.describe(outcomes, 4).mean, 1);
+        assert.equal(RiskService.describe(outcomes, 4).variance, 25);
+        assert.equal(RiskService.describe([{ value: 5, odds: 0 }], 4).stdDev, 0);
+    });
+
+    it('takes percentiles from the cumulative odds', () => {
+        const outcomes = [{ value: 30, odds: 5 }, { value: 1, odds: 60 }, { value: 5, odds: 35 }];
+        assert.equal(RiskService.percentile(outcomes, 0.1, 100), 1);
+        assert.equal(RiskService.percentile(outcomes, 0.6, 100), 1);
+        assert.equal(RiskService.percentile(outcomes, 0.9, 100), 5);
+        assert.equal(RiskService.percentile(outcomes, 0.99, 100), 30);
+    });
+
+    it('matches the closed form without drift', () => {
+        // P = 2 * Phi(-bankroll / (stdDev * sqrt(openings))) = 2 * Phi(-1)
+        assertClose(RiskService.riskOfRuin(0, 10, 100, 100), 0.3173105);
+    });
+
+    it('matches the closed form with a negative drift', () => {
+        // P = Phi(0) + e^2 * Phi(-2)
+        assertClose(RiskService.riskOfRuin(-1, 10, 100, 100), 0.5 + Math.exp(2) * 0.0227501319);
+    });
+
+    it('approaches exp(-2 * mean * bankroll / variance) over a long horizon with a positive drift', () => {
+        assertClose(RiskService.riskOfRuin(1, 10, 50, 1e7), Math.exp(-1));
+    });
+
+    it('grows with the number of openings', () => {
+        const short = RiskService.riskOfRuin(-0.5, 10, 100, 50);
+        const long = RiskService.riskOfRuin(-0.5, 10, 100, 500);
+        assert.ok(short < long, `${short} >= ${long}`);
+    });
+
+    it('handles degenerate inputs', () => {
+        assert.equal(RiskService.riskOfRuin(-1, 10, 0, 100), 1);
+        assert.equal(RiskService.riskOfRuin(-1, 10, 100, 0), 0);
+        // No variance: ruin only if the losses reach the bankroll
+        assert.equal(RiskService.riskOfRuin(-1, 0, 100, 100), 1);
+        assert.equal(RiskService.riskOfRuin(-1, 0, 100, 99), 0);
+    });
+
+    it('stays finite when the exponential term would overflow', () => {
+        // exponent = 2000, Phi(z2) underflows
+        const probability = RiskService.riskOfRuin(-1, 1, 1000, 100);
+        assert.ok(Number.isFinite(probability));
+        assert.equal(probability, 0);
+    });
+
+    it('computes the normal CDF and its log tail', () => {
+        assertClose(RiskService.normalCdf(0), 0.5, 1e-7);
+        assertClose(RiskService.normalCdf(1.96), 0.9750021, 1e-6);
+        assertClose(RiskService.logNormalCdf(-5.0001), Math.log(RiskService.normalCdf(-5)), 0.01);
+        assert.ok(Number.isFinite(RiskService.logNormalCdf(-40)));
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+describe('SettingsService', () => {
+    let window;
+    let SettingsService;
+    let sync;
+    let storageListeners;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/settings.js',
+            'src/shared/services/providers.js'
+        ]);
+        sync = {};
+        storageListeners = [];
+        window.chrome = {
+            storage: {
+                sync: {
+                    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in sync).map(key => [key, sync[key]]))),
+                    set: (values, callback) => { Object.assign(sync, values); callback(); }
+                },
+                onChanged: { addListener: listener => storageListeners.push(listener) }
+            },
+            runtime: {}
+        };
+        SettingsService = window.SettingsService;
+    });
+
+    /**
+     * Simulate a settings change written by another tab or the options page
+     * @param {Object} values - New stored values
+     */
+    function storeFromElsewhere(values) {
+        sync.csp_settings = values;
+        storageListeners.forEach(listener => listener({ csp_settings: { newValue: values } }, 'sync'));
+    }
+
+    it('uses defaults until settings are loaded', () => {
+        assert.equal(SettingsService.get('showBox'), true);
+        assert.equal(SettingsService.get('priceProvider'), 'csgotrader');
+        assert.equal(SettingsService.get('unknown'), undefined);
+    });
+
+    it('validates booleans, numbers and free text', () => {
+        assert.deepEqual(plain(SettingsService.validate('showBox', false)), { value: false, error: null });
+        assert.equal(SettingsService.validate('showBox', 'false').error, 'Must be true or false');
+
+        assert.deepEqual(plain(SettingsService.validate('marketFeePercent', ' 2.5 ')), { value: 2.5, error: null });
+        assert.equal(SettingsService.validate('marketFeePercent', '').error, 'Must be a number');
+        assert.equal(SettingsService.validate('marketFeePercent', -1).error, 'Must be at least 0');
+        assert.equal(SettingsService.validate('marketFeePercent', 101).error, 'Must be at most 100');
+        assert.equal(SettingsService.validate('riskOpenings', 10.5).error, 'Must be a whole number');
+
+        assert.deepEqual(plain(SettingsService.validate('exchangeRateOverrides', ' EUR=0.92, gbp = 0.8 ')), { value: 'EUR=0.92, gbp = 0.8', error: null });
+        assert.equal(SettingsService.validate('exchangeRateOverrides', 'EUR:0.92').error, SettingsService.SCHEMA.exchangeRateOverrides.patternError);
+        assert.equal(SettingsService.validate('exchangeRateOverrides', 5).error, 'Must be text');
+
+        assert.equal(SettingsService.validate('unknown', 1).error, 'Unknown setting');
+    });
+
+    it('offers the registered price providers', () => {
+        const { PriceProviders } = window;
+        const ids = options => plain(options.map(option => option.value));
+        const providerIds = ids(PriceProviders.getAll().map(provider => ({ value: provider.id })));
+
+        assert.deepEqual(ids(SettingsService.SCHEMA.priceProvider.options), providerIds);
+        assert.deepEqual(ids(SettingsService.SCHEMA.comparePriceProvider.options), ['', ...providerIds]);
+        assert.equal(SettingsService.validate('priceProvider', 'bitskins').error, 'Unknown option');
+
+        PriceProviders.register({ id: 'bitskins', name: 'BitSkins', url: 'https://example.com/bitskins.json', parse: raw => raw });
+        assert.equal(SettingsService.validate('priceProvider', 'bitskins').error, null);
+        assert.equal(SettingsService.validate('comparePriceProvider', 'bitskins').error, null);
+        assert.deepEqual(plain(SettingsService.SCHEMA.priceProvider.options.at(-1)), { value: 'bitskins', label: 'BitSkins' });
+    });
+
+    it('keeps the green threshold above the red one', () => {
+        assert.deepEqual(plain(SettingsService.validateRelations({ profitabilityRed: 90, profitabilityGreen: 80 })),
+            { profitabilityGreen: 'Must not be lower than the red threshold' });
+        assert.deepEqual(plain(SettingsService.validateRelations({ profitabilityRed: 90, profitabilityGreen: 90 })), {});
+    });
+
+    it('replaces invalid stored values with defaults', () => {
+        const defaults = plain(SettingsService.getDefaults());
+        assert.deepEqual(plain(SettingsService.sanitize(undefined)), defaults);
+        assert.deepEqual(plain(SettingsService.sanitize('corrupt')), defaults);
+
+        const values = plain(SettingsService.sanitize({ showBox: false, marketFeePercent: 'lots', priceProvider: 'removed', riskOpenings: '50', extra: 1 }));
+        assert.equal(values.showBox, false);
+        assert.equal(values.marketFeePercent, defaults.marketFeePercent);
+        assert.equal(values.priceProvider, defaults.priceProvider);
+        assert.equal(values.riskOpenings, 50);
+        assert.equal('extra' in values, false);
+
+        // Thresholds that contradict each other are both reset
+        const thresholds = SettingsService.sanitize({ profitabilityRed: 95, profitabilityGreen: 50 });
+        assert.equal(thresholds.profitabilityRed, defaults.profitabilityRed);
+        assert.equal(thresholds.profitabilityGreen, defaults.profitabilityGreen);
+    });
+
+    it('saves valid updates and rejects invalid ones as a whole', async () => {
+        await SettingsService.load();
+
+        assert.deepEqual(plain(await SettingsService.update({ marketFeePercent: '3', showBox: false })), { success: true, errors: {} });
+        assert.equal(sync.csp_settings.marketFeePercent, 3);
+        assert.equal(SettingsService.get('showBox'), false);
+
+        const result = plain(await SettingsService.update({ sellbackPercent: 50, profitabilityGreen: 10 }));
+        assert.equal(result.success, false);
+        assert.deepEqual(Object.keys(result.errors), ['profitabilityGreen']);
+        assert.equal(SettingsService.get('sellbackPercent'), 90);
+    });
+
+    it('notifies listeners about values changed in other tabs', async () => {
+        sync.csp_settings = { showBox: false };
+        await SettingsService.load();
+        assert.equal(SettingsService.get('showBox'), false);
+
+        const calls = [];
+        SettingsService.onChange((keys, values) => calls.push([plain(keys), values.displayCurrency]));
+
+        storeFromElsewhere({ showBox: false, displayCurrency: 'EUR' });
+        // Unchanged and invalid values don't notify
+        storeFromElsewhere({ showBox: false, displayCurrency: 'EUR' });
+        storeFromElsewhere({ showBox: false, displayCurrency: 'EUR', marketFeePercent: 'lots' });
+        storageListeners.forEach(listener => listener({ csp_settings: { newValue: {} } }, 'local'));
+
+        assert.deepEqual(calls, [[['displayCurrency'], 'EUR']]);
+        assert.equal(SettingsService.get('displayCurrency'), 'EUR');
+    });
+
+    it('keeps notifying when a listener throws', () => {
+        const originalError = window.console.error;
+        window.console.error = () => {};
+        let called = false;
+        SettingsService.onChange(() => { throw new Error('broken listener'); });
+        SettingsService.onChange(() => { called = true; });
+
+        SettingsService.applyStoredValues({ showBox: false });
+        window.console.error = originalError;
+        assert.equal(called, true);
+    });
+});
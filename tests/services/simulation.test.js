@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+const ITEMS = [
+    { name: 'Common', price: 1, odds: 80 },
+    { name: 'Rare', price: 8, odds: 19 },
+    { name: 'Covert', price: 150, odds: 1 }
+];
+
+/**
+ * Seeded random number generator (mulberry32), replaces Math.random for repeatable draws
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns numbers in range [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+describe('SimulationService', () => {
+    let window;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/utils/helpers.js',
+            'src/shared/services/simulation.js'
+        ]);
+    });
+
+    /**
+     * Run a simulation with a seeded Math.random
+     * @param {number} seed - Seed
+     * @param {Array} items - Case items
+     * @param {number} casePrice - Case price
+     * @param {number} count - Openings
+     * @returns {Object} - Simulation result
+     */
+    function run(seed, items, casePrice, count) {
+        window.Math.random = seededRandom(seed);
+        return plain(window.SimulationService.run(items, casePrice, count));
+    }
+
+    it('gives the same result for the same seed', () => {
+        assert.deepEqual(run(42, ITEMS, 5, 1000), run(42, ITEMS, 5, 1000));
+        assert.notDeepEqual(run(42, ITEMS, 5, 1000), run(7, ITEMS, 5, 1000));
+    });
+
+    it('keeps the totals consistent', () => {
+        const result = run(42, ITEMS, 5, 1000);
+
+        assert.equal(result.openings, 1000);
+        assert.equal(result.totalSpent, 5000);
+        assert.equal(result.finalBalance.toFixed(6), (result.totalValue - result.totalSpent).toFixed(6));
+        assert.equal(result.histogram.reduce((sum, bucket) => sum + bucket.count, 0), 1000);
+        assert.ok(result.worstDrawdown >= 0);
+    });
+
+    it('converges to the expected value', () => {
+        // EV = 0.8 + 1.52 + 1.5 = 3.82 per opening
+        const result = run(1, ITEMS, 5, window.SimulationService.MAX_OPENINGS);
+        assert.ok(Math.abs(result.totalValue / result.openings - 3.82) < 0.1, `average ${result.totalValue / result.openings}`);
+    });
+
+    it('draws items by their odds', () => {
+        const items = [{ name: 'Low', price: 1, odds: 25 }, { name: 'High', price: 4, odds: 75 }];
+
+        // weightedRandom() picks Low below 0.25 and High from there
+        const draws = [0.1, 0.5, 0.9, 0.2];
+        window.Math.random = () => draws.shift();
+        const result = plain(window.SimulationService.run(items, 2, 4));
+
+        assert.equal(result.totalValue, 10);
+        assert.equal(result.bestHit.name, 'High');
+        // Balance -1, +1, +3, +2: drawdown 1 from the start and from the peak
+        assert.equal(result.finalBalance, 2);
+        assert.equal(result.worstDrawdown, 1);
+        assert.deepEqual(result.histogram.filter(bucket => bucket.count).map(bucket => [bucket.label, bucket.count]),
+            [['0.5-0.75x', 2], ['2-5x', 2]]);
+    });
+
+    it('caps and rounds the number of openings', () => {
+        window.Math.random = seededRandom(3);
+        const { SimulationService } = window;
+
+        assert.equal(SimulationService.run(ITEMS, 5, 10.7).openings, 10);
+        assert.equal(SimulationService.run(ITEMS, 5, 0.5).openings, 1);
+        assert.equal(SimulationService.run(ITEMS, 5, SimulationService.MAX_OPENINGS + 1).openings, SimulationService.MAX_OPENINGS);
+        assert.equal(SimulationService.run([], 5, 10), null);
+        assert.equal(SimulationService.run(ITEMS, 5, 0), null);
+    });
+
+    it('sorts outcomes into return buckets', () => {
+        const { SimulationService } = window;
+        const label = (price, casePrice) => SimulationService.HISTOGRAM_BUCKETS[SimulationService.getBucketIndex(price, casePrice)].label;
+
+        assert.equal(label(0.2, 1), '<0.25x');
+        assert.equal(label(1, 1), '1-1.5x');
+        assert.equal(label(10, 1), '10x+');
+        // Free cases have no multiplier
+        assert.equal(label(50, 0), '<0.25x');
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('../helpers/extension');
+
+/**
+ * Build case data priced in a site currency
+ * @param {number} sitePrice - Item price in the site currency
+ * @param {number} siteRate - Site currency units per USD
+ * @returns {Object} - Unified CaseData
+ */
+function createCaseData(sitePrice, siteRate) {
+    return {
+        caseId: 'test-case',
+        caseName: 'Test Case',
+        casePrice: 40 / siteRate,
+        siteRate,
+        items: [
+            { marketHashName: 'AK-47 | Redline (Field-Tested)', price: sitePrice / siteRate, odds: 50 },
+            { marketHashName: 'P250 | Sand Dune (Field-Tested)', price: 0.2 / siteRate, odds: 50 }
+        ]
+    };
+}
+
+describe('SnapshotService signatures', () => {
+    const { SnapshotService } = loadScripts(['src/shared/services/snapshots.js']);
+
+    it('keeps the signature when only the exchange rate moved', () => {
+        assert.equal(SnapshotService.getSignature(createCaseData(100, 4)), SnapshotService.getSignature(createCaseData(100, 4.37)));
+    });
+
+    it('changes the signature when the site changed a price', () => {
+        assert.notEqual(SnapshotService.getSignature(createCaseData(100, 4)), SnapshotService.getSignature(createCaseData(110, 4)));
+    });
+
+    it('hashes USD prices of sites without a rate', () => {
+        const caseData = createCaseData(100, 1);
+        delete caseData.siteRate;
+        assert.equal(SnapshotService.getSignature(caseData), SnapshotService.getSignature(createCaseData(100, 1)));
+    });
+});
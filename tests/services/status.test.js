@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+describe('SiteStatusService', () => {
+    let window;
+    let service;
+    let local;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/cache.js',
+            'src/shared/services/status.js'
+        ]);
+        local = {};
+
+        // Storage answers asynchronously like chrome.storage does
+        window.chrome = {
+            storage: {
+                local: {
+                    get: (keys, callback) => {
+                        const result = structuredClone(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]])));
+                        setTimeout(() => callback(result), 0);
+                    },
+                    set: (values, callback) => {
+                        Object.assign(local, structuredClone(values));
+                        setTimeout(callback, 0);
+                    }
+                }
+            },
+            runtime: {}
+        };
+        window.Date.now = () => 1000;
+
+        service = window.SiteStatusService;
+    });
+
+    it('merges fields into the site status', async () => {
+        await service.reportAdapterLoaded('hellcase');
+        await service.reportFetch('hellcase', false, 'Request failed');
+
+        assert.deepEqual(plain(await service.getAll()), {
+            hellcase: { adapterLoaded: true, adapterLoadedAt: 1000, lastFetchOk: false, lastFetchAt: 1000, lastError: 'Request failed' }
+        });
+
+        await service.reportFetch('hellcase', true, 'ignored');
+        assert.equal((await service.getAll()).hellcase.lastError, null);
+    });
+
+    it('keeps concurrent updates of different sites', async () => {
+        await Promise.all([
+            service.reportAdapterLoaded('hellcase'),
+            service.reportAdapterLoaded('skinclub'),
+            service.reportFetch('hellcase', true)
+        ]);
+
+        const statuses = await service.getAll();
+        assert.deepEqual(Object.keys(statuses).sort(), ['hellcase', 'skinclub']);
+        assert.equal(statuses.hellcase.adapterLoaded, true);
+        assert.equal(statuses.hellcase.lastFetchOk, true);
+    });
+
+    it('keeps updating after a failed update', async () => {
+        const get = window.chrome.storage.local.get;
+        window.chrome.storage.local.get = () => { throw new Error('Storage unavailable'); };
+        await assert.rejects(service.reportAdapterLoaded('hellcase'), /Storage unavailable/);
+
+        window.chrome.storage.local.get = get;
+        assert.equal(await service.reportAdapterLoaded('skinclub'), true);
+        assert.deepEqual(Object.keys(await service.getAll()), ['skinclub']);
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+const NONCE = 'test-nonce';
+
+describe('OpeningTracker', () => {
+    let window;
+    let local;
+    let box;
+    let rendered;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/settings.js',
+            'src/shared/services/cache.js',
+            'src/shared/services/itemtypes.js',
+            'src/shared/services/markethashname.js',
+            'src/shared/services/history.js',
+            'src/shared/services/tracker.js'
+        ]);
+        local = {};
+        window.chrome = {
+            storage: {
+                local: {
+                    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))),
+                    set: (values, callback) => { Object.assign(local, values); callback(); }
+                }
+            },
+            runtime: {}
+        };
+        window.SettingsService.values = { ...window.SettingsService.getDefaults(), trackOpenings: true };
+
+        const { MarketHashName } = window;
+        rendered = 0;
+        box = {
+            caseData: { caseId: 'test-case', caseName: 'Test Case', casePrice: 10 },
+            items: [
+                { id: 11, ...MarketHashName.parse('StatTrak™ AK-47 | Redline (Field-Tested)'), price: 30, realPrice: 27 },
+                { id: 12, ...MarketHashName.parse('★ Karambit | Doppler (Factory New) Ruby'), price: 900, realPrice: null },
+                { id: 13, ...MarketHashName.parse('P250 | Sand Dune (Field-Tested)'), price: 0.05, realPrice: 0.03 }
+            ],
+            calculateStats: () => ({ expectedValue: 9, hasRealPrices: true, real: { expectedValue: 8.5 } }),
+            getItemDisplayName: item => item.marketHashName,
+            renderHistory: () => { rendered++; }
+        };
+
+        Object.assign(window.OpeningTracker, {
+            box,
+            nonce: NONCE,
+            adapter: {
+                constructor: { getSiteId: () => 'hellcase' },
+                parseOpeningResponse: data => data.items
+            }
+        });
+    });
+
+    /**
+     * Deliver a hook message to the tracker
+     * @param {Object} data - Message data
+     * @param {Object} source - Message source window
+     */
+    async function receive(data, source = window) {
+        await window.OpeningTracker.handleMessage({ source, data: { source: 'csp-network-hook', nonce: NONCE, url: 'https://example.com/open', ...data } });
+    }
+
+    it('finds won items by id before name', () => {
+        const { OpeningTracker } = window;
+        assert.equal(OpeningTracker.findItem({ id: '13', marketHashName: 'AK-47 | Redline (Field-Tested)' }).id, 13);
+        assert.equal(OpeningTracker.findItem({ id: 99, marketHashName: 'P250 | Sand Dune (FT)' }).id, 13);
+        assert.equal(OpeningTracker.findItem({ id: 99 }), null);
+    });
+
+    it('matches names spelled like the site', () => {
+        const { OpeningTracker } = window;
+        assert.equal(OpeningTracker.findItem({ marketHashName: 'StatTrak AK-47 | Redline (FT)' }).id, 11);
+        assert.equal(OpeningTracker.findItem({ marketHashName: '★ Karambit | Doppler - Ruby (Factory New)' }).id, 12);
+        // A name without the phase matches the phased item, a different phase does not
+        assert.equal(OpeningTracker.findItem({ marketHashName: '★ Karambit | Doppler (Factory New)' }).id, 12);
+        assert.equal(OpeningTracker.findItem({ marketHashName: '★ Karambit | Doppler (Factory New) Sapphire' }), null);
+        assert.equal(OpeningTracker.findItem({ marketHashName: 'AK-47 | Redline (Field-Tested)' }), null);
+    });
+
+    it('records the price paid, the item values and the expected values', () => {
+        const record = plain(window.OpeningTracker.createRecord({ id: 11 }, 10, box.calculateStats()));
+        assert.ok(record.timestamp > 0);
+        delete record.timestamp;
+
+        assert.deepEqual(record, {
+            siteId: 'hellcase',
+            caseId: 'test-case',
+            caseName: 'Test Case',
+            pricePaid: 10,
+            itemName: 'StatTrak™ AK-47 | Redline (Field-Tested)',
+            siteValue: 30,
+            realValue: 27,
+            expectedValue: 9,
+            realExpectedValue: 8.5
+        });
+        assert.equal(window.OpeningTracker.createRecord({ id: 99 }, 10, box.calculateStats()), null);
+    });
+
+    it('stores openings forwarded by the hook', async () => {
+        await receive({ data: { items: [{ id: 11 }, { id: 99 }, { id: 13 }] } });
+
+        assert.deepEqual(plain(local.csp_opening_history).map(record => record.siteValue), [30, 0.05]);
+        assert.equal(rendered, 1);
+    });
+
+    it('ignores openings while tracking is off', async () => {
+        window.SettingsService.values.trackOpenings = false;
+        await receive({ data: { items: [{ id: 11 }] } });
+
+        assert.equal(local.csp_opening_history, undefined);
+        assert.equal(rendered, 0);
+    });
+
+    it('ignores messages without the hook nonce', async () => {
+        await receive({ nonce: undefined, data: { items: [{ id: 11 }] } });
+        await receive({ nonce: 'guessed', data: { items: [{ id: 11 }] } });
+        await receive({ data: { items: [{ id: 11 }] } }, null);
+
+        assert.equal(local.csp_opening_history, undefined);
+    });
+
+    it('passes the nonce to the injected hook', () => {
+        window.chrome.runtime.getURL = path => `chrome-extension://test/${path}`;
+        window.OpeningTracker.injectHook([{ method: 'POST', url: 'open' }]);
+
+        const script = window.document.querySelector('script[data-nonce]');
+        assert.equal(script.dataset.nonce, window.OpeningTracker.nonce);
+        assert.notEqual(window.OpeningTracker.nonce, NONCE);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+/**
+ * Build case data with two valid items
+ * @param {Object} fields - Case fields to override
+ * @returns {Object} - Unified CaseData
+ */
+function createCaseData(fields = {}) {
+    return {
+        caseId: 'test-case',
+        caseName: 'Test Case',
+        casePrice: 10,
+        items: [
+            { id: 1, weaponName: 'AK-47', skinName: 'Redline', price: 20, odds: 40 },
+            { id: 2, weaponName: 'P250', skinName: 'Sand Dune', price: 0.05, odds: 60 }
+        ],
+        ...fields
+    };
+}
+
+/**
+ * Replace fields of the second item
+ * @param {Object} fields - Item fields
+ * @returns {Object} - Unified CaseData
+ */
+function withSecondItem(fields) {
+    const caseData = createCaseData();
+    caseData.items[1] = { ...caseData.items[1], ...fields };
+    return caseData;
+}
+
+describe('CaseValidator', () => {
+    const { CaseValidator } = loadScripts(['src/shared/services/validator.js']);
+
+    /**
+     * Validate case data
+     * @param {Object} caseData - Unified CaseData
+     * @returns {{valid: boolean, issues: Array}}
+     */
+    function validate(caseData) {
+        return plain(CaseValidator.validate(caseData));
+    }
+
+    it('accepts a valid case', () => {
+        assert.deepEqual(validate(createCaseData()), { valid: true, issues: [] });
+    });
+
+    it('rejects a case without items', () => {
+        assert.deepEqual(validate(createCaseData({ items: [] })), {
+            valid: false,
+            issues: [{ level: 'error', message: 'Case has no items' }]
+        });
+        assert.equal(validate(null).valid, false);
+    });
+
+    it('rejects a case price that is not a number', () => {
+        const result = validate(createCaseData({ casePrice: NaN }));
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.issues, [{ level: 'error', message: 'Case price is not a number (NaN)' }]);
+    });
+
+    it('warns about a free case', () => {
+        const result = validate(createCaseData({ casePrice: 0 }));
+        assert.equal(result.valid, true);
+        assert.equal(result.issues[0].level, 'warning');
+    });
+
+    it('rejects missing and negative prices', () => {
+        assert.deepEqual(validate(withSecondItem({ price: undefined })).issues,
+            [{ level: 'error', message: '1 item without a numeric price: P250 | Sand Dune' }]);
+        assert.deepEqual(validate(withSecondItem({ price: -1 })).issues,
+            [{ level: 'error', message: '1 item with a negative price: P250 | Sand Dune' }]);
+    });
+
+    it('warns about zero prices except on boosts', () => {
+        assert.deepEqual(validate(withSecondItem({ price: 0 })), {
+            valid: true,
+            issues: [{ level: 'warning', message: '1 item with a zero price: P250 | Sand Dune' }]
+        });
+        assert.deepEqual(validate(withSecondItem({ price: 0, isBoost: true })).issues, []);
+    });
+
+    it('rejects missing and negative odds', () => {
+        const missing = validate(withSecondItem({ odds: null }));
+        assert.equal(missing.valid, false);
+        assert.equal(missing.issues[0].message, '1 item without numeric odds: P250 | Sand Dune');
+
+        const negative = validate(createCaseData({
+            items: [
+                { id: 1, weaponName: 'AK-47', skinName: 'Redline', price: 20, odds: 110 },
+                { id: 2, weaponName: 'P250', skinName: 'Sand Dune', price: 0.05, odds: -10 }
+            ]
+        }));
+        assert.deepEqual(negative.issues, [{ level: 'error', message: '1 item with negative odds: P250 | Sand Dune' }]);
+    });
+
+    it('rejects odds that do not add up to 100% within the tolerance', () => {
+        assert.equal(validate(withSecondItem({ odds: 60.9 })).valid, true);
+        assert.deepEqual(validate(withSecondItem({ odds: 61.5 })).issues,
+            [{ level: 'error', message: 'Odds add up to 101.500% instead of 100%' }]);
+        assert.equal(validate(withSecondItem({ odds: 58.5 })).valid, false);
+    });
+
+    it('skips odds checks for cases without odds', () => {
+        const caseData = withSecondItem({ odds: 0 });
+        caseData.items[0].odds = 0;
+        caseData.hasValidOdds = false;
+        assert.equal(validate(caseData).valid, true);
+    });
+
+    it('warns about duplicate ids', () => {
+        const result = validate(withSecondItem({ id: 1 }));
+        assert.deepEqual(result, { valid: true, issues: [{ level: 'warning', message: 'Duplicate item ids: 1' }] });
+    });
+
+    it('lists at most three item names', () => {
+        const items = Array.from({ length: 5 }, (_, index) => ({ id: index, weaponName: `Item ${index}`, price: -1, odds: 20 }));
+        assert.equal(validate(createCaseData({ items })).issues[0].message,
+            '5 items with a negative price: Item 0, Item 1, Item 2, ...');
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { loadScripts, plain } = require('../helpers/extension');
+
+const registry = require(path.join(__dirname, '..', '..', 'extension', 'src', 'sites', 'registry.json'));
+
+/**
+ * Load the content scripts of every site in manifest order (without content.js, which starts the page logic)
+ * @param {Object} options - Page options (see loadScripts)
+ * @returns {Window}
+ */
+function loadAdapters(options = {}) {
+    const { shared, adapter } = registry.contentScripts;
+    const sites = registry.sites.flatMap(site => site.scripts.map(script => `src/sites/${site.id}/${script}`));
+    return loadScripts([...shared, ...adapter, ...sites, 'src/sites/registry.js'], options);
+}
+
+describe('BaseSiteAdapter contract', () => {
+    const window = loadAdapters();
+    const { BaseSiteAdapter, SiteRegistry } = window;
+
+    /**
+     * Define an adapter class in the page realm
+     * @param {string} body - Class body
+     * @returns {Function}
+     */
+    function defineAdapter(body) {
+        return window.eval(`(class extends BaseSiteAdapter { ${body} })`);
+    }
+
+    const VALID_BODY = `
+        static matches(url) { return url.includes('example.com'); }
+        static getSiteId() { return 'hellcase'; }
+        getCaseId() { return 'case'; }
+        async getInsertionPoint() { return null; }
+        async fetchCaseData() { return null; }
+    `;
+
+    it('loads an adapter for every registered site', () => {
+        assert.deepEqual(plain(SiteRegistry.getAdapters().map(AdapterClass => AdapterClass.getSiteId())),
+            registry.sites.map(site => site.id));
+    });
+
+    for (const site of registry.sites) {
+        it(`accepts the ${site.name} adapter`, () => {
+            const AdapterClass = window[site.adapter];
+            assert.deepEqual(plain(BaseSiteAdapter.validate(AdapterClass)), { valid: true, errors: [] });
+            assert.equal(AdapterClass.matches(`${site.url}/`), true, `${site.adapter} does not match ${site.url}`);
+        });
+    }
+
+    it('accepts a minimal adapter', () => {
+        assert.deepEqual(plain(BaseSiteAdapter.validate(defineAdapter(VALID_BODY))), { valid: true, errors: [] });
+    });
+
+    it('rejects classes that do not extend BaseSiteAdapter', () => {
+        const result = plain(BaseSiteAdapter.validate(window.eval('(class { static matches() { return true; } })')));
+        assert.deepEqual(result, { valid: false, errors: ['does not extend BaseSiteAdapter'] });
+        assert.equal(BaseSiteAdapter.validate(null).valid, false);
+    });
+
+    it('lists every missing part of a broken adapter', () => {
+        const result = plain(BaseSiteAdapter.validate(defineAdapter('getOpeningUrlPatterns() { return []; }')));
+
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors, [
+            'missing static matches()',
+            'missing static getSiteId()',
+            'missing getCaseId()',
+            'missing getInsertionPoint()',
+            'missing fetchCaseData() or fetchCaseDataById()',
+            'incomplete openings capability, missing parseOpeningResponse()'
+        ]);
+    });
+
+    it('rejects site ids missing from the registry', () => {
+        const result = plain(BaseSiteAdapter.validate(defineAdapter(VALID_BODY.replace("'hellcase'", "'unknown'"))));
+        assert.deepEqual(result.errors, ['site id "unknown" is not listed in SiteRegistry']);
+
+        const empty = plain(BaseSiteAdapter.validate(defineAdapter(VALID_BODY.replace("'hellcase'", "''"))));
+        assert.deepEqual(empty.errors, ['getSiteId() must return a non-empty string']);
+    });
+
+    it('checks capabilities of adapter instances', () => {
+        const adapter = new (defineAdapter(VALID_BODY))();
+        assert.equal(BaseSiteAdapter.supports(adapter, 'catalog'), false);
+        assert.equal(BaseSiteAdapter.supports(adapter, 'unknown'), false);
+        assert.equal(BaseSiteAdapter.supports(null, 'catalog'), false);
+
+        adapter.getCatalogCases = () => [];
+        adapter.fetchCaseDataById = async () => null;
+        assert.equal(BaseSiteAdapter.supports(adapter, 'catalog'), true);
+    });
+});
+
+describe('BaseSiteAdapter helpers', () => {
+    /**
+     * Create a minimal adapter on a page with the given cookies
+     * @param {string} cookie - document.cookie value
+     * @returns {{window: Window, adapter: Object}}
+     */
+    function createAdapter(cookie = '') {
+        const window = loadAdapters({ url: 'https://key-drop.com/en/skins/category/crocodilo', cookie });
+        return { window, adapter: new window.KeyDropAdapter() };
+    }
+
+    it('reads cookies by their exact name', () => {
+        const { adapter } = createAdapter('xcurrency=PLN; a.b=dot; axb=letter; name=%22quoted%22');
+
+        assert.equal(adapter.getCookie('currency'), null);
+        assert.equal(adapter.getCookie('a.b'), 'dot');
+        assert.equal(adapter.getCookie('axb'), 'letter');
+        assert.equal(adapter.getCookie('name'), '"quoted"');
+        assert.equal(adapter.getCookie('(.*)'), null);
+    });
+
+    it('reads the currency cookie with a fallback', () => {
+        assert.equal(createAdapter('xcurrency=PLN').adapter.getCurrencyCookie(), 'USD');
+        assert.equal(createAdapter('xcurrency=PLN; currency=EUR').adapter.getCurrencyCookie(), 'EUR');
+        assert.equal(createAdapter('currency=%3Cscript%3E').adapter.getCurrencyCookie('PLN'), 'PLN');
+    });
+
+    it('returns the fallback for failed requests but rethrows HttpErrors', async () => {
+        const { window, adapter } = createAdapter();
+        const logged = [];
+        window.console.error = (...args) => logged.push(args[0]);
+
+        assert.equal(await adapter.attempt('loading', async () => 'data'), 'data');
+        assert.deepEqual(plain(await adapter.attempt('loading', async () => { throw new Error('parse error'); }, [])), []);
+        assert.equal(logged[0], '[KeyDrop Adapter] Error loading:');
+
+        const error = new window.HttpStatusError('Not Found', { url: '/case', status: 404 });
+        await assert.rejects(adapter.attempt('loading', async () => { throw error; }), thrown => thrown === error);
+    });
+});
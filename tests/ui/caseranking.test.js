@@ -0,0 +1,127 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('../helpers/extension');
+
+describe('CaseRanking rows', () => {
+    let window;
+    let ranking;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/settings.js',
+            'src/shared/services/currency.js',
+            'src/shared/services/validator.js',
+            'src/shared/ui/CaseRanking.js'
+        ]);
+
+        const box = {
+            getSiteId: () => 'hellcase',
+            getProcessedItems: items => items,
+            calculateStats: casePrice => ({
+                expectedValue: 12,
+                profitability: casePrice ? 12 / casePrice * 100 - 100 : 0,
+                profitChance: 40,
+                hasRealPrices: casePrice === 8,
+                real: { profitability: 5 }
+            })
+        };
+        ranking = new window.CaseRanking({}, box);
+    });
+
+    /**
+     * Build case data whose odds add up to 100%
+     * @param {Object} overrides - CaseData fields
+     * @returns {Object}
+     */
+    function createCaseData(overrides = {}) {
+        return {
+            caseName: 'Test Case',
+            casePrice: 10,
+            items: [
+                { weaponName: 'AK-47', skinName: 'Redline', wearFull: 'Field-Tested', price: 20, odds: 40 },
+                { weaponName: 'P250', skinName: 'Sand Dune', wearFull: 'Field-Tested', price: 0.05, odds: 60 }
+            ],
+            ...overrides
+        };
+    }
+
+    it('builds rows from case statistics', () => {
+        assert.deepEqual(plain(ranking.buildRow({ id: 'a', url: '/a', caseData: createCaseData() })), {
+            id: 'a',
+            url: '/a',
+            name: 'Test Case',
+            failed: false,
+            issues: [],
+            casePrice: 10,
+            expectedValue: 12,
+            profitability: 20,
+            realProfitability: null,
+            profitChance: 40
+        });
+
+        assert.equal(ranking.buildRow({ id: 'b', url: '/b', caseData: createCaseData({ casePrice: 8 }) }).realProfitability, 5);
+    });
+
+    it('marks cases without items as failed', () => {
+        assert.deepEqual(plain(ranking.buildRow({ id: 'a', url: '/a', caseData: null })), { id: 'a', url: '/a', name: 'a', failed: true });
+        assert.equal(ranking.buildRow({ id: 'b', url: '/b', caseData: createCaseData({ items: [] }) }).name, 'Test Case');
+    });
+
+    it('does not rank cases without valid odds or price', () => {
+        const noOdds = ranking.buildRow({ id: 'a', caseData: createCaseData({ hasValidOdds: false }) });
+        assert.equal(noOdds.expectedValue, null);
+        assert.equal(noOdds.profitability, null);
+        assert.equal(noOdds.profitChance, null);
+
+        const free = ranking.buildRow({ id: 'b', caseData: createCaseData({ casePrice: 0 }) });
+        assert.equal(free.expectedValue, 12);
+        assert.equal(free.profitability, null);
+    });
+
+    it('lists validation errors of a case', () => {
+        const row = ranking.buildRow({ id: 'a', caseData: createCaseData({ items: [createCaseData().items[0]] }) });
+        assert.equal(row.issues.length, 1);
+        assert.match(row.issues[0], /40/);
+    });
+
+    describe('sorting', () => {
+        beforeEach(() => {
+            ranking.rows = [
+                { id: 'a', name: 'Bravo', failed: false, profitability: 10 },
+                { id: 'b', name: 'alpha', failed: false, profitability: null },
+                { id: 'c', name: 'Charlie', failed: false, profitability: -5 },
+                { id: 'd', name: 'Delta', failed: true },
+                { id: 'e', name: 'echo', failed: false, profitability: 30 }
+            ];
+        });
+
+        /**
+         * Get row ids in the current sort order
+         * @returns {Array<string>}
+         */
+        function sortedIds() {
+            return plain(ranking.getSortedRows().map(row => row.id));
+        }
+
+        it('sorts numbers with missing values last in both directions', () => {
+            assert.deepEqual(sortedIds(), ['e', 'a', 'c', 'b', 'd']);
+
+            ranking.sortBy('profitability');
+            assert.deepEqual(sortedIds(), ['c', 'a', 'e', 'b', 'd']);
+        });
+
+        it('sorts names alphabetically first and flips on the second click', () => {
+            ranking.sortBy('name');
+            assert.deepEqual(plain(ranking.sort), { key: 'name', desc: false });
+            assert.deepEqual(sortedIds(), ['b', 'a', 'c', 'e', 'd']);
+
+            ranking.sortBy('name');
+            assert.deepEqual(sortedIds(), ['e', 'c', 'a', 'b', 'd']);
+        });
+
+        it('sorts other columns in descending order first', () => {
+            ranking.sortBy('casePrice');
+            assert.deepEqual(plain(ranking.sort), { key: 'casePrice', desc: true });
+        });
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('../helpers/extension');
+
+/**
+ * Build case data with two items
+ * @param {number} secondOdds - Odds of the second item in percent
+ * @returns {Object} - Unified CaseData
+ */
+function createCaseData(secondOdds) {
+    return {
+        caseId: 'test-case',
+        caseName: 'Test Case',
+        casePrice: 10,
+        items: [
+            { id: 1, weaponName: 'AK-47', skinName: 'Redline', wearFull: 'Field-Tested', isStattrak: false, price: 20, odds: 40 },
+            { id: 2, weaponName: 'P250', skinName: 'Sand Dune', wearFull: 'Field-Tested', isStattrak: false, price: 0.05, odds: secondOdds }
+        ]
+    };
+}
+
+describe('ProbabilityBox case history', () => {
+    let window;
+    let local;
+    let box;
+
+    beforeEach(() => {
+        window = loadScripts([
+            'src/shared/services/http.js',
+            'src/shared/services/settings.js',
+            'src/shared/services/currency.js',
+            'src/shared/services/cache.js',
+            'src/shared/services/snapshots.js',
+            'src/shared/services/casediff.js',
+            'src/shared/services/validator.js',
+            'src/shared/ui/ProbabilityBox.js'
+        ]);
+        local = {};
+        window.chrome = {
+            storage: {
+                local: {
+                    get: (keys, callback) => callback(Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]]))),
+                    set: (values, callback) => { Object.assign(local, values); callback(); }
+                }
+            },
+            runtime: {}
+        };
+
+        box = new window.ProbabilityBox({ constructor: { getSiteId: () => 'hellcase' } });
+        box.calculateStats = () => ({ expectedValue: 8, profitability: -20, profitChance: 40, hasRealPrices: false });
+        box.renderTrend = () => {};
+        box.renderDiff = () => {};
+    });
+
+    /**
+     * Load case data into the box like loadData() does
+     * @param {Object} caseData - Unified CaseData
+     */
+    async function visit(caseData) {
+        box.caseData = caseData;
+        box.items = caseData.items;
+        box.validation = window.CaseValidator.validate(caseData);
+        await box.recordSnapshot();
+        await box.detectChanges();
+    }
+
+    it('stores a valid case as snapshot and diff baseline', async () => {
+        await visit(createCaseData(60));
+
+        assert.equal(local.csp_snapshots['hellcase:test-case'].length, 1);
+        assert.ok(local.csp_case_states['hellcase:test-case']);
+    });
+
+    it('neither saves nor compares a case that failed validation', async () => {
+        let diffs = 0;
+        box.renderDiff = () => { diffs++; };
+
+        // Odds add up to 50%
+        await visit(createCaseData(10));
+        assert.equal(box.validation.valid, false);
+        assert.deepEqual(Object.keys(local), []);
+        assert.equal(diffs, 0);
+
+        // The next good visit has no broken baseline to compare with
+        await visit(createCaseData(60));
+        assert.equal(local.csp_case_states['hellcase:test-case'].lastChange, null);
+        assert.equal(diffs, 1);
+    });
+});